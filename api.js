@@ -0,0 +1,3 @@
+// Entry point for `require("xlsx-to-pdf/api")`: the programmatic API
+// without the HTTP server. The package's main module stays the server.
+module.exports = require("./lib/api");
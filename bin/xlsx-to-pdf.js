@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+require("dotenv").config({ quiet: true });
+
+const { main } = require("../lib/cli");
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
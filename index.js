@@ -1,34 +1,36 @@
 require("dotenv").config();
 
 const crypto = require("crypto");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
 const express = require("express");
 const multer = require("multer");
-const ExcelJS = require("exceljs");
-const FormData = require("form-data");
-const fetch = require("node-fetch");
 const helmet = require("helmet");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const pino = require("pino");
 const pinoHttp = require("pino-http");
-const pLimit = require("p-limit");
-
-// --- Configuration ---
-const config = {
-  port: parseInt(process.env.PORT) || 3001,
-  host: process.env.HOST || "127.0.0.1",
-  gotenbergUrl: process.env.GOTENBERG_URL || "http://localhost:3000/forms/libreoffice/convert",
-  defaultFontSize: parseInt(process.env.DEFAULT_FONT_SIZE) || 9,
-  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024,
-  concurrencyLimit: parseInt(process.env.CONCURRENCY_LIMIT) || 5,
-  gotenbergTimeoutMs: parseInt(process.env.GOTENBERG_TIMEOUT_MS) || 60000,
-  requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 120000,
-  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
-  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 30,
-  apiKey: process.env.API_KEY || "",
-  corsOrigin: process.env.CORS_ORIGIN || false,
-  memoryLimitMB: parseInt(process.env.MEMORY_LIMIT_MB) || 512,
-};
+const config = require("./lib/config");
+const { schedule, assertQueueRoom, convertToFile, parseOptions, toFormFields, auditLog, ConversionError } = require("./lib/convert");
+const { errorBody } = require("./lib/errors");
+const { createJobStore, serializeJob, enqueueJob } = require("./lib/jobs");
+const { convertBatch, mergePdfs, zipPdfs } = require("./lib/batch");
+const { postprocessPdf } = require("./lib/postprocess");
+const { INPUT_FORMATS, detectFileFormat } = require("./lib/formats");
+const { createDeliveryLog, serializeDelivery, validateCallbackUrl, convertAndDeliver } = require("./lib/webhooks");
+const { getRenderer } = require("./lib/renderers");
+const metrics = require("./lib/metrics");
+const { cacheKey, createResultCache } = require("./lib/cache");
+const { createKeyStore, createUsageTracker, enforceTenantLimits, chargeTenantQuota, tenantRateLimit } = require("./lib/tenants");
+const { uploadStorage, cleanupUploads, hashSource, readSource, removeFile } = require("./lib/spool");
+const { validateInput } = require("./lib/validate");
+const { inspectTemplate, fillTemplate } = require("./lib/fill");
+const { createTemplateStore, serializeTemplate } = require("./lib/templates");
+const { outputType } = require("./lib/output");
+const { spec, assertValidFields } = require("./lib/schema");
+const { describeRedactions } = require("./lib/redact");
+const { describeWarnings } = require("./lib/formulas");
+const { parseAuditQuery } = require("./lib/audit");
 
 // --- Logger ---
 const logger = pino({
@@ -44,7 +46,10 @@ app.set("trust proxy", 1);
 // Middleware stack
 app.use(helmet());
 app.use(cors({ origin: config.corsOrigin || false }));
-app.use(pinoHttp({ logger, quietReqLogger: true }));
+// The tenant is only known after authentication; pino-http re-reads these
+// props for the completion log line
+app.use(pinoHttp({ logger, quietReqLogger: true, customProps: (req) => (req.tenant ? { tenant: req.tenant.name } : {}) }));
+app.use(metrics.countResponses);
 
 // Rate limiter
 app.use(
@@ -53,212 +58,649 @@ app.use(
     max: config.rateLimitMax,
     standardHeaders: true,
     legacyHeaders: false,
-    message: { error: "Too many requests, please try again later" },
+    message: { error: "Too many requests, please try again later", code: "RATE_LIMITED" },
+    handler: (req, res, next, options) => {
+      metrics.rateLimitRejections.inc();
+      res.status(options.statusCode).json(options.message);
+    },
   })
 );
 
-// API key middleware (opt-in: only enforced when API_KEY is set)
-app.use((req, res, next) => {
-  if (!config.apiKey) return next();
-  const provided = req.headers["x-api-key"] || "";
+// --- API keys ---
+// Named tenant keys from API_KEYS_FILE, plus the single legacy API_KEY.
+// Authentication is only enforced when either is configured.
+const keyStore = createKeyStore({ file: config.apiKeysFile, log: logger });
+const tenantUsage = createUsageTracker();
+
+// The legacy API_KEY has no per-key limits
+const DEFAULT_TENANT = { name: "default", quota: {}, allowedOptions: null, limiter: null };
+
+function matchesLegacyKey(provided) {
+  if (!config.apiKey) return false;
   const a = Buffer.from(provided);
   const b = Buffer.from(config.apiKey);
-  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
-    return res.status(401).json({ error: "Unauthorized" });
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+app.use((req, res, next) => {
+  if (!config.apiKey && !keyStore.enabled) return next();
+  const provided = req.headers["x-api-key"] || "";
+  const match = keyStore.authenticate(provided) || (matchesLegacyKey(provided) ? { tenant: DEFAULT_TENANT, keyId: "API_KEY" } : null);
+  if (!match) {
+    return res.status(401).json({ error: "Unauthorized", code: "INVALID_API_KEY" });
   }
+  req.tenant = match.tenant;
+  req.keyId = match.keyId;
+  req.log = req.log.child({ tenant: match.tenant.name, keyId: match.keyId });
   next();
 });
 
-// Request timeout middleware
+app.use(tenantRateLimit);
+
+// Request timeout middleware. `req.signal` aborts when the request times
+// out or the client disconnects before the response is complete, so queued
+// and running conversions for it are cancelled.
 app.use((req, res, next) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
   req.setTimeout(config.requestTimeoutMs);
   res.setTimeout(config.requestTimeoutMs, () => {
     if (!res.headersSent) {
-      res.status(408).json({ error: "Request timeout" });
+      res.status(408).json({ error: "Request timeout", code: "REQUEST_TIMEOUT" });
     }
+    controller.abort();
   });
   next();
 });
 
 // --- Multer with file size limit ---
+// Uploads are spooled to TEMP_DIR and removed once the response is done
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: uploadStorage,
   limits: { fileSize: config.maxFileSize },
 });
+app.use(cleanupUploads);
 
-// --- Concurrency limiter ---
-const limit = pLimit(config.concurrencyLimit);
+// --- Asynchronous job store ---
+const jobStore = createJobStore({ ttlMs: config.jobTtlMs });
 
-// --- XLSX magic bytes: PK\x03\x04 (ZIP format) ---
-const XLSX_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+// --- Webhook delivery log ---
+const deliveryLog = createDeliveryLog();
 
-function isValidXlsx(buffer) {
-  if (!buffer || buffer.length < 4) return false;
-  return buffer.subarray(0, 4).equals(XLSX_MAGIC);
-}
+// --- Result cache (only consulted when CACHE_ENABLED=true) ---
+const resultCache = createResultCache({
+  maxBytes: config.cacheMaxMB * 1024 * 1024,
+  maxEntries: config.cacheMaxEntries,
+  ttlMs: config.cacheTtlMs,
+  dir: config.cacheDir,
+  diskMaxBytes: config.cacheDiskMaxMB * 1024 * 1024,
+});
+
+const UNSUPPORTED_FILE_MESSAGE = `Invalid file type. Accepted formats: ${INPUT_FORMATS.join(", ")}`;
 
 function sanitizeFilename(name) {
   return name.replace(/[^a-zA-Z0-9._-]/g, "_");
 }
 
+// Strip any known input extension; "report.csv" becomes "report.pdf"
+function baseName(originalName) {
+  return (originalName || "export").replace(/\.(xlsx|xls|ods|csv|tsv|tab|txt|json)$/i, "");
+}
+
+function pdfFilename(originalName) {
+  return sanitizeFilename(`${baseName(originalName)}.pdf`);
+}
+
+// Download name for a conversion's result; the extension follows `output`
+function outputFilename(originalName, options) {
+  return sanitizeFilename(`${baseName(originalName)}${outputType(options).extension}`);
+}
+
+// True when an If-None-Match header lists the ETag (or "*"), compared the
+// weak way If-None-Match asks for
+function matchesEtag(req, etag) {
+  const header = req.headers["if-none-match"];
+  if (!header) return false;
+  const opaque = etag.replace(/^W\//, "");
+  return header.split(",").some((tag) => {
+    const value = tag.trim().replace(/^W\//, "");
+    return value === "*" || value === opaque;
+  });
+}
+
+// Stream a spooled result to the client. A client that disconnects
+// mid-download is not an error.
+async function sendOutputFile(res, file, log) {
+  res.set("Content-Length", file.size);
+  try {
+    await pipeline(fs.createReadStream(file.path), res);
+  } catch (err) {
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+    log.warn("Client disconnected before the result was sent");
+  }
+}
+
 // --- Memory tracking ---
 function getMemoryUsageMB() {
   return Math.round(process.memoryUsage().rss / 1024 / 1024);
 }
 
-// --- Routes ---
+// Reject new conversions while RSS is above the configured limit
+function rejectWhenOverloaded(req, res, next) {
+  const currentMemory = getMemoryUsageMB();
+  if (currentMemory > config.memoryLimitMB) {
+    req.log.warn({ memoryMB: currentMemory, limitMB: config.memoryLimitMB }, "Memory limit exceeded, rejecting request");
+    return res.status(503).json({ error: "Server is under heavy load, please try again later", code: "SERVER_OVERLOADED" });
+  }
+  next();
+}
 
-app.post("/convert", upload.single("file"), async (req, res) => {
+// Refuse new conversions while MAX_QUEUE_LENGTH are already waiting for a
+// slot, rather than queueing them indefinitely
+function rejectWhenQueueFull(req, res, next) {
   try {
-    const currentMemory = getMemoryUsageMB();
-    if (currentMemory > config.memoryLimitMB) {
-      req.log.warn({ memoryMB: currentMemory, limitMB: config.memoryLimitMB }, "Memory limit exceeded, rejecting request");
-      return res.status(503).json({ error: "Server is under heavy load, please try again later" });
+    assertQueueRoom(req.files ? req.files.length : 1);
+  } catch (err) {
+    req.log.warn({ maxQueueLength: config.maxQueueLength }, "Conversion queue full, rejecting request");
+    return sendConversionError(res, err);
+  }
+  next();
+}
+
+// Answer with a ConversionError's status and body, plus Retry-After when
+// it says when to come back
+function sendConversionError(res, err) {
+  if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+  res.status(err.statusCode).json(errorBody(err));
+}
+
+// Ensure a supported upload is present and record its detected format
+async function requireSupportedUpload(req, res, next) {
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded", code: "NO_FILE" });
+  }
+  const format = await detectFileFormat(req.file, req.file.originalname, req.conversionOptions.format);
+  if (!format) {
+    return res.status(400).json({ error: UNSUPPORTED_FILE_MESSAGE, code: "UNSUPPORTED_FILE" });
+  }
+  req.conversionOptions.inputFormat = format;
+  next();
+}
+
+// The owner of what a request stores (jobs, deliveries, templates), or
+// null when authentication is off
+function tenantName(req) {
+  return req.tenant ? req.tenant.name : null;
+}
+
+// Who asked for a conversion, for its audit log entry
+function callerOf(req) {
+  return { tenant: tenantName(req), keyId: req.keyId || null, endpoint: `${req.method} ${req.route.path}` };
+}
+
+// Log the fields a request sent that no conversion option matches
+function warnUnknown(req) {
+  return (fields) => req.log.warn({ fields }, "Ignoring unknown options");
+}
+
+// Middleware parsing the form fields picked by `fieldsFor` into
+// req.conversionOptions, answering 400 when malformed. Fields are checked
+// against the ConversionOptions schema in openapi.yaml.
+function optionParser(fieldsFor = (req) => req.body) {
+  return (req, res, next) => {
+    try {
+      req.conversionOptions = parseOptions(fieldsFor(req), { onUnknown: warnUnknown(req) });
+      req.conversionOptions.caller = callerOf(req);
+      if (req.file) req.conversionOptions.sourceName = req.file.originalname;
+    } catch (err) {
+      if (err instanceof ConversionError) {
+        return sendConversionError(res, err);
+      }
+      throw err;
     }
+    next();
+  };
+}
 
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+// /convert also takes the callbackUrl of a background conversion
+const parseConversionOptions = optionParser((req) => {
+  const { callbackUrl, ...fields } = req.body || {};
+  return fields;
+});
+const parseJobOptions = optionParser();
+// A batch's own `output` and `bookmarks` fields pick a merged PDF or a zip
+// of PDFs; they are checked against the BatchRequest schema
+const parseBatchOptions = optionParser((req) => {
+  const { output, bookmarks, ...fields } = req.body || {};
+  assertValidFields({ output, bookmarks }, "BatchRequest");
+  return fields;
+});
+
+// --- Routes ---
+
+app.post("/convert", upload.single("file"), enforceTenantLimits(), rejectWhenOverloaded, rejectWhenQueueFull, parseConversionOptions, requireSupportedUpload, chargeTenantQuota(tenantUsage), async (req, res) => {
+  try {
+    const options = req.conversionOptions;
+
+    if (req.body.callbackUrl !== undefined) {
+      return acceptCallback(req, res, options);
     }
 
-    if (!isValidXlsx(req.file.buffer)) {
-      return res.status(400).json({ error: "Invalid file type. Only .xlsx files are accepted" });
+    // Identical input and options give an equivalent PDF, though not the
+    // same bytes (renderers embed creation dates and document IDs), so the
+    // key doubles as a weak ETag. Output that embeds the conversion time
+    // gets neither, nor does encrypted, redacted or recalculated output: the
+    // X-Redactions and X-Conversion-Warnings headers are not cached.
+    const key = options.redaction || options.formulas ? null : cacheKey(await hashSource(req.file), options);
+    const etag = key && `W/"${key}"`;
+    if (etag && matchesEtag(req, etag)) {
+      res.set("ETag", etag);
+      return res.status(304).end();
     }
 
-    const rawFontSize = parseInt(req.body.fontSize) || config.defaultFontSize;
-    const fontSize = Math.min(Math.max(rawFontSize, 6), 72);
-    const landscape = req.body.landscape || "true";
-    const singlePageSheets = req.body.singlePageSheets || "true";
-
-    req.log.info({ fileSize: req.file.size }, "File received, starting conversion");
-
-    const pdfBuffer = await limit(async () => {
-      const startExcel = Date.now();
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.load(req.file.buffer);
-
-      workbook.eachSheet((worksheet) => {
-        worksheet.columns.forEach((column) => {
-          let maxLength = 0;
-          column.eachCell({ includeEmpty: false }, (cell) => {
-            cell.font = { ...cell.font, size: fontSize };
-            const cellValue = cell.value ? cell.value.toString() : "";
-            maxLength = Math.max(maxLength, cellValue.length);
-          });
-          column.width = Math.min(Math.max(maxLength + 2, 8), 50);
-        });
-        worksheet.pageSetup = {
-          ...worksheet.pageSetup,
-          orientation: landscape === "true" ? "landscape" : "portrait",
-          fitToPage: true,
-          fitToWidth: 1,
-          fitToHeight: 0,
-          paperSize: 9,
-        };
-      });
+    let cached = null;
+    let cacheStatus = "BYPASS";
+    if (config.cacheEnabled && key) {
+      cached = await resultCache.get(key);
+      cacheStatus = cached ? "HIT" : "MISS";
+    }
+    metrics.cacheLookups.inc({ result: cacheStatus.toLowerCase() });
+
+    const headers = {
+      "Content-Type": outputType(options).contentType,
+      "Content-Disposition": `attachment; filename="${outputFilename(req.file.originalname, options)}"`,
+      "X-Cache": cacheStatus,
+    };
+    if (etag) headers.ETag = etag;
+
+    if (cached) {
+      req.log.info({ cache: "hit", store: cached.store, outputSize: cached.pdf.length }, "Serving cached result");
+      await auditLog.record(req.file, options, { startedAt: Date.now(), file: cached.pdf, cached: true }, req.log);
+      res.set({ ...headers, "Content-Length": cached.pdf.length });
+      return res.send(cached.pdf);
+    }
 
-      const modifiedBuffer = await workbook.xlsx.writeBuffer();
-      req.log.info({ excelMs: Date.now() - startExcel }, "ExcelJS processing complete");
-
-      // Send to Gotenberg with timeout
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), config.gotenbergTimeoutMs);
-
-      try {
-        const form = new FormData();
-        form.append("files", Buffer.from(modifiedBuffer), {
-          filename: "export.xlsx",
-          contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-        });
-        form.append("landscape", landscape);
-        form.append("singlePageSheets", singlePageSheets);
-
-        const startGotenberg = Date.now();
-        const gotenbergRes = await fetch(config.gotenbergUrl, {
-          method: "POST",
-          body: form,
-          signal: controller.signal,
-        });
-
-        if (!gotenbergRes.ok) {
-          const errText = await gotenbergRes.text();
-          req.log.error({ status: gotenbergRes.status, error: errText }, "Gotenberg error");
-          const statusCode = gotenbergRes.status >= 500 ? 502 : gotenbergRes.status;
-          return { error: true, statusCode, message: "PDF conversion failed" };
-        }
-
-        const pdf = await gotenbergRes.buffer();
-        req.log.info({ gotenbergMs: Date.now() - startGotenberg, pdfSize: pdf.length }, "Gotenberg conversion complete");
-        return { error: false, data: pdf };
-      } finally {
-        clearTimeout(timeout);
+    // The result stays on disk and is streamed out; only cached copies are
+    // read into memory
+    req.log.info({ fileSize: req.file.size, cache: cacheStatus.toLowerCase() }, "File received, starting conversion");
+    const { file, redactions, warnings } = await schedule(() => convertToFile(req.file, options, req.log, req.signal), req.signal);
+    if (redactions) headers["X-Redactions"] = describeRedactions(redactions);
+    if (warnings && warnings.length) headers["X-Conversion-Warnings"] = describeWarnings(warnings);
+    try {
+      if (cacheStatus === "MISS" && resultCache.fits(file.size)) {
+        await resultCache.set(key, await fs.promises.readFile(file.path), req.log);
       }
-    });
+      res.set(headers);
+      await sendOutputFile(res, file, req.log);
+    } finally {
+      await removeFile(file);
+    }
+  } catch (err) {
+    // Nobody is waiting for the answer any more
+    if (err.code === "CANCELLED") return;
+    if (err instanceof ConversionError) {
+      return sendConversionError(res, err);
+    }
+    req.log.error({ err }, "Conversion error");
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
+    }
+  }
+});
+
+// --- Batch conversion ---
+
+app.post("/batch", upload.array("files[]", config.maxBatchFiles), enforceTenantLimits(), rejectWhenOverloaded, rejectWhenQueueFull, parseBatchOptions, chargeTenantQuota(tenantUsage), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded", code: "NO_FILE" });
+    }
+    const formats = await Promise.all(
+      req.files.map((file) => detectFileFormat(file, file.originalname, req.conversionOptions.format))
+    );
+    const invalidIndex = formats.indexOf(null);
+    if (invalidIndex !== -1) {
+      return res.status(400).json({ error: `${UNSUPPORTED_FILE_MESSAGE} ("${req.files[invalidIndex].originalname}")`, code: "UNSUPPORTED_FILE" });
+    }
+
+    const output = req.body.output || "pdf";
 
-    if (pdfBuffer.error) {
-      return res.status(pdfBuffer.statusCode).json({ error: pdfBuffer.message });
+    const options = req.conversionOptions;
+    // A merged PDF is a new document: PDF/A is lost, and metadata and
+    // encryption are applied to it once rather than to each file
+    if (output === "pdf" && (options.pdfa || options.pdfua)) {
+      return res.status(400).json({ error: 'pdfa and pdfua need output "zip" for batches', code: "UNSUPPORTED_OUTPUT" });
+    }
+    const fileOptions = output === "pdf" ? { ...options, metadata: null, encryption: null } : options;
+    const entries = req.files.map((file, index) => ({
+      title: baseName(file.originalname),
+      filename: pdfFilename(file.originalname),
+      sourceName: file.originalname,
+      inputFormat: formats[index],
+      source: file,
+    }));
+
+    req.log.info({ fileCount: entries.length, output }, "Batch received, starting conversion");
+    const results = await convertBatch(entries, fileOptions, req.log, req.signal);
+    if (req.signal.aborted) return;
+
+    if (output === "zip") {
+      const zip = await zipPdfs(results);
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": 'attachment; filename="batch.zip"',
+        "Content-Length": zip.length,
+      });
+      return res.send(zip);
     }
 
-    const originalName = req.file.originalname || "export.xlsx";
-    const pdfName = sanitizeFilename(originalName.replace(/\.xlsx$/i, ".pdf"));
+    const failed = results.filter((result) => result.error);
+    if (failed.length > 0) {
+      return res.status(failed[0].error.statusCode).json({
+        error: `Conversion failed for ${failed.length} of ${results.length} files`,
+        code: "CONVERSION_FAILED",
+        files: failed.map((result) => ({ source: result.title, error: result.error.message, code: result.error.code })),
+      });
+    }
+
+    let merged = await mergePdfs(results, { bookmarks: req.body.bookmarks === "true" });
+    if (options.metadata || options.encryption) {
+      merged = await postprocessPdf(merged, { metadata: options.metadata, encryption: options.encryption });
+    }
     res.set({
       "Content-Type": "application/pdf",
-      "Content-Disposition": `attachment; filename="${pdfName}"`,
-      "Content-Length": pdfBuffer.data.length,
+      "Content-Disposition": 'attachment; filename="batch.pdf"',
+      "Content-Length": merged.length,
     });
-    res.send(pdfBuffer.data);
+    res.send(merged);
+  } catch (err) {
+    req.log.error({ err }, "Batch conversion error");
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
+    }
+  }
+});
+
+// Respond 202 right away and deliver the result to `callbackUrl` later
+async function acceptCallback(req, res, options) {
+  if (!config.webhookSecret) {
+    return res.status(400).json({ error: "Callbacks are not enabled on this server", code: "CALLBACKS_DISABLED" });
+  }
+  const urlError = await validateCallbackUrl(req.body.callbackUrl);
+  if (urlError) {
+    return sendConversionError(res, new ConversionError(urlError, 400, "INVALID_CALLBACK_URL", "callbackUrl"));
+  }
+
+  const delivery = deliveryLog.create(req.body.callbackUrl, tenantName(req));
+  req.log.info({ fileSize: req.file.size, deliveryId: delivery.id }, "File received, converting for callback");
+  req.file.retained = true;
+  convertAndDeliver(delivery, req.file, options, outputFilename(req.file.originalname, options), req.log).catch((err) => {
+    req.log.error({ err, deliveryId: delivery.id }, "Callback processing error");
+  });
+
+  res.status(202).location(`/deliveries/${delivery.id}`).json(serializeDelivery(delivery));
+}
+
+app.get("/deliveries/:id", (req, res) => {
+  const delivery = deliveryLog.get(req.params.id, tenantName(req));
+  if (!delivery) {
+    return res.status(404).json({ error: "Delivery not found", code: "DELIVERY_NOT_FOUND" });
+  }
+  res.json(serializeDelivery(delivery));
+});
+
+// --- Asynchronous jobs ---
+
+app.post("/jobs", upload.single("file"), enforceTenantLimits(), rejectWhenOverloaded, rejectWhenQueueFull, parseJobOptions, requireSupportedUpload, chargeTenantQuota(tenantUsage), (req, res) => {
+  const options = req.conversionOptions;
+  const job = jobStore.create({
+    filename: outputFilename(req.file.originalname, options),
+    contentType: outputType(options).contentType,
+    tenant: tenantName(req),
+  });
+
+  req.log.info({ fileSize: req.file.size, jobId: job.id }, "File received, job queued");
+  req.file.retained = true;
+  enqueueJob(jobStore, job, req.file, options, req.log);
+
+  res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobStore.get(req.params.id, tenantName(req));
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+  }
+  res.json(serializeJob(job));
+});
+
+app.get("/jobs/:id/result", async (req, res) => {
+  const job = jobStore.get(req.params.id, tenantName(req));
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+  }
+  if (job.status !== "done") {
+    return res.status(409).json({ error: `Job is ${job.status}, no result available`, code: "JOB_NOT_FINISHED" });
+  }
+  res.set({
+    "Content-Type": job.contentType,
+    "Content-Disposition": `attachment; filename="${job.filename}"`,
+  });
+  await sendOutputFile(res, job.result, req.log);
+});
+
+app.delete("/jobs/:id", (req, res) => {
+  if (!jobStore.remove(req.params.id, tenantName(req))) {
+    return res.status(404).json({ error: "Job not found", code: "JOB_NOT_FOUND" });
+  }
+  res.status(204).end();
+});
+
+// --- Templates ---
+// Stored xlsx templates filled from a JSON payload, then converted like an
+// upload to /convert
+
+const templateStore = createTemplateStore({ dir: config.templateDir });
+
+// Load the template named in the URL into req.template
+async function loadTemplate(req, res, next) {
+  req.template = await templateStore.get(req.params.id, tenantName(req));
+  if (!req.template) {
+    return res.status(404).json({ error: "Template not found", code: "TEMPLATE_NOT_FOUND" });
+  }
+  next();
+}
+
+// JSON body `{ data, options }`: `data` fills the template, `options` takes
+// the /convert form fields. Options become req.conversionOptions.
+const templateJson = express.json({ limit: `${config.maxTemplateDataMB}mb` });
+
+function parseRenderRequest(req, res, next) {
+  templateJson(req, res, (err) => {
+    if (err) {
+      if (err.type === "entity.too.large") {
+        return res.status(413).json({ error: "Request body too large", code: "BODY_TOO_LARGE" });
+      }
+      return res.status(400).json({ error: "Request body must be JSON", code: "INVALID_BODY" });
+    }
+    const { data, options = {} } = req.body || {};
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return sendConversionError(res, new ConversionError("data must be a JSON object", 400, "INVALID_BODY", "data"));
+    }
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      return sendConversionError(res, new ConversionError("options must be a JSON object", 400, "INVALID_BODY", "options"));
+    }
+    try {
+      const parsed = parseOptions(toFormFields(options), { prefix: "options.", onUnknown: warnUnknown(req) });
+      req.conversionOptions = { ...parsed, inputFormat: "xlsx", sourceName: `${req.template.name}.xlsx`, caller: callerOf(req) };
+    } catch (err) {
+      if (err instanceof ConversionError) return sendConversionError(res, err);
+      return next(err);
+    }
+    next();
+  });
+}
+
+app.post("/templates", upload.single("file"), enforceTenantLimits({ options: () => [] }), chargeTenantQuota(tenantUsage), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded", code: "NO_FILE" });
+    }
+    if ((await detectFileFormat(req.file, req.file.originalname)) !== "xlsx") {
+      return res.status(400).json({ error: "Templates must be .xlsx workbooks", code: "UNSUPPORTED_FILE" });
+    }
+    if ((await templateStore.list(tenantName(req))).length >= config.maxTemplates) {
+      return res.status(409).json({ error: `Template limit of ${config.maxTemplates} reached`, code: "TEMPLATE_LIMIT" });
+    }
+    const buffer = await readSource(req.file);
+    await validateInput(buffer, "xlsx");
+    const fields = await inspectTemplate(buffer);
+    const name = String(req.body.name || baseName(req.file.originalname)).slice(0, 200);
+    const template = await templateStore.save(buffer, { name, tenant: tenantName(req), ...fields });
+
+    req.log.info({ templateId: template.id, size: template.size }, "Template stored");
+    res.status(201).location(`/templates/${template.id}`).json(serializeTemplate(template));
   } catch (err) {
-    if (err.name === "AbortError") {
-      req.log.error("Gotenberg request timed out");
-      return res.status(504).json({ error: "PDF conversion timed out" });
+    if (err instanceof ConversionError) {
+      return sendConversionError(res, err);
     }
-    if (err.code === "LIMIT_FILE_SIZE") {
-      return res.status(413).json({ error: "File too large" });
+    req.log.error({ err }, "Template upload error");
+    res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
+  }
+});
+
+app.get("/templates", async (req, res) => {
+  const templates = await templateStore.list(tenantName(req));
+  res.json({ templates: templates.map(serializeTemplate) });
+});
+
+app.get("/templates/:id", loadTemplate, (req, res) => {
+  res.json(serializeTemplate(req.template));
+});
+
+app.delete("/templates/:id", async (req, res) => {
+  if (!(await templateStore.remove(req.params.id, tenantName(req)))) {
+    return res.status(404).json({ error: "Template not found", code: "TEMPLATE_NOT_FOUND" });
+  }
+  res.status(204).end();
+});
+
+// A render counts against the tenant's quota like an upload of the template
+const templateFiles = (req) => [req.template];
+const templateLimits = enforceTenantLimits({
+  options: (req) => Object.keys(req.body.options || {}),
+  files: templateFiles,
+});
+
+app.post("/templates/:id/render", loadTemplate, parseRenderRequest, templateLimits, rejectWhenOverloaded, rejectWhenQueueFull, chargeTenantQuota(tenantUsage, { files: templateFiles }), async (req, res) => {
+  try {
+    const options = req.conversionOptions;
+    req.log.info({ templateId: req.template.id }, "Filling template, starting conversion");
+    const { file, redactions, warnings } = await schedule(async () => {
+      const sheet = await fillTemplate(await templateStore.read(req.template), req.body.data);
+      return convertToFile(sheet, options, req.log, req.signal);
+    }, req.signal);
+    try {
+      res.set({
+        "Content-Type": outputType(options).contentType,
+        "Content-Disposition": `attachment; filename="${outputFilename(options.sourceName, options)}"`,
+      });
+      if (redactions) res.set("X-Redactions", describeRedactions(redactions));
+      if (warnings && warnings.length) res.set("X-Conversion-Warnings", describeWarnings(warnings));
+      await sendOutputFile(res, file, req.log);
+    } finally {
+      await removeFile(file);
     }
-    req.log.error({ err }, "Conversion error");
+  } catch (err) {
+    if (err.code === "CANCELLED") return;
+    if (err instanceof ConversionError) {
+      return sendConversionError(res, err);
+    }
+    req.log.error({ err }, "Template conversion error");
     if (!res.headersSent) {
-      res.status(500).json({ error: "Internal server error" });
+      res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
     }
   }
 });
 
+// --- Conversion history ---
+// The audit log, newest first. With API keys a tenant only sees its own
+// conversions, whatever `tenant` says.
+app.get("/conversions", async (req, res) => {
+  try {
+    const filters = parseAuditQuery(req.query);
+    if (req.tenant) filters.tenant = req.tenant.name;
+    res.json({ conversions: await auditLog.query(filters) });
+  } catch (err) {
+    if (err instanceof ConversionError) return sendConversionError(res, err);
+    req.log.error({ err }, "Audit log query error");
+    res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
+  }
+});
+
+// The API description requests are validated against
+app.get("/openapi.json", (req, res) => {
+  res.json(spec);
+});
+
 app.get("/health", async (req, res) => {
   const memoryMB = getMemoryUsageMB();
   const health = { status: "ok", uptime: process.uptime(), memoryMB };
 
-  try {
-    // Derive Gotenberg health URL from conversion URL
-    const gotenbergBase = config.gotenbergUrl.replace(/\/forms\/.*$/, "");
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000);
-    try {
-      const resp = await fetch(`${gotenbergBase}/health`, { signal: controller.signal });
-      if (resp.ok) {
-        health.gotenberg = "reachable";
-      } else {
-        health.status = "degraded";
-        health.gotenberg = "unhealthy";
-      }
-    } finally {
-      clearTimeout(timeout);
-    }
-  } catch {
+  // The gotenberg key is kept for existing probes; other renderers report
+  // under their own name
+  const renderer = getRenderer(config.renderer);
+  const state = await renderer.health();
+  health.renderer = renderer.name;
+  health[renderer.name] = state;
+  if (renderer.details) {
+    Object.assign(health, renderer.details());
+  }
+  if ((state !== "reachable" && state !== "available") || health.circuit === "open") {
     health.status = "degraded";
-    health.gotenberg = "unreachable";
   }
 
   const statusCode = health.status === "ok" ? 200 : 503;
   res.status(statusCode).json(health);
 });
 
+// Prometheus scrape endpoint
+app.get("/metrics", async (req, res) => {
+  res.set("Content-Type", metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
 // --- 404 catch-all ---
 app.use((req, res) => {
-  res.status(404).json({ error: "Not found" });
+  res.status(404).json({ error: "Not found", code: "NOT_FOUND" });
+});
+
+// --- Errors passed to next(), such as multer's upload limits ---
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === "LIMIT_FILE_SIZE";
+    const uploadError = new ConversionError(tooLarge ? "File too large" : err.message, tooLarge ? 413 : 400, tooLarge ? "FILE_TOO_LARGE" : "INVALID_UPLOAD", err.field);
+    return sendConversionError(res, uploadError);
+  }
+  req.log.error({ err }, "Unhandled error");
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: "Internal server error", code: "INTERNAL_ERROR" });
 });
 
 // --- Server & graceful shutdown ---
 let server;
 
 function startServer() {
+  if (!getRenderer(config.renderer)) {
+    throw new Error(`Unknown RENDERER "${config.renderer}"`);
+  }
+  if (!["round-robin", "least-busy"].includes(config.gotenbergBalance)) {
+    throw new Error(`Unknown GOTENBERG_BALANCE "${config.gotenbergBalance}"`);
+  }
   server = app.listen(config.port, config.host, () => {
     logger.info({ port: config.port, host: config.host }, "XLSX-to-PDF service started");
   });
@@ -288,4 +730,4 @@ if (require.main === module) {
   startServer();
 }
 
-module.exports = { app, config, startServer, logger };
+module.exports = { app, config, startServer, logger, jobStore, deliveryLog, resultCache, keyStore, tenantUsage, templateStore };
@@ -0,0 +1,37 @@
+const pino = require("pino");
+const { limit, parseOptions, toFormFields, convert, ConversionError } = require("./convert");
+const { INPUT_FORMATS, detectFormat } = require("./formats");
+const { outputType } = require("./output");
+
+// --- Programmatic API ---
+// The conversion behind POST /convert, without the HTTP server. Options are
+// the /convert form fields (fontSize, sheets, paperSize, output, ...); values
+// may be numbers, booleans or objects instead of strings.
+
+const silentLogger = pino({ level: "silent" });
+
+// Convert a spreadsheet Buffer. Resolves to the result as a Buffer: a PDF
+// unless `output` asks for images or HTML. `filename` helps tell the input
+// format and fills the {file} header token; `logger` (pino) and an abort
+// `signal` are optional. Conversions share the CONCURRENCY_LIMIT queue.
+// Throws a ConversionError for malformed options or unusable input.
+async function convertWorkbook(buffer, { filename, logger = silentLogger, signal, ...fields } = {}) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new TypeError("convertWorkbook expects the spreadsheet as a Buffer");
+  }
+  const options = parseOptions(toFormFields(fields));
+  const inputFormat = detectFormat(buffer, filename, options.format);
+  if (!inputFormat) {
+    throw new ConversionError(`Unsupported input. Accepted formats: ${INPUT_FORMATS.join(", ")}`, 400, "UNSUPPORTED_FILE");
+  }
+  if (filename) options.sourceName = filename;
+  const { pdf } = await limit(() => convert(buffer, { ...options, inputFormat }, logger, signal));
+  return pdf;
+}
+
+// Content type and file extension of what convertWorkbook returns for `fields`
+function resultType(fields = {}) {
+  return outputType(parseOptions(toFormFields(fields)));
+}
+
+module.exports = { convertWorkbook, resultType, ConversionError };
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ConversionError } = require("./errors");
+const { assertValidFields } = require("./schema");
+const { hashSource, sourceSize } = require("./spool");
+const { outputType } = require("./output");
+
+// --- Audit log ---
+// One JSON line per conversion run for an API caller, appended to a file so
+// a disputed export can be traced: who asked, what went in (hashes, sheet
+// names, options), what came out and how long it took. Passwords are never
+// written. Entries older than the retention period are pruned.
+
+const OUTCOMES = ["done", "failed", "cancelled"];
+const MASK = "[REDACTED]";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUERY_LIMIT = 100;
+
+function isSet(value) {
+  return value !== undefined && value !== "";
+}
+
+// Filters for GET /conversions from its query string, checked against the
+// ConversionQuery schema; times become ISO timestamps
+function parseAuditQuery(query = {}) {
+  assertValidFields(query, "ConversionQuery");
+  const filters = {};
+  ["from", "to"].forEach((field) => {
+    if (!isSet(query[field])) return;
+    const time = Date.parse(query[field]);
+    if (Number.isNaN(time)) {
+      throw new ConversionError(`${field} must be an ISO 8601 date-time`, 400, "INVALID_OPTION", field);
+    }
+    filters[field] = new Date(time).toISOString();
+  });
+  ["tenant", "keyId"].forEach((field) => {
+    if (isSet(query[field])) filters[field] = String(query[field]);
+  });
+  if (isSet(query.outcome)) filters.outcome = String(query.outcome).trim().toLowerCase();
+  if (isSet(query.limit)) filters.limit = parseInt(query.limit, 10);
+  return filters;
+}
+
+// A list or pattern that was given, masked; empty ones stay as they are
+function masked(value) {
+  const given = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return given ? MASK : value;
+}
+
+// The options as recorded: the caller and file name have their own fields.
+// Passwords and what redaction looks for are masked, since the log is read
+// by more people than the data, and a watermark image is named rather than
+// given by its path on the server.
+function auditOptions(options) {
+  const { caller, sourceName, inputFormat, ...rest } = options;
+  const recorded = { ...rest };
+  if (rest.encryption) {
+    const { userPassword, ...encryption } = rest.encryption;
+    recorded.encryption = { ...encryption, userPassword: userPassword ? MASK : "", ownerPassword: MASK };
+  }
+  if (rest.watermark && rest.watermark.image) {
+    const { image, ...watermark } = rest.watermark;
+    recorded.watermark = { ...watermark, image: path.basename(image, path.extname(image)) };
+  }
+  if (rest.redaction) {
+    const { columns, ranges, patterns, regex } = rest.redaction;
+    recorded.redaction = { ...rest.redaction, columns: masked(columns), ranges: masked(ranges), patterns: masked(patterns), regex: masked(regex) };
+  }
+  return recorded;
+}
+
+// Pages of a PDF as counted by the stage that last loaded it (the builtin
+// renderer or post-processing); null when no stage did or for other output
+function pageCount(output, options) {
+  if (outputType(options).contentType !== "application/pdf") return null;
+  return Buffer.isBuffer(output) || output.pages === undefined ? null : output.pages;
+}
+
+function outcomeOf(error) {
+  if (!error) return "done";
+  return error.code === "CANCELLED" ? "cancelled" : "failed";
+}
+
+// `file` is the output (a Buffer or spooled file) on success, `error` the
+// failure otherwise. Both hashes stream, and the input's is usually the one
+// the cache key already computed.
+async function buildEntry(source, options, { startedAt, file = null, error = null, timings = {}, sheets = null, cached = false }) {
+  const finishedAt = Date.now();
+  const { tenant, keyId, endpoint } = options.caller;
+  const known = error instanceof ConversionError;
+  return {
+    id: crypto.randomUUID(),
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    tenant,
+    keyId,
+    endpoint,
+    fileName: options.sourceName || null,
+    inputFormat: options.inputFormat || null,
+    inputSize: sourceSize(source),
+    inputHash: await hashSource(source),
+    sheets,
+    options: auditOptions(options),
+    outcome: outcomeOf(error),
+    cached,
+    outputType: file ? outputType(options).contentType : null,
+    outputSize: file ? sourceSize(file) : null,
+    outputHash: file ? await hashSource(file) : null,
+    pages: file ? pageCount(file, options) : null,
+    timings: { ...timings, totalMs: finishedAt - startedAt },
+    statusCode: error ? (known ? error.statusCode : 500) : 200,
+    errorCode: error ? (known ? error.code : "INTERNAL_ERROR") : null,
+    error: error ? (known ? error.message : "Internal server error") : null,
+  };
+}
+
+// `file` is the JSONL file; `retentionDays` of 0 keeps entries forever.
+// Appends and pruning run one at a time so lines are never interleaved.
+function createAuditLog({ file, enabled = true, retentionDays = 90, pruneIntervalMs = 60 * 60 * 1000 }) {
+  let queue = Promise.resolve();
+  let timer = null;
+
+  function serialize(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readEntries(onEntry) {
+    let stream;
+    try {
+      await fs.promises.access(file);
+      stream = fs.createReadStream(file, { encoding: "utf8" });
+    } catch {
+      return;
+    }
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      try {
+        onEntry(JSON.parse(line), line);
+      } catch {
+        // A line cut short by a crash is skipped
+      }
+    }
+  }
+
+  // Rewrite the file without entries that finished before the cutoff
+  function prune(now = Date.now()) {
+    if (!retentionDays) return Promise.resolve(0);
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    return serialize(async () => {
+      const kept = [];
+      let removed = 0;
+      await readEntries((entry, line) => {
+        if (entry.finishedAt < cutoff) removed++;
+        else kept.push(line);
+      });
+      if (removed === 0) return 0;
+      const temp = `${file}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temp, kept.map((line) => `${line}\n`).join(""));
+      await fs.promises.rename(temp, file);
+      return removed;
+    });
+  }
+
+  // Pruning starts with the first entry, so a log that is never written
+  // costs nothing
+  function startPruning(log) {
+    if (timer || !retentionDays) return;
+    const run = () => prune().catch((err) => log.warn({ err }, "Audit log pruning failed"));
+    run();
+    timer = setInterval(run, pruneIntervalMs);
+    timer.unref();
+  }
+
+  // Record one conversion of an API caller (options.caller is set by the
+  // server). Never throws: a conversion does not fail over its audit entry.
+  async function record(source, options, details, log) {
+    if (!enabled || !options.caller) return;
+    try {
+      const entry = await buildEntry(source, options, details);
+      await serialize(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      });
+      startPruning(log);
+    } catch (err) {
+      log.error({ err }, "Audit log entry could not be written");
+    }
+  }
+
+  // Entries matching every given filter, newest first, at most `limit`.
+  // `from` and `to` are ISO timestamps compared with `finishedAt`.
+  async function query({ from, to, tenant, keyId, outcome, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const matches = [];
+    await readEntries((entry) => {
+      if (from && entry.finishedAt < from) return;
+      if (to && entry.finishedAt > to) return;
+      if (tenant !== undefined && entry.tenant !== tenant) return;
+      if (keyId !== undefined && entry.keyId !== keyId) return;
+      if (outcome !== undefined && entry.outcome !== outcome) return;
+      matches.push(entry);
+      // The file is in time order, so only the latest matches are kept
+      if (matches.length > limit) matches.shift();
+    });
+    return matches.reverse();
+  }
+
+  function close() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { record, query, prune, close };
+}
+
+module.exports = { OUTCOMES, parseAuditQuery, auditOptions, createAuditLog };
@@ -0,0 +1,111 @@
+const JSZip = require("jszip");
+const { PDFDocument, PDFHexString, PDFName } = require("pdf-lib");
+const { schedule, convert, ConversionError } = require("./convert");
+
+// Convert every file under the shared limiter; results keep upload order.
+// Each entry is `{ title, filename, sourceName, inputFormat, source }` where
+// source is a Buffer or spooled upload; failures never reject.
+async function convertBatch(entries, options, log, signal) {
+  const settled = await Promise.allSettled(
+    entries.map(({ source, sourceName, inputFormat }) =>
+      schedule(() => convert(source, { ...options, sourceName, inputFormat }, log, signal), signal)
+    )
+  );
+
+  return settled.map((outcome, index) => {
+    const { title, filename } = entries[index];
+    if (outcome.status === "fulfilled") {
+      const { pdf, redactions, warnings } = outcome.value;
+      return { title, filename, pdf, redactions, warnings, error: null };
+    }
+    const err = outcome.reason;
+    if (!(err instanceof ConversionError)) {
+      log.error({ err, filename }, "Batch conversion error");
+    }
+    return {
+      title,
+      filename,
+      pdf: null,
+      error: err instanceof ConversionError
+        ? { statusCode: err.statusCode, message: err.message, code: err.code }
+        : { statusCode: 500, message: "Internal server error", code: "INTERNAL_ERROR" },
+    };
+  });
+}
+
+// Attach a flat outline: one bookmark per `{ title, pageIndex }`
+function addBookmarks(doc, marks) {
+  const context = doc.context;
+  const outlinesRef = context.nextRef();
+  const itemRefs = marks.map(() => context.nextRef());
+
+  marks.forEach((mark, i) => {
+    const item = {
+      Title: PDFHexString.fromText(mark.title),
+      Parent: outlinesRef,
+      Dest: [doc.getPage(mark.pageIndex).ref, "Fit"],
+    };
+    if (i > 0) item.Prev = itemRefs[i - 1];
+    if (i < marks.length - 1) item.Next = itemRefs[i + 1];
+    context.assign(itemRefs[i], context.obj(item));
+  });
+
+  context.assign(outlinesRef, context.obj({
+    Type: "Outlines",
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: itemRefs.length,
+  }));
+  doc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  doc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+// Concatenate PDFs in order, optionally bookmarking where each one starts
+async function mergePdfs(results, { bookmarks = false } = {}) {
+  const merged = await PDFDocument.create();
+  const marks = [];
+
+  for (const result of results) {
+    const source = await PDFDocument.load(result.pdf);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    if (pages.length === 0) continue;
+    marks.push({ title: result.title, pageIndex: merged.getPageCount() });
+    pages.forEach((page) => merged.addPage(page));
+  }
+
+  if (bookmarks && marks.length > 0) addBookmarks(merged, marks);
+  return Buffer.from(await merged.save());
+}
+
+// ZIP the successful PDFs plus a manifest.json describing every file,
+// including what was redacted from it and any formula warnings
+async function zipPdfs(results) {
+  const zip = new JSZip();
+  const used = new Set();
+  const manifest = [];
+
+  results.forEach((result, index) => {
+    const entry = { index, source: result.title, status: result.error ? "failed" : "done" };
+    if (result.error) {
+      entry.error = result.error.message;
+      entry.statusCode = result.error.statusCode;
+      if (result.error.code) entry.code = result.error.code;
+    } else {
+      let name = result.filename;
+      for (let n = 2; used.has(name); n++) {
+        name = result.filename.replace(/(\.pdf)?$/i, `-${n}$1`);
+      }
+      used.add(name);
+      zip.file(name, result.pdf);
+      entry.output = name;
+      if (result.redactions) entry.redactions = result.redactions;
+      if (result.warnings && result.warnings.length) entry.warnings = result.warnings;
+    }
+    manifest.push(entry);
+  });
+
+  zip.file("manifest.json", JSON.stringify({ files: manifest }, null, 2));
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+module.exports = { convertBatch, mergePdfs, zipPdfs };
@@ -0,0 +1,72 @@
+// --- Circuit breaker ---
+// Opens after `threshold` consecutive failures and rejects calls until
+// `resetMs` has passed. Then one trial call is let through (half-open): a
+// success closes the circuit, a failure opens it again.
+function createCircuitBreaker({ threshold = 5, resetMs = 30000, now = Date.now } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function currentState() {
+    if (state === "open" && now() - openedAt >= resetMs) {
+      state = "half-open";
+      trialInFlight = false;
+    }
+    return state;
+  }
+
+  // Claims permission for one call; false while open or while the
+  // half-open trial is still running
+  function tryAcquire() {
+    const current = currentState();
+    if (current === "closed") return true;
+    if (current === "half-open" && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function recordSuccess() {
+    state = "closed";
+    failures = 0;
+    trialInFlight = false;
+  }
+
+  function recordFailure() {
+    failures++;
+    if (state === "half-open" || failures >= threshold) {
+      state = "open";
+      openedAt = now();
+    }
+    trialInFlight = false;
+  }
+
+  // Gives back a claimed call that ended for reasons unrelated to the upstream
+  function release() {
+    trialInFlight = false;
+  }
+
+  function snapshot() {
+    const current = currentState();
+    return {
+      state: current,
+      failures,
+      retryAt: current === "open" ? new Date(openedAt + resetMs).toISOString() : null,
+    };
+  }
+
+  return {
+    get state() {
+      return currentState();
+    },
+    tryAcquire,
+    recordSuccess,
+    recordFailure,
+    release,
+    snapshot,
+  };
+}
+
+module.exports = { createCircuitBreaker };
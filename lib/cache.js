@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// --- Result cache ---
+// PDFs keyed by a hash of the upload and its normalized options, kept in an
+// in-memory LRU and optionally mirrored to a directory on disk.
+
+// Bump when a code change alters the PDF produced for the same input
+const CACHE_VERSION = 1;
+
+// Header/footer tokens whose value changes between conversions
+const VOLATILE_TOKENS = /\{(date|time|timestamp)\}/;
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// JSON with sorted keys so option order never changes the key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Content-addressed key for a conversion, or null when the output depends on
+// the time of conversion. `contentHash` is the upload's sha256 hex digest.
+// Every parsed option takes part, so options added later are covered; the
+// file name only counts when a {file} token prints it, and the caller never.
+// Encrypted output gets no key: the key is sent as the ETag, so it must not
+// be derived from passwords, and a generated owner password differs on
+// every request anyway.
+function cacheKey(contentHash, options) {
+  if (options.encryption) return null;
+  const { sourceName, caller, ...rest } = options;
+  const serialized = stableStringify(rest);
+  if (VOLATILE_TOKENS.test(serialized)) return null;
+
+  const keyed = serialized.includes("{file}") ? stableStringify({ ...rest, sourceName }) : serialized;
+  return crypto
+    .createHash("sha256")
+    .update(`v${CACHE_VERSION}\n`)
+    .update(keyed)
+    .update("\n")
+    .update(contentHash)
+    .digest("hex");
+}
+
+// In-memory LRU bounded by total bytes and entry count. A Map keeps insertion
+// order, so re-inserting on access moves an entry to the young end.
+function createMemoryStore({ maxBytes, maxEntries }) {
+  const entries = new Map();
+  let bytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    bytes -= entry.pdf.length;
+    entries.delete(key);
+  }
+
+  function get(key, now) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      remove(key);
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.pdf;
+  }
+
+  function set(key, pdf, expiresAt) {
+    if (pdf.length > maxBytes) return;
+    remove(key);
+    entries.set(key, { pdf, expiresAt });
+    bytes += pdf.length;
+    for (const oldest of entries.keys()) {
+      if (bytes <= maxBytes && entries.size <= maxEntries) break;
+      remove(oldest);
+    }
+  }
+
+  return { get, set, remove, get size() { return entries.size; }, get bytes() { return bytes; } };
+}
+
+// One file per entry; the modification time doubles as the insertion time.
+// Writes go through a temp file so readers never see a partial PDF.
+function createDiskStore({ dir, maxBytes, ttlMs }) {
+  const fileFor = (key) => path.join(dir, `${key}.pdf`);
+
+  async function get(key, now) {
+    try {
+      const file = fileFor(key);
+      const stat = await fs.stat(file);
+      if (stat.mtimeMs + ttlMs <= now) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      return await fs.readFile(file);
+    } catch {
+      return null;
+    }
+  }
+
+  // Oldest files go first once the directory outgrows maxBytes
+  async function prune() {
+    const names = (await fs.readdir(dir)).filter((name) => name.endsWith(".pdf"));
+    const files = [];
+    for (const name of names) {
+      try {
+        const stat = await fs.stat(path.join(dir, name));
+        files.push({ name, size: stat.size, mtimeMs: stat.mtimeMs });
+      } catch {
+        // removed concurrently
+      }
+    }
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    for (const file of files) {
+      if (total <= maxBytes) break;
+      await fs.rm(path.join(dir, file.name), { force: true });
+      total -= file.size;
+    }
+  }
+
+  async function set(key, pdf) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = path.join(dir, `${key}.${process.pid}.${crypto.randomUUID()}.tmp`);
+    await fs.writeFile(tmp, pdf);
+    await fs.rename(tmp, fileFor(key));
+    await prune();
+  }
+
+  return { get, set };
+}
+
+function createResultCache({ maxBytes, maxEntries = 1000, ttlMs, dir = "", diskMaxBytes = 0, now = Date.now }) {
+  const memory = createMemoryStore({ maxBytes, maxEntries });
+  const disk = dir ? createDiskStore({ dir, maxBytes: diskMaxBytes, ttlMs }) : null;
+
+  // Resolves to { pdf, store: "memory" | "disk" } or null on a miss
+  async function get(key) {
+    if (!KEY_PATTERN.test(key)) return null;
+    const pdf = memory.get(key, now());
+    if (pdf) return { pdf, store: "memory" };
+    if (!disk) return null;
+
+    const stored = await disk.get(key, now());
+    if (!stored) return null;
+    memory.set(key, stored, now() + ttlMs);
+    return { pdf: stored, store: "disk" };
+  }
+
+  // Disk failures are not fatal; the memory copy still serves hits
+  async function set(key, pdf, log) {
+    memory.set(key, pdf, now() + ttlMs);
+    if (!disk) return;
+    try {
+      await disk.set(key, pdf);
+    } catch (err) {
+      if (log) log.warn({ err: err.message }, "Could not write PDF to the disk cache");
+    }
+  }
+
+  // Whether an entry of `size` bytes would be kept at all, so larger
+  // results are never read into memory for it
+  function fits(size) {
+    return size <= maxBytes || (disk !== null && size <= diskMaxBytes);
+  }
+
+  return {
+    get,
+    set,
+    fits,
+    get size() {
+      return memory.size;
+    },
+    get bytes() {
+      return memory.bytes;
+    },
+  };
+}
+
+module.exports = { cacheKey, createResultCache };
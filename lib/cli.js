@@ -0,0 +1,274 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { parseArgs } = require("util");
+const pLimit = require("p-limit");
+const pino = require("pino");
+const config = require("./config");
+const { convertWorkbook, resultType, ConversionError } = require("./api");
+
+// --- Command-line interface ---
+// `xlsx-to-pdf <inputs...> [-o out] [--field value ...]` converts files,
+// directories and glob patterns with the library API. Every /convert form
+// field is a kebab-case flag (`--font-size 10`, `--paper-size A3`).
+
+const USAGE = `Usage: xlsx-to-pdf <input...> [options]
+
+Inputs are files, directories (their spreadsheets; -r for subdirectories)
+or quoted glob patterns such as "reports/**/*.xlsx".
+
+Options:
+  -o, --output <path>     Output file, or a directory for several inputs
+                          (default: next to each input)
+      --to <format>       pdf, png, jpeg or html (default: from -o, else pdf)
+      --portrait          Portrait pages (default: landscape)
+      --landscape         Landscape pages
+      --include-hidden    Also convert hidden sheets
+      --no-auto-width     Keep the workbook's column widths
+      --no-single-page-sheets
+                          Let sheets span several pages
+      --pdfua             PDF/UA output (gotenberg renderer only)
+      --recalculate       Recalculate formulas before converting
+  -r, --recursive         Include subdirectories of directory inputs
+  -q, --quiet             Only report failures
+  -v, --verbose           Log each conversion step to stderr
+  -h, --help              Show this help
+
+Any POST /convert form field can be given as a flag, e.g. --font-size 10,
+--sheets Summary, --paper-size A3, --preset ledger, --renderer builtin.
+The renderer defaults to RENDERER (gotenberg), read from the environment.`;
+
+// Form fields that take a value, as kebab-case flags
+const VALUE_FIELDS = [
+  "format", "delimiter", "encoding", "fontSize", "sheets", "printArea", "printTitlesRow",
+  "printTitlesColumn", "pageBreakEvery", "pageBreakOnChange", "pageSetup", "paperSize", "paperWidth",
+  "paperHeight", "margins", "scale", "header", "footer", "preset", "numberFormats", "locale", "renderer",
+  "title", "author", "subject", "keywords", "watermark", "watermarkImage", "watermarkOpacity",
+  "userPassword", "ownerPassword", "permissions", "pdfa", "pages", "dpi", "imageWidth", "imageHeight",
+  "quality", "redactColumns", "redactRanges", "redactPatterns", "redactRegex", "redactMode", "redactMask",
+  "redactRemove", "externalLinks",
+];
+
+// Switches and the form field value each one sets
+const SWITCHES = {
+  portrait: ["landscape", "false"],
+  landscape: ["landscape", "true"],
+  "include-hidden": ["includeHidden", "true"],
+  "no-auto-width": ["autoWidth", "false"],
+  "no-single-page-sheets": ["singlePageSheets", "false"],
+  pdfua: ["pdfua", "true"],
+  recalculate: ["recalculate", "true"],
+};
+
+const OUTPUT_EXTENSIONS = { ".pdf": "pdf", ".png": "png", ".jpg": "jpeg", ".jpeg": "jpeg", ".html": "html", ".htm": "html" };
+const SPREADSHEET_FILE = /\.(xlsx|xls|ods|csv|tsv|tab|json)$/i;
+const GLOB_CHARS = /[*?[]/;
+
+const kebab = (field) => field.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  const flags = {
+    output: { type: "string", short: "o" },
+    to: { type: "string" },
+    recursive: { type: "boolean", short: "r" },
+    quiet: { type: "boolean", short: "q" },
+    verbose: { type: "boolean", short: "v" },
+    help: { type: "boolean", short: "h" },
+  };
+  VALUE_FIELDS.forEach((field) => {
+    flags[kebab(field)] = { type: "string" };
+  });
+  Object.keys(SWITCHES).forEach((name) => {
+    flags[name] = { type: "boolean" };
+  });
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: flags, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  const fields = {};
+  VALUE_FIELDS.forEach((field) => {
+    if (values[kebab(field)] !== undefined) fields[field] = values[kebab(field)];
+  });
+  Object.entries(SWITCHES).forEach(([name, [field, value]]) => {
+    if (values[name]) fields[field] = value;
+  });
+  if (values.portrait && values.landscape) throw new UsageError("Use either --portrait or --landscape");
+
+  // The output format follows -o's extension unless --to names it
+  const inferred = values.output ? OUTPUT_EXTENSIONS[path.extname(values.output).toLowerCase()] : undefined;
+  if (values.to || inferred) fields.output = values.to || inferred;
+
+  return { fields, inputs: positionals, values };
+}
+
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+  return new RegExp(`^${source}$`);
+}
+
+async function readDir(dir) {
+  try {
+    return await fs.readdir(dir || ".", { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+// Directories below `dir`, at any depth
+async function subdirectories(dir) {
+  const found = [];
+  for (const entry of await readDir(dir)) {
+    if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+    const child = path.join(dir, entry.name);
+    found.push(child, ...(await subdirectories(child)));
+  }
+  return found;
+}
+
+async function isFile(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Files matching a glob with `*`, `?`, `[...]` and `**` for any depth.
+// Hidden files only match patterns that name them.
+async function expandGlob(pattern) {
+  let bases = [path.isAbsolute(pattern) ? path.sep : ""];
+  for (const segment of pattern.split(/[\\/]+/).filter(Boolean)) {
+    const next = [];
+    for (const base of bases) {
+      if (segment === "**") {
+        next.push(base, ...(await subdirectories(base)));
+      } else if (!GLOB_CHARS.test(segment)) {
+        next.push(path.join(base, segment));
+      } else {
+        const matcher = segmentPattern(segment);
+        (await readDir(base))
+          .filter((entry) => (!entry.name.startsWith(".") || segment.startsWith(".")) && matcher.test(entry.name))
+          .forEach((entry) => next.push(path.join(base, entry.name)));
+      }
+    }
+    bases = next;
+  }
+  const files = [];
+  for (const file of new Set(bases)) {
+    if (await isFile(file)) files.push(file);
+  }
+  return files.sort();
+}
+
+async function directoryFiles(dir, recursive) {
+  const files = [];
+  for (const entry of await readDir(dir)) {
+    const child = path.join(dir, entry.name);
+    if (entry.isFile() && SPREADSHEET_FILE.test(entry.name)) files.push(child);
+    else if (recursive && entry.isDirectory() && !entry.name.startsWith(".")) files.push(...(await directoryFiles(child, true)));
+  }
+  return files.sort();
+}
+
+// Input files for the command-line arguments, in order and without repeats
+async function expandInputs(inputs, { recursive = false } = {}) {
+  const files = [];
+  for (const input of inputs) {
+    let stat = null;
+    try {
+      stat = await fs.stat(input);
+    } catch {
+      // Not a path; maybe a glob
+    }
+    if (stat && stat.isDirectory()) {
+      files.push(...(await directoryFiles(input, recursive)));
+    } else if (stat) {
+      files.push(input);
+    } else if (GLOB_CHARS.test(input)) {
+      const matches = await expandGlob(input);
+      if (matches.length === 0) throw new UsageError(`No files match ${input}`);
+      files.push(...matches);
+    } else {
+      throw new UsageError(`No such file: ${input}`);
+    }
+  }
+  return [...new Set(files)];
+}
+
+// Where each input's result goes: `-o` itself for a single input that is
+// not a directory, else `<dir>/<name><extension>`
+async function planOutputs(files, output, extension) {
+  let dir = null;
+  if (output) {
+    const isDir = await fs.stat(output).then((stat) => stat.isDirectory(), () => false);
+    if (files.length === 1 && !isDir && !/[\\/]$/.test(output)) {
+      return [{ input: files[0], output }];
+    }
+    dir = output;
+    await fs.mkdir(dir, { recursive: true });
+  }
+  const seen = new Map();
+  return files.map((input) => {
+    const name = `${path.basename(input).replace(SPREADSHEET_FILE, "")}${extension}`;
+    const target = path.join(dir || path.dirname(input), name);
+    if (seen.has(target)) throw new UsageError(`${seen.get(target)} and ${input} would both be written to ${target}`);
+    seen.set(target, input);
+    return { input, output: target };
+  });
+}
+
+// Run the CLI; resolves to the process exit code: 0 when every file
+// converted, 1 when any failed and 2 for usage errors
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let plan;
+  let fields;
+  let logger;
+  let quiet;
+  try {
+    const parsed = parseCommandLine(argv);
+    if (parsed.values.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (parsed.inputs.length === 0) throw new UsageError("No input files given");
+    fields = parsed.fields;
+    let type;
+    try {
+      type = resultType(fields);
+    } catch (err) {
+      if (err instanceof ConversionError) throw new UsageError(err.message);
+      throw err;
+    }
+    const files = await expandInputs(parsed.inputs, { recursive: parsed.values.recursive });
+    if (files.length === 0) throw new UsageError("No spreadsheets found in the given inputs");
+    plan = await planOutputs(files, parsed.values.output, type.extension);
+    logger = parsed.values.verbose ? pino({ level: "info" }, pino.destination(2)) : undefined;
+    quiet = parsed.values.quiet;
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    stderr.write(`xlsx-to-pdf: ${err.message}\nRun "xlsx-to-pdf --help" for usage.\n`);
+    return 2;
+  }
+
+  const limit = pLimit(config.concurrencyLimit);
+  let failures = 0;
+  await Promise.all(plan.map(({ input, output }) => limit(async () => {
+    try {
+      const result = await convertWorkbook(await fs.readFile(input), { ...fields, filename: path.basename(input), logger });
+      await fs.writeFile(output, result);
+      if (!quiet) stdout.write(`${input} -> ${output}\n`);
+    } catch (err) {
+      failures++;
+      stderr.write(`${input}: ${err instanceof ConversionError ? err.message : err.stack || err}\n`);
+    }
+  })));
+  return failures > 0 ? 1 : 0;
+}
+
+module.exports = { VALUE_FIELDS, SWITCHES, main, expandInputs };
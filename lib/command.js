@@ -0,0 +1,20 @@
+const { execFile } = require("child_process");
+
+// --- External commands ---
+
+// Run `file` with `args`, resolving to stdout. The process is killed when it
+// outlives `timeoutMs` or `signal` aborts; failures carry `stderr`.
+function runCommand(file, args, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: timeoutMs, killSignal: "SIGKILL", signal }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        reject(err);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+module.exports = { runCommand };
@@ -0,0 +1,66 @@
+const os = require("os");
+const path = require("path");
+
+// --- Configuration ---
+// Read once from the environment; callers (and tests) share this object.
+const config = {
+  port: parseInt(process.env.PORT) || 3001,
+  host: process.env.HOST || "127.0.0.1",
+  renderer: process.env.RENDERER || "gotenberg",
+  sofficePath: process.env.SOFFICE_PATH || "soffice",
+  sofficeTimeoutMs: parseInt(process.env.SOFFICE_TIMEOUT_MS) || 60000,
+  pdftoppmPath: process.env.PDFTOPPM_PATH || "pdftoppm",
+  rasterizeTimeoutMs: parseInt(process.env.RASTERIZE_TIMEOUT_MS) || 60000,
+  maxImagePages: parseInt(process.env.MAX_IMAGE_PAGES) || 50,
+  // GOTENBERG_URLS takes a comma-separated list; GOTENBERG_URL is still read for single instances
+  gotenbergUrls: (process.env.GOTENBERG_URLS || process.env.GOTENBERG_URL || "http://localhost:3000/forms/libreoffice/convert")
+    .split(",").map((u) => u.trim()).filter(Boolean),
+  gotenbergBalance: process.env.GOTENBERG_BALANCE || "round-robin",
+  gotenbergMaxAttempts: parseInt(process.env.GOTENBERG_MAX_ATTEMPTS) || 3,
+  gotenbergRetryBaseMs: parseInt(process.env.GOTENBERG_RETRY_BASE_MS) || 250,
+  gotenbergBreakerThreshold: parseInt(process.env.GOTENBERG_BREAKER_THRESHOLD) || 5,
+  gotenbergBreakerResetMs: parseInt(process.env.GOTENBERG_BREAKER_RESET_MS) || 30000,
+  defaultFontSize: parseInt(process.env.DEFAULT_FONT_SIZE) || 9,
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024,
+  maxZipEntries: parseInt(process.env.MAX_ZIP_ENTRIES) || 10000,
+  maxUncompressedMB: parseInt(process.env.MAX_UNCOMPRESSED_MB) || 500,
+  maxCompressionRatio: parseInt(process.env.MAX_COMPRESSION_RATIO) || 100,
+  maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES) || 20,
+  concurrencyLimit: parseInt(process.env.CONCURRENCY_LIMIT) || 5,
+  maxQueueLength: parseInt(process.env.MAX_QUEUE_LENGTH) || 100,
+  queueRetryAfterSeconds: parseInt(process.env.QUEUE_RETRY_AFTER_SECONDS) || 5,
+  gotenbergTimeoutMs: parseInt(process.env.GOTENBERG_TIMEOUT_MS) || 60000,
+  requestTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS) || 120000,
+  rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 30,
+  apiKey: process.env.API_KEY || "",
+  apiKeysFile: process.env.API_KEYS_FILE || "",
+  corsOrigin: process.env.CORS_ORIGIN || false,
+  memoryLimitMB: parseInt(process.env.MEMORY_LIMIT_MB) || 512,
+  tempDir: process.env.TEMP_DIR || path.join(os.tmpdir(), "xlsx-to-pdf"),
+  streamThresholdMB: parseInt(process.env.STREAM_THRESHOLD_MB) || 5,
+  // Unknown conversion fields are ignored (and logged) unless this is set
+  strictOptions: process.env.STRICT_OPTIONS === "true",
+  watermarkDir: process.env.WATERMARK_DIR || "",
+  templateDir: process.env.TEMPLATE_DIR || path.join(os.tmpdir(), "xlsx-to-pdf-templates"),
+  maxTemplates: parseInt(process.env.MAX_TEMPLATES) || 100,
+  maxTemplateDataMB: parseInt(process.env.MAX_TEMPLATE_DATA_MB) || 5,
+  cacheEnabled: process.env.CACHE_ENABLED === "true",
+  cacheMaxMB: parseInt(process.env.CACHE_MAX_MB) || 100,
+  cacheMaxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  cacheTtlMs: parseInt(process.env.CACHE_TTL_MS) || 60 * 60 * 1000,
+  cacheDir: process.env.CACHE_DIR || "",
+  cacheDiskMaxMB: parseInt(process.env.CACHE_DISK_MAX_MB) || 1024,
+  jobTtlMs: parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000,
+  // The audit log is off unless it has a file to go to
+  auditLogFile: process.env.AUDIT_LOG_FILE || "",
+  // 0 keeps audit entries forever
+  auditRetentionDays: /^\d+$/.test(process.env.AUDIT_RETENTION_DAYS || "") ? parseInt(process.env.AUDIT_RETENTION_DAYS) : 90,
+  webhookSecret: process.env.WEBHOOK_SECRET || "",
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((h) => h.trim()).filter(Boolean),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+};
+
+module.exports = config;
@@ -0,0 +1,334 @@
+const pLimit = require("p-limit");
+const config = require("./config");
+const { ConversionError, throwIfCancelled } = require("./errors");
+const { parseBoolean, parseSheetSpec, pickSheets, keepSheets } = require("./sheets");
+const { parsePrintOptions, applyPrintOptions, applyForcedPageSetup } = require("./print");
+const { parseLayoutOptions, applyLayout, applyCustomPaperSize } = require("./layout");
+const { autoFitColumns } = require("./measure");
+const { PASSTHROUGH_FORMATS, parseInputOptions, loadWorkbook } = require("./formats");
+const { RENDERER_NAMES, getRenderer } = require("./renderers");
+const { validateInput } = require("./validate");
+const { canStream, streamCsvWorkbook } = require("./streaming");
+const { readSource, removeFile, sourceSize, takeFile, writeTemp } = require("./spool");
+const { parsePdfOptions, needsPostprocessing, postprocessPdf } = require("./postprocess");
+const { withPresetDefaults, parseStyleOptions, frozenPane, repeatHeaders, applyStyles } = require("./presets");
+const { parseOutputOptions, assertOutputCompatible } = require("./output");
+const { rasterizePdf } = require("./rasterize");
+const { assertValidFields } = require("./schema");
+const { renderHtml } = require("./html");
+const { parseRedactionOptions, createRedactor, describeRedactions } = require("./redact");
+const { parseFormulaOptions, processFormulas, describeWarnings } = require("./formulas");
+const { createAuditLog } = require("./audit");
+const {
+  instrumentLimiter,
+  recordConversion,
+  recordConversionFailure,
+  queueRejections,
+  cancellations,
+} = require("./metrics");
+
+// --- Concurrency limiter (shared by every conversion entry point) ---
+const limit = pLimit(config.concurrencyLimit);
+instrumentLimiter(limit);
+
+// --- Audit log (conversions run for an API caller, see options.caller) ---
+const auditLog = createAuditLog({
+  file: config.auditLogFile,
+  enabled: Boolean(config.auditLogFile),
+  retentionDays: config.auditRetentionDays,
+});
+
+// Conversions waiting for a slot (p-limit counts ones about to start as pending)
+function queuedCount() {
+  return Math.max(limit.activeCount + limit.pendingCount - config.concurrencyLimit, 0);
+}
+
+// Throws a 503 with `retryAfter` (seconds) when `count` more conversions
+// would push the queue past MAX_QUEUE_LENGTH
+function assertQueueRoom(count = 1) {
+  if (queuedCount() + count <= config.maxQueueLength) return;
+  queueRejections.inc();
+  const err = new ConversionError("Server is busy, please try again later", 503, "QUEUE_FULL");
+  err.retryAfter = config.queueRetryAfterSeconds;
+  throw err;
+}
+
+// Run `fn` under the limiter, refusing when the queue is full. Work whose
+// `signal` fires while it waits is dropped without running.
+async function schedule(fn, signal) {
+  assertQueueRoom();
+  return limit(() => {
+    if (signal && signal.aborted) cancellations.inc({ stage: "queued" });
+    throwIfCancelled(signal);
+    return fn();
+  });
+}
+
+// Normalize the multipart form fields into conversion options. The fields
+// are first validated against the ConversionOptions schema in openapi.yaml;
+// a styling preset then fills in fields the request left out. Throws a 400
+// ConversionError naming the field for malformed values. `prefix` is put
+// before reported field names (template render options come as options.*).
+// Unknown fields are passed to `onUnknown` unless STRICT_OPTIONS rejects them.
+function parseOptions(fields = {}, { prefix = "", onUnknown } = {}) {
+  const unknown = assertValidFields(fields, "ConversionOptions", { prefix, strict: config.strictOptions });
+  if (unknown.length > 0 && onUnknown) onUnknown(unknown);
+  try {
+    return normalizeOptions(withPresetDefaults(fields));
+  } catch (err) {
+    if (prefix && err.field) err.field = `${prefix}${err.field}`;
+    throw err;
+  }
+}
+
+function normalizeOptions(body) {
+  const fontSize = body.fontSize === undefined || body.fontSize === ""
+    ? config.defaultFontSize
+    : Math.min(Math.max(Number(body.fontSize), 6), 72);
+  const landscape = body.landscape || "true";
+  const singlePageSheets = body.singlePageSheets || "true";
+  const sheets = parseSheetSpec(body.sheets);
+  const includeHidden = body.includeHidden === undefined ? false : parseBoolean(body.includeHidden, "includeHidden");
+  const autoWidth = body.autoWidth === undefined ? true : parseBoolean(body.autoWidth, "autoWidth");
+  const renderer = body.renderer || config.renderer;
+  if (!RENDERER_NAMES.includes(renderer)) {
+    throw new ConversionError(`renderer must be one of ${RENDERER_NAMES.join(", ")}`, 400, "INVALID_OPTION", "renderer");
+  }
+  const pdfOptions = parsePdfOptions(body);
+  if ((pdfOptions.pdfa || pdfOptions.pdfua) && renderer !== "gotenberg") {
+    throw new ConversionError("pdfa and pdfua need the gotenberg renderer", 400, "UNSUPPORTED_RENDERER_OPTION", pdfOptions.pdfa ? "pdfa" : "pdfua");
+  }
+  const options = {
+    fontSize,
+    landscape,
+    singlePageSheets,
+    sheets,
+    includeHidden,
+    autoWidth,
+    renderer,
+    ...parsePrintOptions(body),
+    ...parseLayoutOptions(body),
+    ...parseInputOptions(body),
+    ...parseStyleOptions(body),
+    ...pdfOptions,
+    ...parseOutputOptions(body),
+    ...parseRedactionOptions(body),
+    ...parseFormulaOptions(body),
+  };
+  assertOutputCompatible(options);
+  return options;
+}
+
+// Form fields from a plain options object: objects such as margins become
+// JSON, other values strings. Unset (undefined or null) values are left out.
+function toFormFields(options = {}) {
+  return Object.fromEntries(Object.entries(options)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([field, value]) => [field, typeof value === "object" ? JSON.stringify(value) : String(value)]));
+}
+
+// Redact, recalculate formulas, then apply font size, styling, column
+// widths and page setup; returns the rewritten xlsx. With `autoWidth: false`
+// the author's column widths are kept. `report.warnings` receives formula
+// warnings, `report.redactions` the redaction summary and `report.sheets`
+// the names of the converted sheets.
+async function preprocessWorkbook(buffer, options, report = {}) {
+  const workbook = await loadWorkbook(buffer, options);
+  const selected = pickSheets(workbook, options.sheets, { includeHidden: options.includeHidden });
+  const sheetOptionsList = selected.map(({ worksheet, overrides }) => repeatHeaders(
+    { fit: "width", pageSetup: "forced", ...options, ...overrides },
+    frozenPane(worksheet)
+  ));
+  // Redaction comes first, so recalculated results never see what it hides
+  const redactor = options.redaction ? createRedactor(options.redaction) : null;
+  if (redactor) {
+    selected.forEach(({ worksheet }, index) => {
+      redactor.redactSheet(worksheet, { headerRow: Math.max(sheetOptionsList[index].printTitlesRow || 0, 1) });
+    });
+    report.redactions = redactor.finish(workbook);
+  }
+  // Before the other sheets go: formulas may read sheets that are not printed
+  if (options.formulas) report.warnings = processFormulas(workbook, options.formulas);
+  if (redactor) redactor.removeRowsAndColumns();
+  keepSheets(workbook, selected);
+  report.sheets = selected.map(({ worksheet }) => worksheet.name);
+  // Values for the {file} and {timestamp} header/footer tokens
+  const context = { fileName: options.sourceName || "export.xlsx", timestamp: new Date().toISOString() };
+
+  selected.forEach(({ worksheet }, index) => {
+    const sheetOptions = sheetOptionsList[index];
+    worksheet.columns.forEach((column) => {
+      column.eachCell({ includeEmpty: false }, (cell) => {
+        cell.font = { ...cell.font, size: sheetOptions.fontSize };
+      });
+    });
+    applyStyles(worksheet, sheetOptions);
+    if (sheetOptions.autoWidth) {
+      autoFitColumns(worksheet, sheetOptions.fontSize);
+    }
+    if (sheetOptions.pageSetup === "forced") {
+      applyForcedPageSetup(worksheet, sheetOptions);
+    }
+    applyPrintOptions(worksheet, sheetOptions);
+    applyLayout(worksheet, sheetOptions, context);
+  });
+
+  const output = Buffer.from(await workbook.xlsx.writeBuffer());
+  return options.paperSize === "custom" ? applyCustomPaperSize(output, options) : output;
+}
+
+// Render with the requested backend, timing it. `sheet` is a Buffer or a
+// spooled file; the PDF comes back as a spooled file.
+async function renderPdf(sheet, options, log, format = "xlsx", signal) {
+  const renderer = getRenderer(options.renderer || config.renderer);
+  if (!renderer.formats.includes(format)) {
+    throw new ConversionError(`The ${renderer.name} renderer cannot render .${format} files`, 400, "UNSUPPORTED_RENDERER_INPUT");
+  }
+
+  const startRender = Date.now();
+  const file = await renderer.render(sheet, options, log, format, signal);
+  const renderMs = Date.now() - startRender;
+  log.info({ renderer: renderer.name, renderMs, pdfSize: file.size }, "PDF rendering complete");
+  return { file: await finishPdf(file, options, renderer, log), renderMs };
+}
+
+// Post-process a rendered PDF file, replacing it. Metadata is left out when
+// the renderer has already written it. The page count read on the way is
+// kept on the file for the audit log.
+async function finishPdf(file, options, renderer, log) {
+  const postOptions = renderer.writesMetadata ? { ...options, metadata: null } : options;
+  if (!needsPostprocessing(postOptions)) return file;
+
+  const start = Date.now();
+  const report = {};
+  const pdf = await postprocessPdf(await takeFile(file), postOptions, report);
+  log.info({ postprocessMs: Date.now() - start, pdfSize: pdf.length }, "PDF post-processing complete");
+  return { ...(await writeTemp(pdf, ".pdf")), pages: report.pages };
+}
+
+// Render the PDF, then turn its pages into images when those were asked for
+async function renderPdfOutput(sheet, options, log, format, signal) {
+  const { file, renderMs } = await renderPdf(sheet, options, log, format, signal);
+  if (!options.image) return { file, renderMs };
+
+  const start = Date.now();
+  try {
+    throwIfCancelled(signal);
+    return { file: await rasterizePdf(file, options, log, signal), renderMs: renderMs + Date.now() - start };
+  } finally {
+    await removeFile(file);
+  }
+}
+
+// The preprocessed workbook as an HTML page, spooled like a rendered PDF
+async function renderHtmlOutput(sheet, options, log) {
+  const start = Date.now();
+  const html = await renderHtml(await readSource(sheet), options);
+  const renderMs = Date.now() - start;
+  log.info({ renderer: "html", renderMs, outputSize: html.length }, "HTML rendering complete");
+  return { file: await writeTemp(Buffer.from(html), ".html"), renderMs };
+}
+
+// Archive validation, ExcelJS preprocessing, then rendering. Legacy .xls and
+// .ods input skips preprocessing and goes straight to the renderer. Large
+// CSV/TSV uploads are preprocessed as a stream, everything else in memory.
+// HTML output is built from the preprocessed workbook instead of a PDF.
+async function runPipeline(source, options, log, signal) {
+  const html = options.output === "html";
+  const renderer = html ? "html" : options.renderer || config.renderer;
+  const format = options.inputFormat || "xlsx";
+  if (html && PASSTHROUGH_FORMATS.has(format)) {
+    throw new ConversionError(`html output is not available for .${format} files`, 400, "UNSUPPORTED_OUTPUT");
+  }
+  if (options.redaction && PASSTHROUGH_FORMATS.has(format)) {
+    throw new ConversionError(`Redaction is not available for .${format} files`, 400, "UNSUPPORTED_INPUT");
+  }
+  if (options.formulas && PASSTHROUGH_FORMATS.has(format)) {
+    throw new ConversionError(`Formula recalculation is not available for .${format} files`, 400, "UNSUPPORTED_INPUT");
+  }
+  let buffer = null;
+  if (format === "xlsx" || format === "ods") {
+    buffer = await readSource(source);
+    await validateInput(buffer, format);
+  }
+
+  if (PASSTHROUGH_FORMATS.has(format)) {
+    const { file, renderMs } = await renderPdfOutput(source, options, log, format, signal);
+    return { file, timings: { excelMs: 0, renderMs, renderer }, redactions: null, warnings: null, sheets: null };
+  }
+
+  const startExcel = Date.now();
+  const report = {};
+  const sheet = canStream(source, options)
+    ? await streamCsvWorkbook(source, options)
+    : await preprocessWorkbook(buffer || (await readSource(source)), options, report);
+  // The upload's bytes are not needed while rendering
+  buffer = null;
+  const excelMs = Date.now() - startExcel;
+  log.info({ excelMs, streamed: !Buffer.isBuffer(sheet) }, "ExcelJS processing complete");
+  if (report.redactions) log.info({ redactions: describeRedactions(report.redactions) }, "Redaction applied");
+  // Streamed CSV has no formulas to warn about
+  const warnings = options.formulas ? report.warnings || [] : null;
+  if (warnings && warnings.length) log.warn({ warnings: describeWarnings(warnings) }, "Some formula values could not be resolved");
+
+  try {
+    throwIfCancelled(signal);
+    const { file, renderMs } = html
+      ? await renderHtmlOutput(sheet, options, log)
+      : await renderPdfOutput(sheet, options, log, "xlsx", signal);
+    const sheets = report.sheets || null;
+    return { file, timings: { excelMs, renderMs, renderer }, redactions: report.redactions || null, warnings, sheets };
+  } finally {
+    if (!Buffer.isBuffer(sheet)) await removeFile(sheet);
+  }
+}
+
+// Full pipeline with metrics and the audit entry; `source` is a Buffer or a
+// spooled upload. Resolves to `{ file, timings, redactions, warnings,
+// sheets }` where the caller owns (and removes) the output temp file (a PDF
+// unless `options.output` says otherwise). Aborting `signal` stops the
+// conversion between stages and cancels the renderer call. Callers are
+// expected to run this inside `limit` (see `schedule`).
+async function convertToFile(source, options, log, signal) {
+  const format = options.inputFormat || "xlsx";
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await runPipeline(source, options, log, signal);
+    throwIfCancelled(signal);
+  } catch (err) {
+    if (result) await removeFile(result.file);
+    if (err.code === "CANCELLED") {
+      cancellations.inc({ stage: "running" });
+      log.info("Conversion cancelled");
+    }
+    recordConversionFailure(format, sourceSize(source), err.statusCode);
+    await auditLog.record(source, options, { startedAt, error: err }, log);
+    throw err;
+  }
+  recordConversion(format, sourceSize(source), result.file.size, result.timings);
+  const { file, timings, sheets } = result;
+  await auditLog.record(source, options, { startedAt, file, timings, sheets }, log);
+  return result;
+}
+
+// convertToFile, with the output read back into a Buffer (`pdf`, after the
+// default output)
+async function convert(source, options, log, signal) {
+  const { file, ...rest } = await convertToFile(source, options, log, signal);
+  return { pdf: await takeFile(file), ...rest };
+}
+
+module.exports = {
+  limit,
+  auditLog,
+  assertQueueRoom,
+  schedule,
+  ConversionError,
+  parseOptions,
+  toFormFields,
+  preprocessWorkbook,
+  renderPdf,
+  convertToFile,
+  convert,
+};
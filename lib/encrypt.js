@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFNumber,
+  PDFRawStream,
+  PDFStream,
+  PDFString,
+} = require("pdf-lib");
+
+// --- PDF encryption (standard security handler, AES-128) ---
+// pdf-lib cannot write encrypted files, so the document's strings and
+// streams are encrypted in place just before it is serialized. This is
+// revision 4 of the standard handler (PDF 1.6, AESV2), which every current
+// reader opens. Algorithm numbers refer to ISO 32000-1 section 7.6.3.
+
+const PASSWORD_PADDING = Buffer.from(
+  "28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a",
+  "hex"
+);
+const KEY_LENGTH = 16;
+
+// Permission names and their bit positions in /P
+const PERMISSION_BITS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  accessibility: 10,
+  assemble: 11,
+  printHighQuality: 12,
+};
+const PERMISSIONS = Object.keys(PERMISSION_BITS);
+
+// Bits 7-8 and 13-32 are reserved and must be set
+const RESERVED_PERMISSION_BITS = 0xfffff0c0;
+
+function permissionFlags(permissions) {
+  const flags = permissions.reduce((p, name) => p | (1 << (PERMISSION_BITS[name] - 1)), RESERVED_PERMISSION_BITS);
+  return flags | 0;
+}
+
+function md5(...parts) {
+  const hash = crypto.createHash("md5");
+  parts.forEach((part) => hash.update(part));
+  return hash.digest();
+}
+
+// OpenSSL 3 only offers RC4 through its legacy provider, and the handler
+// only needs it for the short O and U values
+function rc4(key, data) {
+  const s = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return out;
+}
+
+// RC4 with the key, then 19 more passes with the key XORed with 1..19
+function rc4Rounds(key, data) {
+  let out = rc4(key, data);
+  for (let i = 1; i <= 19; i++) {
+    out = rc4(key.map((byte) => byte ^ i), out);
+  }
+  return out;
+}
+
+function padPassword(password) {
+  const bytes = Buffer.from(password, "latin1").subarray(0, 32);
+  return Buffer.concat([bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length)]);
+}
+
+// MD5 fed back into itself 50 times, as revisions 3+ require
+function stretch(digest) {
+  let out = digest;
+  for (let i = 0; i < 50; i++) out = md5(out.subarray(0, KEY_LENGTH));
+  return out.subarray(0, KEY_LENGTH);
+}
+
+// Algorithm 3: the O entry
+function ownerEntry(ownerPassword, userPassword) {
+  const key = stretch(md5(padPassword(ownerPassword || userPassword)));
+  return rc4Rounds(key, padPassword(userPassword));
+}
+
+// Algorithm 2: the file encryption key
+function fileKey(userPassword, ownerValue, flags, fileId) {
+  const p = Buffer.alloc(4);
+  p.writeInt32LE(flags);
+  return stretch(md5(padPassword(userPassword), ownerValue, p, fileId));
+}
+
+// Algorithm 5: the U entry
+function userEntry(key, fileId) {
+  const check = rc4Rounds(key, md5(PASSWORD_PADDING, fileId));
+  return Buffer.concat([check, Buffer.alloc(16)]);
+}
+
+// Algorithm 1: AES-128-CBC under a per-object key, IV prepended
+function encryptBytes(key, ref, data) {
+  const salt = Buffer.alloc(9);
+  salt.writeUIntLE(ref.objectNumber, 0, 3);
+  salt.writeUIntLE(ref.generationNumber, 3, 2);
+  salt.write("sAlT", 5, "latin1");
+  const objectKey = md5(key, salt);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv("aes-128-cbc", objectKey, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+// Encrypt every string inside `object`; returns the replacement, or the
+// object itself when it was changed in place
+function encryptObject(object, encrypt) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(encrypt(Buffer.from(object.asBytes())).toString("hex"));
+  }
+  if (object instanceof PDFDict) {
+    for (const [name, value] of object.entries()) {
+      object.set(name, encryptObject(value, encrypt));
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      object.set(i, encryptObject(object.get(i), encrypt));
+    }
+  }
+  return object;
+}
+
+// Encrypt a pdf-lib document in place. `userPassword` is needed to open
+// the file ("" for none); `ownerPassword` lifts the permission limits.
+// Serialize with PDFWriter afterwards: object streams would be written
+// unencrypted.
+function encryptDocument(doc, { userPassword = "", ownerPassword = "", permissions = PERMISSIONS }) {
+  const { context } = doc;
+  const fileId = crypto.randomBytes(16);
+  const flags = permissionFlags(permissions);
+  const ownerValue = ownerEntry(ownerPassword, userPassword);
+  const key = fileKey(userPassword, ownerValue, flags, fileId);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encrypt = (data) => encryptBytes(key, ref, data);
+    if (object instanceof PDFStream) {
+      encryptObject(object.dict, encrypt);
+      const contents = encrypt(Buffer.from(object.getContents()));
+      context.assign(ref, PDFRawStream.of(object.dict, contents));
+    } else {
+      context.assign(ref, encryptObject(object, encrypt));
+    }
+  }
+
+  context.trailerInfo.Encrypt = context.register(context.obj({
+    Filter: "Standard",
+    V: 4,
+    R: 4,
+    Length: KEY_LENGTH * 8,
+    CF: { StdCF: { CFM: "AESV2", AuthEvent: "DocOpen", Length: KEY_LENGTH } },
+    StmF: "StdCF",
+    StrF: "StdCF",
+    O: PDFHexString.of(ownerValue.toString("hex")),
+    U: PDFHexString.of(userEntry(key, fileId).toString("hex")),
+    P: PDFNumber.of(flags),
+  }));
+  const id = PDFHexString.of(fileId.toString("hex"));
+  context.trailerInfo.ID = context.obj([id, id]);
+}
+
+module.exports = { PERMISSIONS, encryptDocument };
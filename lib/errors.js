@@ -0,0 +1,35 @@
+// Error carrying the HTTP status the caller should answer with, a
+// machine-readable code and, for request validation errors, the field at fault
+class ConversionError extends Error {
+  constructor(message, statusCode, code, field) {
+    super(message);
+    this.name = "ConversionError";
+    this.statusCode = statusCode;
+    if (code) this.code = code;
+    if (field) this.field = field;
+  }
+}
+
+// JSON body for a ConversionError: `{ error, code }`, plus `field` and the
+// `errors` list (`{ code, field, message }` entries) when a field is at fault
+function errorBody(err) {
+  const body = { error: err.message };
+  if (err.code) body.code = err.code;
+  if (err.field) {
+    body.field = err.field;
+    body.errors = err.errors || [{ code: err.code, field: err.field, message: err.message }];
+  }
+  return body;
+}
+
+// The caller went away (disconnect or request timeout). 499 is nginx's
+// "client closed request"; nobody receives it but logs and metrics.
+function cancelledError() {
+  return new ConversionError("Conversion cancelled", 499, "CANCELLED");
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError();
+}
+
+module.exports = { ConversionError, errorBody, cancelledError, throwIfCancelled };
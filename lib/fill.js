@@ -0,0 +1,254 @@
+const ExcelJS = require("exceljs");
+const { ConversionError } = require("./errors");
+
+// --- Filling xlsx templates with JSON data ---
+// Cells may hold `{{path.to.value}}` placeholders. A `{{#each list}}` marker
+// starts a region that ends on the row holding `{{/each}}`; the region's rows
+// are repeated once per item of `list`. Merged cells, formulas, the print
+// area and conditional formats below or inside a region move with the rows.
+
+const PLACEHOLDER = /\{\{\s*([^{}#/\s][^{}]*?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^{}#/\s][^{}]*?)\s*\}\}$/;
+const EACH_START = /\{\{\s*#each\s+([^{}\s]+)\s*\}\}/;
+const EACH_END = /\{\{\s*\/each\s*\}\}/;
+// A1 references and ranges; the lookbehind skips other sheets and names
+const CELL_REF = /(?<![A-Za-z0-9_.!$'"])(\$?[A-Z]{1,3}\$?)(\d+)(?::(\$?[A-Z]{1,3}\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+
+function invalidTemplate(message) {
+  return new ConversionError(message, 400, "INVALID_TEMPLATE");
+}
+
+// Text of a string or rich text cell value, or null for other values
+function cellString(value) {
+  if (typeof value === "string") return value;
+  if (value && Array.isArray(value.richText)) return value.richText.map((run) => run.text).join("");
+  return null;
+}
+
+// Snapshot of a worksheet's rows: values, styles and heights by row number
+function readRows(worksheet) {
+  const rows = [];
+  for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      let value = cell.type === ExcelJS.ValueType.Merge ? null : cell.value;
+      // Shared formulas are stored relative to their master cell
+      if (cell.type === ExcelJS.ValueType.Formula) value = { formula: cell.formula };
+      cells.push({ colNumber, value, style: cell.style });
+    });
+    rows.push({ rowNumber, height: row.height, hidden: row.hidden, style: row.style, cells });
+  }
+  return rows;
+}
+
+// `{{#each}}` regions as `{ path, start, end }`, in row order
+function findRegions(rows) {
+  const regions = [];
+  let open = null;
+  rows.forEach(({ rowNumber, cells }) => {
+    cells.forEach(({ value }) => {
+      const text = cellString(value);
+      if (text === null) return;
+      const start = EACH_START.exec(text);
+      if (start) {
+        if (open) throw invalidTemplate(`{{#each ${start[1]}}} in row ${rowNumber} is inside another region`);
+        open = { path: start[1], start: rowNumber };
+      }
+      if (EACH_END.test(text)) {
+        if (!open) throw invalidTemplate(`{{/each}} in row ${rowNumber} has no {{#each}}`);
+        open.end = rowNumber;
+        regions.push(open);
+        open = null;
+      }
+    });
+  });
+  if (open) throw invalidTemplate(`{{#each ${open.path}}} in row ${open.start} is never closed`);
+  return regions;
+}
+
+// Placeholders and list regions used in a workbook, for the template listing.
+// Throws INVALID_TEMPLATE for unbalanced regions.
+async function inspectTemplate(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw invalidTemplate("The template could not be read as an xlsx workbook");
+  }
+  const placeholders = new Set();
+  const lists = [];
+  workbook.worksheets.forEach((worksheet) => {
+    const rows = readRows(worksheet);
+    findRegions(rows).forEach((region) => lists.push(region.path));
+    rows.forEach(({ cells }) => cells.forEach(({ value }) => {
+      const text = cellString(value);
+      if (text) [...text.matchAll(PLACEHOLDER)].forEach((match) => placeholders.add(match[1]));
+    }));
+  });
+  return { placeholders: [...placeholders], lists };
+}
+
+function lookup(scope, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope);
+}
+
+// Value of `path` in the item's scope, falling back to the root data
+function resolve(path, context) {
+  if (path === "this") return context.item;
+  if (path.startsWith("this.")) return lookup(context.item, path.slice(5));
+  if (path === "@index") return context.index;
+  if (path === "@number") return context.index === undefined ? undefined : context.index + 1;
+  if (context.item !== undefined && context.item !== null && typeof context.item === "object") {
+    const value = lookup(context.item, path);
+    if (value !== undefined) return value;
+  }
+  return lookup(context.data, path);
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// A cell that is just one placeholder keeps the value's JSON type; text
+// around placeholders makes the cell a string
+function fillValue(value, context) {
+  const text = cellString(value);
+  if (text === null || !text.includes("{{")) return value;
+  const stripped = text.replace(EACH_START, "").replace(EACH_END, "");
+  const single = SINGLE_PLACEHOLDER.exec(stripped.trim());
+  if (single) {
+    const resolved = resolve(single[1], context);
+    if (resolved === undefined || resolved === null) return null;
+    return typeof resolved === "object" ? JSON.stringify(resolved) : resolved;
+  }
+  const filled = stripped.replace(PLACEHOLDER, (match, path) => toText(resolve(path, context)));
+  return filled === "" ? null : filled;
+}
+
+// Maps template row numbers to output rows. A row inside a region maps into
+// the copy being written (`copy`), or, seen from outside the region, into the
+// first copy (`first`) or the last (`last`) so ranges grow with it.
+function createRowMap(regions) {
+  let offset = 0;
+  const placed = regions.map((region) => {
+    const placement = { ...region, base: region.start + offset, length: region.end - region.start + 1 };
+    offset += placement.length * (region.count - 1);
+    return placement;
+  });
+
+  return function mapRow(rowNumber, side, within = null) {
+    let shift = 0;
+    for (const region of placed) {
+      if (rowNumber < region.start) break;
+      if (rowNumber <= region.end) {
+        const copy = within && within.start === region.start
+          ? within.copy
+          : side === "last" ? region.count - 1 : 0;
+        return region.base + copy * region.length + (rowNumber - region.start);
+      }
+      shift += region.length * (region.count - 1);
+    }
+    return rowNumber + shift;
+  };
+}
+
+// Rewrite the row numbers of A1 references outside string literals
+function shiftRefs(formula, mapRow, within) {
+  return formula.split(/("[^"]*")/).map((part, i) => (i % 2 === 1 ? part : part.replace(
+    CELL_REF,
+    (match, col, row, endCol, endRow) => (endCol
+      ? `${col}${mapRow(Number(row), "first", within)}:${endCol}${mapRow(Number(endRow), "last", within)}`
+      : `${col}${mapRow(Number(row), "first", within)}`)
+  ))).join("");
+}
+
+function shiftValue(value, mapRow, within) {
+  if (value && typeof value === "object" && typeof value.formula === "string") {
+    return { formula: shiftRefs(value.formula, mapRow, within) };
+  }
+  return value;
+}
+
+// The template's rows with regions expanded, as `{ source, rowNumber, context, within }`
+function layoutRows(rows, regions, data, mapRow) {
+  const out = [];
+  const byNumber = new Map(rows.map((row) => [row.rowNumber, row]));
+  let rowNumber = 1;
+  const last = rows.length;
+  regions.forEach((region) => {
+    for (; rowNumber < region.start; rowNumber++) {
+      out.push({ source: byNumber.get(rowNumber), context: { data }, within: null });
+    }
+    region.items.forEach((item, copy) => {
+      const within = { start: region.start, copy };
+      for (let r = region.start; r <= region.end; r++) {
+        out.push({ source: byNumber.get(r), context: { data, item, index: copy }, within });
+      }
+    });
+    rowNumber = region.end + 1;
+  });
+  for (; rowNumber <= last; rowNumber++) {
+    out.push({ source: byNumber.get(rowNumber), context: { data }, within: null });
+  }
+  return out.map((entry) => ({ ...entry, rowNumber: mapRow(entry.source.rowNumber, "first", entry.within) }));
+}
+
+function fillWorksheet(worksheet, data) {
+  const rows = readRows(worksheet);
+  const regions = findRegions(rows).map((region) => {
+    const list = lookup(data, region.path);
+    if (list !== undefined && list !== null && !Array.isArray(list)) {
+      throw invalidTemplate(`${region.path} must be an array for {{#each ${region.path}}}`);
+    }
+    // An empty list still leaves one blank copy, so formulas keep their ranges
+    const items = list && list.length > 0 ? list : [{}];
+    return { ...region, items, count: items.length };
+  });
+  const mapRow = createRowMap(regions);
+
+  const merges = Object.values(worksheet._merges).map((merge) => merge.model);
+  merges.forEach(({ top, left, bottom, right }) => worksheet.unMergeCells(top, left, bottom, right));
+
+  layoutRows(rows, regions, data, mapRow).forEach(({ source, rowNumber, context, within }) => {
+    const row = worksheet.getRow(rowNumber);
+    row.values = [];
+    row.height = source.height;
+    row.hidden = source.hidden;
+    row.style = structuredClone(source.style);
+    // Copies get their own styles; ExcelJS style setters change them in place
+    source.cells.forEach(({ colNumber, value, style }) => {
+      const cell = row.getCell(colNumber);
+      cell.value = shiftValue(fillValue(value, context), mapRow, within);
+      cell.style = structuredClone(style);
+    });
+  });
+
+  // Merges inside a region are repeated for every copy
+  merges.forEach(({ top, left, bottom, right }) => {
+    const region = regions.find((r) => top >= r.start && bottom <= r.end);
+    const copies = region ? region.count : 1;
+    for (let copy = 0; copy < copies; copy++) {
+      const within = region ? { start: region.start, copy } : null;
+      worksheet.mergeCells(mapRow(top, "first", within), left, mapRow(bottom, "last", within), right);
+    }
+  });
+
+  if (worksheet.pageSetup.printArea) {
+    worksheet.pageSetup.printArea = shiftRefs(worksheet.pageSetup.printArea, mapRow, null);
+  }
+  (worksheet.conditionalFormattings || []).forEach((formatting) => {
+    formatting.ref = shiftRefs(formatting.ref, mapRow, null);
+  });
+}
+
+// Fill every sheet of an xlsx template with `data`; returns the new xlsx
+async function fillTemplate(buffer, data) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  workbook.worksheets.forEach((worksheet) => fillWorksheet(worksheet, data));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { inspectTemplate, fillTemplate };
@@ -0,0 +1,328 @@
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const { Readable, Transform } = require("stream");
+const ExcelJS = require("exceljs");
+const fastCsv = require("fast-csv");
+const { ConversionError } = require("./errors");
+
+// --- Input format detection and loading ---
+
+const INPUT_FORMATS = ["xlsx", "xls", "ods", "csv", "tsv", "json"];
+
+// Formats LibreOffice renders directly; ExcelJS cannot read them
+const PASSTHROUGH_FORMATS = new Set(["xls", "ods"]);
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  xls: "application/vnd.ms-excel",
+  ods: "application/vnd.oasis.opendocument.spreadsheet",
+};
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+// ODF packages store an uncompressed "mimetype" entry first
+const ODS_MIMETYPE = "mimetypeapplication/vnd.oasis.opendocument.spreadsheet";
+// Password-protected OOXML files are OLE containers holding this stream
+const ENCRYPTED_PACKAGE = Buffer.from("EncryptedPackage", "utf16le");
+
+const EXTENSIONS = {
+  ".xlsx": "xlsx",
+  ".xls": "xls",
+  ".ods": "ods",
+  ".csv": "csv",
+  ".tsv": "tsv",
+  ".tab": "tsv",
+  ".txt": "csv",
+  ".json": "json",
+};
+
+const DELIMITERS = { ",": ",", ";": ";", "\t": "\t", tab: "\t", "|": "|" };
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+// The upload itself cannot be read as the detected format
+function invalidInput(message) {
+  return new ConversionError(message, 400, "INVALID_INPUT");
+}
+
+function startsWith(buffer, magic) {
+  return buffer.length >= magic.length && buffer.subarray(0, magic.length).equals(magic);
+}
+
+function isEncryptedOoxml(buffer) {
+  return startsWith(buffer, OLE_MAGIC) && buffer.includes(ENCRYPTED_PACKAGE);
+}
+
+// An encrypted OOXML file counts as xlsx so validation can name the problem
+function sniffBinary(buffer) {
+  if (startsWith(buffer, ZIP_MAGIC)) {
+    return buffer.subarray(30, 30 + ODS_MIMETYPE.length).toString("latin1") === ODS_MIMETYPE ? "ods" : "xlsx";
+  }
+  if (isEncryptedOoxml(buffer)) return "xlsx";
+  if (startsWith(buffer, OLE_MAGIC)) return "xls";
+  return null;
+}
+
+// Text input never contains NUL bytes unless it is UTF-16
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  if (sample.length === 0) return false;
+  if ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff)) return true;
+  return !sample.includes(0);
+}
+
+function extensionOf(filename) {
+  const match = /\.[a-z]+$/i.exec(filename || "");
+  return match ? EXTENSIONS[match[0].toLowerCase()] : undefined;
+}
+
+// Decide the input format from the declared `format` field, the file
+// extension and the content. Returns null when the input is not usable.
+function detectFormat(buffer, filename, declared) {
+  if (!buffer || buffer.length < 4) return null;
+  const binary = sniffBinary(buffer);
+  const expected = declared || extensionOf(filename);
+
+  if (expected === "xlsx" || expected === "xls" || expected === "ods") {
+    return binary === expected ? expected : null;
+  }
+  if (expected) {
+    return binary === null && looksLikeText(buffer) ? expected : null;
+  }
+
+  if (binary) return binary;
+  if (!looksLikeText(buffer)) return null;
+  const first = buffer.toString("utf8", 0, 64).replace(/^\uFEFF/, "").trimStart()[0];
+  return first === "{" || first === "[" ? "json" : "csv";
+}
+
+// Bytes read from a spooled upload to detect its format
+const SAMPLE_BYTES = 64 * 1024;
+
+// detectFormat for a spooled upload. Only the head of the file is read,
+// except for OLE containers whose encryption marker can sit anywhere.
+async function detectFileFormat(file, filename, declared) {
+  const handle = await fs.open(file.path, "r");
+  let sample;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+    sample = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  if (startsWith(sample, OLE_MAGIC) && file.size > sample.length) {
+    sample = await fs.readFile(file.path);
+  }
+  return detectFormat(sample, filename, declared);
+}
+
+function parseInputOptions(body) {
+  const options = {};
+  if (body.format !== undefined && body.format !== "") {
+    if (!INPUT_FORMATS.includes(body.format)) {
+      throw invalid(`format must be one of ${INPUT_FORMATS.join(", ")}`, "format");
+    }
+    options.format = body.format;
+  }
+  if (body.delimiter !== undefined && body.delimiter !== "" && body.delimiter !== "auto") {
+    if (!DELIMITERS[body.delimiter]) {
+      throw invalid('delimiter must be one of ",", ";", "tab", "|" or "auto"', "delimiter");
+    }
+    options.delimiter = DELIMITERS[body.delimiter];
+  }
+  if (body.encoding !== undefined && body.encoding !== "") {
+    try {
+      new TextDecoder(body.encoding);
+    } catch {
+      throw invalid(`Unsupported encoding: ${body.encoding}`, "encoding");
+    }
+    options.encoding = body.encoding;
+  }
+  return options;
+}
+
+// The declared encoding, else UTF-16 when the text starts with its BOM
+function textEncoding(buffer, encoding) {
+  if (encoding) return encoding;
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return "utf-16le";
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return "utf-16be";
+  return "utf-8";
+}
+
+function decodeText(buffer, encoding) {
+  // TextDecoder strips a matching BOM by default
+  return new TextDecoder(textEncoding(buffer, encoding)).decode(buffer);
+}
+
+// Most frequent candidate delimiter on the first line, ignoring quoted text
+function guessDelimiter(text, format) {
+  if (format === "tsv") return "\t";
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of [",", ";", "\t", "|"]) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Like ExcelJS's default CSV mapping, but identifiers with leading zeros
+// ("00123") stay text instead of becoming numbers
+function mapCsvValue(datum) {
+  if (datum === "") return null;
+  if (/^-?0\d/.test(datum)) return datum;
+  const number = Number(datum);
+  if (datum.trim() !== "" && Number.isFinite(number)) return number;
+  if (datum === "true" || datum === "false") return datum === "true";
+  return datum;
+}
+
+async function loadCsv(workbook, buffer, options) {
+  const text = decodeText(buffer, options.encoding);
+  const delimiter = options.delimiter || guessDelimiter(text, options.inputFormat);
+  try {
+    await workbook.csv.read(Readable.from([text]), {
+      sheetName: "Sheet1",
+      map: mapCsvValue,
+      parserOptions: { delimiter },
+    });
+  } catch (err) {
+    throw invalidInput(`Could not parse CSV: ${err.message}`);
+  }
+}
+
+// Stream the rows of a spooled CSV/TSV file to `onRow(values)`, mapped the
+// same way as loadCsv. Memory use does not depend on the file size.
+async function readCsvRows(file, options, onRow) {
+  const handle = await fs.open(file.path, "r");
+  let head;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  const label = textEncoding(head, options.encoding);
+  const delimiter = options.delimiter || guessDelimiter(new TextDecoder(label).decode(head), options.inputFormat);
+
+  const decoder = new TextDecoder(label);
+  const decode = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+
+  await new Promise((resolve, reject) => {
+    const fail = (err) => reject(invalidInput(`Could not parse CSV: ${err.message}`));
+    const parser = fastCsv.parse({ delimiter })
+      .on("data", (row) => onRow(row.map(mapCsvValue)))
+      .on("end", resolve)
+      .on("error", fail);
+    createReadStream(file.path).on("error", reject).pipe(decode).on("error", fail).pipe(parser);
+  });
+}
+
+function styleHeaderRow(worksheet) {
+  const header = worksheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFD9E1F2" } };
+  header.eachCell((cell) => {
+    cell.border = { bottom: { style: "thin" } };
+  });
+  worksheet.views = [{ state: "frozen", ySplit: 1 }];
+}
+
+// The sheet name for table `index`, cut to Excel's 31 characters. Names
+// Excel does not allow, and names already taken in any case, are rejected.
+function jsonSheetName(table, index, taken) {
+  const name = String(table.name || `Sheet${index + 1}`).slice(0, 31);
+  if (/[*?:/\\[\]]/.test(name)) throw invalidInput(`JSON table name ${name} must not contain * ? : \\ / [ ]`);
+  if (/^'|'$/.test(name)) throw invalidInput(`JSON table name ${name} must not start or end with '`);
+  if (name === "History") throw invalidInput("JSON table name History is reserved by Excel");
+  if (taken.has(name.toLowerCase())) throw invalidInput(`JSON table name ${name} is used twice`);
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+// One table: `{ name?, columns: [string | { header, key?, numFmt?, width? }], rows }`
+// where rows are arrays in column order or objects keyed by column key,
+// added as sheet `name`
+function addJsonSheet(workbook, table, name) {
+  const columns = (table.columns || []).map((column) =>
+    typeof column === "string" ? { header: column, key: column } : { key: column.header, ...column }
+  );
+  if (columns.length === 0 && table.rows.length > 0 && !Array.isArray(table.rows[0])) {
+    Object.keys(table.rows[0]).forEach((key) => columns.push({ header: key, key }));
+  }
+
+  const worksheet = workbook.addWorksheet(name);
+  if (columns.length > 0) {
+    worksheet.columns = columns.map(({ header, key, width, numFmt }) => ({
+      header,
+      key,
+      width,
+      style: numFmt ? { numFmt } : undefined,
+    }));
+    styleHeaderRow(worksheet);
+  }
+  table.rows.forEach((row) => {
+    if (row === null || typeof row !== "object") throw invalidInput("JSON rows must be arrays or objects");
+    worksheet.addRow(row);
+  });
+  // A sheet without a single column cannot be laid out
+  if (worksheet.columnCount === 0) throw invalidInput(`JSON table ${name} has no columns and no values`);
+}
+
+function loadJson(workbook, buffer, options) {
+  let data;
+  try {
+    data = JSON.parse(decodeText(buffer, options.encoding));
+  } catch (err) {
+    throw invalidInput(`Invalid JSON: ${err.message}`);
+  }
+  const tables = Array.isArray(data) ? [{ rows: data }] : data && data.sheets ? data.sheets : [data];
+  if (!Array.isArray(tables) || tables.length === 0) throw invalidInput("JSON input has no tables");
+  const taken = new Set();
+  tables.forEach((table, index) => {
+    if (!table || typeof table !== "object" || !Array.isArray(table.rows)) {
+      throw invalidInput("JSON tables need a rows array");
+    }
+    addJsonSheet(workbook, table, jsonSheetName(table, index, taken));
+  });
+}
+
+// Build an ExcelJS workbook from any format ExcelJS can work with
+async function loadWorkbook(buffer, options) {
+  const workbook = new ExcelJS.Workbook();
+  const format = options.inputFormat || "xlsx";
+  if (format === "csv" || format === "tsv") {
+    await loadCsv(workbook, buffer, options);
+  } else if (format === "json") {
+    loadJson(workbook, buffer, options);
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+  return workbook;
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  PASSTHROUGH_FORMATS,
+  CONTENT_TYPES,
+  DELIMITERS,
+  detectFormat,
+  detectFileFormat,
+  isEncryptedOoxml,
+  parseInputOptions,
+  loadWorkbook,
+  readCsvRows,
+};
@@ -0,0 +1,841 @@
+const ExcelJS = require("exceljs");
+const { ConversionError } = require("./errors");
+const { parseBoolean } = require("./sheets");
+const { columnNumber } = require("./print");
+
+// --- Formula recalculation and links to other workbooks ---
+// Libraries that write xlsx without calculating leave formulas with no
+// cached result, and every renderer prints the cached result. With
+// `recalculate` the formulas are evaluated here over the ExcelJS model and
+// their results written back. Formulas outside the supported subset keep
+// their cached value and are reported as warnings. `externalLinks` decides
+// what happens to references into other workbooks, which are never at hand.
+
+const EXTERNAL_LINK_POLICIES = ["keep", "blank", "reject"];
+// Warnings listed in full; the rest are only counted
+const MAX_WARNINGS = 100;
+// Cells that ranges of one recalculation may read in total; formulas that
+// would go past it keep their cached value. Evaluation is synchronous, so
+// this bounds how long a workbook can hold the event loop.
+const CELL_BUDGET = 1000000;
+// Rows of a worksheet, for whole-column ranges
+const MAX_ROWS = 1048576;
+// A reference into another workbook: [1]Rates!B2 or '[1]Tax rates'!B2
+const EXTERNAL_REF = /\[\d+\][^!]*!/;
+// Serial number 0 of the 1900 date system
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 86400000;
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+function isSet(value) {
+  return value !== undefined && value !== "";
+}
+
+// `formulas` is null unless formulas are to be touched at all, so the
+// default conversion never walks them
+function parseFormulaOptions(body = {}) {
+  const recalculate = isSet(body.recalculate) ? parseBoolean(body.recalculate, "recalculate") : false;
+  let externalLinks = null;
+  if (isSet(body.externalLinks)) {
+    externalLinks = String(body.externalLinks).trim().toLowerCase();
+    if (!EXTERNAL_LINK_POLICIES.includes(externalLinks)) {
+      throw invalid(`externalLinks must be one of ${EXTERNAL_LINK_POLICIES.join(", ")}`, "externalLinks");
+    }
+  }
+  if (!recalculate && externalLinks === null) return { formulas: null };
+  return { formulas: { recalculate, externalLinks: externalLinks || "keep" } };
+}
+
+// Shared formulas are stored relative to their master cell, which may be
+// about to change; give every copy its own formula
+function unshareFormulas(worksheet) {
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (cell.type === ExcelJS.ValueType.Formula && cell.value.sharedFormula !== undefined) {
+        cell.value = { formula: cell.formula, result: cell.result };
+      }
+    });
+  });
+}
+
+// --- Values ---
+// Formulas work on numbers, strings, booleans, null for an empty cell and
+// `{ error }` objects. Errors raised while evaluating are thrown as
+// FormulaError and land in the cell as its result; Unresolved means the
+// formula is beyond this evaluator and the cached value is kept instead.
+
+class FormulaError extends Error {
+  constructor(code) {
+    super(code);
+    this.code = code;
+  }
+}
+
+class Unresolved extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const isErrorValue = (value) => value !== null && typeof value === "object" && typeof value.error === "string";
+const isRange = (value) => value !== null && typeof value === "object" && typeof value.rows === "function";
+
+function dateSerial(date) {
+  return (date.getTime() - EXCEL_EPOCH) / DAY_MS;
+}
+
+// The formula value of a cell value or cached result as ExcelJS holds it
+function plainValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return dateSerial(value);
+  if (typeof value !== "object") return value;
+  if (isErrorValue(value)) return { error: value.error };
+  if (Array.isArray(value.richText)) return value.richText.map((run) => run.text).join("");
+  if (value.hyperlink !== undefined) return value.text === undefined ? null : String(value.text);
+  if (value.formula !== undefined || value.sharedFormula !== undefined) return plainValue(value.result);
+  return null;
+}
+
+// A single value: a one-cell range gives its value, larger ranges are an
+// error (no implicit intersection), error values are raised
+function scalar(value) {
+  if (isRange(value)) {
+    if (value.height !== 1 || value.width !== 1) throw new FormulaError("#VALUE!");
+    value = value.at(0, 0);
+  }
+  if (isErrorValue(value)) throw new FormulaError(value.error);
+  return value;
+}
+
+function toNumber(value) {
+  value = scalar(value);
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value === null) return 0;
+  const text = value.trim();
+  if (text !== "" && Number.isFinite(Number(text))) return Number(text);
+  throw new FormulaError("#VALUE!");
+}
+
+function toText(value) {
+  value = scalar(value);
+  if (value === null) return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  // Excel shows at most 15 significant digits
+  if (typeof value === "number") return String(Number(value.toPrecision(15))).replace("e", "E");
+  return value;
+}
+
+function toBoolean(value) {
+  value = scalar(value);
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+  if (value === null) return false;
+  const text = value.trim().toUpperCase();
+  if (text === "TRUE" || text === "FALSE") return text === "TRUE";
+  throw new FormulaError("#VALUE!");
+}
+
+function finite(number) {
+  if (!Number.isFinite(number)) throw new FormulaError("#NUM!");
+  return number;
+}
+
+// Excel's ordering: numbers, then text (ignoring case), then booleans; an
+// empty cell counts as the empty value of the other side's type
+function compare(a, b) {
+  const empty = (other) => (typeof other === "string" ? "" : typeof other === "boolean" ? false : 0);
+  if (a === null) a = empty(b);
+  if (b === null) b = empty(a);
+  const rank = (value) => ["number", "string", "boolean"].indexOf(typeof value);
+  if (rank(a) !== rank(b)) return rank(a) < rank(b) ? -1 : 1;
+  if (typeof a === "string") {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const COMPARISONS = {
+  "=": (order) => order === 0,
+  "<>": (order) => order !== 0,
+  "<": (order) => order < 0,
+  ">": (order) => order > 0,
+  "<=": (order) => order <= 0,
+  ">=": (order) => order >= 0,
+};
+
+function roundTo(value, digits, mode) {
+  const factor = 10 ** Math.trunc(digits);
+  // Rounding the scaled value first keeps 2.675 from becoming 2.67
+  const scaled = Number((Math.abs(value) * factor).toPrecision(15));
+  const rounded = mode === "up" ? Math.ceil(scaled) : mode === "down" ? Math.floor(scaled) : Math.round(scaled);
+  return (Math.sign(value) * rounded) / factor;
+}
+
+// --- Functions ---
+
+// Every value of the arguments, ranges flattened, each with whether it came
+// from a range (ranges skip text and booleans where direct arguments do not)
+function eachValue(args, callback) {
+  args.forEach((arg) => {
+    if (isRange(arg)) arg.rows().forEach((row) => row.forEach((value) => callback(value, true)));
+    else callback(arg, false);
+  });
+}
+
+// The numbers of the arguments: numbers in ranges, direct arguments
+// converted. Errors anywhere are raised.
+function numbers(args) {
+  const result = [];
+  eachValue(args, (value, inRange) => {
+    if (isErrorValue(value)) throw new FormulaError(value.error);
+    if (!inRange) result.push(toNumber(value));
+    else if (typeof value === "number") result.push(value);
+  });
+  return result;
+}
+
+function booleans(args) {
+  const result = [];
+  eachValue(args, (value, inRange) => {
+    if (isErrorValue(value)) throw new FormulaError(value.error);
+    if (!inRange || typeof value === "boolean" || typeof value === "number") result.push(toBoolean(value));
+  });
+  if (!result.length) throw new FormulaError("#VALUE!");
+  return result;
+}
+
+function rangeOf(value) {
+  if (!isRange(value)) throw new FormulaError("#VALUE!");
+  return value;
+}
+
+// The range's cells inside the sheet's used area (see makeRange)
+function rowsOf(range) {
+  return rangeOf(range).rows();
+}
+
+// Cells of the range outside the sheet's used area, all empty
+function emptyOutside(range, rows) {
+  return range.height * range.width - rows.reduce((count, row) => count + row.length, 0);
+}
+
+// A single row or column as a list, up to the end of the used area
+function vectorOf(range) {
+  const rows = rowsOf(range);
+  if (range.height === 1) return rows.length ? rows[0] : [];
+  if (range.width === 1) return rows.map((row) => row[0]);
+  throw new FormulaError("#N/A");
+}
+
+function wildcardPattern(text) {
+  const source = text.replace(/~([*?~])|([*?])|[.+^${}()|[\]\\]/g, (match, escaped, wildcard) => {
+    if (escaped) return `\\${escaped}`;
+    if (wildcard) return wildcard === "*" ? ".*" : ".";
+    return `\\${match}`;
+  });
+  return new RegExp(`^${source}$`, "is");
+}
+
+// A test for SUMIF/COUNTIF criteria such as 5, ">=10", "<>done" or "A*"
+function criteriaTest(criteria) {
+  criteria = scalar(criteria);
+  if (typeof criteria !== "string") return (value) => value !== null && compare(value, criteria) === 0;
+  const [, operator = "=", operand] = /^(<=|>=|<>|<|>|=)?(.*)$/s.exec(criteria);
+  const test = COMPARISONS[operator];
+  if (operand.trim() !== "" && Number.isFinite(Number(operand))) {
+    return (value) => typeof value === "number" && test(compare(value, Number(operand)));
+  }
+  if (operator === "=" || operator === "<>") {
+    const pattern = wildcardPattern(operand);
+    const matches = (value) => (operand === ""
+      ? value === null || value === ""
+      : typeof value !== "number" && value !== null && !isErrorValue(value) && pattern.test(toText(value)));
+    return operator === "=" ? matches : (value) => !matches(value);
+  }
+  return (value) => typeof value === "string" && test(compare(value, operand));
+}
+
+// Position of `lookup` in `values`: exact, or the last value not past it in
+// ascending (`order` 1) or descending (`order` -1) data; -1 when none fits
+function findMatch(values, lookup, order) {
+  if (order === 0) {
+    const pattern = typeof lookup === "string" ? wildcardPattern(lookup) : null;
+    return values.findIndex((value) => (pattern
+      ? typeof value === "string" && pattern.test(value)
+      : value !== null && !isErrorValue(value) && compare(value, lookup) === 0));
+  }
+  let found = -1;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value === null || isErrorValue(value) || typeof value !== typeof lookup) continue;
+    if (compare(value, lookup) * order > 0) break;
+    found = i;
+  }
+  return found;
+}
+
+function sumOf(list) {
+  return list.reduce((total, number) => total + number, 0);
+}
+
+// MIN and MAX of nothing are 0
+function extremeOf(list, pick) {
+  return list.length ? list.reduce((best, number) => pick(best, number)) : 0;
+}
+
+function averageOf(list) {
+  if (!list.length) throw new FormulaError("#DIV/0!");
+  return sumOf(list) / list.length;
+}
+
+// Values of `range` (or of `sumRange`, cell for cell) where `criteria` holds
+function matching(range, criteria, sumRange = range) {
+  const test = criteriaTest(criteria);
+  rangeOf(range);
+  const result = [];
+  // Only numbers and errors count, and those lie in the used area
+  rowsOf(sumRange).slice(0, range.height).forEach((row, r) => row.slice(0, range.width).forEach((picked, c) => {
+    if (typeof picked !== "number" && !isErrorValue(picked)) return;
+    if (!test(range.at(r, c))) return;
+    if (isErrorValue(picked)) throw new FormulaError(picked.error);
+    result.push(picked);
+  }));
+  return result;
+}
+
+function localSerial(date) {
+  const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  return (local - EXCEL_EPOCH) / DAY_MS;
+}
+
+// Functions over evaluated arguments: refs and ranges come as ranges,
+// everything else as values; an omitted argument is undefined
+const FUNCTIONS = {
+  SUM: (...args) => sumOf(numbers(args)),
+  PRODUCT: (...args) => numbers(args).reduce((product, number) => product * number, 1),
+  AVERAGE: (...args) => averageOf(numbers(args)),
+  MIN: (...args) => extremeOf(numbers(args), Math.min),
+  MAX: (...args) => extremeOf(numbers(args), Math.max),
+  COUNT: (...args) => {
+    let count = 0;
+    eachValue(args, (value, inRange) => {
+      if (typeof value === "number" || (!inRange && value !== null && !isErrorValue(value) && !Number.isNaN(Number(value)))) count++;
+    });
+    return count;
+  },
+  COUNTA: (...args) => {
+    let count = 0;
+    eachValue(args, (value) => {
+      if (value !== null) count++;
+    });
+    return count;
+  },
+  COUNTBLANK: (range) => {
+    const rows = rowsOf(range);
+    return emptyOutside(range, rows) + rows.flat().filter((value) => value === null || value === "").length;
+  },
+  SUMIF: (range, criteria, sumRange) => sumOf(matching(range, criteria, sumRange)),
+  AVERAGEIF: (range, criteria, averageRange) => averageOf(matching(range, criteria, averageRange)),
+  COUNTIF: (range, criteria) => {
+    const test = criteriaTest(criteria);
+    const rows = rowsOf(range);
+    const outside = emptyOutside(range, rows);
+    return rows.flat().filter(test).length + (outside > 0 && test(null) ? outside : 0);
+  },
+  ROUND: (number, digits = 0) => roundTo(toNumber(number), toNumber(digits)),
+  ROUNDUP: (number, digits = 0) => roundTo(toNumber(number), toNumber(digits), "up"),
+  ROUNDDOWN: (number, digits = 0) => roundTo(toNumber(number), toNumber(digits), "down"),
+  INT: (number) => Math.floor(toNumber(number)),
+  ABS: (number) => Math.abs(toNumber(number)),
+  MOD: (number, divisor) => {
+    const [n, d] = [toNumber(number), toNumber(divisor)];
+    if (d === 0) throw new FormulaError("#DIV/0!");
+    return n - d * Math.floor(n / d);
+  },
+  POWER: (number, power) => finite(toNumber(number) ** toNumber(power)),
+  SQRT: (number) => finite(Math.sqrt(toNumber(number))),
+  AND: (...args) => booleans(args).every(Boolean),
+  OR: (...args) => booleans(args).some(Boolean),
+  NOT: (value) => !toBoolean(value),
+  TRUE: () => true,
+  FALSE: () => false,
+  NA: () => {
+    throw new FormulaError("#N/A");
+  },
+  CONCATENATE: (...args) => args.map(toText).join(""),
+  CONCAT: (...args) => {
+    let text = "";
+    eachValue(args, (value) => {
+      text += toText(value);
+    });
+    return text;
+  },
+  LEN: (text) => toText(text).length,
+  LEFT: (text, count = 1) => toText(text).slice(0, Math.max(0, toNumber(count))),
+  RIGHT: (text, count = 1) => {
+    const n = Math.max(0, toNumber(count));
+    return n === 0 ? "" : toText(text).slice(-n);
+  },
+  MID: (text, start, count) => {
+    const from = toNumber(start);
+    if (from < 1 || toNumber(count) < 0) throw new FormulaError("#VALUE!");
+    return toText(text).substr(from - 1, toNumber(count));
+  },
+  UPPER: (text) => toText(text).toUpperCase(),
+  LOWER: (text) => toText(text).toLowerCase(),
+  TRIM: (text) => toText(text).trim().replace(/ {2,}/g, " "),
+  TODAY: () => Math.floor(localSerial(new Date())),
+  NOW: () => localSerial(new Date()),
+  VLOOKUP: (lookup, table, column, approximate) => {
+    const rows = rowsOf(table);
+    const index = Math.trunc(toNumber(column));
+    if (index < 1) throw new FormulaError("#VALUE!");
+    if (index > table.width) throw new FormulaError("#REF!");
+    const order = approximate === undefined || toBoolean(approximate) ? 1 : 0;
+    const found = findMatch(rows.map((row) => row[0]), scalar(lookup), order);
+    if (found === -1) throw new FormulaError("#N/A");
+    return scalar(table.at(found, index - 1));
+  },
+  MATCH: (lookup, range, type = 1) => {
+    const order = Math.sign(toNumber(type));
+    const found = findMatch(vectorOf(range), scalar(lookup), order);
+    if (found === -1) throw new FormulaError("#N/A");
+    return found + 1;
+  },
+  INDEX: (range, row, column) => {
+    const { height, width } = rangeOf(range);
+    let [r, c] = [Math.trunc(toNumber(row)), column === undefined ? undefined : Math.trunc(toNumber(column))];
+    // A single row is indexed by column
+    if (c === undefined && height === 1) [r, c] = [1, r];
+    if (c === undefined) c = 1;
+    if (r === 0 || c === 0) throw new Unresolved("UNSUPPORTED_FORMULA", "INDEX of a whole row or column is not supported");
+    if (r < 0 || c < 0 || r > height || c > width) throw new FormulaError("#REF!");
+    return scalar(range.at(r - 1, c - 1));
+  },
+};
+
+// The single value of `evaluateArg()`, with an Excel error as its
+// `{ error }` value instead of raised
+function settle(evaluateArg) {
+  try {
+    return scalar(evaluateArg());
+  } catch (err) {
+    if (err instanceof FormulaError) return { error: err.code };
+    throw err;
+  }
+}
+
+const isNA = (value) => isErrorValue(value) && value.error === "#N/A";
+
+// Functions that decide themselves which arguments to evaluate, or look at
+// errors instead of raising them; `arg(i)` evaluates argument i
+const LAZY_FUNCTIONS = {
+  IF: (count, arg) => {
+    if (toBoolean(arg(0))) return count > 1 ? arg(1) : true;
+    return count > 2 ? arg(2) : false;
+  },
+  IFERROR: (count, arg) => {
+    const value = settle(() => arg(0));
+    return isErrorValue(value) ? arg(1) : value;
+  },
+  IFNA: (count, arg) => {
+    const value = settle(() => arg(0));
+    return isNA(value) ? arg(1) : value;
+  },
+  ISERROR: (count, arg) => isErrorValue(settle(() => arg(0))),
+  ISNA: (count, arg) => isNA(settle(() => arg(0))),
+  ISBLANK: (count, arg) => settle(() => arg(0)) === null,
+  ISNUMBER: (count, arg) => typeof settle(() => arg(0)) === "number",
+  ISTEXT: (count, arg) => typeof settle(() => arg(0)) === "string",
+};
+
+// --- Parsing ---
+
+// An optional sheet name, quoted or not, then a cell, a range or a range
+// of whole columns
+const SHEET = "(?:'((?:[^']|'')+)'|([^\\s'!(),:;=<>&+\\-*/^%\"{}]+))!";
+const CELL = "\\$?([A-Z]{1,3})\\$?([1-9]\\d*)";
+const REF_PATTERN = new RegExp(`^(?:${SHEET})?(?:${CELL}(?::${CELL})?|\\$?([A-Z]{1,3}):\\$?([A-Z]{1,3}))(?![\\w(!])`);
+const TOKEN_PATTERNS = [
+  ["space", /^\s+/],
+  ["string", /^"((?:[^"]|"")*)"/],
+  ["error", /^#(?:NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A)/],
+  ["number", /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/],
+  // Newer functions are stored with a prefix, e.g. _xlfn.CONCAT
+  ["func", /^(?:_xlfn\.|_xlws\.)?([A-Za-z][\w.]*)\(/],
+  ["ref", REF_PATTERN],
+  ["bool", /^(TRUE|FALSE)(?![\w(])/i],
+  ["name", /^[A-Za-z_\\][\w.]*/],
+  ["op", /^(?:<>|<=|>=|[-+*/^&=<>%(),])/],
+];
+
+function unsupported(message) {
+  return new Unresolved("UNSUPPORTED_FORMULA", message);
+}
+
+function refToken(match) {
+  const [, quoted, bare, col1, row1, col2, row2, wholeFrom, wholeTo] = match;
+  const sheet = quoted !== undefined ? quoted.replace(/''/g, "'") : bare === undefined ? null : bare;
+  if (wholeFrom !== undefined) {
+    const [left, right] = [columnNumber(wholeFrom), columnNumber(wholeTo)].sort((a, b) => a - b);
+    return { type: "range", sheet, top: 1, left, bottom: Infinity, right };
+  }
+  if (col2 === undefined) return { type: "ref", sheet, row: Number(row1), col: columnNumber(col1) };
+  const rows = [Number(row1), Number(row2)].sort((a, b) => a - b);
+  const cols = [columnNumber(col1), columnNumber(col2)].sort((a, b) => a - b);
+  return { type: "range", sheet, top: rows[0], left: cols[0], bottom: rows[1], right: cols[1] };
+}
+
+function tokenize(formula) {
+  const tokens = [];
+  let rest = formula;
+  while (rest.length) {
+    const found = TOKEN_PATTERNS.map(([type, pattern]) => [type, pattern.exec(rest)]).find(([, match]) => match);
+    if (!found) throw unsupported(`Cannot read the formula near "${rest.slice(0, 20)}"`);
+    const [type, match] = found;
+    rest = rest.slice(match[0].length);
+    if (type === "space") continue;
+    if (type === "string") tokens.push({ type: "value", value: match[1].replace(/""/g, '"') });
+    else if (type === "error") tokens.push({ type: "value", value: { error: match[0] } });
+    else if (type === "number") tokens.push({ type: "value", value: Number(match[0]) });
+    else if (type === "bool") tokens.push({ type: "value", value: match[1].toUpperCase() === "TRUE" });
+    else if (type === "func") tokens.push({ type: "func", name: match[1].toUpperCase() });
+    else if (type === "ref") tokens.push(refToken(match));
+    else if (type === "name") tokens.push({ type: "name", name: match[0] });
+    else tokens.push({ type: "op", value: match[0] });
+  }
+  return tokens;
+}
+
+// The ref or range token a defined name stands for, or null for names that
+// are not one cell or range
+function nameToken(workbook, name) {
+  const entry = workbook.definedNames.model.find((definedName) => definedName.name.toLowerCase() === name.toLowerCase());
+  const match = entry && entry.ranges.length === 1 ? REF_PATTERN.exec(entry.ranges[0]) : null;
+  return match && match[0] === entry.ranges[0] ? refToken(match) : null;
+}
+
+// The ranges a formula reads, `{ sheet, top, left, bottom, right }` with a
+// null sheet for its own; null when the formula alone does not tell, as
+// with INDIRECT, OFFSET, names for anything but a range, or formulas that
+// cannot be parsed
+function formulaReferences(workbook, formula) {
+  let tokens;
+  try {
+    tokens = tokenize(formula);
+  } catch (err) {
+    if (err instanceof Unresolved) return null;
+    throw err;
+  }
+  const ranges = [];
+  for (const token of tokens) {
+    if (token.type === "func" && (token.name === "INDIRECT" || token.name === "OFFSET")) return null;
+    const ref = token.type === "name" ? nameToken(workbook, token.name) : token;
+    if (!ref) return null;
+    if (ref.type === "ref") ranges.push({ sheet: ref.sheet, top: ref.row, left: ref.col, bottom: ref.row, right: ref.col });
+    else if (ref.type === "range") ranges.push({ sheet: ref.sheet, top: ref.top, left: ref.left, bottom: ref.bottom, right: ref.right });
+  }
+  return ranges;
+}
+
+// A syntax tree by Excel's operator precedence, loosest first: comparison,
+// &, + and -, * and /, ^, negation, %
+function parseFormula(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+  const isOp = (value) => pos < tokens.length && tokens[pos].type === "op" && tokens[pos].value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw unsupported(`Expected "${value}" in the formula`);
+    pos++;
+  };
+  const binary = (next, operators) => () => {
+    let node = next();
+    while (pos < tokens.length && tokens[pos].type === "op" && operators.includes(tokens[pos].value)) {
+      const op = tokens[pos++].value;
+      node = { type: "binary", op, left: node, right: next() };
+    }
+    return node;
+  };
+  let comparison = null;
+
+  const call = (name) => {
+    const args = [];
+    if (isOp(")")) {
+      pos++;
+      return { type: "call", name, args };
+    }
+    for (;;) {
+      // An empty argument, as in IF(A1,,1), is an empty value
+      args.push(isOp(",") || isOp(")") ? { type: "value", value: null } : comparison());
+      if (!isOp(",")) break;
+      pos++;
+    }
+    expect(")");
+    return { type: "call", name, args };
+  };
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw unsupported("The formula ends early");
+    if (token.type === "func") return call(token.name);
+    if (token.type === "op") {
+      if (token.value !== "(") throw unsupported(`Unexpected "${token.value}" in the formula`);
+      const node = comparison();
+      expect(")");
+      return node;
+    }
+    return token;
+  };
+  const percent = () => {
+    let node = primary();
+    while (isOp("%")) {
+      pos++;
+      node = { type: "percent", operand: node };
+    }
+    return node;
+  };
+  const unary = () => {
+    if (isOp("-") || isOp("+")) {
+      const op = tokens[pos++].value;
+      return { type: "unary", op, operand: unary() };
+    }
+    return percent();
+  };
+  const power = binary(unary, ["^"]);
+  const product = binary(power, ["*", "/"]);
+  const sum = binary(product, ["+", "-"]);
+  const concat = binary(sum, ["&"]);
+  comparison = binary(concat, Object.keys(COMPARISONS));
+
+  const tree = comparison();
+  if (pos < tokens.length) throw unsupported("Cannot read the whole formula");
+  return tree;
+}
+
+// --- Evaluation ---
+
+// Evaluates formula cells of `workbook` on demand, each once, following
+// references across sheets. `warn(code, worksheet, cell, message)` is told
+// about every formula that keeps its cached value. `changes` collects the
+// new results; nothing is written until they are all known. Ranges read at
+// most `cellBudget` cells between them.
+function createEvaluator(workbook, warn, cellBudget) {
+  const sheets = new Map(workbook.worksheets.map((worksheet) => [worksheet.name.toLowerCase(), worksheet]));
+  const values = new Map();
+  const active = new Set();
+  const changes = [];
+  let budget = cellBudget;
+
+  function sheetFor(name, worksheet) {
+    if (name === null) return worksheet;
+    if (name.includes("[")) throw new Unresolved("EXTERNAL_REFERENCE", "The formula refers to another workbook");
+    const found = sheets.get(name.toLowerCase());
+    if (!found) throw new FormulaError("#REF!");
+    return found;
+  }
+
+  function cellValue(worksheet, row, col) {
+    const cell = worksheet.findCell(row, col);
+    if (!cell || cell.type === ExcelJS.ValueType.Merge) return null;
+    if (cell.type === ExcelJS.ValueType.Formula) return formulaValue(worksheet, cell);
+    return plainValue(cell.value);
+  }
+
+  // `height` and `width` are the range's own; `rows()` only reads the part
+  // inside the sheet's used rows and columns, since the rest is empty
+  function makeRange(worksheet, { top, left, bottom, right }) {
+    let rows = null;
+    return {
+      height: (bottom === Infinity ? MAX_ROWS : bottom) - top + 1,
+      width: right - left + 1,
+      at: (row, col) => cellValue(worksheet, top + row, left + col),
+      rows() {
+        if (rows) return rows;
+        const lastRow = Math.min(bottom, worksheet.rowCount);
+        const lastCol = Math.min(right, worksheet.columnCount);
+        const size = Math.max(lastRow - top + 1, 0) * Math.max(lastCol - left + 1, 0);
+        if (size > budget) throw new Unresolved("FORMULA_TOO_LARGE", "The formula reads more cells than recalculation allows");
+        budget -= size;
+        rows = [];
+        for (let row = top; size > 0 && row <= lastRow; row++) {
+          const cells = [];
+          for (let col = left; col <= lastCol; col++) cells.push(cellValue(worksheet, row, col));
+          rows.push(cells);
+        }
+        return rows;
+      },
+    };
+  }
+
+  function resolveName(name) {
+    const token = nameToken(workbook, name);
+    if (!token) throw new Unresolved("UNKNOWN_NAME", `${name} is not a name for a cell or range`);
+    return token;
+  }
+
+  function evaluate(node, worksheet) {
+    switch (node.type) {
+      case "value":
+        return node.value;
+      case "ref":
+        return makeRange(sheetFor(node.sheet, worksheet), { top: node.row, left: node.col, bottom: node.row, right: node.col });
+      case "range":
+        return makeRange(sheetFor(node.sheet, worksheet), node);
+      case "name":
+        return evaluate(resolveName(node.name), worksheet);
+      case "unary": {
+        const number = toNumber(evaluate(node.operand, worksheet));
+        return node.op === "-" ? -number : number;
+      }
+      case "percent":
+        return toNumber(evaluate(node.operand, worksheet)) / 100;
+      case "binary":
+        return binaryValue(node, worksheet);
+      default:
+        return callValue(node, worksheet);
+    }
+  }
+
+  function binaryValue({ op, left, right }, worksheet) {
+    const a = evaluate(left, worksheet);
+    const b = evaluate(right, worksheet);
+    if (COMPARISONS[op]) return COMPARISONS[op](compare(scalar(a), scalar(b)));
+    if (op === "&") return toText(a) + toText(b);
+    const [x, y] = [toNumber(a), toNumber(b)];
+    if (op === "+") return x + y;
+    if (op === "-") return x - y;
+    if (op === "*") return x * y;
+    if (op === "/") {
+      if (y === 0) throw new FormulaError("#DIV/0!");
+      return x / y;
+    }
+    return finite(x ** y);
+  }
+
+  function callValue({ name, args }, worksheet) {
+    if (LAZY_FUNCTIONS[name]) return LAZY_FUNCTIONS[name](args.length, (i) => evaluate(args[i], worksheet));
+    if (!FUNCTIONS[name]) throw new Unresolved("UNSUPPORTED_FUNCTION", `${name} is not supported`);
+    return FUNCTIONS[name](...args.map((arg) => evaluate(arg, worksheet)));
+  }
+
+  // The cell's result, computed now or taken from the cache
+  function formulaValue(worksheet, cell) {
+    const key = `${worksheet.id}:${cell.address}`;
+    if (values.has(key)) return values.get(key);
+    if (active.has(key)) throw new Unresolved("CIRCULAR_REFERENCE", "The formula depends on its own value");
+    active.add(key);
+    let value;
+    try {
+      value = computeCell(worksheet, cell);
+      changes.push([cell, cell.formula, value]);
+    } catch (err) {
+      // Very long chains of formulas run out of stack
+      const reason = err instanceof RangeError ? unsupported("The formula depends on too long a chain of formulas") : err;
+      if (!(reason instanceof Unresolved)) throw err;
+      value = plainValue(cell.result);
+      const kept = value === null ? "it has no cached value" : "kept the cached value";
+      warn(reason.code, worksheet, cell, `${reason.message}; ${kept}`);
+    } finally {
+      active.delete(key);
+    }
+    values.set(key, value);
+    return value;
+  }
+
+  function computeCell(worksheet, cell) {
+    if (cell.value.shareType === "array") throw unsupported("Array formulas are not recalculated");
+    if (EXTERNAL_REF.test(cell.formula)) {
+      throw new Unresolved("EXTERNAL_REFERENCE", "The formula refers to another workbook");
+    }
+    try {
+      const value = scalar(evaluate(parseFormula(cell.formula), worksheet));
+      // A formula pointing at an empty cell shows 0
+      return value === null ? 0 : value;
+    } catch (err) {
+      if (err instanceof FormulaError) return { error: err.code };
+      throw err;
+    }
+  }
+
+  return { formulaValue, changes };
+}
+
+// --- Applying ---
+
+// Applies `formulas` ({ recalculate, externalLinks }) to the whole workbook,
+// before sheets are selected, since formulas may read any sheet. Returns
+// the warnings; throws EXTERNAL_REFERENCE when links are to be rejected.
+function processFormulas(workbook, { recalculate, externalLinks }, { cellBudget = CELL_BUDGET } = {}) {
+  const warnings = [];
+  let count = 0;
+  const warn = (code, worksheet, cell, message) => {
+    count++;
+    if (warnings.length < MAX_WARNINGS) warnings.push({ code, sheet: worksheet.name, cell: cell.address, message });
+  };
+
+  const cells = [];
+  workbook.eachSheet((worksheet) => {
+    unshareFormulas(worksheet);
+    worksheet.eachRow((row) => {
+      row.eachCell((cell) => {
+        if (cell.type === ExcelJS.ValueType.Formula) cells.push([worksheet, cell]);
+      });
+    });
+  });
+
+  const linked = cells.filter(([, cell]) => EXTERNAL_REF.test(cell.formula));
+  if (linked.length && externalLinks === "reject") {
+    const [worksheet, cell] = linked[0];
+    throw new ConversionError(
+      `The formula in ${worksheet.name}!${cell.address} refers to another workbook`, 400, "EXTERNAL_REFERENCE", "externalLinks"
+    );
+  }
+  linked.forEach(([worksheet, cell]) => {
+    if (externalLinks === "blank") cell.value = null;
+    // Recalculation warns about these as it meets them
+    else if (!recalculate) warn("EXTERNAL_REFERENCE", worksheet, cell, "The formula refers to another workbook; kept the cached value");
+  });
+
+  if (recalculate) {
+    const evaluator = createEvaluator(workbook, warn, cellBudget);
+    // Top to bottom, so chains of running totals are mostly already known
+    cells.forEach(([worksheet, cell]) => {
+      if (cell.type === ExcelJS.ValueType.Formula) evaluator.formulaValue(worksheet, cell);
+    });
+    // Setting `value` would drop falsy results such as 0 or FALSE
+    evaluator.changes.forEach(([cell, formula, value]) => {
+      cell.model = { ...cell.model, formula, result: value };
+    });
+  }
+
+  if (count > warnings.length) {
+    const more = count - warnings.length;
+    warnings.push({ code: "MORE_WARNINGS", count: more, message: `${more} more warnings were not listed` });
+  }
+  return warnings;
+}
+
+// Counts by code for the X-Conversion-Warnings header, e.g.
+// "UNSUPPORTED_FUNCTION=2, EXTERNAL_REFERENCE=1"
+function describeWarnings(warnings) {
+  const counts = new Map();
+  warnings.forEach(({ code, count = 1 }) => counts.set(code, (counts.get(code) || 0) + count));
+  return [...counts].map(([code, count]) => `${code}=${count}`).join(", ");
+}
+
+module.exports = {
+  EXTERNAL_LINK_POLICIES,
+  EXTERNAL_REF,
+  parseFormulaOptions,
+  unshareFormulas,
+  parseFormula,
+  formulaReferences,
+  processFormulas,
+  describeWarnings,
+};
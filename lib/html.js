@@ -0,0 +1,230 @@
+const ExcelJS = require("exceljs");
+const { displayText } = require("./measure");
+
+// --- Self-contained HTML rendering of a workbook ---
+// Each sheet becomes a heading and a table built from the ExcelJS model:
+// column widths, row heights, merged cells, fonts, fills, borders and
+// alignment are kept. Styles are collected into one <style> block.
+// Charts, images and conditional formatting are not rendered.
+
+// Excel column width units are ~7px at 96 dpi, plus 5px of cell padding
+const PX_PER_WIDTH_UNIT = 7;
+const COLUMN_PADDING_PX = 5;
+const DEFAULT_COLUMN_WIDTH = 8.43;
+
+const BORDER_STYLES = {
+  hair: "1px dotted",
+  dotted: "1px dotted",
+  thin: "1px solid",
+  dashed: "1px dashed",
+  dashDot: "1px dashed",
+  dashDotDot: "1px dashed",
+  medium: "2px solid",
+  mediumDashed: "2px dashed",
+  mediumDashDot: "2px dashed",
+  mediumDashDotDot: "2px dashed",
+  slantDashDot: "2px dashed",
+  thick: "3px solid",
+  double: "3px double",
+};
+
+const HORIZONTAL = { left: "left", center: "center", centerContinuous: "center", right: "right", justify: "justify", distributed: "justify" };
+const VERTICAL = { top: "top", middle: "middle", bottom: "bottom", justify: "middle", distributed: "middle" };
+const LINK_PROTOCOLS = /^(https?:|mailto:)/i;
+
+const BASE_CSS = [
+  "body{font-family:Calibri,Arial,sans-serif;font-size:11pt;margin:16px}",
+  "h2{font-size:14pt;margin:24px 0 8px}",
+  "table{border-collapse:collapse;table-layout:fixed}",
+  "td{padding:1px 2px;overflow:hidden;vertical-align:bottom;white-space:pre}",
+  ".gridlines td{border:1px solid #d4d4d4}",
+].join("\n");
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only explicit ARGB colors are known without the workbook theme. The hex
+// check keeps workbook text from escaping the style attribute.
+function cssColor(color) {
+  return color && typeof color.argb === "string" && /^[0-9a-f]{8}$/i.test(color.argb) ? `#${color.argb.slice(2)}` : null;
+}
+
+function fontCss(font, declarations) {
+  if (!font) return;
+  if (font.name) declarations.push(`font-family:"${font.name.replace(/["\\<>]/g, "")}"`);
+  if (font.size) declarations.push(`font-size:${font.size}pt`);
+  if (font.bold) declarations.push("font-weight:bold");
+  if (font.italic) declarations.push("font-style:italic");
+  const lines = [font.underline && "underline", font.strike && "line-through"].filter(Boolean);
+  if (lines.length) declarations.push(`text-decoration:${lines.join(" ")}`);
+  const color = cssColor(font.color);
+  if (color) declarations.push(`color:${color}`);
+}
+
+function fillCss(fill, declarations) {
+  if (!fill || fill.type !== "pattern" || fill.pattern !== "solid") return;
+  const color = cssColor(fill.fgColor);
+  if (color) declarations.push(`background-color:${color}`);
+}
+
+function borderCss(border, declarations) {
+  if (!border) return;
+  ["top", "right", "bottom", "left"].forEach((side) => {
+    const edge = border[side];
+    if (!edge || !BORDER_STYLES[edge.style]) return;
+    declarations.push(`border-${side}:${BORDER_STYLES[edge.style]} ${cssColor(edge.color) || "#000"}`);
+  });
+}
+
+// Numbers and dates sit on the right unless the cell says otherwise
+function alignmentCss(cell, declarations) {
+  const alignment = cell.alignment || {};
+  const value = cell.type === ExcelJS.ValueType.Formula ? cell.result : cell.value;
+  const horizontal = HORIZONTAL[alignment.horizontal]
+    || (typeof value === "number" || value instanceof Date ? "right" : null);
+  if (horizontal) declarations.push(`text-align:${horizontal}`);
+  if (VERTICAL[alignment.vertical]) declarations.push(`vertical-align:${VERTICAL[alignment.vertical]}`);
+  if (alignment.wrapText) declarations.push("white-space:pre-wrap");
+  if (alignment.indent) declarations.push(`padding-left:${alignment.indent * 9}px`);
+}
+
+function cellCss(cell) {
+  const declarations = [];
+  fontCss(cell.font, declarations);
+  fillCss(cell.fill, declarations);
+  borderCss(cell.border, declarations);
+  alignmentCss(cell, declarations);
+  return declarations.join(";");
+}
+
+// Hands out one class name per distinct declaration list
+function createClassRegistry() {
+  const classes = new Map();
+  return {
+    classFor(css) {
+      if (!css) return null;
+      if (!classes.has(css)) classes.set(css, `c${classes.size}`);
+      return classes.get(css);
+    },
+    css() {
+      return [...classes].map(([css, name]) => `td.${name}{${css}}`).join("\n");
+    },
+  };
+}
+
+// Rows and columns to show: the print area when there is a single one,
+// otherwise the used range
+function sheetRange(worksheet) {
+  const area = /^\$?([A-Z]{1,3})\$?(\d+):\$?([A-Z]{1,3})\$?(\d+)$/.exec(worksheet.pageSetup.printArea || "");
+  if (area) {
+    return {
+      top: Number(area[2]),
+      left: worksheet.getColumn(area[1]).number,
+      bottom: Number(area[4]),
+      right: worksheet.getColumn(area[3]).number,
+    };
+  }
+  return { top: 1, left: 1, bottom: worksheet.rowCount, right: worksheet.columnCount };
+}
+
+// Merge masters with their spans, and the cells the merges cover
+function mergeLayout(worksheet) {
+  const masters = new Map();
+  const covered = new Set();
+  Object.values(worksheet._merges || {}).forEach(({ model: { top, left, bottom, right } }) => {
+    masters.set(`${top}:${left}`, { bottom, right });
+    for (let row = top; row <= bottom; row++) {
+      for (let col = left; col <= right; col++) {
+        if (row !== top || col !== left) covered.add(`${row}:${col}`);
+      }
+    }
+  });
+  return { masters, covered };
+}
+
+function cellContent(cell) {
+  const text = escapeHtml(displayText(cell));
+  const link = cell.value && typeof cell.value === "object" ? cell.value.hyperlink : null;
+  return link && LINK_PROTOCOLS.test(link) ? `<a href="${escapeHtml(link)}">${text}</a>` : text;
+}
+
+function renderSheet(worksheet, registry) {
+  const { top, left, bottom, right } = sheetRange(worksheet);
+  const { masters, covered } = mergeLayout(worksheet);
+  const visibleColumns = [];
+  for (let col = left; col <= right; col++) {
+    if (!worksheet.getColumn(col).hidden) visibleColumns.push(col);
+  }
+  const isHiddenRow = (rowNumber) => worksheet.getRow(rowNumber).hidden;
+  const countVisible = (from, to, hidden) => {
+    let count = 0;
+    for (let i = from; i <= to; i++) if (!hidden(i)) count++;
+    return count;
+  };
+
+  const cols = visibleColumns.map((col) => {
+    const width = worksheet.getColumn(col).width || DEFAULT_COLUMN_WIDTH;
+    return `<col style="width:${Math.round(width * PX_PER_WIDTH_UNIT + COLUMN_PADDING_PX)}px">`;
+  });
+
+  const rows = [];
+  for (let rowNumber = top; rowNumber <= bottom; rowNumber++) {
+    if (isHiddenRow(rowNumber)) continue;
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    visibleColumns.forEach((col) => {
+      const key = `${rowNumber}:${col}`;
+      if (covered.has(key)) return;
+      const cell = row.getCell(col);
+      const attributes = [];
+      const merge = masters.get(key);
+      if (merge) {
+        const rowspan = countVisible(rowNumber, Math.min(merge.bottom, bottom), isHiddenRow);
+        const colspan = countVisible(col, Math.min(merge.right, right), (c) => worksheet.getColumn(c).hidden);
+        if (rowspan > 1) attributes.push(` rowspan="${rowspan}"`);
+        if (colspan > 1) attributes.push(` colspan="${colspan}"`);
+      }
+      const name = registry.classFor(cellCss(cell));
+      if (name) attributes.push(` class="${name}"`);
+      cells.push(`<td${attributes.join("")}>${cellContent(cell)}</td>`);
+    });
+    const height = row.height ? ` style="height:${row.height}pt"` : "";
+    rows.push(`<tr${height}>${cells.join("")}</tr>`);
+  }
+
+  const tableClass = worksheet.pageSetup.showGridLines ? ' class="gridlines"' : "";
+  return [
+    `<section><h2>${escapeHtml(worksheet.name)}</h2>`,
+    `<table${tableClass}><colgroup>${cols.join("")}</colgroup><tbody>`,
+    rows.join("\n"),
+    "</tbody></table></section>",
+  ].join("\n");
+}
+
+// Render a (preprocessed) xlsx Buffer to a complete HTML document. The
+// document title is the requested metadata title, else the sheet names.
+async function renderHtml(buffer, options = {}) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const registry = createClassRegistry();
+  const sheets = workbook.worksheets.map((worksheet) => renderSheet(worksheet, registry));
+  const title = (options.metadata && options.metadata.title) || workbook.worksheets.map((ws) => ws.name).join(", ");
+  return [
+    "<!DOCTYPE html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${BASE_CSS}\n${registry.css()}\n</style>`,
+    "</head><body>",
+    sheets.join("\n"),
+    "</body></html>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { renderHtml };
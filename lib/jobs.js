@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const { limit, convertToFile, ConversionError } = require("./convert");
+const { removeFile } = require("./spool");
+
+// --- In-memory job store ---
+// Finished jobs (done or failed) keep their result for `ttlMs`, then expire.
+// Results are spooled files in TEMP_DIR, removed with their job. A job
+// belongs to the tenant that created it (null when authentication is off)
+// and is not found for any other tenant.
+function createJobStore({ ttlMs, sweepIntervalMs = 60000 }) {
+  const jobs = new Map();
+
+  function isExpired(job) {
+    return job.expiresAt !== null && job.expiresAt <= Date.now();
+  }
+
+  function discard(job) {
+    jobs.delete(job.id);
+    if (job.result) removeFile(job.result).catch(() => {});
+    job.result = null;
+  }
+
+  function create(fields = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      timings: {},
+      redactions: null,
+      warnings: null,
+      error: null,
+      result: null,
+      contentType: "application/pdf",
+      tenant: null,
+      ...fields,
+    };
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  function get(id, tenant = null) {
+    const job = jobs.get(id);
+    if (!job || job.tenant !== tenant) return undefined;
+    if (isExpired(job)) {
+      discard(job);
+      return undefined;
+    }
+    return job;
+  }
+
+  function remove(id, tenant = null) {
+    const job = get(id, tenant);
+    if (!job) return false;
+    discard(job);
+    return true;
+  }
+
+  function finish(job) {
+    job.finishedAt = Date.now();
+    job.expiresAt = job.finishedAt + ttlMs;
+  }
+
+  function markRunning(job) {
+    job.status = "running";
+    job.startedAt = Date.now();
+  }
+
+  // `result` is the spooled output; `report` carries the conversion's
+  // redaction summary and formula warnings. The result of a job deleted
+  // while it ran is removed straight away.
+  function markDone(job, result, timings, { redactions = null, warnings = null } = {}) {
+    job.status = "done";
+    job.result = result;
+    if (!jobs.has(job.id)) discard(job);
+    job.timings = timings;
+    job.redactions = redactions;
+    job.warnings = warnings;
+    finish(job);
+  }
+
+  function markFailed(job, statusCode, message, code) {
+    job.status = "failed";
+    job.error = { statusCode, message, code: code || null };
+    finish(job);
+  }
+
+  function sweep() {
+    for (const job of jobs.values()) {
+      if (isExpired(job)) discard(job);
+    }
+  }
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    create,
+    get,
+    remove,
+    markRunning,
+    markDone,
+    markFailed,
+    sweep,
+    get size() {
+      return jobs.size;
+    },
+  };
+}
+
+// Public representation of a job (never includes the result itself)
+function serializeJob(job) {
+  const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+  const timings = { ...job.timings };
+  if (job.startedAt !== null) timings.queueMs = job.startedAt - job.createdAt;
+  if (job.finishedAt !== null) timings.totalMs = job.finishedAt - job.createdAt;
+
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: iso(job.createdAt),
+    startedAt: iso(job.startedAt),
+    finishedAt: iso(job.finishedAt),
+    expiresAt: iso(job.expiresAt),
+    timings,
+    redactions: job.redactions,
+    warnings: job.warnings,
+    error: job.error ? job.error.message : null,
+    errorCode: job.error ? job.error.code : null,
+  };
+}
+
+async function runJob(store, job, source, options, log) {
+  store.markRunning(job);
+
+  try {
+    const { file, timings, ...report } = await convertToFile(source, options, log);
+    store.markDone(job, file, timings, report);
+    log.info({ jobId: job.id }, "Job complete");
+  } catch (err) {
+    if (err instanceof ConversionError) {
+      store.markFailed(job, err.statusCode, err.message, err.code);
+    } else {
+      log.error({ err, jobId: job.id }, "Job conversion error");
+      store.markFailed(job, 500, "Internal server error", "INTERNAL_ERROR");
+    }
+  }
+}
+
+// Queue a conversion behind the shared concurrency limiter. Jobs deleted
+// while still queued are skipped; results of jobs deleted mid-run are removed.
+// A spooled `source` belongs to the job and is removed once it has run.
+function enqueueJob(store, job, source, options, log) {
+  return limit(async () => {
+    try {
+      if (store.get(job.id, job.tenant)) await runJob(store, job, source, options, log);
+    } finally {
+      if (!Buffer.isBuffer(source)) await removeFile(source);
+    }
+  });
+}
+
+module.exports = { createJobStore, serializeJob, enqueueJob };
@@ -0,0 +1,200 @@
+const JSZip = require("jszip");
+const { ConversionError } = require("./errors");
+
+// --- Paper size, margins, scaling and header/footer templates ---
+
+// Excel/OOXML paperSize codes
+const PAPER_SIZES = {
+  letter: 1,
+  tabloid: 3,
+  legal: 5,
+  a3: 8,
+  a4: 9,
+  a5: 11,
+};
+
+// Margin presets in inches, matching Excel's Normal/Narrow/Wide
+const MARGIN_PRESETS = {
+  normal: { left: 0.7, right: 0.7, top: 0.75, bottom: 0.75, header: 0.3, footer: 0.3 },
+  narrow: { left: 0.25, right: 0.25, top: 0.75, bottom: 0.75, header: 0.3, footer: 0.3 },
+  wide: { left: 1, right: 1, top: 1, bottom: 1, header: 0.5, footer: 0.5 },
+};
+
+const INCHES_PER_UNIT = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4, pt: 1 / 72 };
+const LENGTH_PATTERN = /^(\d+(?:\.\d+)?)\s*(in|cm|mm|pt)?$/;
+
+// Template tokens and the Excel header/footer codes they map to. `file` and
+// `timestamp` are substituted as literal text at conversion time.
+const TOKENS = {
+  page: "&P",
+  pages: "&N",
+  sheet: "&A",
+  date: "&D",
+  time: "&T",
+  file: null,
+  timestamp: null,
+};
+const TOKEN_PATTERN = /\{(\w+)\}/g;
+const SECTIONS = { left: "&L", center: "&C", right: "&R" };
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+// "12mm", "0.5in", "1.2cm", "18pt" or a bare number of inches. `field` may
+// name a part of a request field, such as margins.top.
+function parseLength(value, field) {
+  const match = LENGTH_PATTERN.exec(String(value).trim());
+  if (!match) throw invalid(`${field} must be a length such as 0.5in, 12mm or 1cm`, field.split(".")[0]);
+  return Number(match[1]) * INCHES_PER_UNIT[match[2] || "in"];
+}
+
+function parseJsonObject(value, field) {
+  if (typeof value === "object") return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+  } catch {
+    // fall through
+  }
+  throw invalid(`${field} must be a JSON object`, field);
+}
+
+function parseMargins(value) {
+  const preset = MARGIN_PRESETS[String(value).trim().toLowerCase()];
+  if (preset) return { ...preset };
+
+  const given = parseJsonObject(value, "margins");
+  const margins = { ...MARGIN_PRESETS.normal };
+  for (const [side, length] of Object.entries(given)) {
+    if (!(side in margins)) {
+      throw invalid(`margins.${side} is not a margin; use ${Object.keys(margins).join(", ")}`, "margins");
+    }
+    margins[side] = parseLength(length, `margins.${side}`);
+  }
+  return margins;
+}
+
+// A plain string is centered; a JSON object may set left/center/right.
+// Templates may start with a token such as {file}, so only `{"` marks JSON.
+function parseHeaderFooter(value, field) {
+  const trimmed = String(value).trim();
+  const sections = /^\{\s*"/.test(trimmed) ? parseJsonObject(trimmed, field) : { center: value };
+
+  for (const [section, template] of Object.entries(sections)) {
+    if (!SECTIONS[section]) throw invalid(`${field}.${section} must be left, center or right`, field);
+    if (typeof template !== "string") throw invalid(`${field}.${section} must be a string`, field);
+    for (const [, token] of template.matchAll(TOKEN_PATTERN)) {
+      if (!(token in TOKENS)) {
+        throw invalid(`Unknown ${field} token {${token}}; use ${Object.keys(TOKENS).map((t) => `{${t}}`).join(", ")}`, field);
+      }
+    }
+  }
+  return sections;
+}
+
+function parseLayoutOptions(body) {
+  const options = {};
+  const isSet = (key) => body[key] !== undefined && body[key] !== "";
+
+  if (isSet("paperSize")) {
+    const name = String(body.paperSize).trim().toLowerCase();
+    if (name === "custom") {
+      if (!isSet("paperWidth") || !isSet("paperHeight")) {
+        throw invalid("paperSize custom requires paperWidth and paperHeight", "paperSize");
+      }
+      options.paperSize = "custom";
+      options.paperWidth = parseLength(body.paperWidth, "paperWidth");
+      options.paperHeight = parseLength(body.paperHeight, "paperHeight");
+    } else if (PAPER_SIZES[name]) {
+      options.paperSize = PAPER_SIZES[name];
+    } else {
+      throw invalid(`paperSize must be one of ${[...Object.keys(PAPER_SIZES), "custom"].join(", ")}`, "paperSize");
+    }
+  }
+  if (isSet("margins")) {
+    options.margins = parseMargins(body.margins);
+  }
+  if (isSet("scale")) {
+    const scale = Number(body.scale);
+    if (!Number.isInteger(scale) || scale < 10 || scale > 400) {
+      throw invalid("scale must be an integer percentage between 10 and 400", "scale");
+    }
+    options.scale = scale;
+  }
+  if (isSet("header")) {
+    options.header = parseHeaderFooter(body.header, "header");
+  }
+  if (isSet("footer")) {
+    options.footer = parseHeaderFooter(body.footer, "footer");
+  }
+
+  return options;
+}
+
+// Build the Excel header/footer code string for one template; `field`
+// (header or footer) is reported when the result is too long
+function renderHeaderFooter(sections, context, field = "header") {
+  const escape = (text) => text.replace(/&/g, "&&");
+  const code = Object.entries(SECTIONS)
+    .filter(([section]) => sections[section])
+    .map(([section, prefix]) => {
+      const parts = sections[section].split(TOKEN_PATTERN);
+      // split() with a capture group alternates literal text and token names
+      const body = parts.map((part, i) => {
+        if (i % 2 === 0) return escape(part);
+        if (part === "file") return escape(context.fileName);
+        if (part === "timestamp") return escape(context.timestamp);
+        return TOKENS[part];
+      });
+      return prefix + body.join("");
+    })
+    .join("");
+
+  if (code.length > 255) throw invalid("header and footer must each be at most 255 characters", field);
+  return code;
+}
+
+function applyLayout(worksheet, options, context) {
+  if (typeof options.paperSize === "number") {
+    worksheet.pageSetup.paperSize = options.paperSize;
+  } else if (options.paperSize === "custom") {
+    // Dimensions are written by applyCustomPaperSize after serialization
+    delete worksheet.pageSetup.paperSize;
+  }
+  if (options.margins) {
+    worksheet.pageSetup.margins = { ...options.margins };
+  }
+  if (options.scale) {
+    worksheet.pageSetup.fitToPage = false;
+    worksheet.pageSetup.scale = options.scale;
+  }
+  if (options.header || options.footer) {
+    worksheet.headerFooter = { ...worksheet.headerFooter };
+    if (options.header) worksheet.headerFooter.oddHeader = renderHeaderFooter(options.header, context);
+    if (options.footer) worksheet.headerFooter.oddFooter = renderHeaderFooter(options.footer, context, "footer");
+  }
+}
+
+// ExcelJS cannot write paperWidth/paperHeight, so patch them into every
+// sheet's <pageSetup> element of the serialized workbook
+async function applyCustomPaperSize(xlsxBuffer, options) {
+  const zip = await JSZip.loadAsync(xlsxBuffer);
+  const attributes = `paperWidth="${(options.paperWidth * 25.4).toFixed(2)}mm" paperHeight="${(options.paperHeight * 25.4).toFixed(2)}mm"`;
+
+  const sheets = zip.file(/^xl\/worksheets\/sheet\d+\.xml$/);
+  for (const file of sheets) {
+    const xml = await file.async("string");
+    zip.file(file.name, xml.replace(/<pageSetup\b/, `<pageSetup ${attributes}`));
+  }
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  PAPER_SIZES,
+  MARGIN_PRESETS,
+  parseLayoutOptions,
+  renderHeaderFooter,
+  applyLayout,
+  applyCustomPaperSize,
+};
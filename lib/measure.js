@@ -0,0 +1,217 @@
+const ExcelJS = require("exceljs");
+
+// --- Column auto-width from the text a cell actually displays ---
+
+// Excel column widths are measured in "0" characters of the default 11pt font
+const BASE_FONT_SIZE = 11;
+const BOLD_FACTOR = 1.1;
+const PADDING = 2;
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 50;
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December"];
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Excel serial day 0 is 1899-12-30 once the 1900 leap-year bug is accounted for
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Serial of 9999-12-31, the last day Excel can show
+const MAX_SERIAL = 2958465;
+// What Excel shows for a date it cannot display
+const DATE_FILL = "########";
+
+// Wide (two-column) code points: CJK, Hangul, fullwidth forms and emoji
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2e80, 0x303e], [0x3041, 0x33ff], [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff], [0xa000, 0xa4cf], [0xac00, 0xd7a3], [0xf900, 0xfaff],
+  [0xfe30, 0xfe4f], [0xff00, 0xff60], [0xffe0, 0xffe6], [0x1f300, 0x1f64f],
+  [0x1f900, 0x1f9ff], [0x20000, 0x3fffd],
+];
+
+function charWidth(codePoint) {
+  if (codePoint >= 0x300 && codePoint <= 0x36f) return 0; // combining marks
+  if (codePoint === 0x200b || codePoint === 0xfeff) return 0; // zero-width
+  return WIDE_RANGES.some(([lo, hi]) => codePoint >= lo && codePoint <= hi) ? 2 : 1;
+}
+
+// Display width of a single line, counting wide characters twice
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) width += charWidth(char.codePointAt(0));
+  return width;
+}
+
+// --- Number formats ---
+
+// First section for positives/zero, second (if any) for negatives
+function pickSection(numFmt, value) {
+  const sections = numFmt.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (value < 0 && sections.length > 1) return { format: sections[1], negativeHandled: true };
+  if (value === 0 && sections.length > 2) return { format: sections[2], negativeHandled: false };
+  return { format: sections[0], negativeHandled: false };
+}
+
+// Remove colors/conditions, keep currency symbols from locale tags ([$€-407])
+function stripBrackets(format) {
+  return format.replace(/\[\$([^\]-]*)(?:-[^\]]*)?\]/g, '"$1"').replace(/\[[^\]]*\]/g, "");
+}
+
+function isDateFormat(format) {
+  const unquoted = format.replace(/"[^"]*"/g, "").replace(/\\./g, "").replace(/AM\/PM|A\/P/gi, "h");
+  return !/[0#?]/.test(unquoted) && /[ymdhs]/i.test(unquoted);
+}
+
+function generalNumber(value) {
+  if (Number.isInteger(value) && Math.abs(value) < 1e11) return String(value);
+  if (Math.abs(value) >= 1e11 || (value !== 0 && Math.abs(value) < 1e-9)) {
+    return value.toExponential(5).replace(/\.?0+e/, "e").toUpperCase();
+  }
+  return String(Number(value.toPrecision(10)));
+}
+
+function formatDate(date, format) {
+  if (Number.isNaN(date.getTime())) return DATE_FILL;
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  const hasAmPm = /AM\/PM|A\/P/i.test(format);
+  const hours = date.getUTCHours();
+  // Split into quoted literals and format tokens so literals are kept verbatim
+  const tokens = format.match(/"[^"]*"|\\.|AM\/PM|A\/P|y+|m+|d+|h+|s+|[^"\\ymdhsAa]+|./gi) || [];
+
+  let previous = "";
+  return tokens.map((token, i) => {
+    const lower = token.toLowerCase();
+    const next = (tokens.slice(i + 1).find((t) => /^[a-z]/i.test(t)) || "").toLowerCase();
+    let out;
+    if (token.startsWith('"')) out = token.slice(1, -1);
+    else if (token.startsWith("\\")) out = token.slice(1);
+    else if (lower === "am/pm") out = hours < 12 ? "AM" : "PM";
+    else if (lower === "a/p") out = hours < 12 ? "A" : "P";
+    else if (lower[0] === "y") out = lower.length <= 2 ? pad(date.getUTCFullYear() % 100) : String(date.getUTCFullYear());
+    else if (lower[0] === "d") {
+      if (lower.length >= 4) out = DAYS[date.getUTCDay()];
+      else if (lower.length === 3) out = DAYS[date.getUTCDay()].slice(0, 3);
+      else out = lower.length === 2 ? pad(date.getUTCDate()) : String(date.getUTCDate());
+    } else if (lower[0] === "h") {
+      const h = hasAmPm ? hours % 12 || 12 : hours;
+      out = lower.length >= 2 ? pad(h) : String(h);
+    } else if (lower[0] === "s") out = lower.length >= 2 ? pad(date.getUTCSeconds()) : String(date.getUTCSeconds());
+    else if (lower[0] === "m") {
+      // "m" after an hour or before a second means minutes
+      const minutes = previous[0] === "h" || next[0] === "s";
+      if (minutes) out = lower.length >= 2 ? pad(date.getUTCMinutes()) : String(date.getUTCMinutes());
+      else if (lower.length >= 5) out = MONTHS[date.getUTCMonth()][0];
+      else if (lower.length === 4) out = MONTHS[date.getUTCMonth()];
+      else if (lower.length === 3) out = MONTHS[date.getUTCMonth()].slice(0, 3);
+      else out = lower.length === 2 ? pad(date.getUTCMonth() + 1) : String(date.getUTCMonth() + 1);
+    } else out = token;
+    if (/^[a-z]/i.test(token)) previous = lower;
+    return out;
+  }).join("");
+}
+
+function formatNumber(value, format, negativeHandled) {
+  const unquoted = format.replace(/"[^"]*"/g, "").replace(/\\./g, "");
+  const percent = unquoted.includes("%");
+  let number = percent ? value * 100 : value;
+  if (negativeHandled) number = Math.abs(number);
+
+  const placeholders = /[0#?][0#?,.]*/.exec(unquoted);
+  if (!placeholders) return format.replace(/"([^"]*)"/g, "$1").replace(/\\(.)/g, "$1");
+
+  const pattern = placeholders[0];
+  const [intPart, fracPart = ""] = pattern.split(".");
+  const decimals = (fracPart.match(/[0#?]/g) || []).length;
+  const grouping = /[0#?],[0#?]/.test(intPart);
+
+  let digits = Math.abs(number).toFixed(decimals);
+  if (grouping) {
+    const [whole, fraction] = digits.split(".");
+    digits = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",") + (fraction ? `.${fraction}` : "");
+  }
+  if (number < 0) digits = `-${digits}`;
+
+  // Literal text around the number pattern
+  const at = format.indexOf(pattern);
+  const literal = (text) => text.replace(/"([^"]*)"/g, "$1").replace(/\\(.)/g, "$1").replace(/_./g, " ").replace(/\*./g, "");
+  return literal(format.slice(0, at)) + digits + literal(format.slice(at + pattern.length));
+}
+
+// Apply an Excel number format to a number or date
+function formatValue(value, numFmt) {
+  if (value instanceof Date) {
+    const format = numFmt && isDateFormat(stripBrackets(numFmt)) ? stripBrackets(numFmt) : "yyyy-mm-dd";
+    return formatDate(value, format);
+  }
+  if (typeof value !== "number") return String(value);
+  if (!numFmt || /^general$/i.test(numFmt)) return generalNumber(value);
+
+  const { format, negativeHandled } = pickSection(stripBrackets(numFmt), value);
+  if (/^general$/i.test(format.trim())) return generalNumber(value);
+  if (isDateFormat(format)) {
+    if (value < 0 || value >= MAX_SERIAL + 1) return DATE_FILL;
+    return formatDate(new Date(EXCEL_EPOCH_MS + value * MS_PER_DAY), format);
+  }
+  return formatNumber(value, format, negativeHandled);
+}
+
+// Resolve rich text, hyperlinks, formulas and errors to what Excel would show
+function resolveValue(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value !== "object" || value instanceof Date) return value;
+  if (Array.isArray(value.richText)) return value.richText.map((run) => run.text).join("");
+  if (value.formula !== undefined || value.sharedFormula !== undefined) return resolveValue(value.result);
+  if (value.text !== undefined) return resolveValue(value.text);
+  if (value.error !== undefined) return value.error;
+  return "";
+}
+
+function displayText(cell) {
+  const value = resolveValue(cell.value);
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  return formatValue(value, cell.numFmt);
+}
+
+// Width in character units of a cell's text at `fontSize`. Wrapped cells only
+// need room for their longest word; explicit line breaks are measured per line.
+function cellWidth(cell, fontSize) {
+  const text = displayText(cell);
+  if (!text) return 0;
+
+  const pieces = cell.alignment && cell.alignment.wrapText ? text.split(/\s+/) : text.split(/\r?\n/);
+  const chars = Math.max(...pieces.map(textWidth));
+  const bold = cell.font && cell.font.bold ? BOLD_FACTOR : 1;
+  return chars * bold * (fontSize / BASE_FONT_SIZE);
+}
+
+// Masters of merges spanning several columns: their text is spread across
+// the merge, so it must not widen the first column
+function horizontalMergeMasters(worksheet) {
+  const masters = new Set();
+  Object.entries(worksheet._merges || {}).forEach(([address, range]) => {
+    if (range.model.right > range.model.left) masters.add(address);
+  });
+  return masters;
+}
+
+// Column width for the widest cell width measured in it, clamped to a sane range
+function fitWidth(maxWidth) {
+  return Math.min(Math.max(Math.ceil(maxWidth) + PADDING, MIN_WIDTH), MAX_WIDTH);
+}
+
+// Size every column to its widest displayed cell
+function autoFitColumns(worksheet, fontSize) {
+  const skip = horizontalMergeMasters(worksheet);
+
+  worksheet.columns.forEach((column) => {
+    let maxWidth = 0;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      if (cell.type === ExcelJS.ValueType.Merge || skip.has(cell.address)) return;
+      maxWidth = Math.max(maxWidth, cellWidth(cell, fontSize));
+    });
+    column.width = fitWidth(maxWidth);
+  });
+}
+
+module.exports = { textWidth, formatValue, displayText, cellWidth, fitWidth, autoFitColumns };
@@ -0,0 +1,165 @@
+const client = require("prom-client");
+const config = require("./config");
+
+// --- Prometheus metrics ---
+// A dedicated registry so only this service's metrics are exposed.
+const register = new client.Registry();
+
+const PREFIX = "xlsx_to_pdf_";
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// 1 KB to 256 MB
+const SIZE_BUCKETS = client.exponentialBuckets(1024, 4, 10);
+
+const excelDuration = new client.Histogram({
+  name: `${PREFIX}excel_duration_seconds`,
+  help: "Time spent preprocessing workbooks with ExcelJS",
+  labelNames: ["format"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const renderDuration = new client.Histogram({
+  name: `${PREFIX}render_duration_seconds`,
+  help: "Time spent rendering output, by renderer (gotenberg, soffice, builtin, html)",
+  labelNames: ["renderer"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const inputSize = new client.Histogram({
+  name: `${PREFIX}input_bytes`,
+  help: "Size of uploaded spreadsheets",
+  labelNames: ["format"],
+  buckets: SIZE_BUCKETS,
+  registers: [register],
+});
+
+const outputSize = new client.Histogram({
+  name: `${PREFIX}output_bytes`,
+  help: "Size of generated output (PDF, images or HTML)",
+  labelNames: ["renderer"],
+  buckets: SIZE_BUCKETS,
+  registers: [register],
+});
+
+const conversions = new client.Counter({
+  name: `${PREFIX}conversions_total`,
+  help: "Conversions by outcome and resulting HTTP status, across all endpoints",
+  labelNames: ["outcome", "status"],
+  registers: [register],
+});
+
+const httpResponses = new client.Counter({
+  name: `${PREFIX}http_responses_total`,
+  help: "HTTP responses by route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [register],
+});
+
+const rateLimitRejections = new client.Counter({
+  name: `${PREFIX}rate_limit_rejections_total`,
+  help: "Requests rejected by the rate limiter",
+  registers: [register],
+});
+
+const queueRejections = new client.Counter({
+  name: `${PREFIX}queue_rejections_total`,
+  help: "Conversions refused with 503 because MAX_QUEUE_LENGTH was reached",
+  registers: [register],
+});
+
+const cancellations = new client.Counter({
+  name: `${PREFIX}conversions_cancelled_total`,
+  help: "Conversions dropped because the client went away or the request timed out, by stage (queued, running)",
+  labelNames: ["stage"],
+  registers: [register],
+});
+
+const cacheLookups = new client.Counter({
+  name: `${PREFIX}cache_lookups_total`,
+  help: "Result cache lookups on /convert: hit, miss or bypass (disabled or time-dependent output)",
+  labelNames: ["result"],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: `${PREFIX}memory_rss_bytes`,
+  help: "Resident set size of the process",
+  registers: [register],
+  collect() {
+    this.set(process.memoryUsage().rss);
+  },
+});
+
+new client.Gauge({
+  name: `${PREFIX}memory_limit_bytes`,
+  help: "RSS above which new conversions are rejected (MEMORY_LIMIT_MB)",
+  registers: [register],
+  collect() {
+    this.set(config.memoryLimitMB * 1024 * 1024);
+  },
+});
+
+// Queue depth and running conversions of a p-limit limiter
+function instrumentLimiter(limit) {
+  new client.Gauge({
+    name: `${PREFIX}queue_pending`,
+    help: "Conversions waiting for a free slot",
+    registers: [register],
+    collect() {
+      this.set(limit.pendingCount);
+    },
+  });
+  new client.Gauge({
+    name: `${PREFIX}queue_active`,
+    help: "Conversions currently running",
+    registers: [register],
+    collect() {
+      this.set(limit.activeCount);
+    },
+  });
+  new client.Gauge({
+    name: `${PREFIX}queue_concurrency`,
+    help: "Maximum concurrent conversions (CONCURRENCY_LIMIT)",
+    registers: [register],
+    collect() {
+      this.set(config.concurrencyLimit);
+    },
+  });
+}
+
+// `timings` is the object returned by convert()
+function recordConversion(format, inputBytes, outputBytes, timings) {
+  if (timings.excelMs > 0) excelDuration.observe({ format }, timings.excelMs / 1000);
+  renderDuration.observe({ renderer: timings.renderer }, timings.renderMs / 1000);
+  inputSize.observe({ format }, inputBytes);
+  outputSize.observe({ renderer: timings.renderer }, outputBytes);
+  conversions.inc({ outcome: "success", status: "200" });
+}
+
+function recordConversionFailure(format, inputBytes, statusCode) {
+  inputSize.observe({ format }, inputBytes);
+  conversions.inc({ outcome: "failure", status: String(statusCode || 500) });
+}
+
+// Express middleware counting every response once it is sent. Routes are
+// labelled by their pattern (/jobs/:id) to keep cardinality bounded.
+function countResponses(req, res, next) {
+  res.on("finish", () => {
+    const route = req.route ? req.route.path : "unmatched";
+    httpResponses.inc({ method: req.method, route, status: String(res.statusCode) });
+  });
+  next();
+}
+
+module.exports = {
+  register,
+  rateLimitRejections,
+  queueRejections,
+  cancellations,
+  cacheLookups,
+  instrumentLimiter,
+  recordConversion,
+  recordConversionFailure,
+  countResponses,
+};
@@ -0,0 +1,88 @@
+const { ConversionError } = require("./errors");
+
+// --- Output formats: PDF, page images and HTML ---
+
+const OUTPUT_FORMATS = ["pdf", "png", "jpeg", "html"];
+const IMAGE_FORMATS = ["png", "jpeg"];
+const IMAGE_PAGES = ["first", "all"];
+const IMAGE_FIELDS = ["pages", "dpi", "imageWidth", "imageHeight", "quality"];
+
+const DEFAULT_DPI = 96;
+const MAX_DPI = 600;
+const MAX_IMAGE_SIZE = 10000;
+const DEFAULT_QUALITY = 85;
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+function given(value) {
+  return value !== undefined && value !== "";
+}
+
+function parseIntInRange(value, field, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalid(`${field} must be an integer from ${min} to ${max}`, field);
+  }
+  return number;
+}
+
+function parseImageOptions(body, output) {
+  const pages = given(body.pages) ? String(body.pages) : "first";
+  if (!IMAGE_PAGES.includes(pages)) {
+    throw invalid(`pages must be one of ${IMAGE_PAGES.join(", ")}`, "pages");
+  }
+  if (given(body.quality) && output !== "jpeg") throw invalid("quality only applies to jpeg output", "quality");
+  return {
+    pages,
+    dpi: given(body.dpi) ? parseIntInRange(body.dpi, "dpi", 36, MAX_DPI) : DEFAULT_DPI,
+    width: given(body.imageWidth) ? parseIntInRange(body.imageWidth, "imageWidth", 16, MAX_IMAGE_SIZE) : null,
+    height: given(body.imageHeight) ? parseIntInRange(body.imageHeight, "imageHeight", 16, MAX_IMAGE_SIZE) : null,
+    quality: given(body.quality) ? parseIntInRange(body.quality, "quality", 1, 100) : DEFAULT_QUALITY,
+  };
+}
+
+// Normalize `output` and the image fields into `{ output, image }`; `image`
+// is null unless the output is png or jpeg. "jpg" is accepted for jpeg.
+function parseOutputOptions(body = {}) {
+  const raw = given(body.output) ? String(body.output).toLowerCase() : "pdf";
+  const output = raw === "jpg" ? "jpeg" : raw;
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw invalid(`output must be one of ${OUTPUT_FORMATS.join(", ")}`, "output");
+  }
+  if (IMAGE_FORMATS.includes(output)) {
+    return { output, image: parseImageOptions(body, output) };
+  }
+  const stray = IMAGE_FIELDS.find((field) => given(body[field]));
+  if (stray) throw invalid(`${stray} only applies to png and jpeg output`, stray);
+  return { output, image: null };
+}
+
+// PDF-only document options that cannot carry over to other outputs
+function assertOutputCompatible(options) {
+  if (options.output === "pdf") return;
+  if (options.encryption || options.pdfa || options.pdfua) {
+    throw invalid("Passwords, pdfa and pdfua only apply to pdf output", "output");
+  }
+  if (options.output === "html" && options.watermark) {
+    throw invalid("Watermarks do not apply to html output", "output");
+  }
+}
+
+// Content type and file extension of a conversion's result. Every page of
+// an image output comes back zipped.
+function outputType(options) {
+  switch (options.output) {
+    case "png":
+    case "jpeg":
+      if (options.image.pages === "all") return { contentType: "application/zip", extension: ".zip" };
+      return { contentType: `image/${options.output}`, extension: options.output === "png" ? ".png" : ".jpg" };
+    case "html":
+      return { contentType: "text/html; charset=utf-8", extension: ".html" };
+    default:
+      return { contentType: "application/pdf", extension: ".pdf" };
+  }
+}
+
+module.exports = { OUTPUT_FORMATS, IMAGE_PAGES, IMAGE_FIELDS, parseOutputOptions, assertOutputCompatible, outputType };
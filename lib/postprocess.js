@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { PDFDocument, PDFWriter, StandardFonts, degrees, rgb } = require("pdf-lib");
+const config = require("./config");
+const { ConversionError } = require("./errors");
+const { parseBoolean } = require("./sheets");
+const { PERMISSIONS, encryptDocument } = require("./encrypt");
+
+// --- PDF post-processing: metadata, watermark, passwords, PDF/A ---
+// Metadata, watermarks and encryption are applied with pdf-lib once the
+// renderer is done. PDF/A and PDF/UA are produced by Gotenberg itself, and
+// pdf-lib's changes would break them, so the two are not combined.
+
+const PDFA_LEVELS = ["PDF/A-1b", "PDF/A-2b", "PDF/A-3b"];
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg"];
+const DEFAULT_WATERMARK_OPACITY = 0.2;
+const WATERMARK_COLOR = rgb(0.5, 0.5, 0.5);
+// Standard fonts are not embedded and only cover WinAnsi (Latin-1)
+const LATIN1_TEXT = /^[\x20-\x7e\xa0-\xff]+$/;
+// The standard security handler only uses the first 32 bytes
+const MAX_PASSWORD_LENGTH = 32;
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+function given(value) {
+  return value !== undefined && value !== "";
+}
+
+function parseMetadata(body) {
+  const metadata = {};
+  if (given(body.title)) metadata.title = String(body.title);
+  if (given(body.author)) metadata.author = String(body.author);
+  if (given(body.subject)) metadata.subject = String(body.subject);
+  if (given(body.keywords)) {
+    metadata.keywords = String(body.keywords).split(",").map((k) => k.trim()).filter(Boolean);
+  }
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+// A PNG or JPEG named `name` in WATERMARK_DIR
+function findWatermarkImage(name) {
+  if (!config.watermarkDir) throw invalid("watermarkImage is not available: WATERMARK_DIR is not set", "watermarkImage");
+  if (!/^[\w-]+$/.test(name)) throw invalid("watermarkImage must be an image name such as company-logo", "watermarkImage");
+  for (const ext of IMAGE_EXTENSIONS) {
+    const file = path.join(config.watermarkDir, `${name}${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  throw invalid(`Unknown watermark image: ${name}`, "watermarkImage");
+}
+
+function parseWatermark(body) {
+  if (given(body.watermark) && given(body.watermarkImage)) {
+    throw invalid("Use either watermark or watermarkImage, not both", "watermarkImage");
+  }
+  let watermark;
+  if (given(body.watermark)) {
+    const text = String(body.watermark).trim();
+    if (!LATIN1_TEXT.test(text)) throw invalid("watermark may only use Latin-1 characters", "watermark");
+    watermark = { text };
+  } else if (given(body.watermarkImage)) {
+    watermark = { image: findWatermarkImage(String(body.watermarkImage)) };
+  } else {
+    if (given(body.watermarkOpacity)) throw invalid("watermarkOpacity needs watermark or watermarkImage", "watermarkOpacity");
+    return null;
+  }
+
+  watermark.opacity = DEFAULT_WATERMARK_OPACITY;
+  if (given(body.watermarkOpacity)) {
+    const opacity = Number(body.watermarkOpacity);
+    if (!(opacity > 0 && opacity <= 1)) throw invalid("watermarkOpacity must be a number above 0 and at most 1", "watermarkOpacity");
+    watermark.opacity = opacity;
+  }
+  return watermark;
+}
+
+function parsePassword(value, field) {
+  const password = String(value);
+  if (!LATIN1_TEXT.test(password)) throw invalid(`${field} may only use Latin-1 characters`, field);
+  if (password.length > MAX_PASSWORD_LENGTH) throw invalid(`${field} must be at most ${MAX_PASSWORD_LENGTH} characters`, field);
+  return password;
+}
+
+// "print,copy" or "none"; every permission when not given
+function parsePermissions(value) {
+  const text = String(value).trim();
+  if (text === "none") return [];
+  const names = text.split(",").map((name) => name.trim()).filter(Boolean);
+  const unknown = names.find((name) => !PERMISSIONS.includes(name));
+  if (unknown) {
+    throw invalid(`Unknown permission "${unknown}"; use "none" or a list of ${PERMISSIONS.join(", ")}`, "permissions");
+  }
+  return names;
+}
+
+function parseEncryption(body) {
+  if (!given(body.userPassword) && !given(body.ownerPassword)) {
+    if (given(body.permissions)) throw invalid("permissions needs userPassword or ownerPassword", "permissions");
+    return null;
+  }
+  return {
+    userPassword: given(body.userPassword) ? parsePassword(body.userPassword, "userPassword") : "",
+    // Without an owner password anyone with the user password could lift
+    // the permission limits, so a random one is used
+    ownerPassword: given(body.ownerPassword)
+      ? parsePassword(body.ownerPassword, "ownerPassword")
+      : crypto.randomBytes(16).toString("hex"),
+    permissions: given(body.permissions) ? parsePermissions(body.permissions) : PERMISSIONS,
+  };
+}
+
+// Normalize the document fields into `{ metadata, watermark, encryption,
+// pdfa, pdfua }`. Throws a 400 ConversionError for malformed values.
+function parsePdfOptions(body = {}) {
+  const options = {
+    metadata: parseMetadata(body),
+    watermark: parseWatermark(body),
+    encryption: parseEncryption(body),
+    pdfa: null,
+    pdfua: given(body.pdfua) ? parseBoolean(body.pdfua, "pdfua") : false,
+  };
+  if (given(body.pdfa)) {
+    options.pdfa = PDFA_LEVELS.find((level) => level.toLowerCase() === String(body.pdfa).toLowerCase());
+    if (!options.pdfa) throw invalid(`pdfa must be one of ${PDFA_LEVELS.join(", ")}`, "pdfa");
+  }
+  if ((options.pdfa || options.pdfua) && (options.watermark || options.encryption)) {
+    throw invalid("pdfa and pdfua cannot be combined with a watermark or passwords", options.pdfa ? "pdfa" : "pdfua");
+  }
+  return options;
+}
+
+// Whether postprocessPdf has anything to do for these options
+function needsPostprocessing(options) {
+  return Boolean(options.metadata || options.watermark || options.encryption);
+}
+
+function applyMetadata(doc, metadata) {
+  if (metadata.title) doc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) doc.setAuthor(metadata.author);
+  if (metadata.subject) doc.setSubject(metadata.subject);
+  if (metadata.keywords) doc.setKeywords(metadata.keywords);
+}
+
+// Diagonal text across the middle of the page, as wide as it comfortably fits
+function drawTextWatermark(page, font, watermark) {
+  const { width, height } = page.getSize();
+  const angle = Math.atan2(height, width);
+  const size = Math.min((Math.hypot(width, height) * 0.6) / font.widthOfTextAtSize(watermark.text, 1), 144);
+  const textWidth = font.widthOfTextAtSize(watermark.text, size);
+  const textHeight = font.heightAtSize(size, { descender: false });
+  // Text rotates about its start, so step back from the centre along the
+  // baseline and down across it
+  page.drawText(watermark.text, {
+    x: width / 2 - (Math.cos(angle) * textWidth) / 2 + (Math.sin(angle) * textHeight) / 2,
+    y: height / 2 - (Math.sin(angle) * textWidth) / 2 - (Math.cos(angle) * textHeight) / 2,
+    size,
+    font,
+    color: WATERMARK_COLOR,
+    opacity: watermark.opacity,
+    rotate: degrees((angle * 180) / Math.PI),
+  });
+}
+
+// The image centred on the page, at most half its width and height
+function drawImageWatermark(page, image, watermark) {
+  const { width, height } = page.getSize();
+  const scale = Math.min((width / 2) / image.width, (height / 2) / image.height);
+  page.drawImage(image, {
+    x: (width - image.width * scale) / 2,
+    y: (height - image.height * scale) / 2,
+    width: image.width * scale,
+    height: image.height * scale,
+    opacity: watermark.opacity,
+  });
+}
+
+async function applyWatermark(doc, watermark) {
+  const pages = doc.getPages();
+  if (watermark.text) {
+    const font = await doc.embedFont(StandardFonts.HelveticaBold);
+    pages.forEach((page) => drawTextWatermark(page, font, watermark));
+    return;
+  }
+  const bytes = await fs.promises.readFile(watermark.image);
+  const image = path.extname(watermark.image) === ".png" ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  pages.forEach((page) => drawImageWatermark(page, image, watermark));
+}
+
+// Apply `metadata`, `watermark` and `encryption` from the options to a PDF.
+// The page count is left in `report.pages`.
+async function postprocessPdf(pdf, options, report = {}) {
+  let doc;
+  try {
+    doc = await PDFDocument.load(pdf, { updateMetadata: false });
+    // pdf-lib reads lazily; a file without a page tree fails here
+    report.pages = doc.getPageCount();
+  } catch {
+    throw new ConversionError("The rendered PDF could not be post-processed", 502, "POSTPROCESS_FAILED");
+  }
+
+  if (options.metadata) applyMetadata(doc, options.metadata);
+  if (options.watermark) await applyWatermark(doc, options.watermark);
+  if (!options.encryption) return Buffer.from(await doc.save());
+
+  await doc.flush();
+  encryptDocument(doc, options.encryption);
+  return Buffer.from(await PDFWriter.forContext(doc.context, 50).serializeToBuffer());
+}
+
+module.exports = { PDFA_LEVELS, parsePdfOptions, needsPostprocessing, postprocessPdf };
@@ -0,0 +1,295 @@
+const { ConversionError } = require("./errors");
+const { columnLetter, columnNumber } = require("./print");
+
+// --- Styling presets and per-column number formats ---
+// A preset styles the header rows, stripes the body, normalizes borders
+// and turns on gridline printing. Its header rows repeat on every page,
+// following the sheet's frozen panes when it has them. Cells are styled
+// one at a time through a styler, so streamed sheets get the same result.
+
+// Presets also supply defaults for other form fields; explicit fields win
+const PRESETS = {
+  ledger: {
+    defaults: { fontSize: "9" },
+    header: { font: { bold: true }, fill: "D9E1F2" },
+    zebra: "F2F2F2",
+    border: "thin",
+    gridlines: true,
+  },
+  compact: {
+    defaults: { fontSize: "7", margins: "narrow" },
+    header: { font: { bold: true } },
+    zebra: null,
+    border: "hair",
+    gridlines: true,
+  },
+  presentation: {
+    defaults: { fontSize: "11", margins: "wide" },
+    header: { font: { bold: true, color: { argb: "FFFFFFFF" } }, fill: "1F4E78" },
+    zebra: "DDEBF7",
+    border: "none",
+    gridlines: false,
+  },
+};
+const PRESET_NAMES = Object.keys(PRESETS);
+
+// Locales for named number formats: the LCID tag LibreOffice and Excel use
+// to pick separators and month names, and the default currency
+const LOCALES = {
+  "en-US": { lcid: "409", date: "mm/dd/yyyy", currency: "USD" },
+  "en-GB": { lcid: "809", date: "dd/mm/yyyy", currency: "GBP" },
+  "de-DE": { lcid: "407", date: "dd.mm.yyyy", currency: "EUR" },
+  "fr-FR": { lcid: "40C", date: "dd/mm/yyyy", currency: "EUR" },
+  "es-ES": { lcid: "C0A", date: "dd/mm/yyyy", currency: "EUR" },
+  "it-IT": { lcid: "410", date: "dd/mm/yyyy", currency: "EUR" },
+  "nl-NL": { lcid: "413", date: "dd-mm-yyyy", currency: "EUR" },
+  "pt-BR": { lcid: "416", date: "dd/mm/yyyy", currency: "BRL" },
+  "ja-JP": { lcid: "411", date: "yyyy/mm/dd", currency: "JPY" },
+};
+const NAMED_FORMAT = /^(currency|percent|decimal|integer|date|datetime)(?::(\w+))?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const COLUMN_LETTERS = /^[A-Z]{1,3}$/;
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+function argb(hex) {
+  return { argb: `FF${hex}` };
+}
+
+function solidFill(hex) {
+  return { type: "pattern", pattern: "solid", fgColor: argb(hex) };
+}
+
+// Named form fields filled in from the preset where the request left them out
+function withPresetDefaults(body = {}) {
+  if (body.preset === undefined || body.preset === "") return body;
+  const preset = PRESETS[body.preset];
+  if (!preset) throw invalid(`preset must be one of ${PRESET_NAMES.join(", ")}`, "preset");
+  const merged = { ...body };
+  Object.entries(preset.defaults).forEach(([field, value]) => {
+    if (merged[field] === undefined || merged[field] === "") merged[field] = value;
+  });
+  return merged;
+}
+
+function currencyFormat(locale, code) {
+  let formatter;
+  try {
+    formatter = new Intl.NumberFormat(locale.name, { style: "currency", currency: code });
+  } catch {
+    throw invalid(`Unknown currency: ${code}`, "numberFormats");
+  }
+  const parts = formatter.formatToParts(1);
+  const decimals = formatter.resolvedOptions().maximumFractionDigits;
+  const symbolAt = parts.findIndex((part) => part.type === "currency");
+  const spaced = parts.some((part) => part.type === "literal" && /\s/.test(part.value));
+  const symbol = `[$${parts[symbolAt].value}-${locale.lcid}]`;
+  const number = decimals > 0 ? `#,##0.${"0".repeat(decimals)}` : "#,##0";
+  const space = spaced ? " " : "";
+  return symbolAt === 0 ? `${symbol}${space}${number}` : `${number}${space}${symbol}`;
+}
+
+function decimalsArg(arg, name) {
+  if (arg === undefined) return 2;
+  const decimals = Number(arg);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 10) {
+    throw invalid(`${name}:N needs a number of decimals from 0 to 10`, "numberFormats");
+  }
+  return decimals;
+}
+
+// "currency", "currency:EUR", "percent:1", "decimal:3", "integer", "date",
+// "datetime", or any Excel format code. Dates also turn ISO date text into
+// real dates.
+function resolveFormat(spec, locale) {
+  const match = NAMED_FORMAT.exec(spec);
+  if (!match) return { numFmt: spec, date: false };
+  const [, name, arg] = match;
+  const tag = `[$-${locale.lcid}]`;
+  const fraction = (decimals) => (decimals > 0 ? `.${"0".repeat(decimals)}` : "");
+  switch (name) {
+    case "currency":
+      return { numFmt: currencyFormat(locale, (arg || locale.currency).toUpperCase()), date: false };
+    case "percent":
+      return { numFmt: `${tag}0${fraction(decimalsArg(arg, "percent"))}%`, date: false };
+    case "decimal":
+      return { numFmt: `${tag}#,##0${fraction(decimalsArg(arg, "decimal"))}`, date: false };
+    case "integer":
+      return { numFmt: `${tag}#,##0`, date: false };
+    case "date":
+      return { numFmt: `${tag}${locale.date}`, date: true };
+    default:
+      return { numFmt: `${tag}${locale.date} hh:mm`, date: true };
+  }
+}
+
+// `numberFormats` is a JSON object of column (letter or header text) to
+// format. Returns `[{ column, numFmt, date }]`.
+function parseNumberFormats(value, locale) {
+  let given = value;
+  if (typeof value === "string") {
+    try {
+      given = JSON.parse(value);
+    } catch {
+      given = null;
+    }
+  }
+  if (!given || typeof given !== "object" || Array.isArray(given)) {
+    throw invalid('numberFormats must be a JSON object such as {"C":"currency","Rate":"percent"}', "numberFormats");
+  }
+  return Object.entries(given).map(([column, spec]) => {
+    if (typeof spec !== "string" || spec.trim() === "" || spec.length > 255) {
+      throw invalid(`numberFormats.${column} must be a format name or an Excel format code`, "numberFormats");
+    }
+    return { column, ...resolveFormat(spec.trim(), locale) };
+  });
+}
+
+// Pick `preset`, `locale` and `numberFormats` out of the form body.
+// Returns `{ style, numberFormats }`, each null when not requested.
+function parseStyleOptions(body = {}) {
+  const name = body.locale === undefined || body.locale === "" ? "en-US" : String(body.locale);
+  if (!LOCALES[name]) throw invalid(`locale must be one of ${Object.keys(LOCALES).join(", ")}`, "locale");
+  const locale = { name, ...LOCALES[name] };
+
+  const numberFormats = body.numberFormats === undefined || body.numberFormats === ""
+    ? null
+    : parseNumberFormats(body.numberFormats, locale);
+  const preset = body.preset ? PRESETS[body.preset] : null;
+  if (body.preset && !preset) throw invalid(`preset must be one of ${PRESET_NAMES.join(", ")}`, "preset");
+  const { defaults, ...style } = preset || {};
+  return { style: preset ? style : null, numberFormats };
+}
+
+function frozenPane(worksheet) {
+  return (worksheet.views || []).find((view) => view.state === "frozen") || {};
+}
+
+// With a preset, the frozen rows and columns (else the first row) repeat
+// on every page unless printTitlesRow/printTitlesColumn say otherwise
+function repeatHeaders(options, frozen = {}) {
+  if (!options.style) return options;
+  const repeated = { ...options };
+  if (repeated.printTitlesRow === undefined) repeated.printTitlesRow = frozen.ySplit || 1;
+  if (repeated.printTitlesColumn === undefined && frozen.xSplit) repeated.printTitlesColumn = frozen.xSplit;
+  return repeated;
+}
+
+function toDate(value) {
+  if (typeof value !== "string" || !ISO_DATE.test(value.trim())) return value;
+  const text = value.trim();
+  // Date-only and zone-less times are taken as written, not shifted to UTC
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) || text.length === 10 ? text : `${text}Z`);
+  return Number.isNaN(date.getTime()) ? value : date;
+}
+
+// Styles cells of one sheet. The header row must be read with `readHeader`
+// before the body rows are styled, so named columns can be found.
+function createStyler(options) {
+  const style = options.style;
+  const headerRows = style ? options.printTitlesRow || 1 : options.printTitlesRow || 0;
+  const headerRowNumber = Math.max(headerRows, 1);
+  const formats = new Map();
+  const pending = [];
+
+  (options.numberFormats || []).forEach((format) => {
+    if (COLUMN_LETTERS.test(format.column)) {
+      formats.set(columnNumber(format.column), format);
+    } else {
+      pending.push(format);
+    }
+  });
+
+  // `cells` lists the header row's [colNumber, text] pairs
+  function readHeader(rowNumber, cells) {
+    if (rowNumber !== headerRowNumber) return;
+    pending.forEach((format) => {
+      const found = cells.find(([, text]) => text.trim() === format.column);
+      if (found) formats.set(found[0], format);
+    });
+  }
+
+  // Style a cell (an ExcelJS cell, or a plain object when measuring)
+  function styleCell(cell, rowNumber, colNumber) {
+    const isHeader = rowNumber <= headerRows;
+    const format = !isHeader && formats.get(colNumber);
+    if (format) {
+      if (format.date) cell.value = toDate(cell.value);
+      cell.numFmt = format.numFmt;
+    }
+    if (!style) return;
+    if (isHeader) {
+      cell.font = { ...cell.font, ...style.header.font };
+      if (style.header.fill) cell.fill = solidFill(style.header.fill);
+    }
+    if (style.border === "none") {
+      cell.border = {};
+    } else {
+      const edge = { style: style.border };
+      cell.border = { top: edge, left: edge, bottom: edge, right: edge };
+    }
+  }
+
+  // Throws for a named column that was not in the header
+  function assertColumnsFound() {
+    const missing = pending.find((format) => ![...formats.values()].includes(format));
+    if (missing) throw new ConversionError(`Column not found: ${missing.column}`, 400, "COLUMN_NOT_FOUND", "numberFormats");
+  }
+
+  // Zebra striping, once every row is styled
+  function finish(worksheet, lastRow, lastColumn) {
+    assertColumnsFound();
+    if (style && style.zebra && lastRow > headerRows && lastColumn > 0) {
+      worksheet.addConditionalFormatting({
+        ref: `A${headerRows + 1}:${columnLetter(lastColumn)}${lastRow}`,
+        rules: [{
+          type: "expression",
+          priority: 1,
+          formulae: [`MOD(ROW()-${headerRows},2)=0`],
+          style: { fill: { type: "pattern", pattern: "solid", bgColor: argb(style.zebra) } },
+        }],
+      });
+    }
+  }
+
+  return { readHeader, styleCell, assertColumnsFound, finish };
+}
+
+// Gridline printing lives in the page setup, which a streamed sheet writes
+// before its rows
+function applyGridlines(worksheet, options) {
+  if (options.style) worksheet.pageSetup.showGridLines = options.style.gridlines;
+}
+
+// Style every cell in the used range of a loaded worksheet
+function applyStyles(worksheet, options) {
+  if (!options.style && !options.numberFormats) return;
+  applyGridlines(worksheet, options);
+  const styler = createStyler(options);
+  const lastRow = worksheet.rowCount;
+  const lastColumn = worksheet.columnCount;
+  for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    row.eachCell((cell, colNumber) => cells.push([colNumber, cell.text]));
+    styler.readHeader(rowNumber, cells);
+    for (let colNumber = 1; colNumber <= lastColumn; colNumber++) {
+      styler.styleCell(row.getCell(colNumber), rowNumber, colNumber);
+    }
+  }
+  styler.finish(worksheet, lastRow, lastColumn);
+}
+
+module.exports = {
+  PRESET_NAMES,
+  LOCALES,
+  withPresetDefaults,
+  parseStyleOptions,
+  frozenPane,
+  repeatHeaders,
+  createStyler,
+  applyGridlines,
+  applyStyles,
+};
@@ -0,0 +1,174 @@
+const { ConversionError } = require("./errors");
+
+// --- Print area, repeated titles and manual page breaks ---
+
+// "forced" applies the service's orientation/fit/paper settings,
+// "workbook" keeps whatever page setup the author saved
+const PAGE_SETUP_MODES = ["forced", "workbook"];
+const RANGE_PATTERN = /^\$?[A-Z]{1,3}\$?[1-9]\d*:\$?[A-Z]{1,3}\$?[1-9]\d*$/i;
+const COLUMN_LETTERS = /^[A-Z]{1,3}$/;
+
+// `name` may be nested in a `sheets` entry (sheets[].printArea); the error
+// names the request field it came in
+function invalid(message, name) {
+  return new ConversionError(message, 400, "INVALID_OPTION", name.split(/[.[]/)[0]);
+}
+
+function parsePositiveInt(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw invalid(`${field} must be a positive integer`, field);
+  }
+  return number;
+}
+
+// Pick the print options out of `source` (the form body or a `sheets` entry).
+// Only keys that were given are returned so per-sheet values can override.
+function parsePrintOptions(source, prefix = "") {
+  const options = {};
+  const isSet = (key) => source[key] !== undefined && source[key] !== "";
+
+  if (isSet("printArea")) {
+    const area = String(source.printArea).trim();
+    if (area !== "none" && !RANGE_PATTERN.test(area)) {
+      throw invalid(`${prefix}printArea must be a range like A1:H40, or "none"`, `${prefix}printArea`);
+    }
+    options.printArea = area === "none" ? area : area.replace(/\$/g, "").toUpperCase();
+  }
+  if (isSet("printTitlesRow")) {
+    options.printTitlesRow = parsePositiveInt(source.printTitlesRow, `${prefix}printTitlesRow`);
+  }
+  if (isSet("printTitlesColumn")) {
+    options.printTitlesColumn = parsePositiveInt(source.printTitlesColumn, `${prefix}printTitlesColumn`);
+  }
+  if (isSet("pageBreakEvery")) {
+    options.pageBreakEvery = parsePositiveInt(source.pageBreakEvery, `${prefix}pageBreakEvery`);
+  }
+  if (isSet("pageBreakOnChange")) {
+    options.pageBreakOnChange = String(source.pageBreakOnChange).trim();
+  }
+  if (isSet("pageSetup")) {
+    if (!PAGE_SETUP_MODES.includes(source.pageSetup)) {
+      throw invalid(`${prefix}pageSetup must be one of ${PAGE_SETUP_MODES.join(", ")}`, `${prefix}pageSetup`);
+    }
+    options.pageSetup = source.pageSetup;
+  }
+
+  return options;
+}
+
+function columnLetter(number) {
+  let letters = "";
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function columnNumber(letters) {
+  return [...letters.toUpperCase()].reduce((number, char) => number * 26 + char.charCodeAt(0) - 64, 0);
+}
+
+// Page break rules fed one row at a time, so streamed sheets can use them
+// too. `add` takes the row number and a function returning a cell's text by
+// column number; `finish` returns the row numbers after which a manual page
+// break is inserted.
+function createPageBreakTracker(options) {
+  const headerRows = options.printTitlesRow || 0;
+  const ref = options.pageBreakOnChange;
+  const byHeader = ref !== undefined && !COLUMN_LETTERS.test(ref);
+  const headerRowNumber = Math.max(headerRows, 1);
+  const start = Math.max(headerRows + 1, byHeader ? 2 : 1);
+  let column = ref !== undefined && !byHeader ? columnNumber(ref) : null;
+  let previous;
+  const rows = new Set();
+
+  // `cells` lists the row's [colNumber, text] pairs, only needed for the header row
+  function add(rowNumber, textAt, cells) {
+    if (ref === undefined) return;
+    if (byHeader && rowNumber === headerRowNumber) {
+      const found = cells().find(([, text]) => text.trim() === ref);
+      if (found) column = found[0];
+    }
+    if (rowNumber < start || column === null) return;
+    const current = textAt(column);
+    if (rowNumber > start && current !== previous) rows.add(rowNumber - 1);
+    previous = current;
+  }
+
+  function finish(lastRow) {
+    if (byHeader && column === null) throw new ConversionError(`Column not found: ${ref}`, 400, "COLUMN_NOT_FOUND", "pageBreakOnChange");
+    if (options.pageBreakEvery) {
+      for (let row = headerRows + options.pageBreakEvery; row < lastRow; row += options.pageBreakEvery) {
+        rows.add(row);
+      }
+    }
+    return [...rows].sort((a, b) => a - b);
+  }
+
+  return { add, finish };
+}
+
+function pageBreakRows(worksheet, options) {
+  const tracker = createPageBreakTracker(options);
+  const lastRow = worksheet.rowCount;
+  if (options.pageBreakOnChange !== undefined) {
+    for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      tracker.add(rowNumber, (column) => row.getCell(column).text, () => {
+        const cells = [];
+        row.eachCell((cell, colNumber) => cells.push([colNumber, cell.text]));
+        return cells;
+      });
+    }
+  }
+  return tracker.finish(lastRow);
+}
+
+// fitToWidth/fitToHeight for each `fit` mode (0 means "as many pages as needed")
+const FIT_SETUP = {
+  width: { fitToPage: true, fitToWidth: 1, fitToHeight: 0 },
+  page: { fitToPage: true, fitToWidth: 1, fitToHeight: 1 },
+  none: { fitToPage: false, scale: 100 },
+};
+
+// The service's orientation, fit and A4 paper, for pageSetup "forced"
+function applyForcedPageSetup(worksheet, options) {
+  worksheet.pageSetup = {
+    ...worksheet.pageSetup,
+    orientation: options.landscape === "true" ? "landscape" : "portrait",
+    ...FIT_SETUP[options.fit],
+    paperSize: 9,
+  };
+}
+
+// Print area and repeated titles
+function applyPrintRanges(worksheet, options) {
+  if (options.printArea === "none") {
+    delete worksheet.pageSetup.printArea;
+  } else if (options.printArea) {
+    worksheet.pageSetup.printArea = options.printArea;
+  }
+  if (options.printTitlesRow) {
+    worksheet.pageSetup.printTitlesRow = `1:${options.printTitlesRow}`;
+  }
+  if (options.printTitlesColumn) {
+    worksheet.pageSetup.printTitlesColumn = `A:${columnLetter(options.printTitlesColumn)}`;
+  }
+}
+
+function applyPrintOptions(worksheet, options) {
+  applyPrintRanges(worksheet, options);
+  pageBreakRows(worksheet, options).forEach((row) => worksheet.getRow(row).addPageBreak());
+}
+
+module.exports = {
+  PAGE_SETUP_MODES,
+  parsePrintOptions,
+  applyPrintOptions,
+  applyPrintRanges,
+  applyForcedPageSetup,
+  createPageBreakTracker,
+  columnLetter,
+  columnNumber,
+};
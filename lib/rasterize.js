@@ -0,0 +1,85 @@
+const fs = require("fs/promises");
+const path = require("path");
+const JSZip = require("jszip");
+const config = require("./config");
+const { ConversionError, cancelledError } = require("./errors");
+const { readSource, tempPath, streamToTemp } = require("./spool");
+const { runCommand } = require("./command");
+
+// --- PDF pages to PNG/JPEG with poppler's pdftoppm ---
+
+// pdftoppm names pages `<root>-<n>.<ext>`, with `n` zero-padded
+const PAGE_FILE = /-(\d+)\.(png|jpg)$/;
+
+function pdftoppmArgs(pdfPath, root, options) {
+  const { output, image } = options;
+  const args = [`-${output}`, "-r", String(image.dpi)];
+  if (output === "jpeg") args.push("-jpegopt", `quality=${image.quality}`);
+  // One given dimension keeps the page's aspect ratio; both stretch to fit
+  if (image.width || image.height) {
+    args.push("-scale-to-x", String(image.width || -1), "-scale-to-y", String(image.height || -1));
+  }
+  if (image.pages === "first") {
+    args.push("-f", "1", "-l", "1", "-singlefile");
+  } else {
+    args.push("-l", String(config.maxImagePages));
+  }
+  args.push(pdfPath, root);
+  return args;
+}
+
+// Zip every page image as page-1.png, page-2.png, ...
+async function zipPages(dir, extension) {
+  const pages = (await fs.readdir(dir))
+    .map((name) => ({ name, match: PAGE_FILE.exec(name) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+  const zip = new JSZip();
+  for (const { name, match } of pages) {
+    zip.file(`page-${Number(match[1])}${extension}`, await readSource({ path: path.join(dir, name) }));
+  }
+  // Images are already compressed
+  return streamToTemp(zip.generateNodeStream({ compression: "STORE" }), ".zip");
+}
+
+// Render a spooled PDF to the requested image output: the first page as a
+// single image, or all pages (up to MAX_IMAGE_PAGES) zipped. Works in a
+// private directory under TEMP_DIR; the result is a spooled file.
+async function rasterizePdf(pdf, options, log, signal) {
+  const dir = await fs.mkdtemp(path.join(config.tempDir, "pdftoppm-"));
+  const extension = options.output === "png" ? ".png" : ".jpg";
+  const start = Date.now();
+
+  try {
+    await runCommand(config.pdftoppmPath, pdftoppmArgs(pdf.path, path.join(dir, "page"), options), config.rasterizeTimeoutMs, signal);
+    let file;
+    if (options.image.pages === "first") {
+      file = { path: tempPath(extension), size: 0 };
+      await fs.rename(path.join(dir, `page${extension}`), file.path);
+      file.size = (await fs.stat(file.path)).size;
+    } else {
+      file = await zipPages(dir, extension);
+    }
+    log.info({ rasterizeMs: Date.now() - start, outputSize: file.size }, "Page images complete");
+    return file;
+  } catch (err) {
+    if (err.name === "AbortError") throw cancelledError();
+    if (err.code === "ENOENT" && err.path === config.pdftoppmPath) {
+      log.error({ pdftoppmPath: config.pdftoppmPath }, "pdftoppm binary not found");
+      throw new ConversionError("Image output is not available on this server", 503, "RENDERER_UNAVAILABLE");
+    }
+    if (err.killed) {
+      log.error("pdftoppm timed out");
+      throw new ConversionError("Image conversion timed out", 504, "CONVERSION_TIMEOUT");
+    }
+    if (typeof err.code === "number" || err.code === "ENOENT") {
+      log.error({ exitCode: err.code, stderr: err.stderr }, "pdftoppm failed");
+      throw new ConversionError("Image conversion failed", 502, "RENDER_FAILED");
+    }
+    throw err;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { rasterizePdf };
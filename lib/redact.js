@@ -0,0 +1,440 @@
+const ExcelJS = require("exceljs");
+const { ConversionError } = require("./errors");
+const { columnLetter, columnNumber } = require("./print");
+const { EXTERNAL_REF, unshareFormulas, formulaReferences } = require("./formulas");
+
+// --- Sensitive-data redaction ---
+// Runs on each selected sheet before any other preprocessing, formula
+// recalculation included, so styling, measuring and every renderer only ever
+// see redacted cells. Columns and ranges are masked or dropped, matching text
+// is masked, and comments, hidden rows/columns, document properties and links
+// to other workbooks can be removed. Formulas that read a redacted cell are
+// redacted too, as their cached results would show it. The summary of what
+// was redacted is returned to the caller; it never contains the redacted
+// values.
+
+const REDACT_MODES = ["mask", "drop"];
+const REMOVABLE = ["comments", "hidden", "properties", "externalLinks"];
+const DEFAULT_MASK = "[REDACTED]";
+const REGEX_MAX_LENGTH = 200;
+
+// Built-in patterns for `redactPatterns`
+const PATTERNS = {
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  iban: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+  // US SSN and EIN, EU VAT numbers
+  taxid: /\b(?:\d{3}-\d{2}-\d{4}|\d{2}-\d{7}|ATU\d{8}|(?:BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|FR|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK)[0-9A-Z]{8,12})\b/g,
+};
+const PATTERN_NAMES = Object.keys(PATTERNS);
+
+// Document properties cleared by redactRemove=properties
+const PROPERTIES = [
+  "creator", "lastModifiedBy", "title", "subject", "keywords", "category", "description",
+  "company", "manager", "language", "contentStatus", "revision", "lastPrinted",
+];
+
+const COLUMN_LETTERS = /^[A-Z]{1,3}$/;
+const CELL = "\\$?([A-Z]{1,3})\\$?([1-9]\\d*)";
+const RANGE_PATTERN = new RegExp(`^${CELL}(?::${CELL})?$`, "i");
+
+function invalid(message, field) {
+  return new ConversionError(message, 400, "INVALID_OPTION", field);
+}
+
+function isSet(value) {
+  return value !== undefined && value !== "";
+}
+
+// A JSON array or a comma-separated list of strings
+function parseList(value, field) {
+  let entries = value;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch {
+        throw invalid(`${field} must be valid JSON`, field);
+      }
+    } else {
+      entries = trimmed.split(",");
+    }
+  }
+  if (!Array.isArray(entries) || entries.some((entry) => typeof entry !== "string")) {
+    throw invalid(`${field} must be a comma-separated list or a JSON array of strings`, field);
+  }
+  entries = entries.map((entry) => entry.trim()).filter(Boolean);
+  if (entries.length === 0) throw invalid(`${field} must be a non-empty list`, field);
+  return entries;
+}
+
+// "B2", "A1:C10", "Staff!D2:D40" or "'Pay roll'!A1:B5"
+function parseRange(text) {
+  const bang = text.lastIndexOf("!");
+  let sheet = null;
+  if (bang !== -1) {
+    sheet = text.slice(0, bang).trim();
+    if (/^'.*'$/.test(sheet)) sheet = sheet.slice(1, -1).replace(/''/g, "'");
+    if (sheet === "") throw invalid(`redactRanges has an empty sheet name: ${text}`, "redactRanges");
+  }
+  const match = RANGE_PATTERN.exec(text.slice(bang + 1).trim());
+  if (!match) throw invalid(`redactRanges must list ranges like A1:C10 or Sheet1!B2, got ${text}`, "redactRanges");
+  const [, col1, row1, col2 = col1, row2 = row1] = match;
+  const [left, right] = [columnNumber(col1), columnNumber(col2)].sort((a, b) => a - b);
+  const [top, bottom] = [Number(row1), Number(row2)].sort((a, b) => a - b);
+  return { sheet, top, left, bottom, right };
+}
+
+// Whether a repeated group repeats something itself or offers alternatives,
+// as in (a+)+ or (a|ab)*. Those backtrack catastrophically on text that
+// almost matches, and the regex runs against every cell on the event loop.
+function repeatsAmbiguously(source) {
+  const groups = [];
+  let inner = { repeats: false, alternates: false };
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push(inner);
+      inner = { repeats: false, alternates: false };
+    } else if (char === ")" && groups.length) {
+      const group = inner;
+      inner = groups.pop();
+      const repeated = /[*+{]/.test(source[i + 1] || "");
+      if (repeated && (group.repeats || group.alternates)) return true;
+      inner.repeats = inner.repeats || group.repeats || repeated;
+    } else if (char === "|") {
+      inner.alternates = true;
+    } else if (char === "*" || char === "+" || char === "{") {
+      inner.repeats = true;
+    }
+  }
+  return false;
+}
+
+function parseRegex(source) {
+  if (source.length > REGEX_MAX_LENGTH) {
+    throw invalid(`redactRegex must be at most ${REGEX_MAX_LENGTH} characters`, "redactRegex");
+  }
+  let regex;
+  try {
+    regex = new RegExp(source, "g");
+  } catch {
+    throw invalid("redactRegex must be a valid regular expression", "redactRegex");
+  }
+  if (regex.test("")) throw invalid("redactRegex must not match empty text", "redactRegex");
+  if (repeatsAmbiguously(source)) {
+    throw invalid("redactRegex must not repeat a group that repeats or alternates, such as (a+)+ or (a|b)*", "redactRegex");
+  }
+  return source;
+}
+
+// Pick the redact* fields out of the form body. Returns `{ redaction }`,
+// null when nothing is to be redacted. Patterns stay as names and source
+// text so the options can be compared and cached.
+function parseRedactionOptions(body = {}) {
+  const mode = isSet(body.redactMode) ? String(body.redactMode).trim().toLowerCase() : "mask";
+  if (!REDACT_MODES.includes(mode)) throw invalid(`redactMode must be one of ${REDACT_MODES.join(", ")}`, "redactMode");
+  const mask = isSet(body.redactMask) ? String(body.redactMask) : DEFAULT_MASK;
+
+  const columns = isSet(body.redactColumns) ? parseList(body.redactColumns, "redactColumns") : [];
+  const ranges = isSet(body.redactRanges) ? parseList(body.redactRanges, "redactRanges").map(parseRange) : [];
+  const patterns = isSet(body.redactPatterns) ? parseList(body.redactPatterns, "redactPatterns") : [];
+  const unknownPattern = patterns.find((name) => !PATTERNS[name]);
+  if (unknownPattern !== undefined) {
+    throw invalid(`redactPatterns must list ${PATTERN_NAMES.join(", ")}, got ${unknownPattern}`, "redactPatterns");
+  }
+  const regex = isSet(body.redactRegex) ? parseRegex(String(body.redactRegex)) : null;
+
+  let remove = isSet(body.redactRemove) ? parseList(body.redactRemove, "redactRemove") : [];
+  if (remove.includes("all")) remove = REMOVABLE;
+  const unknownRemoval = remove.find((name) => !REMOVABLE.includes(name));
+  if (unknownRemoval !== undefined) {
+    throw invalid(`redactRemove must list ${REMOVABLE.join(", ")} or all, got ${unknownRemoval}`, "redactRemove");
+  }
+
+  if (!columns.length && !ranges.length && !patterns.length && !regex && !remove.length) return { redaction: null };
+  return { redaction: { mode, mask, columns, ranges, patterns: [...new Set(patterns)], regex, remove: [...new Set(remove)] } };
+}
+
+// Text shown for a value, or null for values patterns never look at
+function valueText(value) {
+  if (typeof value === "string") return value;
+  if (typeof value === "number") return String(value);
+  if (!value || typeof value !== "object") return null;
+  if (Array.isArray(value.richText)) return value.richText.map((run) => run.text).join("");
+  if (value.formula !== undefined || value.sharedFormula !== undefined) return valueText(value.result);
+  return null;
+}
+
+// Insert into an ascending list of numbers, once
+function insertSorted(list, number) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid] < number) low = mid + 1;
+    else high = mid;
+  }
+  if (list[low] !== number) list.splice(low, 0, number);
+}
+
+// Whether an ascending list holds a number from `from` to `to`
+function holdsBetween(list, from, to) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid] < from) low = mid + 1;
+    else high = mid;
+  }
+  return low < list.length && list[low] <= to;
+}
+
+// ExcelJS has no public way to take a note off a cell, and a loaded cell
+// keeps a copy of it in its value's model too
+function removeNote(cell) {
+  const { comment, ...model } = cell.model;
+  delete cell._comment;
+  cell.model = model;
+}
+
+// Redacts the sheets of one workbook. `redactSheet` is called for each
+// selected sheet while the workbook still holds every sheet, then `finish`
+// redacts dependent formulas, clears workbook-wide data and returns the
+// summary; it throws for a named column or sheet that was never seen.
+// `removeRowsAndColumns` drops columns and hidden rows and columns after
+// any recalculation.
+function createRedactor(redaction) {
+  const { mode, mask, remove } = redaction;
+  const matchers = [
+    ...redaction.patterns.map((name) => [name, PATTERNS[name]]),
+    ...(redaction.regex ? [["regex", new RegExp(redaction.regex, "g")]] : []),
+  ];
+  const byLetter = redaction.columns.filter((column) => COLUMN_LETTERS.test(column));
+  const byHeader = redaction.columns.filter((column) => !COLUMN_LETTERS.test(column));
+  const foundHeaders = new Set();
+  const seenSheets = new Set();
+  // Redacted cells by sheet (lower-cased, as formulas may spell it either
+  // way) and column, with their rows in ascending order
+  const redacted = new Map();
+  // Rows and columns each sheet loses once formulas are dealt with
+  const removals = [];
+
+  const summary = { mode };
+  if (redaction.columns.length) summary.columns = [];
+  if (redaction.ranges.length) summary.cells = 0;
+  if (matchers.length) summary.matches = Object.fromEntries(matchers.map(([name]) => [name, 0]));
+  if (remove.includes("comments")) summary.comments = 0;
+  if (remove.includes("hidden")) Object.assign(summary, { hiddenRows: 0, hiddenColumns: 0 });
+  if (remove.includes("properties")) summary.properties = [];
+  if (remove.includes("externalLinks")) summary.externalLinks = 0;
+
+  function maskText(text) {
+    return matchers.reduce((masked, [name, regex]) => masked.replace(regex, () => {
+      summary.matches[name]++;
+      return mask;
+    }), text);
+  }
+
+  // Mask every match in the cell's text; the cell becomes plain text, and
+  // a hyperlink whose text or target matched loses its target. Returns
+  // whether the cell changed.
+  function maskMatches(cell) {
+    const { value } = cell;
+    if (value && typeof value === "object" && value.hyperlink !== undefined) {
+      const text = maskText(String(value.text));
+      const linked = matchers.some(([, regex]) => value.hyperlink.search(regex) !== -1);
+      if (text !== value.text || linked) cell.value = text;
+      return text !== value.text || linked;
+    }
+    const text = valueText(value);
+    if (text === null) return false;
+    const masked = maskText(text);
+    if (masked !== text) cell.value = masked;
+    return masked !== text;
+  }
+
+  function markRedacted(sheetName, rowNumber, colNumber) {
+    const key = sheetName.toLowerCase();
+    if (!redacted.has(key)) redacted.set(key, new Map());
+    const columns = redacted.get(key);
+    if (!columns.has(colNumber)) columns.set(colNumber, []);
+    insertSorted(columns.get(colNumber), rowNumber);
+  }
+
+  // Whether a range of `ranges` (see formulaReferences) holds a redacted cell
+  function readsRedacted(sheetName, ranges) {
+    return ranges.some((range) => {
+      const columns = redacted.get((range.sheet === null ? sheetName : range.sheet).toLowerCase());
+      if (!columns) return false;
+      for (const [colNumber, rows] of columns) {
+        if (colNumber >= range.left && colNumber <= range.right && holdsBetween(rows, range.top, range.bottom)) return true;
+      }
+      return false;
+    });
+  }
+
+  // Formula cells anywhere in the workbook that read a redacted cell, also
+  // through other formulas, become the mask (or empty in drop mode).
+  // Formulas that cannot be traced are taken to read one.
+  function redactDependents(workbook) {
+    if (redacted.size === 0) return;
+    let pending = [];
+    workbook.eachSheet((worksheet) => {
+      unshareFormulas(worksheet);
+      worksheet.eachRow((row) => {
+        row.eachCell((cell) => {
+          if (cell.type === ExcelJS.ValueType.Formula) pending.push([worksheet, cell, formulaReferences(workbook, cell.formula)]);
+        });
+      });
+    });
+    let found = true;
+    while (found) {
+      found = false;
+      pending = pending.filter(([worksheet, cell, ranges]) => {
+        if (ranges !== null && !readsRedacted(worksheet.name, ranges)) return true;
+        cell.value = mode === "mask" ? mask : null;
+        markRedacted(worksheet.name, cell.row, cell.col);
+        summary.formulas = (summary.formulas || 0) + 1;
+        found = true;
+        return false;
+      });
+    }
+  }
+
+  // `headerRow` is the last row kept when whole columns are masked; named
+  // columns are looked up in it
+  function redactSheet(worksheet, { headerRow = 1 } = {}) {
+    seenSheets.add(worksheet.name);
+    const columns = new Map(byLetter.map((letters) => [columnNumber(letters), null]));
+    if (byHeader.length) {
+      worksheet.getRow(headerRow).eachCell((cell, colNumber) => {
+        const text = cell.text.trim();
+        if (!byHeader.includes(text)) return;
+        columns.set(colNumber, text);
+        foundHeaders.add(text);
+      });
+    }
+    columns.forEach((header, colNumber) => {
+      summary.columns.push({ sheet: worksheet.name, column: columnLetter(colNumber), header });
+    });
+    const ranges = redaction.ranges.filter((range) => range.sheet === null || range.sheet === worksheet.name);
+    const inRange = (rowNumber, colNumber) => ranges.some((range) =>
+      rowNumber >= range.top && rowNumber <= range.bottom && colNumber >= range.left && colNumber <= range.right);
+
+    unshareFormulas(worksheet);
+    const external = [];
+    worksheet.eachRow((row) => {
+      row.eachCell((cell) => {
+        if (cell.type !== ExcelJS.ValueType.Formula) return;
+        if (remove.includes("externalLinks") && EXTERNAL_REF.test(cell.formula)) external.push(cell);
+      });
+    });
+    // A link to another workbook keeps its last calculated value
+    external.forEach((cell) => {
+      cell.value = cell.result === undefined ? null : cell.result;
+      summary.externalLinks++;
+    });
+
+    // Empty cells are visited too: they can carry a comment
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        if (remove.includes("comments") && cell.note !== undefined) {
+          removeNote(cell);
+          summary.comments++;
+        }
+        if (cell.type === ExcelJS.ValueType.Merge || cell.value === null) return;
+        if (columns.has(colNumber) && rowNumber > headerRow) {
+          // Dropped columns go in `finish`, with everything in them
+          if (mode === "mask") cell.value = mask;
+          markRedacted(worksheet.name, rowNumber, colNumber);
+        } else if (inRange(rowNumber, colNumber)) {
+          cell.value = mode === "mask" ? mask : null;
+          summary.cells++;
+          markRedacted(worksheet.name, rowNumber, colNumber);
+        } else if (matchers.length && maskMatches(cell)) {
+          markRedacted(worksheet.name, rowNumber, colNumber);
+        }
+      });
+    });
+
+    const dropColumns = new Set(mode === "drop" ? columns.keys() : []);
+    const hiddenRows = [];
+    if (remove.includes("hidden")) {
+      for (let colNumber = 1; colNumber <= worksheet.columnCount; colNumber++) {
+        if (!worksheet.getColumn(colNumber).hidden) continue;
+        dropColumns.add(colNumber);
+        worksheet.getColumn(colNumber).eachCell((cell, rowNumber) => markRedacted(worksheet.name, rowNumber, colNumber));
+        summary.hiddenColumns++;
+      }
+      worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        if (!row.hidden) return;
+        hiddenRows.push(rowNumber);
+        row.eachCell((cell, colNumber) => markRedacted(worksheet.name, rowNumber, colNumber));
+      });
+      summary.hiddenRows += hiddenRows.length;
+    }
+    removals.push({ worksheet, dropColumns, hiddenRows });
+  }
+
+  function finish(workbook) {
+    const missingColumn = byHeader.find((header) => !foundHeaders.has(header));
+    if (missingColumn !== undefined) {
+      throw new ConversionError(`Column not found: ${missingColumn}`, 400, "COLUMN_NOT_FOUND", "redactColumns");
+    }
+    const missingSheet = redaction.ranges.find((range) => range.sheet !== null && !seenSheets.has(range.sheet));
+    if (missingSheet) {
+      throw new ConversionError(`Sheet not found: ${missingSheet.sheet}`, 400, "SHEET_NOT_FOUND", "redactRanges");
+    }
+    redactDependents(workbook);
+    if (remove.includes("properties")) {
+      PROPERTIES.forEach((name) => {
+        if (workbook[name] === undefined || workbook[name] === null || workbook[name] === "") return;
+        workbook[name] = undefined;
+        summary.properties.push(name);
+      });
+    }
+    return summary;
+  }
+
+  // Structural removals last, so columns, ranges and formulas refer to the
+  // sheets as they were uploaded until then. Removing from the end keeps
+  // numbers valid.
+  function removeRowsAndColumns() {
+    removals.forEach(({ worksheet, dropColumns, hiddenRows }) => {
+      [...hiddenRows].reverse().forEach((rowNumber) => worksheet.spliceRows(rowNumber, 1));
+      [...dropColumns].sort((a, b) => b - a).forEach((colNumber) => worksheet.spliceColumns(colNumber, 1));
+    });
+  }
+
+  return { redactSheet, finish, removeRowsAndColumns };
+}
+
+// Counts from a summary for the X-Redactions header, e.g.
+// "columns=2, cells=0, matches=5"; names and sheets are left out
+function describeRedactions(summary) {
+  return Object.entries(summary)
+    .filter(([key]) => key !== "mode")
+    .map(([key, value]) => {
+      let count = value;
+      if (Array.isArray(value)) count = value.length;
+      else if (typeof value === "object") count = Object.values(value).reduce((sum, n) => sum + n, 0);
+      return `${key}=${count}`;
+    })
+    .join(", ");
+}
+
+module.exports = {
+  REDACT_MODES,
+  REMOVABLE,
+  PATTERN_NAMES,
+  parseRedactionOptions,
+  createRedactor,
+  describeRedactions,
+};
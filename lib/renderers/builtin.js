@@ -0,0 +1,172 @@
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
+const { ConversionError } = require("../errors");
+const { displayText } = require("../measure");
+const { readSource, writeTemp } = require("../spool");
+
+// --- Pure-JS renderer for simple tabular sheets ---
+// Draws each sheet as a plain grid with pdf-lib: cell text, bold fonts,
+// column widths, repeated title rows and page breaks. Charts, images,
+// fills and conditional formatting are not rendered.
+
+const POINTS_PER_INCH = 72;
+// Excel column width units are ~7px at 96 dpi
+const POINTS_PER_WIDTH_UNIT = 5.25;
+const DEFAULT_COLUMN_WIDTH = 8.43;
+const LINE_HEIGHT = 1.4;
+const CELL_PADDING = 2;
+const GRID_COLOR = rgb(0.8, 0.8, 0.8);
+
+// Portrait page sizes in points by Excel paperSize code
+const PAGE_SIZES = {
+  1: [612, 792],
+  3: [792, 1224],
+  5: [612, 1008],
+  8: [841.89, 1190.55],
+  9: [595.28, 841.89],
+  11: [419.53, 595.28],
+};
+
+// Standard PDF fonts only cover WinAnsi; anything else is drawn as "?"
+const UNSUPPORTED_CHARS = /[^\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/g;
+
+function pageSize(worksheet) {
+  const [width, height] = PAGE_SIZES[worksheet.pageSetup.paperSize] || PAGE_SIZES[9];
+  return worksheet.pageSetup.orientation === "landscape" ? [height, width] : [width, height];
+}
+
+function margins(worksheet) {
+  const m = worksheet.pageSetup.margins || {};
+  const inches = (value, fallback) => (typeof value === "number" ? value : fallback) * POINTS_PER_INCH;
+  return { left: inches(m.left, 0.5), right: inches(m.right, 0.5), top: inches(m.top, 0.5), bottom: inches(m.bottom, 0.5) };
+}
+
+// Cut text down to what fits in `maxWidth`, marking truncation with "…"
+function fitText(text, font, size, maxWidth) {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && font.widthOfTextAtSize(`${text.slice(0, end)}…`, size) > maxWidth) end--;
+  return end > 0 ? `${text.slice(0, end)}…` : "";
+}
+
+// Preprocessing gives every cell the same size, so the first one found is
+// representative for the sheet
+function sheetFontSize(worksheet, fallback) {
+  let size = null;
+  worksheet.eachRow((row) => {
+    row.eachCell((cell) => {
+      if (size === null && cell.font && cell.font.size) size = cell.font.size;
+    });
+  });
+  return size || fallback;
+}
+
+// ExcelJS does not read <rowBreaks> back when loading, so take them from the
+// sheet parts directly. Preprocessed workbooks are written by ExcelJS, which
+// names each part after the sheet id.
+async function readRowBreaks(sheetBuffer) {
+  const zip = await JSZip.loadAsync(sheetBuffer);
+  const breaks = new Map();
+  for (const file of zip.file(/^xl\/worksheets\/sheet\d+\.xml$/)) {
+    const xml = await file.async("string");
+    const section = /<rowBreaks\b[^>]*>([\s\S]*?)<\/rowBreaks>/.exec(xml);
+    const ids = section ? [...section[1].matchAll(/<brk\b[^>]*\bid="(\d+)"/g)].map((match) => Number(match[1])) : [];
+    breaks.set(Number(/sheet(\d+)\.xml$/.exec(file.name)[1]), new Set(ids));
+  }
+  return breaks;
+}
+
+function drawSheet(doc, worksheet, fonts, defaultFontSize, breaks) {
+  const [pageWidth, pageHeight] = pageSize(worksheet);
+  const margin = margins(worksheet);
+  const columnCount = worksheet.columnCount;
+  const rowCount = worksheet.rowCount;
+  if (columnCount === 0 || rowCount === 0) return;
+
+  const widths = [];
+  for (let col = 1; col <= columnCount; col++) {
+    widths.push((worksheet.getColumn(col).width || DEFAULT_COLUMN_WIDTH) * POINTS_PER_WIDTH_UNIT);
+  }
+  // Fit to page width, like the fitToWidth page setup the service applies
+  const printable = pageWidth - margin.left - margin.right;
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const scale = Math.min(1, printable / total);
+  const size = sheetFontSize(worksheet, defaultFontSize) * scale;
+  const rowHeight = size * LINE_HEIGHT;
+
+  const titleRows = /^1:(\d+)$/.exec(worksheet.pageSetup.printTitlesRow || "");
+  const repeated = titleRows ? Number(titleRows[1]) : 0;
+
+  let page;
+  let y;
+  const newPage = () => {
+    page = doc.addPage([pageWidth, pageHeight]);
+    y = pageHeight - margin.top;
+  };
+
+  const drawRow = (rowNumber) => {
+    const row = worksheet.getRow(rowNumber);
+    let x = margin.left;
+    for (let col = 1; col <= columnCount; col++) {
+      const width = widths[col - 1] * scale;
+      const cell = row.getCell(col);
+      page.drawRectangle({ x, y: y - rowHeight, width, height: rowHeight, borderColor: GRID_COLOR, borderWidth: 0.25 });
+      if (cell.type !== ExcelJS.ValueType.Merge) {
+        const font = cell.font && cell.font.bold ? fonts.bold : fonts.regular;
+        const text = fitText(displayText(cell).replace(/\s+/g, " ").replace(UNSUPPORTED_CHARS, "?"), font, size, width - 2 * CELL_PADDING);
+        if (text) {
+          const textWidth = font.widthOfTextAtSize(text, size);
+          const alignRight = typeof cell.value === "number" || (cell.alignment && cell.alignment.horizontal === "right");
+          const textX = alignRight ? x + width - CELL_PADDING - textWidth : x + CELL_PADDING;
+          page.drawText(text, { x: textX, y: y - rowHeight + (rowHeight - size) / 2 + size * 0.2, size, font });
+        }
+      }
+      x += width;
+    }
+    y -= rowHeight;
+  };
+
+  newPage();
+  for (let rowNumber = 1; rowNumber <= rowCount; rowNumber++) {
+    if (y - rowHeight < margin.bottom) {
+      newPage();
+      for (let title = 1; title <= repeated && rowNumber > repeated; title++) drawRow(title);
+    }
+    drawRow(rowNumber);
+    if (breaks.has(rowNumber) && rowNumber < rowCount) {
+      newPage();
+      for (let title = 1; title <= repeated; title++) drawRow(title);
+    }
+  }
+}
+
+async function render(sheet, options, log, format = "xlsx") {
+  if (format !== "xlsx") {
+    throw new ConversionError(`The builtin renderer cannot render .${format} files`, 400, "UNSUPPORTED_RENDERER_INPUT");
+  }
+
+  const sheetBuffer = await readSource(sheet);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(sheetBuffer);
+
+  const doc = await PDFDocument.create();
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+  };
+  const rowBreaks = await readRowBreaks(sheetBuffer);
+  workbook.eachSheet((worksheet) => {
+    drawSheet(doc, worksheet, fonts, options.fontSize, rowBreaks.get(worksheet.id) || new Set());
+  });
+  if (doc.getPageCount() === 0) doc.addPage(PAGE_SIZES[9]);
+
+  // The page count is known here, so the audit log need not read it back
+  return { ...(await writeTemp(Buffer.from(await doc.save()), ".pdf")), pages: doc.getPageCount() };
+}
+
+async function health() {
+  return "available";
+}
+
+module.exports = { name: "builtin", formats: ["xlsx"], render, health };
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const FormData = require("form-data");
+const fetch = require("node-fetch");
+const config = require("../config");
+const { ConversionError, cancelledError, throwIfCancelled } = require("../errors");
+const { CONTENT_TYPES } = require("../formats");
+const { createCircuitBreaker } = require("../breaker");
+const { sourceSize, streamToTemp } = require("../spool");
+
+// --- Gotenberg (LibreOffice over HTTP) renderer ---
+// Requests are balanced across `config.gotenbergUrls`. Each instance has its
+// own circuit breaker; failures that leave the request unprocessed
+// (connection refused, 503) are retried on the next instance. Spooled
+// sheets are streamed into the form and the PDF is streamed to a temp file.
+
+// Network errors raised before Gotenberg could start on the request
+const RETRYABLE_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "EPIPE", "ENOTFOUND", "EAI_AGAIN"]);
+
+// Statuses that mean the instance itself is in trouble rather than the file.
+// Only 503 is retried; 502/504 may come from a proxy after work was done.
+const UPSTREAM_FAILURE_STATUS = new Set([502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// --- Instance pool ---
+// Rebuilt whenever the configured URL list changes.
+let pool = [];
+let poolKey = null;
+let cursor = 0;
+
+function instances() {
+  const key = config.gotenbergUrls.join(" ");
+  if (key !== poolKey) {
+    pool = config.gotenbergUrls.map((url) => ({
+      url,
+      breaker: createCircuitBreaker({
+        threshold: config.gotenbergBreakerThreshold,
+        resetMs: config.gotenbergBreakerResetMs,
+      }),
+      active: 0,
+      health: "unknown",
+    }));
+    poolKey = key;
+    cursor = 0;
+  }
+  return pool;
+}
+
+// Forget all instance state (used by tests)
+function reset() {
+  poolKey = null;
+}
+
+// Picks the next instance whose circuit lets a request through, preferring
+// ones this request has not tried yet. Round-robin order also breaks ties
+// in least-busy mode.
+function pickInstance(tried) {
+  const all = instances();
+  const ordered = all.map((_, i) => all[(cursor + i) % all.length]);
+  cursor = (cursor + 1) % all.length;
+
+  let candidates = ordered.filter((instance) => !tried.has(instance));
+  if (candidates.length === 0) candidates = ordered;
+  if (config.gotenbergBalance === "least-busy") {
+    candidates = [...candidates].sort((a, b) => a.active - b.active);
+  }
+  return candidates.find((instance) => instance.breaker.tryAcquire()) || null;
+}
+
+function upstreamError(message, statusCode, retryable, code = "UPSTREAM_ERROR") {
+  const err = new ConversionError(message, statusCode, code);
+  err.retryable = retryable;
+  return err;
+}
+
+// Gotenberg's `metadata` field takes XMP-style names
+function gotenbergMetadata(metadata) {
+  const fields = {};
+  if (metadata.title) fields.Title = metadata.title;
+  if (metadata.author) fields.Author = metadata.author;
+  if (metadata.subject) fields.Subject = metadata.subject;
+  if (metadata.keywords) fields.Keywords = metadata.keywords;
+  return fields;
+}
+
+// One attempt against one instance; records the outcome on its breaker.
+// The request is aborted on timeout or when the caller's `signal` fires;
+// a cancelled call says nothing about the instance's health.
+async function send(instance, sheet, options, log, format, signal) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.gotenbergTimeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel, { once: true });
+  instance.active++;
+
+  try {
+    const form = new FormData();
+    form.append("files", Buffer.isBuffer(sheet) ? sheet : fs.createReadStream(sheet.path), {
+      filename: `export.${format}`,
+      contentType: CONTENT_TYPES[format],
+      knownLength: sourceSize(sheet),
+    });
+    form.append("landscape", options.landscape);
+    form.append("singlePageSheets", options.singlePageSheets);
+    if (options.pdfa) form.append("pdfa", options.pdfa);
+    if (options.pdfua) form.append("pdfua", "true");
+    if (options.metadata) form.append("metadata", JSON.stringify(gotenbergMetadata(options.metadata)));
+
+    let gotenbergRes;
+    try {
+      gotenbergRes = await fetch(instance.url, {
+        method: "POST",
+        body: form,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (signal && signal.aborted) {
+        instance.breaker.release();
+        throw cancelledError();
+      }
+      instance.breaker.recordFailure();
+      if (err.name === "AbortError") {
+        log.error({ instance: instance.url }, "Gotenberg request timed out");
+        throw upstreamError("PDF conversion timed out", 504, false, "CONVERSION_TIMEOUT");
+      }
+      log.error({ instance: instance.url, err: err.message }, "Gotenberg request failed");
+      throw upstreamError("PDF conversion failed", 502, RETRYABLE_CODES.has(err.code));
+    }
+
+    if (!gotenbergRes.ok) {
+      const errText = await gotenbergRes.text();
+      log.error({ instance: instance.url, status: gotenbergRes.status, error: errText }, "Gotenberg error");
+      // Any other answer shows the instance is up, even if the file failed
+      if (UPSTREAM_FAILURE_STATUS.has(gotenbergRes.status)) {
+        instance.breaker.recordFailure();
+      } else {
+        instance.breaker.recordSuccess();
+      }
+      const statusCode = gotenbergRes.status >= 500 ? 502 : gotenbergRes.status;
+      throw upstreamError("PDF conversion failed", statusCode, gotenbergRes.status === 503);
+    }
+
+    let pdf;
+    try {
+      pdf = await streamToTemp(gotenbergRes.body, ".pdf");
+    } catch (err) {
+      if (signal && signal.aborted) {
+        instance.breaker.release();
+        throw cancelledError();
+      }
+      instance.breaker.recordFailure();
+      if (err.name === "AbortError") {
+        log.error({ instance: instance.url }, "Gotenberg response timed out");
+        throw upstreamError("PDF conversion timed out", 504, false, "CONVERSION_TIMEOUT");
+      }
+      log.error({ instance: instance.url, err: err.message }, "Gotenberg response interrupted");
+      throw upstreamError("PDF conversion failed", 502, false);
+    }
+    instance.breaker.recordSuccess();
+    return pdf;
+  } finally {
+    clearTimeout(timeout);
+    if (signal) signal.removeEventListener("abort", cancel);
+    instance.active--;
+  }
+}
+
+// Send the spreadsheet (a Buffer or spooled file) to Gotenberg with timeout;
+// resolves to the PDF as a spooled file. `format` names the spreadsheet type
+// so LibreOffice picks the right filter.
+async function render(sheet, options, log, format = "xlsx", signal) {
+  const tried = new Set();
+  for (let attempt = 1; ; attempt++) {
+    throwIfCancelled(signal);
+    const instance = pickInstance(tried);
+    if (!instance) {
+      throw new ConversionError("PDF renderer unavailable, try again later", 503, "CIRCUIT_OPEN");
+    }
+    tried.add(instance);
+
+    try {
+      return await send(instance, sheet, options, log, format, signal);
+    } catch (err) {
+      if (!err.retryable || attempt >= config.gotenbergMaxAttempts) throw err;
+      // Jittered exponential backoff: half fixed, half random
+      const backoff = config.gotenbergRetryBaseMs * 2 ** (attempt - 1);
+      const delay = Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+      log.warn({ instance: instance.url, attempt, delay }, "Retrying Gotenberg conversion");
+      await sleep(delay);
+    }
+  }
+}
+
+async function probe(instance) {
+  try {
+    // Derive Gotenberg health URL from conversion URL
+    const gotenbergBase = instance.url.replace(/\/forms\/.*$/, "");
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+      const resp = await fetch(`${gotenbergBase}/health`, { signal: controller.signal });
+      instance.health = resp.ok ? "reachable" : "unhealthy";
+    } finally {
+      clearTimeout(timeout);
+    }
+  } catch {
+    instance.health = "unreachable";
+  }
+  return instance.health;
+}
+
+// "reachable" when any instance is, otherwise "unhealthy" or "unreachable"
+async function health() {
+  const states = await Promise.all(instances().map(probe));
+  if (states.includes("reachable")) return "reachable";
+  return states.includes("unhealthy") ? "unhealthy" : "unreachable";
+}
+
+// Circuit and per-instance state for /health. Instances are identified by
+// host only so internal paths stay private.
+function details() {
+  const list = instances().map((instance) => {
+    const { state, failures, retryAt } = instance.breaker.snapshot();
+    return {
+      host: new URL(instance.url).host,
+      status: instance.health,
+      circuit: state,
+      failures,
+      retryAt,
+      inFlight: instance.active,
+    };
+  });
+  const circuit = list.some((instance) => instance.circuit === "closed")
+    ? "closed"
+    : list.some((instance) => instance.circuit === "half-open") ? "half-open" : "open";
+  return { circuit, balance: config.gotenbergBalance, instances: list };
+}
+
+module.exports = {
+  name: "gotenberg",
+  formats: ["xlsx", "xls", "ods"],
+  // Gotenberg writes metadata itself, which keeps PDF/A's XMP copy in step
+  writesMetadata: true,
+  render,
+  health,
+  details,
+  reset,
+};
@@ -0,0 +1,19 @@
+const gotenberg = require("./gotenberg");
+const soffice = require("./soffice");
+const builtin = require("./builtin");
+
+// --- Renderer registry ---
+// A renderer turns a spreadsheet (a Buffer or spooled `{ path, size }` file)
+// into a spooled PDF file. Each one exports
+// `{ name, formats, render(sheet, options, log, format, signal), health() }`
+// where an aborted `signal` cancels the render. Renderers that write the
+// requested document metadata themselves also set `writesMetadata`.
+const renderers = new Map([gotenberg, soffice, builtin].map((renderer) => [renderer.name, renderer]));
+
+const RENDERER_NAMES = [...renderers.keys()];
+
+function getRenderer(name) {
+  return renderers.get(name);
+}
+
+module.exports = { RENDERER_NAMES, getRenderer };
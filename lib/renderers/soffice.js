@@ -0,0 +1,76 @@
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config");
+const { ConversionError, cancelledError } = require("../errors");
+const { tempPath } = require("../spool");
+const { runCommand } = require("../command");
+
+// --- Local LibreOffice (soffice --headless) renderer ---
+
+// LibreOffice's calc_pdf_Export filter takes its options as inline JSON
+function exportFilter(options) {
+  const filterData = {
+    SinglePageSheets: { type: "boolean", value: options.singlePageSheets === "true" ? "true" : "false" },
+  };
+  return `pdf:calc_pdf_Export:${JSON.stringify(filterData)}`;
+}
+
+// Convert in a private directory under TEMP_DIR, with a throwaway user
+// profile so concurrent soffice processes don't fight over the same lock.
+// The PDF is moved out as a spooled file before the directory is removed.
+async function render(sheet, options, log, format = "xlsx", signal) {
+  const dir = await fs.mkdtemp(path.join(config.tempDir, "soffice-"));
+  const input = path.join(dir, `export.${format}`);
+
+  try {
+    if (Buffer.isBuffer(sheet)) {
+      await fs.writeFile(input, sheet);
+    } else {
+      await fs.copyFile(sheet.path, input);
+    }
+    await runCommand(config.sofficePath, [
+      "--headless",
+      "--norestore",
+      `-env:UserInstallation=file://${path.join(dir, "profile")}`,
+      "--convert-to",
+      exportFilter(options),
+      "--outdir",
+      dir,
+      input,
+    ], config.sofficeTimeoutMs, signal);
+    const pdf = { path: tempPath(".pdf"), size: 0 };
+    await fs.rename(path.join(dir, "export.pdf"), pdf.path);
+    pdf.size = (await fs.stat(pdf.path)).size;
+    return pdf;
+  } catch (err) {
+    // soffice is killed when the caller goes away
+    if (err.name === "AbortError") throw cancelledError();
+    if (err.code === "ENOENT" && err.path === config.sofficePath) {
+      log.error({ sofficePath: config.sofficePath }, "soffice binary not found");
+      throw new ConversionError("LibreOffice is not installed on this server", 503, "RENDERER_UNAVAILABLE");
+    }
+    if (err.killed) {
+      log.error("soffice conversion timed out");
+      throw new ConversionError("PDF conversion timed out", 504, "CONVERSION_TIMEOUT");
+    }
+    if (typeof err.code === "number" || err.code === "ENOENT") {
+      log.error({ exitCode: err.code, stderr: err.stderr }, "soffice conversion failed");
+      throw new ConversionError("PDF conversion failed", 502, "RENDER_FAILED");
+    }
+    throw err;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// "available" when the binary answers --version, otherwise "unavailable"
+async function health() {
+  try {
+    await runCommand(config.sofficePath, ["--version"], 5000);
+    return "available";
+  } catch {
+    return "unavailable";
+  }
+}
+
+module.exports = { name: "soffice", formats: ["xlsx", "xls", "ods"], render, health };
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ConversionError } = require("./errors");
+
+// --- Request validation against openapi.yaml ---
+// The spec is the single description of the request fields: their names,
+// types, enums and ranges are checked here before the option parsers run.
+// Form fields arrive as strings, so values are checked by their text.
+
+const SPEC_PATH = path.join(__dirname, "..", "openapi.yaml");
+const spec = yaml.load(fs.readFileSync(SPEC_PATH, "utf8"));
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+// A component schema with `$ref`s followed and `allOf` parts merged into
+// one object schema
+function resolve(schema) {
+  if (schema.$ref) {
+    return resolve(spec.components.schemas[schema.$ref.replace("#/components/schemas/", "")]);
+  }
+  if (!schema.allOf) return schema;
+  const parts = schema.allOf.map(resolve);
+  return {
+    type: "object",
+    required: parts.flatMap((part) => part.required || []),
+    properties: Object.assign({}, ...parts.map((part) => part.properties)),
+  };
+}
+
+function schemaFor(name) {
+  return resolve({ $ref: `#/components/schemas/${name}` });
+}
+
+function rangeText({ minimum, maximum, exclusiveMinimum }) {
+  if (minimum !== undefined && !exclusiveMinimum) {
+    return maximum === undefined ? ` of at least ${minimum}` : ` from ${minimum} to ${maximum}`;
+  }
+  const bounds = [];
+  if (minimum !== undefined) bounds.push(`above ${minimum}`);
+  if (maximum !== undefined) bounds.push(`at most ${maximum}`);
+  return bounds.length ? ` ${bounds.join(" and ")}` : "";
+}
+
+function inRange(number, { minimum, maximum, exclusiveMinimum }) {
+  if (minimum !== undefined && (exclusiveMinimum ? number <= minimum : number < minimum)) return false;
+  return maximum === undefined || number <= maximum;
+}
+
+// Why `value` does not fit `property`, or null when it does
+function checkValue(value, property, field) {
+  const text = String(value);
+  if (property.enum) {
+    const fold = (option) => (property["x-case-insensitive"] ? String(option).toLowerCase() : String(option));
+    // Surrounding whitespace is ignored, except that a tab is a delimiter
+    const given = new Set([fold(text), fold(text.trim())]);
+    if (property.enum.some((option) => given.has(fold(option)))) return null;
+    return property.enum.length === 2 && property.enum.includes("true") && property.enum.includes("false")
+      ? `${field} must be true or false`
+      : `${field} must be one of ${property.enum.join(", ")}`;
+  }
+  if (property.type === "integer" || property.type === "number") {
+    const pattern = property.type === "integer" ? INTEGER_PATTERN : NUMBER_PATTERN;
+    if (!pattern.test(text.trim()) || !inRange(Number(text), property)) {
+      return `${field} must be ${property.type === "integer" ? "an integer" : "a number"}${rangeText(property)}`;
+    }
+  }
+  if (property.maxLength !== undefined && text.length > property.maxLength) {
+    return `${field} must be at most ${property.maxLength} characters`;
+  }
+  return null;
+}
+
+// Problems with `fields` under the object `schema`, as `{ code, field,
+// message }` entries; `prefix` is put before reported field names.
+// Unset (undefined or empty) fields are skipped.
+function validateFields(fields, schema, { prefix = "" } = {}) {
+  const errors = [];
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined || value === "") return;
+    const field = `${prefix}${name}`;
+    const property = schema.properties[name];
+    if (!property) {
+      errors.push({ code: "UNKNOWN_OPTION", field, message: `Unknown option: ${field}` });
+      return;
+    }
+    const message = checkValue(value, property, field);
+    if (message) errors.push({ code: "INVALID_OPTION", field, message });
+  });
+  return errors;
+}
+
+// Throw a 400 ConversionError for the first problem, listing them all in
+// its `errors`, when `fields` do not fit the named component schema. With
+// `strict: false` unknown fields are not errors; their names are returned.
+function assertValidFields(fields, schemaName, { strict = true, ...options } = {}) {
+  const problems = validateFields(fields, schemaFor(schemaName), options);
+  const unknown = strict ? [] : problems.filter((problem) => problem.code === "UNKNOWN_OPTION");
+  const errors = problems.filter((problem) => !unknown.includes(problem));
+  if (errors.length === 0) return unknown.map((problem) => problem.field);
+  const err = new ConversionError(errors[0].message, 400, errors[0].code, errors[0].field);
+  err.errors = errors;
+  throw err;
+}
+
+module.exports = { spec, schemaFor, validateFields, assertValidFields };
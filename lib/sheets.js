@@ -0,0 +1,137 @@
+const { ConversionError } = require("./errors");
+const { parsePrintOptions } = require("./print");
+
+// --- Sheet selection and per-sheet overrides ---
+
+const FIT_MODES = ["width", "page", "none"];
+
+// Errors name the request field at fault: `sheets` unless another is
+// given, and nested names such as sheets[].fit count as `sheets`
+function invalid(message, name = "sheets") {
+  return new ConversionError(message, 400, "INVALID_OPTION", name.split(/[.[]/)[0]);
+}
+
+function parseBoolean(value, field) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw invalid(`${field} must be true or false`, field);
+}
+
+// One `sheets` entry: a name, a 0-based tab index, or an object with
+// `sheet` plus optional `landscape`, `fontSize`, `fit`, `autoWidth` and print overrides
+function normalizeEntry(entry) {
+  if (typeof entry === "string" || typeof entry === "number") {
+    entry = { sheet: entry };
+  }
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    throw invalid("Each sheets entry must be a sheet name, an index or an object");
+  }
+
+  const { sheet } = entry;
+  const isIndex = Number.isInteger(sheet) && sheet >= 0;
+  if (!isIndex && (typeof sheet !== "string" || sheet === "")) {
+    throw invalid("sheets[].sheet must be a sheet name or a 0-based index");
+  }
+
+  const overrides = {};
+  if (entry.landscape !== undefined) {
+    overrides.landscape = parseBoolean(entry.landscape, "sheets[].landscape") ? "true" : "false";
+  }
+  if (entry.fontSize !== undefined) {
+    const fontSize = Number(entry.fontSize);
+    if (!Number.isFinite(fontSize)) throw invalid("sheets[].fontSize must be a number");
+    overrides.fontSize = Math.min(Math.max(Math.round(fontSize), 6), 72);
+  }
+  if (entry.fit !== undefined) {
+    if (!FIT_MODES.includes(entry.fit)) {
+      throw invalid(`sheets[].fit must be one of ${FIT_MODES.join(", ")}`);
+    }
+    overrides.fit = entry.fit;
+  }
+  if (entry.autoWidth !== undefined) {
+    overrides.autoWidth = parseBoolean(entry.autoWidth, "sheets[].autoWidth");
+  }
+  Object.assign(overrides, parsePrintOptions(entry, "sheets[]."));
+
+  return { sheet, overrides };
+}
+
+// Accepts a JSON array or a comma-separated list of names/indexes.
+// Returns null when no selection was requested.
+function parseSheetSpec(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  let entries = value;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch {
+        throw invalid("sheets must be valid JSON");
+      }
+    } else {
+      entries = trimmed.split(",").map((part) => part.trim()).filter(Boolean)
+        .map((part) => (/^\d+$/.test(part) ? Number(part) : part));
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw invalid("sheets must be a non-empty list");
+  }
+  return entries.map(normalizeEntry);
+}
+
+function isHidden(worksheet) {
+  return worksheet.state === "hidden" || worksheet.state === "veryHidden";
+}
+
+// Resolve the selection against a loaded workbook without changing which
+// sheets it holds; returns `[{ worksheet, overrides }]`.
+function pickSheets(workbook, spec, { includeHidden = false } = {}) {
+  const all = workbook.worksheets;
+  let selected;
+
+  if (spec) {
+    selected = spec.map(({ sheet, overrides }) => {
+      const worksheet = typeof sheet === "number" ? all[sheet] : all.find((ws) => ws.name === sheet);
+      if (!worksheet) throw new ConversionError(`Sheet not found: ${sheet}`, 400, "SHEET_NOT_FOUND", "sheets");
+      // An explicitly requested sheet is printed even if the author hid it
+      worksheet.state = "visible";
+      return { worksheet, overrides };
+    });
+    const ids = selected.map((entry) => entry.worksheet.id);
+    if (new Set(ids).size !== ids.length) throw invalid("sheets must not list the same sheet twice");
+  } else {
+    selected = all
+      .filter((worksheet) => includeHidden || !isHidden(worksheet))
+      .map((worksheet) => ({ worksheet, overrides: {} }));
+  }
+
+  if (selected.length === 0) throw new ConversionError("No sheets to convert", 400, "INVALID_INPUT");
+  return selected;
+}
+
+// Remove the sheets `pickSheets` left out and reorder the rest
+function keepSheets(workbook, selected) {
+  const keep = new Set(selected.map((entry) => entry.worksheet));
+  workbook.worksheets.filter((worksheet) => !keep.has(worksheet)).forEach((worksheet) => workbook.removeWorksheet(worksheet.id));
+  selected.forEach((entry, index) => {
+    entry.worksheet.orderNo = index;
+  });
+  // The active tab index may point at a removed sheet
+  (workbook.views || []).forEach((view) => {
+    view.activeTab = 0;
+    view.firstSheet = 0;
+  });
+}
+
+// Resolve the selection against a loaded workbook. Unselected sheets are
+// removed and the rest reordered; returns `[{ worksheet, overrides }]`.
+function selectSheets(workbook, spec, options) {
+  const selected = pickSheets(workbook, spec, options);
+  keepSheets(workbook, selected);
+  return selected;
+}
+
+module.exports = { FIT_MODES, parseBoolean, parseSheetSpec, pickSheets, keepSheets, selectSheets };
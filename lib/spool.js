@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const multer = require("multer");
+const config = require("./config");
+
+// --- Temp-file spooling ---
+// Uploads, intermediate workbooks and rendered PDFs live in TEMP_DIR instead
+// of memory. A spooled file is `{ path, size }` (multer's upload objects
+// qualify); conversion functions also accept a plain Buffer.
+
+fs.mkdirSync(config.tempDir, { recursive: true });
+
+function tempPath(ext = "") {
+  return path.join(config.tempDir, `${crypto.randomUUID()}${ext}`);
+}
+
+async function writeTemp(buffer, ext) {
+  const file = { path: tempPath(ext), size: buffer.length };
+  await fsp.writeFile(file.path, buffer);
+  return file;
+}
+
+// Fill a new temp file from a stream; the partial file is removed on error
+async function streamToTemp(stream, ext) {
+  const file = { path: tempPath(ext), size: 0 };
+  try {
+    await pipeline(stream, fs.createWriteStream(file.path));
+    file.size = (await fsp.stat(file.path)).size;
+    return file;
+  } catch (err) {
+    await removeFile(file);
+    throw err;
+  }
+}
+
+function removeFile(file) {
+  return fsp.rm(file.path, { force: true });
+}
+
+function sourceSize(source) {
+  return Buffer.isBuffer(source) ? source.length : source.size;
+}
+
+function readSource(source) {
+  return Buffer.isBuffer(source) ? Promise.resolve(source) : fsp.readFile(source.path);
+}
+
+// Read and remove a temp file
+async function takeFile(file) {
+  try {
+    return await fsp.readFile(file.path);
+  } finally {
+    await removeFile(file);
+  }
+}
+
+// Hashes already computed, so the cache key and the audit entry of one
+// conversion read the upload once
+const hashes = new WeakMap();
+
+// sha256 of a Buffer or a spooled file, without loading the file
+async function hashSource(source) {
+  if (hashes.has(source)) return hashes.get(source);
+  const hash = crypto.createHash("sha256");
+  if (Buffer.isBuffer(source)) hash.update(source);
+  else await pipeline(fs.createReadStream(source.path), hash);
+  const digest = hash.digest("hex");
+  hashes.set(source, digest);
+  return digest;
+}
+
+// Multer storage writing uploads straight to TEMP_DIR
+const uploadStorage = multer.diskStorage({
+  destination: config.tempDir,
+  filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}.upload`),
+});
+
+// Remove a request's uploads once the response is sent or the client goes
+// away. Background work (jobs, callbacks) sets `retained` on the file and
+// removes it itself when done.
+function cleanupUploads(req, res, next) {
+  res.on("close", () => {
+    const files = req.files || (req.file ? [req.file] : []);
+    files.filter((file) => !file.retained).forEach((file) => {
+      removeFile(file).catch(() => {});
+    });
+  });
+  next();
+}
+
+module.exports = {
+  tempPath,
+  writeTemp,
+  streamToTemp,
+  removeFile,
+  sourceSize,
+  readSource,
+  takeFile,
+  hashSource,
+  uploadStorage,
+  cleanupUploads,
+};
@@ -0,0 +1,125 @@
+const fs = require("fs/promises");
+const ExcelJS = require("exceljs");
+const config = require("./config");
+const { readCsvRows } = require("./formats");
+const { cellWidth, fitWidth } = require("./measure");
+const { applyForcedPageSetup, applyPrintRanges, createPageBreakTracker } = require("./print");
+const { applyLayout } = require("./layout");
+const { repeatHeaders, createStyler, applyGridlines } = require("./presets");
+const { tempPath, removeFile } = require("./spool");
+
+// --- Streaming preprocessing for large CSV/TSV uploads ---
+// A full ExcelJS model costs many times the size of a large CSV. Instead the
+// spooled file is read twice: once to measure columns and find page breaks,
+// then again to write each row through ExcelJS's streaming writer to a temp
+// file. The output matches preprocessWorkbook for the same options.
+
+// Spooled CSV/TSV uploads above STREAM_THRESHOLD_MB, unless an option needs
+// the whole workbook (per-sheet settings, custom paper patched into the zip,
+// redaction)
+function canStream(source, options) {
+  return !Buffer.isBuffer(source)
+    && (options.inputFormat === "csv" || options.inputFormat === "tsv")
+    && source.size >= config.streamThresholdMB * 1024 * 1024
+    && !options.sheets
+    && options.paperSize !== "custom"
+    && !options.redaction;
+}
+
+// What ExcelJS's cell.text gives for a mapped CSV value
+function cellText(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function headerCells(values) {
+  return values.map((value, i) => [i + 1, cellText(value)]).filter(([, text]) => text !== "");
+}
+
+// First pass: column widths (of the styled cells), column count and page
+// break rows
+async function measureCsv(file, options) {
+  const widths = [];
+  const tracker = createPageBreakTracker(options);
+  const styler = createStyler(options);
+  let rowCount = 0;
+
+  await readCsvRows(file, options, (values) => {
+    rowCount++;
+    styler.readHeader(rowCount, headerCells(values));
+    values.forEach((value, i) => {
+      const cell = { value };
+      styler.styleCell(cell, rowCount, i + 1);
+      const width = value === null ? 0 : cellWidth(cell, options.fontSize);
+      widths[i] = Math.max(widths[i] || 0, width);
+    });
+    tracker.add(rowCount, (column) => cellText(values[column - 1]), () => headerCells(values));
+  });
+
+  styler.assertColumnsFound();
+  return { widths, rowCount, breaks: new Set(tracker.finish(rowCount)) };
+}
+
+// The streaming writer leaves out <printOptions>, which carries gridline
+// printing; the schema puts it just before <pageMargins>
+function writeGridlines(worksheet) {
+  const writePageMargins = worksheet._writePageMargins;
+  worksheet._writePageMargins = function () {
+    this.stream.write('<printOptions gridLines="1"/>');
+    writePageMargins.call(this);
+  };
+}
+
+// Preprocess a spooled CSV/TSV file; resolves to the xlsx as a spooled file
+async function streamCsvWorkbook(file, options) {
+  const sheetOptions = repeatHeaders({ fit: "width", pageSetup: "forced", ...options });
+  const context = { fileName: options.sourceName || "export.xlsx", timestamp: new Date().toISOString() };
+  const { widths, rowCount, breaks } = await measureCsv(file, sheetOptions);
+
+  const output = { path: tempPath(".xlsx"), size: 0 };
+  try {
+    // The writer emits the sheet properties as soon as the sheet is added,
+    // so page setup is worked out on a stand-in first
+    const setup = { pageSetup: {}, headerFooter: {} };
+    if (sheetOptions.pageSetup === "forced") {
+      applyForcedPageSetup(setup, sheetOptions);
+    }
+    applyPrintRanges(setup, sheetOptions);
+    applyGridlines(setup, sheetOptions);
+    applyLayout(setup, sheetOptions, context);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: output.path, useStyles: true });
+    const worksheet = workbook.addWorksheet("Sheet1", setup);
+    if (setup.pageSetup.showGridLines) writeGridlines(worksheet);
+    if (sheetOptions.autoWidth) {
+      worksheet.columns = widths.map((width) => ({ width: fitWidth(width) }));
+    }
+
+    const styler = createStyler(sheetOptions);
+    const styled = sheetOptions.style || sheetOptions.numberFormats;
+    await readCsvRows(file, sheetOptions, (values) => {
+      const row = worksheet.addRow(values);
+      row.eachCell((cell) => {
+        cell.font = { size: sheetOptions.fontSize };
+      });
+      if (styled) {
+        styler.readHeader(row.number, headerCells(values));
+        for (let colNumber = 1; colNumber <= widths.length; colNumber++) {
+          styler.styleCell(row.getCell(colNumber), row.number, colNumber);
+        }
+      }
+      if (breaks.has(row.number)) row.addPageBreak();
+      row.commit();
+    });
+    styler.finish(worksheet, rowCount, widths.length);
+    worksheet.commit();
+    await workbook.commit();
+
+    output.size = (await fs.stat(output.path)).size;
+    return output;
+  } catch (err) {
+    await removeFile(output);
+    throw err;
+  }
+}
+
+module.exports = { canStream, streamCsvWorkbook };
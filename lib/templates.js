@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// --- Stored xlsx templates ---
+// Each template is `<id>.xlsx` plus `<id>.json` holding its metadata in
+// TEMPLATE_DIR, so templates survive restarts. A template belongs to the
+// tenant that uploaded it and is invisible to every other tenant.
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// What the API shows of a template
+function serializeTemplate(template) {
+  const { tenant, ...visible } = template;
+  return visible;
+}
+
+function createTemplateStore({ dir }) {
+  const fileFor = (id, ext) => path.join(dir, `${id}${ext}`);
+
+  async function readMeta(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id, ".json"), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // `tenant` is the owner's name, or null when authentication is off
+  async function list(tenant) {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+    const templates = [];
+    for (const name of names.filter((file) => file.endsWith(".json"))) {
+      const template = await readMeta(path.basename(name, ".json"));
+      if (template && template.tenant === tenant) templates.push(template);
+    }
+    return templates.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function get(id, tenant) {
+    if (!ID_PATTERN.test(id)) return null;
+    const template = await readMeta(id);
+    return template && template.tenant === tenant ? template : null;
+  }
+
+  // The workbook goes first, so a listed template always has one
+  async function save(buffer, fields) {
+    await fs.mkdir(dir, { recursive: true });
+    const template = { id: crypto.randomUUID(), ...fields, size: buffer.length, createdAt: new Date().toISOString() };
+    await fs.writeFile(fileFor(template.id, ".xlsx"), buffer);
+    await fs.writeFile(fileFor(template.id, ".json"), JSON.stringify(template));
+    return template;
+  }
+
+  function read(template) {
+    return fs.readFile(fileFor(template.id, ".xlsx"));
+  }
+
+  async function remove(id, tenant) {
+    const template = await get(id, tenant);
+    if (!template) return false;
+    await fs.rm(fileFor(id, ".json"), { force: true });
+    await fs.rm(fileFor(id, ".xlsx"), { force: true });
+    return true;
+  }
+
+  return { list, get, save, read, remove };
+}
+
+module.exports = { serializeTemplate, createTemplateStore };
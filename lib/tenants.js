@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const rateLimit = require("express-rate-limit");
+const { rateLimitRejections } = require("./metrics");
+const { ConversionError, errorBody } = require("./errors");
+
+// --- Multi-tenant API keys ---
+// Tenants and their keys come from a JSON or YAML file:
+//
+//   tenants:
+//     - name: finance
+//       keys:
+//         - id: 2026-q4
+//           key: "…"                      # or sha256: <hex digest of the key>
+//         - id: 2026-q3
+//           sha256: "…"
+//           expiresAt: 2026-11-01T00:00:00Z  # overlap period while clients rotate
+//       rateLimit: { windowMs: 60000, max: 60 }
+//       quota: { conversionsPerDay: 1000, bytesPerDay: 524288000 }
+//       maxFileSize: 10485760
+//       allowedOptions: [fontSize, landscape, sheets]
+
+const RELOAD_INTERVAL_MS = 2000;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function invalid(message) {
+  return new Error(`Invalid API keys file: ${message}`);
+}
+
+function positiveInt(value, where) {
+  if (value === undefined) return undefined;
+  if (!Number.isInteger(value) || value <= 0) throw invalid(`${where} must be a positive integer`);
+  return value;
+}
+
+function parseTime(value, where) {
+  if (value === undefined) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw invalid(`${where} must be a date`);
+  return time;
+}
+
+function readKeyFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  const raw = ext === ".yaml" || ext === ".yml" ? yaml.load(text) : JSON.parse(text);
+  if (!raw || !Array.isArray(raw.tenants)) throw invalid("expected a top-level tenants list");
+  return raw.tenants;
+}
+
+function createLimiter(name, { windowMs, max }) {
+  return rateLimit({
+    windowMs,
+    max,
+    keyGenerator: () => name,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      rateLimitRejections.inc();
+      res.status(429).json({ error: "Too many requests for this API key, please try again later", code: "TENANT_RATE_LIMITED" });
+    },
+  });
+}
+
+// Validate the file's tenants and index their keys by hash. Rate limiters are
+// carried over from `previous` when unchanged so a reload keeps their counts.
+function compileTenants(rawTenants, previous = new Map()) {
+  const tenants = new Map();
+  const keys = new Map();
+
+  rawTenants.forEach((raw, i) => {
+    const where = `tenants[${i}]`;
+    if (!raw || typeof raw.name !== "string" || !raw.name) throw invalid(`${where}.name is required`);
+    if (tenants.has(raw.name)) throw invalid(`duplicate tenant ${raw.name}`);
+    if (!Array.isArray(raw.keys) || raw.keys.length === 0) throw invalid(`${where}.keys must list at least one key`);
+
+    const tenant = {
+      name: raw.name,
+      quota: {
+        conversionsPerDay: positiveInt(raw.quota && raw.quota.conversionsPerDay, `${where}.quota.conversionsPerDay`),
+        bytesPerDay: positiveInt(raw.quota && raw.quota.bytesPerDay, `${where}.quota.bytesPerDay`),
+      },
+      maxFileSize: positiveInt(raw.maxFileSize, `${where}.maxFileSize`),
+      allowedOptions: raw.allowedOptions ? new Set(raw.allowedOptions) : null,
+      rateLimit: null,
+      limiter: null,
+    };
+
+    if (raw.rateLimit) {
+      tenant.rateLimit = {
+        windowMs: positiveInt(raw.rateLimit.windowMs, `${where}.rateLimit.windowMs`) || 60000,
+        max: positiveInt(raw.rateLimit.max, `${where}.rateLimit.max`),
+      };
+      if (!tenant.rateLimit.max) throw invalid(`${where}.rateLimit.max is required`);
+      const old = previous.get(tenant.name);
+      const unchanged = old && old.rateLimit
+        && old.rateLimit.windowMs === tenant.rateLimit.windowMs && old.rateLimit.max === tenant.rateLimit.max;
+      tenant.limiter = unchanged ? old.limiter : createLimiter(tenant.name, tenant.rateLimit);
+    }
+
+    raw.keys.forEach((entry, j) => {
+      const keyWhere = `${where}.keys[${j}]`;
+      const hash = entry.sha256 ? String(entry.sha256).toLowerCase() : entry.key ? hashKey(String(entry.key)) : null;
+      if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw invalid(`${keyWhere} needs a key or a sha256 digest`);
+      if (keys.has(hash)) throw invalid(`${keyWhere} is already used by another key`);
+      keys.set(hash, {
+        tenant,
+        id: entry.id !== undefined ? String(entry.id) : String(j),
+        notBefore: parseTime(entry.notBefore, `${keyWhere}.notBefore`),
+        expiresAt: parseTime(entry.expiresAt, `${keyWhere}.expiresAt`),
+      });
+    });
+
+    tenants.set(tenant.name, tenant);
+  });
+
+  return { tenants, keys };
+}
+
+// Key store backed by `file`, polled for changes. A file that fails to parse
+// on reload is logged and the previous keys stay in effect.
+function createKeyStore({ file, log, watch = true }) {
+  let state = file ? compileTenants(readKeyFile(file)) : { tenants: new Map(), keys: new Map() };
+  if (file && state.keys.size === 0 && log) log.warn({ file }, "API_KEYS_FILE lists no keys; every request will be rejected");
+
+  function reload() {
+    if (!file) return;
+    try {
+      state = compileTenants(readKeyFile(file), state.tenants);
+      if (log) log.info({ tenants: state.tenants.size, keys: state.keys.size }, "API keys reloaded");
+    } catch (err) {
+      if (log) log.error({ err: err.message }, "Could not reload API keys, keeping the previous ones");
+    }
+  }
+
+  if (file && watch) {
+    fs.watchFile(file, { interval: RELOAD_INTERVAL_MS, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) reload();
+    });
+  }
+
+  // Returns { tenant, keyId } for a valid key inside its rotation window
+  function authenticate(provided, now = Date.now()) {
+    if (!provided) return null;
+    const entry = state.keys.get(hashKey(provided));
+    if (!entry) return null;
+    if (entry.notBefore !== null && now < entry.notBefore) return null;
+    if (entry.expiresAt !== null && now >= entry.expiresAt) return null;
+    return { tenant: entry.tenant, keyId: entry.id };
+  }
+
+  function close() {
+    if (file) fs.unwatchFile(file);
+  }
+
+  return {
+    authenticate,
+    reload,
+    close,
+    // A configured file enforces authentication even while it lists no
+    // keys, so a mistake in it locks the server rather than opening it
+    get enabled() {
+      return Boolean(file);
+    },
+  };
+}
+
+// --- Daily usage ---
+// Per-tenant conversion and upload-byte counts for the current UTC day.
+// Counts live in memory, so each instance enforces quotas on its own.
+function createUsageTracker({ now = Date.now } = {}) {
+  const usage = new Map();
+
+  function current(name) {
+    const day = new Date(now()).toISOString().slice(0, 10);
+    let entry = usage.get(name);
+    if (!entry || entry.day !== day) {
+      entry = { day, conversions: 0, bytes: 0 };
+      usage.set(name, entry);
+    }
+    return entry;
+  }
+
+  // Records the usage, or returns an error message when it would exceed the
+  // tenant's daily quota (nothing is recorded then)
+  function consume(tenant, conversions, bytes) {
+    const { conversionsPerDay, bytesPerDay } = tenant.quota;
+    const entry = current(tenant.name);
+    if (conversionsPerDay !== undefined && entry.conversions + conversions > conversionsPerDay) {
+      return "Daily conversion quota exceeded for this API key";
+    }
+    if (bytesPerDay !== undefined && entry.bytes + bytes > bytesPerDay) {
+      return "Daily upload quota exceeded for this API key";
+    }
+    entry.conversions += conversions;
+    entry.bytes += bytes;
+    return null;
+  }
+
+  function secondsUntilReset() {
+    const today = new Date(now());
+    const midnight = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1);
+    return Math.ceil((midnight - now()) / 1000);
+  }
+
+  return {
+    consume,
+    get: (name) => ({ ...current(name) }),
+    secondsUntilReset,
+  };
+}
+
+// The form fields and uploads of a multipart conversion request
+const uploadedOptions = (req) => Object.keys(req.body || {});
+const uploadedFiles = (req) => req.files || (req.file ? [req.file] : []);
+
+// Route middleware, after multer: per-key option allowlist and file size
+// limit. Requests without a tenant pass through. Routes that take their
+// options or files another way pass `options` and `files` functions of the
+// request.
+function enforceTenantLimits({ options = uploadedOptions, files: getFiles = uploadedFiles } = {}) {
+  return (req, res, next) => {
+    const tenant = req.tenant;
+    if (!tenant) return next();
+
+    if (tenant.allowedOptions) {
+      const denied = options(req).find((field) => !tenant.allowedOptions.has(field));
+      if (denied) {
+        return res.status(403).json(errorBody(new ConversionError(`Option not allowed for this API key: ${denied}`, 403, "OPTION_NOT_ALLOWED", denied)));
+      }
+    }
+
+    const files = getFiles(req);
+    if (tenant.maxFileSize && files.some((file) => file.size > tenant.maxFileSize)) {
+      return res.status(413).json({ error: "File too large", code: "FILE_TOO_LARGE" });
+    }
+    next();
+  };
+}
+
+// Route middleware charging the daily quota. It goes after the checks that
+// can still turn a request away (upload validation, options, a full queue),
+// so rejected requests cost nothing.
+function chargeTenantQuota(usage, { files: getFiles = uploadedFiles } = {}) {
+  return (req, res, next) => {
+    const tenant = req.tenant;
+    const files = tenant ? getFiles(req) : [];
+    if (files.length === 0) return next();
+
+    const bytes = files.reduce((sum, file) => sum + file.size, 0);
+    const exceeded = usage.consume(tenant, files.length, bytes);
+    if (exceeded) {
+      req.log.warn({ tenant: tenant.name }, exceeded);
+      res.set("Retry-After", String(usage.secondsUntilReset()));
+      return res.status(429).json({ error: exceeded, code: "QUOTA_EXCEEDED" });
+    }
+    next();
+  };
+}
+
+// Per-tenant rate limiting, on top of the per-IP limiter
+function tenantRateLimit(req, res, next) {
+  if (!req.tenant || !req.tenant.limiter) return next();
+  return req.tenant.limiter(req, res, next);
+}
+
+module.exports = {
+  hashKey,
+  createKeyStore,
+  createUsageTracker,
+  enforceTenantLimits,
+  chargeTenantQuota,
+  tenantRateLimit,
+};
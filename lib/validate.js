@@ -0,0 +1,151 @@
+const zlib = require("zlib");
+const config = require("./config");
+const { ConversionError } = require("./errors");
+const { isEncryptedOoxml } = require("./formats");
+
+// --- Archive validation (zip-bomb, macro and encryption checks) ---
+// Runs on the raw upload before ExcelJS (or LibreOffice) ever inflates it.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const REQUIRED_PARTS = {
+  xlsx: ["[Content_Types].xml", "xl/workbook.xml"],
+  ods: ["mimetype", "content.xml"],
+};
+
+function reject(message, code, statusCode = 400) {
+  return new ConversionError(message, statusCode, code);
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+// Parse the central directory into `[{ name, flags, method, compressedSize,
+// uncompressedSize, localOffset }]` without inflating anything
+function readCentralDirectory(buffer) {
+  if (buffer.length < EOCD_MIN_SIZE) throw reject("File is not a valid ZIP archive", "INVALID_ZIP");
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd === -1) throw reject("File is not a valid ZIP archive", "INVALID_ZIP");
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directorySize = buffer.readUInt32LE(eocd + 12);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw reject("ZIP64 archives are not supported", "INVALID_ZIP");
+  }
+  if (entryCount > config.maxZipEntries) {
+    throw reject(`Archive has too many entries (${entryCount}, limit ${config.maxZipEntries})`, "TOO_MANY_ENTRIES");
+  }
+  if (directoryOffset + directorySize > eocd) {
+    throw reject("File is not a valid ZIP archive", "INVALID_ZIP");
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > eocd || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw reject("ZIP central directory is corrupt", "INVALID_ZIP");
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push({
+      name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      uncompressedSize: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Inflate an entry into the void, failing as soon as it produces more bytes
+// than its header declared. Memory use stays constant.
+function checkInflatedSize(buffer, entry) {
+  const local = entry.localOffset;
+  if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) {
+    return Promise.reject(reject("ZIP local header is corrupt", "INVALID_ZIP"));
+  }
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) {
+    return data.length === entry.uncompressedSize
+      ? Promise.resolve()
+      : Promise.reject(reject(`ZIP entry ${entry.name} has an inconsistent size`, "INVALID_ZIP"));
+  }
+
+  return new Promise((resolve, reject_) => {
+    const inflate = zlib.createInflateRaw();
+    let produced = 0;
+    inflate.on("data", (chunk) => {
+      produced += chunk.length;
+      if (produced > entry.uncompressedSize) {
+        inflate.destroy();
+        reject_(reject(`ZIP entry ${entry.name} inflates beyond its declared size`, "COMPRESSION_RATIO_EXCEEDED"));
+      }
+    });
+    inflate.on("error", () => reject_(reject(`ZIP entry ${entry.name} is corrupt`, "INVALID_ZIP")));
+    inflate.on("end", resolve);
+    inflate.end(data);
+  });
+}
+
+async function validateZip(buffer, format) {
+  const entries = readCentralDirectory(buffer);
+  const names = new Set(entries.map((entry) => entry.name));
+
+  if (entries.some((entry) => entry.flags & 0x1)) {
+    throw reject("Encrypted workbooks are not supported", "ENCRYPTED_WORKBOOK");
+  }
+  if (entries.some((entry) => entry.method !== 0 && entry.method !== 8)) {
+    throw reject("Archive uses an unsupported compression method", "INVALID_ZIP");
+  }
+
+  const maxBytes = config.maxUncompressedMB * 1024 * 1024;
+  const total = entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  if (total > maxBytes) {
+    throw reject(`Uncompressed size exceeds ${config.maxUncompressedMB} MB`, "UNCOMPRESSED_TOO_LARGE", 413);
+  }
+  const compressed = entries.reduce((sum, entry) => sum + entry.compressedSize, 0);
+  if (total > 1024 * 1024 && total / Math.max(compressed, 1) > config.maxCompressionRatio) {
+    throw reject("Compression ratio is suspiciously high", "COMPRESSION_RATIO_EXCEEDED");
+  }
+
+  for (const part of REQUIRED_PARTS[format]) {
+    if (!names.has(part)) {
+      throw reject(`File is not a valid ${format} workbook (missing ${part})`, "MISSING_WORKBOOK_PART");
+    }
+  }
+  if (format === "xlsx" && [...names].some((name) => /^xl\/vbaProject\.bin$/i.test(name))) {
+    throw reject("Macro-enabled workbooks are not accepted", "MACRO_ENABLED_WORKBOOK");
+  }
+
+  // Declared sizes come from the archive itself; make sure they are honest
+  for (const entry of entries) {
+    await checkInflatedSize(buffer, entry);
+  }
+}
+
+// Validate an upload of the given input format; resolves when it is safe to load
+async function validateInput(buffer, format) {
+  if (format === "xlsx" && isEncryptedOoxml(buffer)) {
+    throw reject("Encrypted workbooks are not supported", "ENCRYPTED_WORKBOOK");
+  }
+  if (format === "xlsx" || format === "ods") {
+    await validateZip(buffer, format);
+  }
+}
+
+module.exports = { readCentralDirectory, validateInput };
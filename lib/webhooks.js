@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const fetch = require("node-fetch");
+const config = require("./config");
+const { limit, convert, ConversionError } = require("./convert");
+const { errorBody } = require("./errors");
+const { removeFile } = require("./spool");
+const { outputType } = require("./output");
+const { describeRedactions } = require("./redact");
+const { describeWarnings } = require("./formulas");
+
+// Responses worth retrying; any other 4xx means the receiver rejected us for good
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(body).digest("hex");
+}
+
+// --- Callback address checks ---
+// Callbacks must not reach the server's own network: loopback, private,
+// link-local (cloud metadata), shared and reserved addresses are refused
+// unless the host is listed in WEBHOOK_ALLOWED_HOSTS. The check runs when
+// the callback is accepted and again on every connection, so a name that
+// later resolves elsewhere is still refused.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+const BLOCKED_ERROR = "EBLOCKEDADDRESS";
+
+function isAllowedHost(hostname) {
+  return config.webhookAllowedHosts.includes(hostname);
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function blockedError(hostname) {
+  const err = new Error(`Callback host ${hostname} resolves to a private or reserved address`);
+  err.code = BLOCKED_ERROR;
+  return err;
+}
+
+// dns.lookup for the callback agents, refusing blocked addresses
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || isAllowedHost(hostname)) return callback(err, address, family);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((entry) => isBlockedAddress(entry.address))) return callback(blockedError(hostname));
+    callback(null, address, family);
+  });
+}
+
+const callbackAgents = {
+  "http:": new http.Agent({ lookup: guardedLookup }),
+  "https:": new https.Agent({ lookup: guardedLookup }),
+};
+
+// Resolves to an error message, or null when the URL may be used as a callback
+async function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "Invalid callbackUrl";
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return "callbackUrl must use http or https";
+  }
+  // URL keeps the brackets of IPv6 literals
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  if (config.webhookAllowedHosts.length > 0) {
+    return isAllowedHost(hostname) ? null : "callbackUrl host is not allowed";
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    return "callbackUrl host could not be resolved";
+  }
+  if (addresses.some((entry) => isBlockedAddress(entry.address))) {
+    return "callbackUrl must not point to a private or reserved address";
+  }
+  return null;
+}
+
+// --- Delivery log ---
+// Bounded in-memory record of callback deliveries and each attempt made.
+// A delivery belongs to the tenant that asked for it (null when
+// authentication is off) and is invisible to every other tenant.
+function createDeliveryLog({ maxEntries = 1000 } = {}) {
+  const deliveries = new Map();
+
+  function create(callbackUrl, tenant = null) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      tenant,
+      callbackUrl,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      attempts: [],
+    };
+    deliveries.set(delivery.id, delivery);
+    if (deliveries.size > maxEntries) {
+      deliveries.delete(deliveries.keys().next().value);
+    }
+    return delivery;
+  }
+
+  function get(id, tenant = null) {
+    const delivery = deliveries.get(id);
+    return delivery && delivery.tenant === tenant ? delivery : undefined;
+  }
+
+  return { create, get };
+}
+
+// A delivery as shown to API callers, without its owner
+function serializeDelivery(delivery) {
+  const { tenant, ...visible } = delivery;
+  return visible;
+}
+
+// POST the payload to the callback URL, retrying with exponential backoff
+async function deliver(delivery, payload, log) {
+  for (let attempt = 1; attempt <= config.webhookMaxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const record = { attempt, at: new Date().toISOString(), statusCode: null, error: null };
+    delivery.attempts.push(record);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.webhookTimeoutMs);
+    let retryable = true;
+
+    try {
+      const res = await fetch(delivery.callbackUrl, {
+        method: "POST",
+        body: payload.body,
+        headers: {
+          ...payload.headers,
+          "X-Delivery-Id": delivery.id,
+          "X-Signature-Timestamp": timestamp,
+          "X-Signature": `sha256=${signPayload(config.webhookSecret, timestamp, payload.body)}`,
+        },
+        agent: (url) => callbackAgents[url.protocol],
+        signal: controller.signal,
+      });
+      record.statusCode = res.status;
+
+      if (res.ok) {
+        delivery.status = "delivered";
+        delivery.deliveredAt = new Date().toISOString();
+        log.info({ deliveryId: delivery.id, attempt }, "Callback delivered");
+        return;
+      }
+      retryable = res.status >= 500 || RETRYABLE_STATUS.has(res.status);
+      record.error = `Receiver responded with ${res.status}`;
+    } catch (err) {
+      record.error = err.name === "AbortError" ? "Callback request timed out" : err.message;
+      retryable = err.code !== BLOCKED_ERROR;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    log.warn({ deliveryId: delivery.id, attempt, error: record.error }, "Callback delivery failed");
+    if (!retryable) break;
+    if (attempt < config.webhookMaxAttempts) {
+      await sleep(config.webhookRetryBaseMs * 2 ** (attempt - 1));
+    }
+  }
+
+  delivery.status = "failed";
+  log.error({ deliveryId: delivery.id, attempts: delivery.attempts.length }, "Callback delivery abandoned");
+}
+
+// Convert in the background, then deliver the result or a `{ error }` body.
+// A spooled `source` is removed once converted.
+async function convertAndDeliver(delivery, source, options, filename, log) {
+  let payload;
+  try {
+    const { pdf, redactions, warnings } = await limit(() => convert(source, options, log));
+    payload = {
+      body: pdf,
+      headers: {
+        "Content-Type": outputType(options).contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "X-Conversion-Status": "200",
+      },
+    };
+    if (redactions) payload.headers["X-Redactions"] = describeRedactions(redactions);
+    if (warnings && warnings.length) payload.headers["X-Conversion-Warnings"] = describeWarnings(warnings);
+  } catch (err) {
+    let statusCode = 500;
+    let body = { error: "Internal server error", code: "INTERNAL_ERROR" };
+    if (err instanceof ConversionError) {
+      statusCode = err.statusCode;
+      body = errorBody(err);
+    } else {
+      log.error({ err, deliveryId: delivery.id }, "Conversion error");
+    }
+    payload = {
+      body: Buffer.from(JSON.stringify(body)),
+      headers: {
+        "Content-Type": "application/json",
+        "X-Conversion-Status": String(statusCode),
+      },
+    };
+  } finally {
+    if (!Buffer.isBuffer(source)) await removeFile(source);
+  }
+
+  await deliver(delivery, payload, log);
+}
+
+module.exports = {
+  signPayload,
+  guardedLookup,
+  validateCallbackUrl,
+  createDeliveryLog,
+  serializeDelivery,
+  deliver,
+  convertAndDeliver,
+};
@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { PDFDocument } = require("pdf-lib");
+const { Readable } = require("stream");
+
+// The audit log file is read from the environment when the app is loaded
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+process.env.AUDIT_LOG_FILE = path.join(auditDir, "audit.jsonl");
+
+// Mock node-fetch before requiring the app
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => {
+    if (!mockFetchResponse) {
+      throw new Error("No mock configured");
+    }
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { auditLog, parseOptions } = require("../lib/convert");
+const { parseAuditQuery, auditOptions, createAuditLog } = require("../lib/audit");
+const { writeTemp, removeFile } = require("../lib/spool");
+
+const noopLog = { info: () => {}, warn: () => {}, error: () => {} };
+const caller = { tenant: "finance", keyId: "current", endpoint: "POST /convert" };
+
+let xlsxBuffer;
+let pdfBuffer;
+
+beforeAll(async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Summary").addRow(["Hello", "World"]);
+  wb.addWorksheet("Detail").addRow([1, 2]);
+  xlsxBuffer = Buffer.from(await wb.xlsx.writeBuffer());
+
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  doc.addPage();
+  pdfBuffer = Buffer.from(await doc.save());
+});
+
+afterAll(() => {
+  auditLog.close();
+  fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([pdfBuffer]); } };
+  config.apiKey = "";
+  config.cacheEnabled = false;
+});
+
+describe("parseAuditQuery", () => {
+  test("normalizes times and passes the other filters through", () => {
+    expect(parseAuditQuery({ from: "2026-10-01", to: "2026-10-18T12:00:00+02:00", keyId: "current", outcome: " Failed ", limit: "5" }))
+      .toEqual({ from: "2026-10-01T00:00:00.000Z", to: "2026-10-18T10:00:00.000Z", keyId: "current", outcome: "failed", limit: 5 });
+    expect(parseAuditQuery({})).toEqual({});
+  });
+
+  test.each([
+    [{ from: "yesterday" }, "INVALID_OPTION", "from"],
+    [{ outcome: "running" }, "INVALID_OPTION", "outcome"],
+    [{ limit: "0" }, "INVALID_OPTION", "limit"],
+    [{ status: "done" }, "UNKNOWN_OPTION", "status"],
+  ])("rejects %p", (query, code, field) => {
+    expect(() => parseAuditQuery(query)).toThrow(expect.objectContaining({ statusCode: 400, code, field }));
+  });
+});
+
+describe("auditOptions", () => {
+  test("masks passwords and leaves out the fields recorded elsewhere", () => {
+    const options = { ...parseOptions({ userPassword: "secret", fontSize: "10" }), caller, sourceName: "pay.xlsx", inputFormat: "xlsx" };
+    const recorded = auditOptions(options);
+    expect(recorded.encryption).toMatchObject({ userPassword: "[REDACTED]", ownerPassword: "[REDACTED]" });
+    expect(recorded).toMatchObject({ fontSize: 10 });
+    expect(recorded).not.toHaveProperty("caller");
+    expect(recorded).not.toHaveProperty("sourceName");
+    expect(JSON.stringify(recorded)).not.toContain("secret");
+  });
+
+  test("masks what redaction looks for and the watermark image path", () => {
+    const options = {
+      ...parseOptions({ redactColumns: "Salary", redactRanges: "Payroll!B2:B9", redactRegex: "ACME-\\d+", redactRemove: "comments" }),
+      watermark: { image: "/srv/watermarks/company-logo.png", opacity: 0.3 },
+      caller,
+    };
+    const recorded = auditOptions(options);
+    expect(recorded.redaction).toEqual({
+      mode: "mask",
+      mask: "[REDACTED]",
+      columns: "[REDACTED]",
+      ranges: "[REDACTED]",
+      patterns: [],
+      regex: "[REDACTED]",
+      remove: ["comments"],
+    });
+    expect(recorded.watermark).toEqual({ image: "company-logo", opacity: 0.3 });
+    const text = JSON.stringify(recorded);
+    ["Salary", "Payroll", "ACME", "/srv/watermarks"].forEach((secret) => expect(text).not.toContain(secret));
+  });
+});
+
+describe("createAuditLog", () => {
+  let file;
+  let log;
+
+  beforeEach(() => {
+    file = path.join(auditDir, `unit-${Date.now()}-${Math.random()}.jsonl`);
+    log = createAuditLog({ file, retentionDays: 30 });
+  });
+
+  afterEach(() => log.close());
+
+  test("records successes and failures and filters them", async () => {
+    const options = { ...parseOptions({}), caller, sourceName: "a.xlsx", inputFormat: "xlsx" };
+    const output = { ...(await writeTemp(pdfBuffer, ".pdf")), pages: 2 };
+    await log.record(xlsxBuffer, options, { startedAt: Date.now(), file: output, timings: { excelMs: 3, renderMs: 4 }, sheets: ["Summary"] }, noopLog);
+    await removeFile(output);
+    const err = Object.assign(new Error("boom"), { code: "CANCELLED" });
+    await log.record(xlsxBuffer, { ...options, caller: { ...caller, keyId: "previous" } }, { startedAt: Date.now(), error: err }, noopLog);
+
+    const all = await log.query();
+    expect(all.map((entry) => entry.outcome)).toEqual(["cancelled", "done"]);
+    expect(all[1]).toMatchObject({
+      tenant: "finance",
+      keyId: "current",
+      fileName: "a.xlsx",
+      inputSize: xlsxBuffer.length,
+      sheets: ["Summary"],
+      outputType: "application/pdf",
+      outputSize: pdfBuffer.length,
+      pages: 2,
+      statusCode: 200,
+      errorCode: null,
+      timings: { excelMs: 3, renderMs: 4 },
+    });
+    expect(all[1].inputHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(all[1].outputHash).toBe(crypto.createHash("sha256").update(pdfBuffer).digest("hex"));
+    expect(all[0]).toMatchObject({ statusCode: 500, errorCode: "INTERNAL_ERROR", error: "Internal server error", outputHash: null });
+
+    expect(await log.query({ keyId: "previous" })).toHaveLength(1);
+    expect(await log.query({ outcome: "done", limit: 1 })).toHaveLength(1);
+    expect(await log.query({ from: new Date(Date.now() + 60000).toISOString() })).toEqual([]);
+  });
+
+  test("leaves the page count out when no stage counted the pages", async () => {
+    await log.record(xlsxBuffer, { ...parseOptions({}), caller }, { startedAt: Date.now(), file: pdfBuffer }, noopLog);
+    const [entry] = await log.query();
+    expect(entry).toMatchObject({ outcome: "done", outputSize: pdfBuffer.length, pages: null });
+  });
+
+  test("is off unless AUDIT_LOG_FILE is set", async () => {
+    const saved = process.env.AUDIT_LOG_FILE;
+    process.env.AUDIT_LOG_FILE = "";
+    try {
+      jest.isolateModules(() => expect(require("../lib/config").auditLogFile).toBe(""));
+    } finally {
+      process.env.AUDIT_LOG_FILE = saved;
+    }
+
+    const off = createAuditLog({ file, enabled: false });
+    await off.record(xlsxBuffer, { ...parseOptions({}), caller }, { startedAt: Date.now(), file: pdfBuffer }, noopLog);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test("skips conversions without a caller", async () => {
+    await log.record(xlsxBuffer, parseOptions({}), { startedAt: Date.now(), file: pdfBuffer }, noopLog);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test("prunes entries older than the retention period", async () => {
+    const options = { ...parseOptions({}), caller };
+    await log.record(xlsxBuffer, options, { startedAt: Date.now(), file: pdfBuffer }, noopLog);
+    await log.record(xlsxBuffer, options, { startedAt: Date.now(), file: pdfBuffer }, noopLog);
+
+    expect(await log.prune(Date.now() + 29 * 24 * 60 * 60 * 1000)).toBe(0);
+    expect(await log.prune(Date.now() + 31 * 24 * 60 * 60 * 1000)).toBe(2);
+    expect(await log.query()).toEqual([]);
+  });
+});
+
+describe("GET /conversions", () => {
+  test("lists conversions from /convert, cache hits included, newest first", async () => {
+    config.cacheEnabled = true;
+    const convert = () => request(app).post("/convert").field("sheets", "Detail").field("watermark", "DRAFT").attach("file", xlsxBuffer, "report.xlsx");
+    const first = await convert();
+    expect(first.status).toBe(200);
+    const second = await convert();
+    expect(second.headers["x-cache"]).toBe("HIT");
+
+    const res = await request(app).get("/conversions").query({ limit: 2 });
+    expect(res.status).toBe(200);
+    const [hit, miss] = res.body.conversions;
+    expect(miss).toMatchObject({
+      endpoint: "POST /convert",
+      tenant: null,
+      keyId: null,
+      fileName: "report.xlsx",
+      sheets: ["Detail"],
+      outcome: "done",
+      cached: false,
+      pages: 2,
+    });
+    expect(miss.timings).toEqual(expect.objectContaining({ excelMs: expect.any(Number), renderMs: expect.any(Number) }));
+    expect(hit).toMatchObject({ cached: true, outcome: "done", outputHash: miss.outputHash, inputHash: miss.inputHash });
+  });
+
+  test("records failed conversions", async () => {
+    mockFetchResponse = { ok: false, status: 500, text: async () => "boom" };
+    const res = await request(app).post("/convert").attach("file", xlsxBuffer, "broken.xlsx");
+    expect(res.status).toBeGreaterThanOrEqual(500);
+
+    const failed = await request(app).get("/conversions").query({ outcome: "failed", limit: 1 });
+    expect(failed.body.conversions[0]).toMatchObject({ fileName: "broken.xlsx", outcome: "failed", outputHash: null, statusCode: res.status });
+  });
+
+  test("only shows a tenant its own conversions", async () => {
+    config.apiKey = "audit-key";
+    const converted = await request(app).post("/convert").set("X-API-Key", "audit-key").attach("file", xlsxBuffer, "mine.xlsx");
+    expect(converted.status).toBe(200);
+
+    const res = await request(app).get("/conversions").set("X-API-Key", "audit-key").query({ tenant: "someone-else" });
+    expect(res.status).toBe(200);
+    expect(res.body.conversions.length).toBeGreaterThan(0);
+    expect(res.body.conversions.every((entry) => entry.tenant === "default")).toBe(true);
+    expect(res.body.conversions[0]).toMatchObject({ fileName: "mine.xlsx", keyId: "API_KEY" });
+  });
+
+  test("rejects invalid filters", async () => {
+    const res = await request(app).get("/conversions").query({ to: "not a date" });
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "INVALID_OPTION", field: "to" });
+  });
+});
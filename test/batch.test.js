@@ -0,0 +1,161 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { PDFDocument, PDFName } = require("pdf-lib");
+const { Readable } = require("stream");
+
+// Mock node-fetch: each call takes the next queued response (or the default)
+let mockFetchResponses;
+let mockDefaultResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponses.shift() || mockDefaultResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Sheet1");
+  ws.addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function createPdfBuffer(pageCount) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) doc.addPage();
+  return Buffer.from(await doc.save());
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+let twoPagePdf;
+
+beforeAll(async () => {
+  twoPagePdf = await createPdfBuffer(2);
+});
+
+beforeEach(() => {
+  mockFetchResponses = [];
+  mockDefaultResponse = { ok: true, status: 200, get body() { return Readable.from([twoPagePdf]); } };
+  config.apiKey = "";
+});
+
+describe("POST /batch - validation", () => {
+  test("returns 400 when no files uploaded", async () => {
+    const res = await request(app).post("/batch");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/no files/i);
+  });
+
+  test("names the offending file when one is not xlsx", async () => {
+    const res = await request(app)
+      .post("/batch")
+      .attach("files[]", await createXlsxBuffer(), "good.xlsx")
+      .attach("files[]", Buffer.from("nope"), "bad.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/bad\.xlsx/);
+  });
+
+  test("rejects unknown output types", async () => {
+    const res = await request(app)
+      .post("/batch")
+      .field("output", "tar")
+      .attach("files[]", await createXlsxBuffer(), "a.xlsx");
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /batch - merged PDF", () => {
+  test("merges every file into one PDF with bookmarks", async () => {
+    const xlsx = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/batch")
+      .field("bookmarks", "true")
+      .attach("files[]", xlsx, "january.xlsx")
+      .attach("files[]", xlsx, "february.xlsx")
+      .attach("files[]", xlsx, "march.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/pdf/);
+
+    const merged = await PDFDocument.load(res.body);
+    expect(merged.getPageCount()).toBe(6);
+    expect(merged.catalog.get(PDFName.of("Outlines"))).toBeDefined();
+  });
+
+  test("fails the whole request when a file fails", async () => {
+    mockFetchResponses = [{ ok: false, status: 500, text: async () => "boom" }];
+    const xlsx = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/batch")
+      .attach("files[]", xlsx, "a.xlsx")
+      .attach("files[]", xlsx, "b.xlsx");
+
+    expect(res.status).toBe(502);
+    expect(res.body.error).toMatch(/1 of 2/);
+    expect(res.body.files).toHaveLength(1);
+  });
+});
+
+describe("POST /batch - ZIP", () => {
+  test("returns individual PDFs and a manifest with per-file errors", async () => {
+    mockFetchResponses = [{ ok: false, status: 500, text: async () => "boom" }];
+    const xlsx = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/batch")
+      .field("output", "zip")
+      .attach("files[]", xlsx, "a.xlsx")
+      .attach("files[]", xlsx, "a.xlsx")
+      .attach("files[]", xlsx, "c.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/zip/);
+
+    const zip = await JSZip.loadAsync(res.body);
+    const manifest = JSON.parse(await zip.file("manifest.json").async("string"));
+    expect(manifest.files.map((f) => f.index)).toEqual([0, 1, 2]);
+    expect(manifest.files.filter((f) => f.status === "failed")).toHaveLength(1);
+
+    const outputs = manifest.files.filter((f) => f.output).map((f) => f.output);
+    expect(new Set(outputs).size).toBe(2);
+    outputs.forEach((name) => expect(zip.file(name)).not.toBeNull());
+  });
+});
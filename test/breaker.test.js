@@ -0,0 +1,61 @@
+const { createCircuitBreaker } = require("../lib/breaker");
+
+function createClock() {
+  let time = 0;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+describe("createCircuitBreaker", () => {
+  test("opens after consecutive failures", () => {
+    const breaker = createCircuitBreaker({ threshold: 2, resetMs: 1000 });
+    breaker.recordFailure();
+    expect(breaker.state).toBe("closed");
+    breaker.recordFailure();
+    expect(breaker.state).toBe("open");
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  test("a success resets the failure count", () => {
+    const breaker = createCircuitBreaker({ threshold: 2, resetMs: 1000 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe("closed");
+  });
+
+  test("lets a single trial through once the reset time has passed", () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ threshold: 1, resetMs: 1000, now: clock.now });
+    breaker.recordFailure();
+    expect(breaker.snapshot()).toMatchObject({ state: "open", retryAt: new Date(1000).toISOString() });
+
+    clock.advance(1000);
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe("closed");
+  });
+
+  test("a failed trial opens the circuit again", () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ threshold: 3, resetMs: 1000, now: clock.now });
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+    clock.advance(1000);
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe("open");
+  });
+
+  test("release frees the trial without changing state", () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ threshold: 1, resetMs: 1000, now: clock.now });
+    breaker.recordFailure();
+    clock.advance(1000);
+    breaker.tryAcquire();
+    breaker.release();
+    expect(breaker.state).toBe("half-open");
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+});
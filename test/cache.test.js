@@ -0,0 +1,285 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Mock node-fetch
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const fetch = require("node-fetch");
+const { app, config, resultCache } = require("../index");
+const { parseOptions } = require("../lib/convert");
+const { cacheKey, createResultCache } = require("../lib/cache");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+// A distinct workbook per call so tests never share cache entries
+let workbookCounter = 0;
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Workbook", ++workbookCounter]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function pdfOf(n) {
+  return Buffer.alloc(n, 1);
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  fetch.mockClear();
+  config.apiKey = "";
+  config.cacheEnabled = true;
+});
+
+describe("cacheKey", () => {
+  const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+  const content = sha256("workbook");
+
+  test("ignores option order", () => {
+    expect(cacheKey(content, { fontSize: 9, landscape: "true" })).toBe(cacheKey(content, { landscape: "true", fontSize: 9 }));
+  });
+
+  test("changes with the content and any option", () => {
+    const key = cacheKey(content, parseOptions({}));
+    expect(cacheKey(sha256("other"), parseOptions({}))).not.toBe(key);
+    expect(cacheKey(content, parseOptions({ fontSize: "10" }))).not.toBe(key);
+    expect(cacheKey(content, parseOptions({ paperSize: "Letter" }))).not.toBe(key);
+  });
+
+  test("only keys on the file name when a template prints it", () => {
+    const plain = parseOptions({});
+    expect(cacheKey(content, { ...plain, sourceName: "a.xlsx" })).toBe(cacheKey(content, { ...plain, sourceName: "b.xlsx" }));
+
+    const named = parseOptions({ footer: "{file}" });
+    expect(cacheKey(content, { ...named, sourceName: "a.xlsx" })).not.toBe(cacheKey(content, { ...named, sourceName: "b.xlsx" }));
+  });
+
+  test("returns null for time-dependent output", () => {
+    expect(cacheKey(content, parseOptions({ header: "Printed {date}" }))).toBeNull();
+    expect(cacheKey(content, parseOptions({ footer: '{"right":"{timestamp}"}' }))).toBeNull();
+  });
+
+  test("returns null for encrypted output", () => {
+    expect(cacheKey(content, parseOptions({ userPassword: "secret" }))).toBeNull();
+    expect(cacheKey(content, parseOptions({ ownerPassword: "owner" }))).toBeNull();
+  });
+});
+
+describe("createResultCache", () => {
+  const key = (n) => String(n).padStart(64, "0");
+
+  test("evicts the least recently used entries past the byte limit", async () => {
+    const cache = createResultCache({ maxBytes: 30, ttlMs: 1000 });
+    await cache.set(key(1), pdfOf(10));
+    await cache.set(key(2), pdfOf(10));
+    await cache.set(key(3), pdfOf(10));
+    await cache.get(key(1));
+    await cache.set(key(4), pdfOf(10));
+
+    expect(await cache.get(key(2))).toBeNull();
+    expect(await cache.get(key(1))).toMatchObject({ store: "memory" });
+    expect(cache.bytes).toBe(30);
+  });
+
+  test("tells whether a result of some size would be kept", () => {
+    expect(createResultCache({ maxBytes: 30, ttlMs: 1000 }).fits(31)).toBe(false);
+    expect(createResultCache({ maxBytes: 30, ttlMs: 1000 }).fits(30)).toBe(true);
+    expect(createResultCache({ maxBytes: 30, ttlMs: 1000, dir: os.tmpdir(), diskMaxBytes: 100 }).fits(100)).toBe(true);
+  });
+
+  test("evicts past the entry limit", async () => {
+    const cache = createResultCache({ maxBytes: 1000, maxEntries: 2, ttlMs: 1000 });
+    for (let i = 1; i <= 3; i++) await cache.set(key(i), pdfOf(1));
+    expect(cache.size).toBe(2);
+    expect(await cache.get(key(1))).toBeNull();
+  });
+
+  test("expires entries after the TTL", async () => {
+    let time = 0;
+    const cache = createResultCache({ maxBytes: 1000, ttlMs: 100, now: () => time });
+    await cache.set(key(1), pdfOf(1));
+    time = 100;
+    expect(await cache.get(key(1))).toBeNull();
+  });
+
+  describe("disk store", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-cache-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("serves entries written by another instance", async () => {
+      await createResultCache({ maxBytes: 1000, ttlMs: 60000, dir, diskMaxBytes: 1000 }).set(key(1), pdfOf(5));
+
+      const cache = createResultCache({ maxBytes: 1000, ttlMs: 60000, dir, diskMaxBytes: 1000 });
+      expect(await cache.get(key(1))).toEqual({ pdf: pdfOf(5), store: "disk" });
+      expect(await cache.get(key(1))).toMatchObject({ store: "memory" });
+    });
+
+    test("removes the oldest files past the disk limit", async () => {
+      const cache = createResultCache({ maxBytes: 1000, ttlMs: 60000, dir, diskMaxBytes: 25 });
+      await cache.set(key(1), pdfOf(10));
+      const past = new Date(Date.now() - 10000);
+      fs.utimesSync(path.join(dir, `${key(1)}.pdf`), past, past);
+      await cache.set(key(2), pdfOf(10));
+      await cache.set(key(3), pdfOf(10));
+
+      expect(fs.readdirSync(dir).sort()).toEqual([`${key(2)}.pdf`, `${key(3)}.pdf`]);
+    });
+
+    test("ignores keys that are not hashes", async () => {
+      const cache = createResultCache({ maxBytes: 1000, ttlMs: 60000, dir, diskMaxBytes: 1000 });
+      expect(await cache.get("../../etc/passwd")).toBeNull();
+    });
+  });
+});
+
+describe("POST /convert - caching", () => {
+  test("serves a repeated conversion from the cache", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const first = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    const second = await request(app)
+      .post("/convert")
+      .attach("file", xlsxBuf, "test.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(first.headers["x-cache"]).toBe("MISS");
+    expect(second.status).toBe(200);
+    expect(second.headers["x-cache"]).toBe("HIT");
+    expect(second.body).toEqual(FAKE_PDF);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("misses when an option changes", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    const res = await request(app).post("/convert").field("landscape", "false").attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.headers["x-cache"]).toBe("MISS");
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not cache failed conversions", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    mockFetchResponse = { ok: false, status: 500, text: async () => "boom" };
+    await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+    const res = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    expect(res.status).toBe(200);
+    expect(res.headers["x-cache"]).toBe("MISS");
+  });
+
+  test("bypasses the cache when disabled", async () => {
+    config.cacheEnabled = false;
+    const xlsxBuf = await createXlsxBuffer();
+    await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    const res = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.headers["x-cache"]).toBe("BYPASS");
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not read results the cache would not keep", async () => {
+    const fits = jest.spyOn(resultCache, "fits").mockReturnValue(false);
+    const readFile = jest.spyOn(fs.promises, "readFile");
+    try {
+      const xlsxBuf = await createXlsxBuffer();
+      await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+      const res = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+
+      expect(res.headers["x-cache"]).toBe("MISS");
+      expect(fits).toHaveBeenCalledWith(FAKE_PDF.length);
+      expect(readFile.mock.calls.filter(([file]) => !String(file).endsWith(".upload"))).toEqual([]);
+    } finally {
+      fits.mockRestore();
+      readFile.mockRestore();
+    }
+  });
+
+  test("bypasses the cache for time-dependent headers", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const res = await request(app).post("/convert").field("header", "{date}").attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.headers["x-cache"]).toBe("BYPASS");
+    expect(res.headers.etag).toBeUndefined();
+  });
+});
+
+describe("POST /convert - ETag", () => {
+  test("answers 304 without converting when If-None-Match matches", async () => {
+    config.cacheEnabled = false;
+    const xlsxBuf = await createXlsxBuffer();
+    const first = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    // Renderers embed creation dates, so equal requests are only equivalent
+    expect(first.headers.etag).toMatch(/^W\/"[0-9a-f]{64}"$/);
+
+    fetch.mockClear();
+    const res = await request(app)
+      .post("/convert")
+      .set("If-None-Match", `"other", ${first.headers.etag}`)
+      .attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.status).toBe(304);
+    expect(res.headers.etag).toBe(first.headers.etag);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("converts when the ETag does not match", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .set("If-None-Match", '"stale"')
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+
+    expect(res.status).toBe(200);
+  });
+});
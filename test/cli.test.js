@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { PDFDocument } = require("pdf-lib");
+const { convertWorkbook, resultType } = require("../lib/api");
+const { main } = require("../lib/cli");
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Summary").addRows([["Region", "Revenue"], ["North", 1200]]);
+  wb.addWorksheet("Detail").addRows([["Line"], ["Widgets"]]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// Collects what main() writes
+function createOutput() {
+  const out = { text: "", write: (chunk) => { out.text += chunk; } };
+  return out;
+}
+
+async function run(argv) {
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const code = await main(argv, { stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+let dir;
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-cli-"));
+  const xlsx = await createXlsxBuffer();
+  fs.writeFileSync(path.join(dir, "january.xlsx"), xlsx);
+  fs.writeFileSync(path.join(dir, "february.xlsx"), xlsx);
+  fs.mkdirSync(path.join(dir, "archive"));
+  fs.writeFileSync(path.join(dir, "archive", "december.xlsx"), xlsx);
+  fs.writeFileSync(path.join(dir, "notes.md"), "not a spreadsheet");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("convertWorkbook", () => {
+  test("converts a Buffer with plain option values", async () => {
+    const pdf = await convertWorkbook(await createXlsxBuffer(), { renderer: "builtin", landscape: false, fontSize: 10, sheets: "Summary" });
+
+    const doc = await PDFDocument.load(pdf);
+    expect(doc.getPageCount()).toBe(1);
+    const { width, height } = doc.getPage(0).getSize();
+    expect(width).toBeLessThan(height);
+  });
+
+  test("tells the input format from the file name and content", async () => {
+    const html = await convertWorkbook(Buffer.from("Region,Revenue\nNorth,1200\n"), { filename: "sales.csv", output: "html" });
+    expect(html.toString()).toMatch(/<td[^>]*>North<\/td>/);
+    expect(resultType({ output: "html" }).extension).toBe(".html");
+  });
+
+  test("rejects unusable input and options with a ConversionError", async () => {
+    await expect(convertWorkbook(Buffer.from([0, 1, 2, 3, 4]))).rejects.toMatchObject({ name: "ConversionError", statusCode: 400 });
+    await expect(convertWorkbook(await createXlsxBuffer(), { paperSize: "B9" })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(convertWorkbook("report.xlsx")).rejects.toThrow(TypeError);
+  });
+
+  test("is exported as xlsx-to-pdf/api while the package main stays the server", () => {
+    expect(require("../api").convertWorkbook).toBe(convertWorkbook);
+    expect(require("../package.json").main).toBe("index.js");
+  });
+});
+
+describe("xlsx-to-pdf CLI", () => {
+  test("converts a glob into an output directory", async () => {
+    const out = path.join(dir, "pdf");
+    const { code, stdout } = await run([path.join(dir, "*.xlsx"), "-o", out, "--renderer", "builtin", "--portrait", "--font-size", "10", "--sheets", "Summary"]);
+
+    expect(code).toBe(0);
+    expect(fs.readdirSync(out).sort()).toEqual(["february.pdf", "january.pdf"]);
+    expect(stdout).toContain(`${path.join(dir, "january.xlsx")} -> ${path.join(out, "january.pdf")}`);
+    const doc = await PDFDocument.load(fs.readFileSync(path.join(out, "january.pdf")));
+    expect(doc.getPage(0).getSize().width).toBeLessThan(doc.getPage(0).getSize().height);
+  });
+
+  test("matches subdirectories with ** and writes next to each input", async () => {
+    const { code } = await run([path.join(dir, "**", "*.xlsx"), "--to", "html", "--quiet"]);
+
+    expect(code).toBe(0);
+    expect(fs.existsSync(path.join(dir, "january.html"))).toBe(true);
+    expect(fs.existsSync(path.join(dir, "archive", "december.html"))).toBe(true);
+  });
+
+  test("takes the output format from -o", async () => {
+    const target = path.join(dir, "report.html");
+    const { code } = await run([path.join(dir, "january.xlsx"), "-o", target]);
+
+    expect(code).toBe(0);
+    expect(fs.readFileSync(target, "utf8")).toMatch(/^<!DOCTYPE html>/);
+  });
+
+  test("converts the spreadsheets in a directory, recursing with -r", async () => {
+    const out = path.join(dir, "html");
+    const { code } = await run([dir, "-r", "-o", out, "--to", "html"]);
+
+    expect(code).toBe(0);
+    expect(fs.readdirSync(out).sort()).toEqual(["december.html", "february.html", "january.html"]);
+  });
+
+  test("exits 1 when a file fails and still converts the rest", async () => {
+    fs.writeFileSync(path.join(dir, "broken.xlsx"), "not a workbook");
+    const { code, stderr } = await run([path.join(dir, "broken.xlsx"), path.join(dir, "january.xlsx"), "-o", path.join(dir, "out"), "--renderer", "builtin"]);
+
+    expect(code).toBe(1);
+    expect(stderr).toContain(`${path.join(dir, "broken.xlsx")}: `);
+    expect(fs.readdirSync(path.join(dir, "out"))).toEqual(["january.pdf"]);
+  });
+
+  test.each([
+    [[], /No input files given/],
+    [["missing.xlsx"], /No such file: missing.xlsx/],
+    [["--font-size"], /argument missing/],
+    [["--bogus", "x.xlsx"], /Unknown option '--bogus'/],
+    [["x.xlsx", "--paper-size", "B9"], /paperSize must be one of/],
+  ])("exits 2 for %p", async (argv, message) => {
+    const { code, stderr } = await run(argv);
+    expect(code).toBe(2);
+    expect(stderr).toMatch(message);
+  });
+
+  test("refuses to write two inputs to the same file", async () => {
+    fs.writeFileSync(path.join(dir, "january.csv"), "a,b\n1,2\n");
+    const { code, stderr } = await run([path.join(dir, "january.xlsx"), path.join(dir, "january.csv"), "-o", path.join(dir, "out")]);
+
+    expect(code).toBe(2);
+    expect(stderr).toMatch(/would both be written to/);
+  });
+
+  test("prints usage for --help", async () => {
+    const { code, stdout } = await run(["--help"]);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Usage: xlsx-to-pdf/);
+  });
+});
@@ -1,6 +1,7 @@
 const request = require("supertest");
 const ExcelJS = require("exceljs");
 const http = require("http");
+const { Readable } = require("stream");
 
 // Mock node-fetch before requiring the app
 let mockFetchResponse;
@@ -40,6 +41,7 @@ jest.mock("pino-http", () => {
       warn: () => {},
       debug: () => {},
     };
+    req.log.child = () => req.log;
     next();
   };
 });
@@ -132,7 +134,7 @@ describe("POST /convert - conversion", () => {
     mockFetchResponse = {
       ok: true,
       status: 200,
-      buffer: async () => FAKE_PDF,
+      get body() { return Readable.from([FAKE_PDF]); },
     };
 
     const xlsxBuf = await createXlsxBuffer();
@@ -229,7 +231,7 @@ describe("POST /convert - options", () => {
     mockFetchResponse = {
       ok: true,
       status: 200,
-      buffer: async () => FAKE_PDF,
+      get body() { return Readable.from([FAKE_PDF]); },
     };
 
     const xlsxBuf = await createXlsxBuffer();
@@ -245,7 +247,7 @@ describe("POST /convert - options", () => {
     mockFetchResponse = {
       ok: true,
       status: 200,
-      buffer: async () => FAKE_PDF,
+      get body() { return Readable.from([FAKE_PDF]); },
     };
 
     const xlsxBuf = await createXlsxBuffer();
@@ -257,6 +259,28 @@ describe("POST /convert - options", () => {
 
     expect(res.status).toBe(200);
   });
+
+  test("returns 400 for a malformed sheets field", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/convert")
+      .field("sheets", "[oops")
+      .attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/sheets/);
+  });
+
+  test("returns 400 when a selected sheet does not exist", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/convert")
+      .field("sheets", "Dashboard")
+      .attach("file", xlsxBuf, "test.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/sheet not found/i);
+  });
 });
 
 // ---- Filename sanitization ----
@@ -266,7 +290,7 @@ describe("POST /convert - filename sanitization", () => {
     mockFetchResponse = {
       ok: true,
       status: 200,
-      buffer: async () => FAKE_PDF,
+      get body() { return Readable.from([FAKE_PDF]); },
     };
 
     const xlsxBuf = await createXlsxBuffer();
@@ -285,7 +309,7 @@ describe("POST /convert - filename sanitization", () => {
     mockFetchResponse = {
       ok: true,
       status: 200,
-      buffer: async () => FAKE_PDF,
+      get body() { return Readable.from([FAKE_PDF]); },
     };
 
     const xlsxBuf = await createXlsxBuffer();
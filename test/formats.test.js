@@ -0,0 +1,204 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { Readable } = require("stream");
+
+// Mock node-fetch and keep the last request so the forwarded form can be
+// inspected; the form is read out since uploads are streamed into it
+let mockFetchResponse;
+let mockLastRequest;
+jest.mock("node-fetch", () => {
+  const { PassThrough } = require("stream");
+  return jest.fn(async (url, opts) => {
+    const chunks = [];
+    for await (const chunk of opts.body.pipe(new PassThrough())) chunks.push(chunk);
+    mockLastRequest = { url, opts, form: Buffer.concat(chunks).toString("latin1") };
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { detectFormat, loadWorkbook } = require("../lib/formats");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const OLE_HEADER = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(512)]);
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function createOdsBuffer() {
+  const zip = new JSZip();
+  zip.file("mimetype", "application/vnd.oasis.opendocument.spreadsheet", { compression: "STORE" });
+  zip.file("content.xml", "<office:document-content/>");
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+function rows(worksheet) {
+  const values = [];
+  worksheet.eachRow((row) => values.push(row.values.slice(1)));
+  return values;
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockLastRequest = null;
+  config.apiKey = "";
+});
+
+describe("detectFormat", () => {
+  test("sniffs binary formats regardless of name", async () => {
+    expect(detectFormat(await createXlsxBuffer(), "upload")).toBe("xlsx");
+    expect(detectFormat(await createOdsBuffer(), "upload")).toBe("ods");
+    expect(detectFormat(OLE_HEADER, "upload")).toBe("xls");
+  });
+
+  test("sniffs text content without an extension", () => {
+    expect(detectFormat(Buffer.from('{"rows":[]}'), "upload")).toBe("json");
+    expect(detectFormat(Buffer.from("a,b\n1,2"), "upload")).toBe("csv");
+  });
+
+  test("requires content to match the extension or declared format", async () => {
+    expect(detectFormat(Buffer.from("not a zip"), "report.xlsx")).toBeNull();
+    expect(detectFormat(await createXlsxBuffer(), "report.csv")).toBeNull();
+    expect(detectFormat(Buffer.from("a\tb\n1\t2"), "data.txt", "tsv")).toBe("tsv");
+  });
+
+  test("rejects binary garbage", () => {
+    expect(detectFormat(Buffer.alloc(10), "data")).toBeNull();
+  });
+});
+
+describe("loadWorkbook", () => {
+  test("guesses the CSV delimiter and keeps leading zeros", async () => {
+    const wb = await loadWorkbook(Buffer.from('id;name;amount\n007;"Smith; J";12.5\n'), { inputFormat: "csv" });
+    expect(rows(wb.getWorksheet("Sheet1"))).toEqual([
+      ["id", "name", "amount"],
+      ["007", "Smith; J", 12.5],
+    ]);
+  });
+
+  test("decodes the requested encoding", async () => {
+    const latin1 = Buffer.from("name\nJosé\n", "latin1");
+    const wb = await loadWorkbook(latin1, { inputFormat: "csv", encoding: "windows-1252" });
+    expect(wb.getWorksheet("Sheet1").getCell("A2").value).toBe("José");
+  });
+
+  test("builds a styled sheet from a JSON table", async () => {
+    const json = JSON.stringify({
+      sheets: [{
+        name: "Invoices",
+        columns: ["number", { header: "total", numFmt: "#,##0.00" }],
+        rows: [{ number: "INV-1", total: 1200 }, ["INV-2", 80]],
+      }],
+    });
+    const wb = await loadWorkbook(Buffer.from(json), { inputFormat: "json" });
+    const ws = wb.getWorksheet("Invoices");
+    expect(rows(ws)).toEqual([["number", "total"], ["INV-1", 1200], ["INV-2", 80]]);
+    expect(ws.getCell("A1").font.bold).toBe(true);
+    expect(ws.getCell("B2").numFmt).toBe("#,##0.00");
+  });
+
+  test("derives columns from an array of objects", async () => {
+    const wb = await loadWorkbook(Buffer.from('[{"a":1,"b":2}]'), { inputFormat: "json" });
+    expect(rows(wb.worksheets[0])).toEqual([["a", "b"], [1, 2]]);
+  });
+
+  test("rejects malformed JSON with a 400", async () => {
+    await expect(loadWorkbook(Buffer.from("{nope"), { inputFormat: "json" })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test.each([
+    ["duplicate table names", { sheets: [{ name: "Data", rows: [[1]] }, { name: "data", rows: [[2]] }] }, /data is used twice/],
+    ["names Excel does not allow", { sheets: [{ name: "Q1/Q2", rows: [[1]] }] }, /must not contain/],
+    ["a table without columns or values", { rows: [] }, /no columns and no values/],
+  ])("rejects %s with a 400", async (name, data, message) => {
+    const err = await loadWorkbook(Buffer.from(JSON.stringify(data)), { inputFormat: "json" }).catch((e) => e);
+    expect(err).toMatchObject({ statusCode: 400, code: "INVALID_INPUT" });
+    expect(err.message).toMatch(message);
+  });
+
+  test("keeps the header row of a table without rows", async () => {
+    const wb = await loadWorkbook(Buffer.from('{"columns":["a","b"],"rows":[]}'), { inputFormat: "json" });
+    expect(rows(wb.worksheets[0])).toEqual([["a", "b"]]);
+  });
+});
+
+describe("POST /convert - input formats", () => {
+  test("converts a CSV upload through ExcelJS", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", Buffer.from("a,b\n1,2\n"), "numbers.csv");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toMatch(/numbers\.pdf/);
+    expect(mockLastRequest.form).toMatch(/filename="export\.xlsx"/);
+  });
+
+  test("forwards .xls files to LibreOffice unchanged", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", OLE_HEADER, "legacy.xls");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toMatch(/legacy\.pdf/);
+    const form = mockLastRequest.form;
+    expect(form).toMatch(/filename="export\.xls"/);
+    expect(form).toMatch(/application\/vnd\.ms-excel/);
+  });
+
+  test("rejects an unknown declared format", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("format", "docx")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/format must be one of/);
+  });
+
+  test("returns 400 for unparseable JSON input", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", Buffer.from("{broken"), "table.json");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/invalid json/i);
+  });
+
+  test("returns 400 for JSON tables that cannot become sheets", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", Buffer.from('{"rows":[]}'), "table.json");
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_INPUT");
+  });
+});
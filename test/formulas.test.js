@@ -0,0 +1,325 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Mock node-fetch before requiring the app
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => {
+    if (!mockFetchResponse) {
+      throw new Error("No mock configured");
+    }
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+const { describeWarnings, processFormulas } = require("../lib/formulas");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+// An invoice as a backend library writes it: formulas without results
+async function createWorkbook({ external = false } = {}) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Invoice");
+  ws.addRow(["Item", "Qty", "Price", "Total"]);
+  ws.addRow(["Paper", 2, 4.5, { formula: "B2*C2" }]);
+  ws.addRow(["Ink", 3, 12, { formula: "B3*C3" }]);
+  ws.getCell("C4").value = "Net";
+  ws.getCell("D4").value = { formula: "SUM(D2:D3)" };
+  ws.getCell("C5").value = "VAT";
+  ws.getCell("D5").value = { formula: "ROUND(D4*VatRate,2)" };
+  ws.getCell("D6").value = { formula: "IF(D4>40,\"Large\",\"Small\")&\" order\"" };
+  ws.getCell("D7").value = { formula: "VLOOKUP(\"Ink\",A2:C3,3,FALSE)=Settings!B2" };
+  ws.getCell("D8").value = { formula: "D4-45" };
+  ws.getCell("D9").value = { formula: "SUMPRODUCT(B2:B3,C2:C3)", result: 45 };
+  ws.getCell("D10").value = { formula: "IFERROR(1/0,\"n/a\")" };
+  if (external) ws.getCell("D11").value = { formula: "[1]Rates!B2*D4", result: 9 };
+  const settings = wb.addWorksheet("Settings");
+  settings.addRow(["Name", "Value"]);
+  settings.addRow(["VAT", 12]);
+  settings.addRow(["Rate", 0.2]);
+  settings.state = "hidden";
+  wb.definedNames.add("Settings!$B$3", "VatRate");
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function process(body, workbook) {
+  const report = {};
+  const output = await preprocessWorkbook(workbook || (await createWorkbook()), parseOptions(body), report);
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(output);
+  return { ws: wb.getWorksheet("Invoice"), warnings: report.warnings };
+}
+
+const result = (ws, address) => ws.getCell(address).model.result;
+
+beforeEach(() => {
+  mockFetchResponse = null;
+  config.apiKey = "";
+});
+
+describe("parseOptions - formulas", () => {
+  test("leaves formulas alone unless asked", () => {
+    expect(parseOptions({}).formulas).toBeNull();
+    expect(parseOptions({ recalculate: "false" }).formulas).toBeNull();
+  });
+
+  test("defaults to keeping external links", () => {
+    expect(parseOptions({ recalculate: "true" }).formulas).toEqual({ recalculate: true, externalLinks: "keep" });
+    expect(parseOptions({ externalLinks: " Reject" }).formulas).toEqual({ recalculate: false, externalLinks: "reject" });
+  });
+
+  test.each([
+    [{ recalculate: "yes" }, "recalculate", /recalculate must be true or false/],
+    [{ externalLinks: "drop" }, "externalLinks", /keep, blank, reject/],
+  ])("rejects %p", (body, field, message) => {
+    expect(() => parseOptions(body)).toThrow(message);
+    try {
+      parseOptions(body);
+    } catch (err) {
+      expect(err).toMatchObject({ code: "INVALID_OPTION", field });
+    }
+  });
+});
+
+describe("preprocessWorkbook - recalculation", () => {
+  test("writes the results of supported formulas back", async () => {
+    const { ws } = await process({ recalculate: "true" });
+    expect(result(ws, "D2")).toBe(9);
+    expect(result(ws, "D4")).toBe(45);
+    expect(result(ws, "D5")).toBe(9);
+    expect(result(ws, "D6")).toBe("Large order");
+    expect(result(ws, "D7")).toBe(true);
+    // Falsy results survive the round trip
+    expect(result(ws, "D8")).toBe(0);
+    expect(result(ws, "D10")).toBe("n/a");
+    expect(ws.getCell("D4").text).toBe("45");
+  });
+
+  test("keeps the cached value of what it cannot evaluate and warns", async () => {
+    const { ws, warnings } = await process({ recalculate: "true" });
+    expect(result(ws, "D9")).toBe(45);
+    expect(warnings).toEqual([{
+      code: "UNSUPPORTED_FUNCTION",
+      sheet: "Invoice",
+      cell: "D9",
+      message: "SUMPRODUCT is not supported; kept the cached value",
+    }]);
+  });
+
+  test("evaluates Excel errors and reports circular references", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Invoice");
+    ws.getCell("A1").value = { formula: "1/0" };
+    ws.getCell("A2").value = { formula: "A3+1" };
+    ws.getCell("A3").value = { formula: "A2+1" };
+    ws.getCell("A4").value = { formula: "LEFT(\"abc\"" };
+    const { ws: out, warnings } = await process({ recalculate: "true" }, Buffer.from(await wb.xlsx.writeBuffer()));
+    expect(result(out, "A1")).toEqual({ error: "#DIV/0!" });
+    expect(result(out, "A2")).toBe(1);
+    expect(warnings.map(({ code, cell }) => [code, cell])).toEqual([
+      ["CIRCULAR_REFERENCE", "A3"],
+      ["UNSUPPORTED_FORMULA", "A4"],
+    ]);
+    expect(warnings[0].message).toBe("The formula depends on its own value; it has no cached value");
+  });
+
+  test("lists at most 100 warnings and counts the rest", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Invoice");
+    for (let row = 1; row <= 105; row++) ws.getCell(`A${row}`).value = { formula: "RAND()" };
+    const { warnings } = await process({ recalculate: "true" }, Buffer.from(await wb.xlsx.writeBuffer()));
+    expect(warnings).toHaveLength(101);
+    expect(warnings[100]).toEqual({ code: "MORE_WARNINGS", count: 5, message: "5 more warnings were not listed" });
+    expect(describeWarnings(warnings)).toBe("UNSUPPORTED_FUNCTION=100, MORE_WARNINGS=5");
+  });
+});
+
+describe("preprocessWorkbook - large ranges", () => {
+  // Data in A1:B3 of "S", formulas on "Invoice"
+  async function rangeWorkbook(formulas) {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Invoice");
+    formulas.forEach((formula, i) => {
+      ws.getCell(`A${i + 1}`).value = { formula };
+    });
+    const data = wb.addWorksheet("S");
+    data.addRow(["x", 1]);
+    data.addRow(["y", 2]);
+    data.addRow(["z", 3]);
+    return Buffer.from(await wb.xlsx.writeBuffer());
+  }
+
+  test("reads ranges only within the used area, keeping their size", async () => {
+    const { ws, warnings } = await process({ recalculate: "true" }, await rangeWorkbook([
+      "SUM(S!A1:XFD1048576)",
+      "COUNTBLANK(S!A1:B10)",
+      "COUNTIF(S!A1:A10,\"\")",
+      "INDEX(S!B1:B10,8)",
+      "MATCH(\"z\",S!A:A,0)",
+      "VLOOKUP(\"y\",S!A1:C100,2,FALSE)",
+    ]));
+    expect([1, 2, 3, 4, 5, 6].map((row) => result(ws, `A${row}`))).toEqual([6, 14, 7, 0, 3, 2]);
+    expect(warnings).toEqual([]);
+  });
+
+  test("keeps the cached value of formulas beyond the cell budget", async () => {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(await rangeWorkbook(["SUM(S!A1:XFD1048576)", "SUM(S!B1:B3)"]));
+    const warnings = processFormulas(wb, { recalculate: true, externalLinks: "keep" }, { cellBudget: 5 });
+    expect(wb.getWorksheet("Invoice").getCell("A2").result).toBe(6);
+    expect(warnings).toEqual([{
+      code: "FORMULA_TOO_LARGE",
+      sheet: "Invoice",
+      cell: "A1",
+      message: "The formula reads more cells than recalculation allows; it has no cached value",
+    }]);
+  });
+});
+
+describe("preprocessWorkbook - external links", () => {
+  test("keeps the cached value and warns by default", async () => {
+    const { ws, warnings } = await process({ recalculate: "true" }, await createWorkbook({ external: true }));
+    expect(result(ws, "D11")).toBe(9);
+    expect(describeWarnings(warnings)).toBe("UNSUPPORTED_FUNCTION=1, EXTERNAL_REFERENCE=1");
+  });
+
+  test("warns about kept links without recalculating", async () => {
+    const { ws, warnings } = await process({ externalLinks: "keep" }, await createWorkbook({ external: true }));
+    expect(result(ws, "D4")).toBeUndefined();
+    expect(warnings).toEqual([{
+      code: "EXTERNAL_REFERENCE",
+      sheet: "Invoice",
+      cell: "D11",
+      message: "The formula refers to another workbook; kept the cached value",
+    }]);
+  });
+
+  test("blanks links when asked", async () => {
+    const { ws, warnings } = await process({ externalLinks: "blank" }, await createWorkbook({ external: true }));
+    expect(ws.getCell("D11").value).toBeNull();
+    expect(warnings).toEqual([]);
+  });
+
+  test("rejects workbooks with links when asked", async () => {
+    const err = await process({ externalLinks: "reject" }, await createWorkbook({ external: true })).catch((e) => e);
+    expect(err.message).toBe("The formula in Invoice!D11 refers to another workbook");
+    expect(err).toMatchObject({ statusCode: 400, code: "EXTERNAL_REFERENCE", field: "externalLinks" });
+  });
+});
+
+describe("formulas over HTTP", () => {
+  beforeEach(() => {
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  });
+
+  test("reports warnings in X-Conversion-Warnings and skips the cache", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("recalculate", "true")
+      .attach("file", await createWorkbook({ external: true }), "invoice.xlsx");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["x-conversion-warnings"]).toBe("UNSUPPORTED_FUNCTION=1, EXTERNAL_REFERENCE=1");
+    expect(res.headers["x-cache"]).toBe("BYPASS");
+    expect(res.headers.etag).toBeUndefined();
+  });
+
+  test("sends no warnings header when every formula resolved", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("externalLinks", "blank")
+      .attach("file", await createWorkbook({ external: true }), "invoice.xlsx");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["x-conversion-warnings"]).toBeUndefined();
+  });
+
+  test("keeps the warnings on the job record", async () => {
+    const res = await request(app)
+      .post("/jobs")
+      .field("recalculate", "true")
+      .attach("file", await createWorkbook(), "invoice.xlsx");
+    expect(res.status).toBe(202);
+    expect(res.body.warnings).toBeNull();
+
+    let status;
+    for (let i = 0; i < 50; i++) {
+      status = await request(app).get(`/jobs/${res.body.id}`);
+      if (status.body.status === "done" || status.body.status === "failed") break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(status.body.status).toBe("done");
+    expect(status.body.warnings).toEqual([expect.objectContaining({ code: "UNSUPPORTED_FUNCTION", cell: "D9" })]);
+  });
+
+  test("answers quickly for a formula over the whole sheet", async () => {
+    const wb = new ExcelJS.Workbook();
+    wb.addWorksheet("Report").getCell("A1").value = { formula: "SUM(S!A1:XFD1048576)" };
+    const data = wb.addWorksheet("S");
+    data.getCell("B2").value = 5;
+    data.getCell("C3").value = 7;
+
+    const started = Date.now();
+    const res = await request(app)
+      .post("/convert")
+      .field("recalculate", "true")
+      .attach("file", Buffer.from(await wb.xlsx.writeBuffer()), "report.xlsx");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["x-conversion-warnings"]).toBeUndefined();
+    expect(Date.now() - started).toBeLessThan(3000);
+  });
+
+  test("answers EXTERNAL_REFERENCE for rejected links", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("externalLinks", "reject")
+      .attach("file", await createWorkbook({ external: true }), "invoice.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "EXTERNAL_REFERENCE", field: "externalLinks" });
+  });
+
+  test("refuses to recalculate input that skips preprocessing", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("recalculate", "true")
+      .attach("file", Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(504)]), "legacy.xls");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "UNSUPPORTED_INPUT", error: "Formula recalculation is not available for .xls files" });
+  });
+});
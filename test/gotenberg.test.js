@@ -0,0 +1,209 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Mock node-fetch; each call takes the next queued outcome (an Error is thrown)
+let mockOutcomes;
+let mockCalls;
+jest.mock("node-fetch", () => {
+  return jest.fn(async (url) => {
+    mockCalls.push(url);
+    const outcome = mockOutcomes.length > 1 ? mockOutcomes.shift() : mockOutcomes[0];
+    const result = typeof outcome === "function" ? await outcome() : outcome;
+    if (result instanceof Error) throw result;
+    return result;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const gotenberg = require("../lib/renderers/gotenberg");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const URL_A = "http://gotenberg-a:3000/forms/libreoffice/convert";
+const URL_B = "http://gotenberg-b:3000/forms/libreoffice/convert";
+const OK = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+const UNAVAILABLE = { ok: false, status: 503, text: async () => "Service Unavailable" };
+
+function connectionRefused() {
+  const err = new Error("connect ECONNREFUSED 10.0.0.1:3000");
+  err.code = "ECONNREFUSED";
+  return err;
+}
+
+let xlsxBuffer;
+
+beforeAll(async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  xlsxBuffer = Buffer.from(await wb.xlsx.writeBuffer());
+});
+
+beforeEach(() => {
+  mockOutcomes = [OK];
+  mockCalls = [];
+  config.apiKey = "";
+  config.renderer = "gotenberg";
+  config.gotenbergUrls = [URL_A];
+  config.gotenbergBalance = "round-robin";
+  config.gotenbergMaxAttempts = 3;
+  config.gotenbergRetryBaseMs = 1;
+  config.gotenbergBreakerThreshold = 5;
+  config.gotenbergBreakerResetMs = 30000;
+  gotenberg.reset();
+});
+
+function convert() {
+  return request(app).post("/convert").attach("file", xlsxBuffer, "test.xlsx");
+}
+
+describe("retries", () => {
+  test("retries a refused connection", async () => {
+    mockOutcomes = [connectionRefused(), OK];
+    const res = await convert();
+    expect(res.status).toBe(200);
+    expect(mockCalls).toHaveLength(2);
+  });
+
+  test("retries a 503 on the next instance", async () => {
+    config.gotenbergUrls = [URL_A, URL_B];
+    mockOutcomes = [UNAVAILABLE, OK];
+    const res = await convert();
+    expect(res.status).toBe(200);
+    expect(mockCalls).toEqual([URL_A, URL_B]);
+  });
+
+  test("gives up after the configured attempts", async () => {
+    mockOutcomes = [UNAVAILABLE];
+    const res = await convert();
+    expect(res.status).toBe(502);
+    expect(mockCalls).toHaveLength(3);
+  });
+
+  test("does not retry a failed conversion", async () => {
+    mockOutcomes = [{ ok: false, status: 500, text: async () => "Bad file" }];
+    const res = await convert();
+    expect(res.status).toBe(502);
+    expect(mockCalls).toHaveLength(1);
+  });
+});
+
+describe("circuit breaker", () => {
+  test("fails fast once the circuit is open", async () => {
+    config.gotenbergMaxAttempts = 1;
+    config.gotenbergBreakerThreshold = 2;
+    mockOutcomes = [connectionRefused()];
+    await convert();
+    await convert();
+
+    mockCalls = [];
+    const res = await convert();
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe("CIRCUIT_OPEN");
+    expect(mockCalls).toHaveLength(0);
+  });
+
+  test("500 responses do not open the circuit", async () => {
+    config.gotenbergBreakerThreshold = 1;
+    mockOutcomes = [{ ok: false, status: 500, text: async () => "Bad file" }, OK];
+    await convert();
+    const res = await convert();
+    expect(res.status).toBe(200);
+  });
+
+  test("routes around an instance with an open circuit", async () => {
+    config.gotenbergUrls = [URL_A, URL_B];
+    config.gotenbergMaxAttempts = 1;
+    config.gotenbergBreakerThreshold = 1;
+    mockOutcomes = [connectionRefused(), OK];
+    await convert();
+
+    mockCalls = [];
+    for (let i = 0; i < 3; i++) expect((await convert()).status).toBe(200);
+    expect(mockCalls).toEqual([URL_B, URL_B, URL_B]);
+  });
+});
+
+describe("balancing", () => {
+  test("round-robin alternates between instances", async () => {
+    config.gotenbergUrls = [URL_A, URL_B];
+    for (let i = 0; i < 4; i++) await convert();
+    expect(mockCalls).toEqual([URL_A, URL_B, URL_A, URL_B]);
+  });
+
+  test("least-busy skips an instance with a request in flight", async () => {
+    config.gotenbergUrls = [URL_A, URL_B];
+    config.gotenbergBalance = "least-busy";
+    let release;
+    const slow = () => new Promise((resolve) => { release = () => resolve(OK); });
+    mockOutcomes = [slow, OK, OK];
+
+    const first = convert().then((res) => res);
+    while (mockCalls.length === 0) await new Promise((resolve) => setTimeout(resolve, 10));
+    await convert();
+    await convert();
+    release();
+    await first;
+
+    expect(mockCalls).toEqual([URL_A, URL_B, URL_B]);
+  });
+});
+
+describe("GET /health - Gotenberg instances", () => {
+  test("reports circuit state per instance", async () => {
+    config.gotenbergUrls = [URL_A, URL_B];
+    mockOutcomes = [OK, { ok: false, status: 503 }];
+    const res = await request(app).get("/health");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      gotenberg: "reachable",
+      circuit: "closed",
+      balance: "round-robin",
+      instances: [
+        { host: "gotenberg-a:3000", status: "reachable", circuit: "closed", inFlight: 0 },
+        { host: "gotenberg-b:3000", status: "unhealthy", circuit: "closed", inFlight: 0 },
+      ],
+    });
+  });
+
+  test("is degraded while every circuit is open", async () => {
+    config.gotenbergMaxAttempts = 1;
+    config.gotenbergBreakerThreshold = 1;
+    mockOutcomes = [connectionRefused(), OK];
+    await convert();
+
+    const res = await request(app).get("/health");
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ status: "degraded", gotenberg: "reachable", circuit: "open" });
+  });
+});
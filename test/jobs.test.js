@@ -0,0 +1,185 @@
+const fs = require("fs");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Mock node-fetch before requiring the app
+let mockFetchResponse;
+let mockFetchError;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => {
+    if (mockFetchError) throw mockFetchError;
+    if (!mockFetchResponse) {
+      throw new Error("No mock configured");
+    }
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config, jobStore } = require("../index");
+const { createJobStore } = require("../lib/jobs");
+const { writeTemp } = require("../lib/spool");
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Sheet1");
+  ws.addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+// Poll the status endpoint until the job leaves queued/running
+async function waitForJob(id) {
+  for (let i = 0; i < 50; i++) {
+    const res = await request(app).get(`/jobs/${id}`);
+    if (res.body.status === "done" || res.body.status === "failed") return res;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Job did not finish");
+}
+
+beforeEach(() => {
+  mockFetchResponse = null;
+  mockFetchError = null;
+  config.apiKey = "";
+});
+
+describe("POST /jobs", () => {
+  test("returns 400 when no file uploaded", async () => {
+    const res = await request(app).post("/jobs");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/no file/i);
+  });
+
+  test("returns 400 for non-xlsx file", async () => {
+    const res = await request(app)
+      .post("/jobs")
+      .attach("file", Buffer.from("not an xlsx"), "bad.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/invalid file type/i);
+  });
+
+  test("queues a job and exposes its PDF when done", async () => {
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+
+    const res = await request(app)
+      .post("/jobs")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/jobs/${res.body.id}`);
+    expect(["queued", "running"]).toContain(res.body.status);
+
+    const status = await waitForJob(res.body.id);
+    expect(status.body.status).toBe("done");
+    expect(status.body.timings.excelMs).toEqual(expect.any(Number));
+    expect(status.body.timings.renderMs).toEqual(expect.any(Number));
+    expect(status.body.expiresAt).not.toBeNull();
+
+    const result = await request(app).get(`/jobs/${res.body.id}/result`);
+    expect(result.status).toBe(200);
+    expect(result.headers["content-type"]).toMatch(/application\/pdf/);
+    expect(result.headers["content-disposition"]).toMatch(/report\.pdf/);
+    expect(result.body).toEqual(FAKE_PDF);
+  });
+
+  test("records a failed job when Gotenberg errors", async () => {
+    mockFetchResponse = { ok: false, status: 500, text: async () => "boom" };
+
+    const res = await request(app)
+      .post("/jobs")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+
+    const status = await waitForJob(res.body.id);
+    expect(status.body.status).toBe("failed");
+    expect(status.body.error).toMatch(/conversion failed/i);
+
+    const result = await request(app).get(`/jobs/${res.body.id}/result`);
+    expect(result.status).toBe(409);
+  });
+});
+
+describe("GET/DELETE /jobs/:id", () => {
+  test("returns 404 for unknown jobs", async () => {
+    expect((await request(app).get("/jobs/unknown")).status).toBe(404);
+    expect((await request(app).get("/jobs/unknown/result")).status).toBe(404);
+    expect((await request(app).delete("/jobs/unknown")).status).toBe(404);
+  });
+
+  test("deletes a job", async () => {
+    const job = jobStore.create({ filename: "x.pdf" });
+    const res = await request(app).delete(`/jobs/${job.id}`);
+    expect(res.status).toBe(204);
+    expect((await request(app).get(`/jobs/${job.id}`)).status).toBe(404);
+  });
+
+  test("returns 409 for results of unfinished jobs", async () => {
+    const job = jobStore.create({ filename: "x.pdf" });
+    const res = await request(app).get(`/jobs/${job.id}/result`);
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/queued/);
+  });
+});
+
+describe("job store", () => {
+  test("expires finished jobs after the TTL and removes their result", async () => {
+    const store = createJobStore({ ttlMs: -1 });
+    const job = store.create();
+    const result = await writeTemp(FAKE_PDF, ".pdf");
+    store.markDone(job, result, {});
+    expect(store.get(job.id)).toBeUndefined();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(fs.existsSync(result.path)).toBe(false);
+  });
+
+  test("removes the result of a job deleted while it ran", async () => {
+    const store = createJobStore({ ttlMs: 60000 });
+    const job = store.create();
+    store.markRunning(job);
+    expect(store.remove(job.id)).toBe(true);
+    const result = await writeTemp(FAKE_PDF, ".pdf");
+    store.markDone(job, result, {});
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(fs.existsSync(result.path)).toBe(false);
+    expect(job.result).toBeNull();
+  });
+
+  test("keeps unfinished jobs regardless of TTL", () => {
+    const store = createJobStore({ ttlMs: -1 });
+    const job = store.create();
+    store.markRunning(job);
+    store.sweep();
+    expect(store.get(job.id)).toBe(job);
+  });
+});
@@ -0,0 +1,93 @@
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { parseLayoutOptions, renderHeaderFooter, MARGIN_PRESETS } = require("../lib/layout");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+
+async function roundTrip(body) {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Summary").addRow(["total", 1]);
+  const options = { ...parseOptions(body), sourceName: "Q1 & Q2.xlsx" };
+  return preprocessWorkbook(Buffer.from(await wb.xlsx.writeBuffer()), options);
+}
+
+async function loadSheet(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  return wb.getWorksheet("Summary");
+}
+
+describe("parseLayoutOptions", () => {
+  test("maps paper size names to Excel codes", () => {
+    expect(parseLayoutOptions({ paperSize: "Letter" })).toEqual({ paperSize: 1 });
+    expect(parseLayoutOptions({ paperSize: "a3" })).toEqual({ paperSize: 8 });
+  });
+
+  test("parses custom paper dimensions", () => {
+    const options = parseLayoutOptions({ paperSize: "custom", paperWidth: "100mm", paperHeight: "6in" });
+    expect(options.paperWidth).toBeCloseTo(3.937, 3);
+    expect(options.paperHeight).toBe(6);
+  });
+
+  test("accepts margin presets and partial JSON margins with units", () => {
+    expect(parseLayoutOptions({ margins: "narrow" }).margins).toEqual(MARGIN_PRESETS.narrow);
+    const { margins } = parseLayoutOptions({ margins: '{"top":"25.4mm","left":0.5}' });
+    expect(margins.top).toBeCloseTo(1);
+    expect(margins.left).toBe(0.5);
+    expect(margins.right).toBe(MARGIN_PRESETS.normal.right);
+  });
+
+  test("treats a template starting with a token as plain text", () => {
+    expect(parseLayoutOptions({ header: "{file} - {sheet}" }).header).toEqual({ center: "{file} - {sheet}" });
+  });
+
+  test.each([
+    [{ paperSize: "B5" }, /paperSize must be one of/],
+    [{ paperSize: "custom", paperWidth: "10cm" }, /requires paperWidth and paperHeight/],
+    [{ margins: '{"gutter":1}' }, /not a margin/],
+    [{ margins: '{"top":"1 furlong"}' }, /must be a length/],
+    [{ scale: "5" }, /between 10 and 400/],
+    [{ footer: "Page {page} of {total}" }, /Unknown footer token \{total\}/],
+    [{ header: '{"middle":"x"}' }, /left, center or right/],
+  ])("rejects %p", (body, message) => {
+    expect(() => parseLayoutOptions(body)).toThrow(message);
+  });
+});
+
+describe("renderHeaderFooter", () => {
+  const context = { fileName: "R&D.xlsx", timestamp: "2024-01-01T00:00:00.000Z" };
+
+  test("maps tokens to Excel codes and escapes literal ampersands", () => {
+    expect(renderHeaderFooter({ center: "Page {page} of {pages}" }, context)).toBe("&CPage &P of &N");
+    expect(renderHeaderFooter({ left: "{file}", right: "{sheet} {timestamp}" }, context))
+      .toBe("&LR&&D.xlsx&R&A 2024-01-01T00:00:00.000Z");
+  });
+});
+
+describe("preprocessWorkbook - layout", () => {
+  test("applies paper size, margins, scale and footer", async () => {
+    const ws = await loadSheet(await roundTrip({
+      paperSize: "legal",
+      margins: "wide",
+      scale: "80",
+      footer: '{"left":"{file}","right":"Page {page} of {pages}"}',
+    }));
+    expect(ws.pageSetup.paperSize).toBe(5);
+    expect(ws.pageSetup.margins).toEqual(MARGIN_PRESETS.wide);
+    expect(ws.pageSetup.scale).toBe(80);
+    expect(ws.pageSetup.fitToPage).toBe(false);
+    expect(ws.headerFooter.oddFooter).toBe("&LQ1 && Q2.xlsx&RPage &P of &N");
+  });
+
+  test("keeps A4 as the default paper size", async () => {
+    const ws = await loadSheet(await roundTrip({}));
+    expect(ws.pageSetup.paperSize).toBe(9);
+  });
+
+  test("writes custom paper dimensions into the sheet XML", async () => {
+    const output = await roundTrip({ paperSize: "custom", paperWidth: "100mm", paperHeight: "150mm" });
+    const zip = await JSZip.loadAsync(output);
+    const xml = await zip.file("xl/worksheets/sheet1.xml").async("string");
+    expect(xml).toMatch(/<pageSetup paperWidth="100.00mm" paperHeight="150.00mm"/);
+    expect(xml).not.toMatch(/paperSize=/);
+  });
+});
@@ -0,0 +1,117 @@
+const ExcelJS = require("exceljs");
+const { textWidth, formatValue, displayText, autoFitColumns } = require("../lib/measure");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+
+function cellWith(value, extra = {}) {
+  const ws = new ExcelJS.Workbook().addWorksheet("Sheet1");
+  const cell = ws.getCell("A1");
+  cell.value = value;
+  Object.assign(cell, extra);
+  return cell;
+}
+
+describe("textWidth", () => {
+  test("counts CJK and fullwidth characters twice", () => {
+    expect(textWidth("abc")).toBe(3);
+    expect(textWidth("日本語")).toBe(6);
+    expect(textWidth("ＡＢ")).toBe(4);
+  });
+
+  test("ignores combining marks", () => {
+    expect(textWidth("é")).toBe(1);
+  });
+});
+
+describe("formatValue", () => {
+  test.each([
+    [1234.5, undefined, "1234.5"],
+    [1234.5, "General", "1234.5"],
+    [1234.5, "#,##0.00", "1,234.50"],
+    [1234567, "#,##0", "1,234,567"],
+    [0.256, "0.0%", "25.6%"],
+    [-42, "$#,##0.00;($#,##0.00)", "($42.00)"],
+    [1500, '[$€-407] #,##0.00', "€ 1,500.00"],
+    [3, '0 "items"', "3 items"],
+    [45292, "yyyy-mm-dd", "2024-01-01"],
+    [45292.5, "dd mmm yyyy hh:mm", "01 Jan 2024 12:00"],
+    [123456789012, undefined, "1.23457E+11"],
+  ])("formats %p with %p as %p", (value, numFmt, expected) => {
+    expect(formatValue(value, numFmt)).toBe(expected);
+  });
+
+  test("formats dates with their number format or as ISO dates", () => {
+    const date = new Date(Date.UTC(2024, 2, 5));
+    expect(formatValue(date, "d-mmm-yy")).toBe("5-Mar-24");
+    expect(formatValue(date, undefined)).toBe("2024-03-05");
+  });
+
+  test("fills dates Excel cannot show with #", () => {
+    expect(formatValue(1e20, "mmm yyyy")).toBe("########");
+    expect(formatValue(-1, "yyyy-mm-dd")).toBe("########");
+    expect(formatValue(2958465, "yyyy-mm-dd")).toBe("9999-12-31");
+    expect(formatValue(new Date(NaN), "d-mmm-yy")).toBe("########");
+  });
+});
+
+describe("displayText", () => {
+  test("resolves rich text, hyperlinks, formulas and errors", () => {
+    expect(displayText(cellWith({ richText: [{ text: "Bold " }, { text: "plain" }] }))).toBe("Bold plain");
+    expect(displayText(cellWith({ text: "Docs", hyperlink: "https://example.com/a/very/long/link" }))).toBe("Docs");
+    expect(displayText(cellWith({ formula: "SUM(B1:B9)", result: 1234.5 }, { numFmt: "#,##0.00" }))).toBe("1,234.50");
+    expect(displayText(cellWith({ formula: "1/0", result: { error: "#DIV/0!" } }))).toBe("#DIV/0!");
+    expect(displayText(cellWith(true))).toBe("TRUE");
+  });
+});
+
+describe("autoFitColumns", () => {
+  function widths(fill, fontSize = 11) {
+    const ws = new ExcelJS.Workbook().addWorksheet("Sheet1");
+    fill(ws);
+    autoFitColumns(ws, fontSize);
+    return ws.columns.map((column) => column.width);
+  }
+
+  test("measures the displayed value instead of [object Object]", () => {
+    const [width] = widths((ws) => {
+      ws.getCell("A1").value = { formula: "1+1", result: 2 };
+    });
+    expect(width).toBe(8);
+  });
+
+  test("scales with the font size", () => {
+    const fill = (ws) => {
+      ws.getCell("A1").value = "x".repeat(30);
+    };
+    expect(widths(fill, 22)[0]).toBeGreaterThan(widths(fill, 11)[0]);
+  });
+
+  test("ignores text of merges spanning several columns", () => {
+    const [width] = widths((ws) => {
+      ws.getCell("A1").value = "A very long report title that spans the table";
+      ws.mergeCells("A1:D1");
+      ws.getCell("A2").value = "id";
+    });
+    expect(width).toBe(8);
+  });
+
+  test("sizes wrapped cells to their longest word", () => {
+    const [width] = widths((ws) => {
+      ws.getCell("A1").value = "short words only but quite a lot of them in this cell";
+      ws.getCell("A1").alignment = { wrapText: true };
+    });
+    expect(width).toBe(8);
+  });
+});
+
+describe("preprocessWorkbook - autoWidth", () => {
+  test("keeps the author's widths when autoWidth is false", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Sheet1");
+    ws.getColumn(1).width = 33;
+    ws.getCell("A1").value = "x";
+    const output = await preprocessWorkbook(Buffer.from(await wb.xlsx.writeBuffer()), parseOptions({ autoWidth: "false" }));
+    const result = new ExcelJS.Workbook();
+    await result.xlsx.load(output);
+    expect(result.getWorksheet("Sheet1").getColumn(1).width).toBe(33);
+  });
+});
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Peak memory benchmark: the same CSV preprocessed in memory and streamed.
+// Heap use is sampled while each runs. Run with --expose-gc; prints the
+// results as JSON. test/memory.test.js runs it in its own process so the
+// test runner's heap neither skews the numbers nor keeps their garbage.
+
+process.env.TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-memory-test-"));
+
+const config = require("../lib/config");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+const { streamCsvWorkbook } = require("../lib/streaming");
+
+const ROWS = 20000;
+
+function createCsv() {
+  const lines = ["id,customer,amount,date,region,note"];
+  for (let i = 1; i <= ROWS; i++) {
+    lines.push(`${i},Customer ${i % 97},${(i * 1.37).toFixed(2)},2026-01-${String((i % 28) + 1).padStart(2, "0")},Region ${i % 5},Note ${i}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Highest heap use above the starting point while `fn` runs, in MB
+async function peakHeapMB(fn) {
+  global.gc();
+  const start = process.memoryUsage().heapUsed;
+  let peak = start;
+  const sample = () => {
+    peak = Math.max(peak, process.memoryUsage().heapUsed);
+  };
+  const timer = setInterval(sample, 5);
+  try {
+    await fn();
+  } finally {
+    clearInterval(timer);
+    sample();
+  }
+  return (peak - start) / 1024 / 1024;
+}
+
+async function main() {
+  const csv = createCsv();
+  const file = { path: path.join(config.tempDir, "input.csv"), size: Buffer.byteLength(csv) };
+  fs.writeFileSync(file.path, csv);
+  const options = { ...parseOptions({}), inputFormat: "csv" };
+
+  const streamed = await peakHeapMB(async () => {
+    const output = await streamCsvWorkbook(file, options);
+    fs.rmSync(output.path);
+  });
+  const inMemory = await peakHeapMB(() => preprocessWorkbook(fs.readFileSync(file.path), options));
+  return { rows: ROWS, fileMB: file.size / 1024 / 1024, streamed, inMemory };
+}
+
+main()
+  .then((result) => console.log(JSON.stringify(result)))
+  .finally(() => fs.rmSync(config.tempDir, { recursive: true, force: true }));
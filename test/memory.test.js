@@ -0,0 +1,18 @@
+const path = require("path");
+const { promisify } = require("util");
+const { execFile } = require("child_process");
+
+// Runs test/memory-benchmark.js in a fresh process: peak heap use of the
+// same CSV preprocessed in memory and streamed. The streamed path should
+// need a fraction of what a full ExcelJS model takes.
+
+test("streaming a large CSV peaks far below in-memory preprocessing", async () => {
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    ["--expose-gc", path.join(__dirname, "memory-benchmark.js")],
+    { timeout: 60000 }
+  );
+  const { streamed, inMemory } = JSON.parse(stdout);
+
+  expect(streamed).toBeLessThan(inMemory / 3);
+}, 60000);
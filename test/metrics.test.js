@@ -0,0 +1,128 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// A low limit so the rate-limit counter can be exercised at the end
+process.env.RATE_LIMIT_MAX = "15";
+
+// Mock node-fetch
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// Value of one sample line, e.g. metric('xlsx_to_pdf_conversions_total{outcome="success",status="200"}')
+async function scrape() {
+  const res = await request(app).get("/metrics");
+  return (sample) => {
+    const line = res.text.split("\n").find((l) => l.startsWith(`${sample} `));
+    return line ? Number(line.split(" ")[1]) : undefined;
+  };
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  config.apiKey = "";
+});
+
+describe("GET /metrics", () => {
+  test("serves the Prometheus text format", async () => {
+    const res = await request(app).get("/metrics");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/plain/);
+    expect(res.text).toMatch(/# TYPE xlsx_to_pdf_render_duration_seconds histogram/);
+  });
+
+  test("records durations, sizes and the outcome of a conversion", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+
+    const metric = await scrape();
+    expect(metric('xlsx_to_pdf_conversions_total{outcome="success",status="200"}')).toBe(1);
+    expect(metric('xlsx_to_pdf_excel_duration_seconds_count{format="xlsx"}')).toBe(1);
+    expect(metric('xlsx_to_pdf_render_duration_seconds_count{renderer="gotenberg"}')).toBe(1);
+    expect(metric('xlsx_to_pdf_input_bytes_sum{format="xlsx"}')).toBe(xlsxBuf.length);
+    expect(metric('xlsx_to_pdf_output_bytes_sum{renderer="gotenberg"}')).toBe(FAKE_PDF.length);
+  });
+
+  test("counts failed conversions by status", async () => {
+    mockFetchResponse = { ok: false, status: 500, text: async () => "boom" };
+    await request(app).post("/convert").attach("file", await createXlsxBuffer(), "test.xlsx");
+
+    const metric = await scrape();
+    expect(metric('xlsx_to_pdf_conversions_total{outcome="failure",status="502"}')).toBe(1);
+  });
+
+  test("counts HTTP responses by route and status", async () => {
+    await request(app).post("/convert");
+    await request(app).get("/jobs/unknown");
+
+    const metric = await scrape();
+    expect(metric('xlsx_to_pdf_http_responses_total{method="POST",route="/convert",status="400"}')).toBe(1);
+    expect(metric('xlsx_to_pdf_http_responses_total{method="GET",route="/jobs/:id",status="404"}')).toBe(1);
+  });
+
+  test("reports the queue and memory against its limit", async () => {
+    const metric = await scrape();
+    expect(metric("xlsx_to_pdf_queue_active")).toBe(0);
+    expect(metric("xlsx_to_pdf_queue_pending")).toBe(0);
+    expect(metric("xlsx_to_pdf_queue_concurrency")).toBe(config.concurrencyLimit);
+    expect(metric("xlsx_to_pdf_memory_rss_bytes")).toBeGreaterThan(0);
+    expect(metric("xlsx_to_pdf_memory_limit_bytes")).toBe(config.memoryLimitMB * 1024 * 1024);
+  });
+
+  test("counts rate-limit rejections", async () => {
+    let res;
+    for (let i = 0; i < 20; i++) {
+      res = await request(app).get("/health");
+      if (res.status === 429) break;
+    }
+    expect(res.status).toBe(429);
+    expect(res.body.error).toMatch(/too many requests/i);
+
+    // The scrape itself is rate limited too, so read the registry directly
+    const { register } = require("../lib/metrics");
+    const [value] = (await register.getSingleMetric("xlsx_to_pdf_rate_limit_rejections_total").get()).values;
+    expect(value.value).toBe(1);
+  });
+});
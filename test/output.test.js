@@ -0,0 +1,279 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { Readable } = require("stream");
+
+// Mock node-fetch so no real Gotenberg is needed
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const fetch = require("node-fetch");
+const { app, config, jobStore } = require("../index");
+const { parseOptions } = require("../lib/convert");
+const { outputType } = require("../lib/output");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const OLE_HEADER = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(512)]);
+
+// Stand-in for pdftoppm: records its arguments and writes one file per
+// page the way poppler names them (ten pages, zero-padded)
+const toolDir = fs.mkdtempSync(path.join(os.tmpdir(), "fake-pdftoppm-"));
+const argsLog = path.join(toolDir, "args.json");
+const fakePdftoppm = path.join(toolDir, "pdftoppm");
+fs.writeFileSync(fakePdftoppm, `#!${process.execPath}
+const fs = require("fs");
+const args = process.argv.slice(2);
+fs.writeFileSync(${JSON.stringify(argsLog)}, JSON.stringify(args));
+const root = args[args.length - 1];
+const ext = args.includes("-png") ? "png" : "jpg";
+if (args.includes("-singlefile")) {
+  fs.writeFileSync(root + "." + ext, "page 1");
+} else {
+  for (let page = 1; page <= 10; page++) fs.writeFileSync(root + "-" + String(page).padStart(2, "0") + "." + ext, "page " + page);
+}
+`);
+fs.chmodSync(fakePdftoppm, 0o755);
+
+afterAll(() => fs.rmSync(toolDir, { recursive: true, force: true }));
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Report");
+  ws.addRow(["Quarterly <report>", null, null]);
+  ws.mergeCells("A1:C1");
+  ws.getCell("A1").font = { bold: true, color: { argb: "FFFF0000" } };
+  ws.getCell("A1").alignment = { horizontal: "center" };
+  ws.addRow(["Region", "Product", "Revenue"]);
+  ws.addRow(["North", "Widgets & co", 1200]);
+  ws.getCell("C3").numFmt = "#,##0.00";
+  ws.getCell("C3").fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFDDEBF7" } };
+  ws.getCell("C3").border = { bottom: { style: "medium", color: { argb: "FF1F4E78" } } };
+  ws.addRow(["Hidden", "row", 1]).hidden = true;
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+function convertWith(fields, buffer, filename = "report.xlsx") {
+  const req = request(app).post("/convert");
+  Object.entries(fields).forEach(([field, value]) => req.field(field, value));
+  return req.attach("file", buffer, filename).buffer(true).parse(binaryParser);
+}
+
+function recordedArgs() {
+  return JSON.parse(fs.readFileSync(argsLog, "utf8"));
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  fetch.mockClear();
+  config.apiKey = "";
+  config.pdftoppmPath = fakePdftoppm;
+  fs.rmSync(argsLog, { force: true });
+});
+
+describe("parseOptions - output", () => {
+  test("defaults to pdf without image settings", () => {
+    expect(parseOptions({})).toMatchObject({ output: "pdf", image: null });
+  });
+
+  test("fills in image defaults and accepts jpg for jpeg", () => {
+    expect(parseOptions({ output: "png" }).image).toEqual({ pages: "first", dpi: 96, width: null, height: null, quality: 85 });
+    expect(parseOptions({ output: "jpg", quality: "60", imageWidth: "800" })).toMatchObject({
+      output: "jpeg",
+      image: { quality: 60, width: 800 },
+    });
+  });
+
+  test.each([
+    [{ output: "docx" }, /output must be one of pdf, png, jpeg, jpg, html/],
+    [{ output: "png", pages: "2" }, /pages must be one of first, all/],
+    [{ output: "png", dpi: "1200" }, /dpi must be an integer from 36 to 600/],
+    [{ output: "png", imageWidth: "0" }, /imageWidth must be an integer/],
+    [{ output: "png", quality: "80" }, /quality only applies to jpeg output/],
+    [{ dpi: "150" }, /dpi only applies to png and jpeg output/],
+    [{ output: "png", userPassword: "secret" }, /only apply to pdf output/],
+    [{ output: "html", watermark: "DRAFT" }, /Watermarks do not apply to html output/],
+  ])("rejects %p", (body, message) => {
+    expect(() => parseOptions(body)).toThrow(message);
+  });
+
+  test("maps outputs to content types and extensions", () => {
+    expect(outputType(parseOptions({}))).toEqual({ contentType: "application/pdf", extension: ".pdf" });
+    expect(outputType(parseOptions({ output: "jpeg" }))).toEqual({ contentType: "image/jpeg", extension: ".jpg" });
+    expect(outputType(parseOptions({ output: "png", pages: "all" }))).toEqual({ contentType: "application/zip", extension: ".zip" });
+    expect(outputType(parseOptions({ output: "html" })).contentType).toBe("text/html; charset=utf-8");
+  });
+});
+
+describe("POST /convert - html output", () => {
+  test("renders the workbook as a self-contained page without Gotenberg", async () => {
+    const res = await convertWith({ output: "html" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/html; charset=utf-8");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="report.html"');
+    expect(fetch).not.toHaveBeenCalled();
+
+    const html = res.body.toString("utf8");
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain("<title>Report</title>");
+    expect(html).toMatch(/<td colspan="3" class="c\d+">Quarterly &lt;report&gt;<\/td>/);
+    expect(html).toContain("Widgets &amp; co");
+    expect(html).toContain(">1,200.00</td>");
+    expect(html).not.toContain("Hidden");
+    expect(html).toMatch(/td\.c\d+\{[^}]*font-weight:bold[^}]*color:#FF0000[^}]*text-align:center/);
+    expect(html).toMatch(/td\.c\d+\{[^}]*background-color:#DDEBF7;border-bottom:2px solid #1F4E78;text-align:right/);
+    expect(html).toMatch(/<colgroup>(<col style="width:\d+px">){3}<\/colgroup>/);
+  });
+
+  test("uses the metadata title and draws gridlines for presets that print them", async () => {
+    const res = await convertWith({ output: "html", title: "Q1 <numbers>", preset: "ledger" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(200);
+    const html = res.body.toString("utf8");
+    expect(html).toContain("<title>Q1 &lt;numbers&gt;</title>");
+    expect(html).toContain('<table class="gridlines">');
+  });
+
+  test("drops colors that are not ARGB hex", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Report");
+    ws.getCell("A1").value = "styled";
+    ws.getCell("A1").font = { color: { argb: "FF;x:12}" } };
+    ws.getCell("A1").fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FF}</sty" } };
+    const res = await convertWith({ output: "html" }, Buffer.from(await wb.xlsx.writeBuffer()));
+
+    expect(res.status).toBe(200);
+    const html = res.body.toString("utf8");
+    expect(html).not.toContain("x:12");
+    expect(html).not.toContain("}</sty");
+    expect(html).not.toMatch(/color:#/);
+  });
+
+  test("refuses legacy .xls input", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("output", "html")
+      .attach("file", OLE_HEADER, "legacy.xls");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("UNSUPPORTED_OUTPUT");
+  });
+
+  test("serves job results with the output's content type", async () => {
+    const res = await request(app)
+      .post("/jobs")
+      .field("output", "html")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+    expect(res.status).toBe(202);
+
+    const job = jobStore.get(res.body.id);
+    for (let i = 0; i < 50 && job.status !== "done"; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const result = await request(app).get(`/jobs/${res.body.id}/result`);
+    expect(result.status).toBe(200);
+    expect(result.headers["content-type"]).toBe("text/html; charset=utf-8");
+    expect(result.headers["content-disposition"]).toBe('attachment; filename="report.html"');
+  });
+});
+
+describe("POST /convert - image output", () => {
+  test("returns the first page as a single image", async () => {
+    const res = await convertWith({ output: "png" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("image/png");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="report.png"');
+    expect(res.body.toString()).toBe("page 1");
+    expect(recordedArgs()).toEqual(expect.arrayContaining(["-png", "-r", "96", "-f", "1", "-l", "1", "-singlefile"]));
+  });
+
+  test("passes resolution, size and quality to pdftoppm", async () => {
+    const res = await convertWith({ output: "jpeg", dpi: "150", imageWidth: "800", quality: "70" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("image/jpeg");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="report.jpg"');
+    const args = recordedArgs().join(" ");
+    expect(args).toContain("-jpeg -r 150 -jpegopt quality=70 -scale-to-x 800 -scale-to-y -1");
+  });
+
+  test("zips every page in page order", async () => {
+    const res = await convertWith({ output: "png", pages: "all" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/zip");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="report.zip"');
+    const zip = await JSZip.loadAsync(res.body);
+    const names = Object.keys(zip.files);
+    expect(names).toEqual(Array.from({ length: 10 }, (_, i) => `page-${i + 1}.png`));
+    expect(await zip.file("page-10.png").async("string")).toBe("page 10");
+    expect(recordedArgs()).toEqual(expect.arrayContaining(["-l", String(config.maxImagePages)]));
+  });
+
+  test("answers 503 when pdftoppm is not installed", async () => {
+    config.pdftoppmPath = "/nonexistent/pdftoppm";
+    const res = await convertWith({ output: "png" }, await createXlsxBuffer());
+
+    expect(res.status).toBe(503);
+    expect(JSON.parse(res.body.toString())).toEqual({
+      error: "Image output is not available on this server",
+      code: "RENDERER_UNAVAILABLE",
+    });
+  });
+});
+
+describe("POST /batch - output", () => {
+  test("keeps its own pdf/zip output field", async () => {
+    const res = await request(app)
+      .post("/batch")
+      .field("output", "zip")
+      .attach("files[]", await createXlsxBuffer(), "a.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/zip");
+  });
+});
@@ -0,0 +1,356 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { PDFDocument, PDFName, PDFArray, PDFRawStream, StandardFonts } = require("pdf-lib");
+const { Readable } = require("stream");
+
+// Mock node-fetch and keep the forwarded form so its fields can be checked
+let mockFetchResponse;
+let mockLastForm;
+jest.mock("node-fetch", () => {
+  const { PassThrough } = require("stream");
+  return jest.fn(async (url, opts) => {
+    const chunks = [];
+    for await (const chunk of opts.body.pipe(new PassThrough())) chunks.push(chunk);
+    mockLastForm = Buffer.concat(chunks).toString("latin1");
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { parsePdfOptions, postprocessPdf } = require("../lib/postprocess");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const PASSWORD_PADDING = Buffer.from("28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a", "hex");
+
+let renderedPdf;
+let watermarkDir;
+
+async function createPdf(pageCount = 2) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= pageCount; i++) {
+    doc.addPage([842, 595]).drawText(`Page ${i}`, { x: 50, y: 500, font, size: 12 });
+  }
+  return Buffer.from(await doc.save());
+}
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// A 2x2 opaque PNG
+function createPng() {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type), data])));
+    return Buffer.concat([length, Buffer.from(type), data, crc]);
+  };
+  const header = Buffer.from([0, 0, 0, 2, 0, 0, 0, 2, 8, 2, 0, 0, 0]);
+  const pixels = Buffer.from([0, 255, 0, 0, 255, 0, 0, 0, 0, 0, 255, 0, 0, 255, 0]);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(pixels)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+// Decoded content streams of a page, joined
+function pageContent(doc, index) {
+  const contents = doc.getPage(index).node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  return refs
+    .map((ref) => doc.context.lookup(ref, PDFRawStream))
+    .map((stream) => zlib.inflateSync(Buffer.from(stream.getContents())).toString("latin1"))
+    .join("\n");
+}
+
+// Standard fonts draw text as hex glyph codes
+function hexText(text) {
+  return `<${Buffer.from(text, "latin1").toString("hex").toUpperCase()}>`;
+}
+
+// Decrypt a string from an AES-128 encrypted file, deriving the key from
+// the user password (ISO 32000-1 algorithms 1 and 2)
+function decryptString(doc, password, objectRef, encrypted) {
+  const trailer = doc.context.trailerInfo;
+  const encrypt = doc.context.lookup(trailer.Encrypt);
+  const p = Buffer.alloc(4);
+  p.writeInt32LE(encrypt.get(PDFName.of("P")).asNumber());
+  const padded = Buffer.concat([Buffer.from(password, "latin1"), PASSWORD_PADDING]).subarray(0, 32);
+  let key = crypto.createHash("md5")
+    .update(padded)
+    .update(Buffer.from(encrypt.get(PDFName.of("O")).asBytes()))
+    .update(p)
+    .update(Buffer.from(doc.context.lookup(trailer.ID).get(0).asBytes()))
+    .digest();
+  for (let i = 0; i < 50; i++) key = crypto.createHash("md5").update(key).digest();
+
+  const salt = Buffer.alloc(9);
+  salt.writeUIntLE(objectRef.objectNumber, 0, 3);
+  salt.writeUIntLE(objectRef.generationNumber, 3, 2);
+  salt.write("sAlT", 5, "latin1");
+  const objectKey = crypto.createHash("md5").update(key).update(salt).digest();
+  const bytes = Buffer.from(encrypted.asBytes());
+  const decipher = crypto.createDecipheriv("aes-128-cbc", objectKey, bytes.subarray(0, 16));
+  return Buffer.concat([decipher.update(bytes.subarray(16)), decipher.final()]);
+}
+
+beforeAll(async () => {
+  renderedPdf = await createPdf();
+  watermarkDir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-watermarks-"));
+  fs.writeFileSync(path.join(watermarkDir, "logo.png"), createPng());
+});
+
+afterAll(() => {
+  fs.rmSync(watermarkDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockLastForm = null;
+  config.apiKey = "";
+  config.renderer = "gotenberg";
+  config.watermarkDir = watermarkDir;
+});
+
+describe("parsePdfOptions", () => {
+  test("leaves everything off by default", () => {
+    expect(parsePdfOptions({})).toEqual({ metadata: null, watermark: null, encryption: null, pdfa: null, pdfua: false });
+  });
+
+  test("collects metadata and splits keywords", () => {
+    expect(parsePdfOptions({ title: "Q3", author: "Finance", keywords: "audit, 2026 ,," }).metadata)
+      .toEqual({ title: "Q3", author: "Finance", keywords: ["audit", "2026"] });
+  });
+
+  test("parses text and image watermarks", () => {
+    expect(parsePdfOptions({ watermark: "DRAFT" }).watermark).toEqual({ text: "DRAFT", opacity: 0.2 });
+    expect(parsePdfOptions({ watermarkImage: "logo", watermarkOpacity: "0.5" }).watermark)
+      .toEqual({ image: path.join(watermarkDir, "logo.png"), opacity: 0.5 });
+  });
+
+  test.each([
+    [{ watermark: "DRAFT", watermarkImage: "logo" }, /either watermark or watermarkImage/],
+    [{ watermark: "ENTWURF ✓" }, /Latin-1/],
+    [{ watermark: "DRAFT", watermarkOpacity: "2" }, /watermarkOpacity/],
+    [{ watermarkOpacity: "0.5" }, /needs watermark/],
+    [{ watermarkImage: "../secret" }, /image name/],
+    [{ watermarkImage: "missing" }, /Unknown watermark image: missing/],
+    [{ permissions: "print" }, /needs userPassword or ownerPassword/],
+    [{ userPassword: "x", permissions: "print,delete" }, /Unknown permission "delete"/],
+    [{ userPassword: "x".repeat(33) }, /at most 32 characters/],
+    [{ pdfa: "PDF/A-4" }, /pdfa must be one of/],
+    [{ pdfa: "PDF/A-2b", watermark: "DRAFT" }, /cannot be combined/],
+    [{ pdfua: "true", userPassword: "x" }, /cannot be combined/],
+  ])("rejects %j", (body, message) => {
+    expect(() => parsePdfOptions(body)).toThrow(message);
+  });
+
+  test("needs WATERMARK_DIR for image watermarks", () => {
+    config.watermarkDir = "";
+    expect(() => parsePdfOptions({ watermarkImage: "logo" })).toThrow(/WATERMARK_DIR is not set/);
+  });
+
+  test("defaults to every permission and a random owner password", () => {
+    const { encryption } = parsePdfOptions({ userPassword: "open" });
+    expect(encryption.userPassword).toBe("open");
+    expect(encryption.ownerPassword).toMatch(/^[0-9a-f]{32}$/);
+    expect(encryption.permissions).toContain("print");
+    expect(parsePdfOptions({ ownerPassword: "owner", permissions: "none" }).encryption)
+      .toEqual({ userPassword: "", ownerPassword: "owner", permissions: [] });
+  });
+
+  test("normalizes the PDF/A level", () => {
+    expect(parsePdfOptions({ pdfa: "pdf/a-2b", pdfua: "true" })).toMatchObject({ pdfa: "PDF/A-2b", pdfua: true });
+  });
+});
+
+describe("postprocessPdf", () => {
+  test("writes document metadata", async () => {
+    const pdf = await postprocessPdf(renderedPdf, parsePdfOptions({ title: "Q3 report", author: "Finance", subject: "Revenue", keywords: "audit,q3" }));
+    const doc = await PDFDocument.load(pdf);
+    expect(doc.getTitle()).toBe("Q3 report");
+    expect(doc.getAuthor()).toBe("Finance");
+    expect(doc.getSubject()).toBe("Revenue");
+    expect(doc.getKeywords()).toBe("audit q3");
+  });
+
+  test("stamps a text watermark on every page", async () => {
+    const pdf = await postprocessPdf(renderedPdf, parsePdfOptions({ watermark: "CONFIDENTIAL", watermarkOpacity: "0.3" }));
+    const doc = await PDFDocument.load(pdf);
+    expect(doc.getPageCount()).toBe(2);
+    [0, 1].forEach((index) => {
+      const content = pageContent(doc, index);
+      expect(content).toContain(hexText("CONFIDENTIAL"));
+      expect(content).toContain(hexText(`Page ${index + 1}`));
+    });
+  });
+
+  test("stamps an image watermark on every page", async () => {
+    const pdf = await postprocessPdf(renderedPdf, parsePdfOptions({ watermarkImage: "logo" }));
+    const doc = await PDFDocument.load(pdf);
+    [0, 1].forEach((index) => {
+      expect(pageContent(doc, index)).toMatch(/\/Image-\d+ Do/);
+    });
+  });
+
+  test("encrypts with AES-128 and the requested permissions", async () => {
+    const options = parsePdfOptions({ title: "Secret figures", userPassword: "open", ownerPassword: "owner", permissions: "print,accessibility" });
+    const pdf = await postprocessPdf(renderedPdf, options);
+    expect(pdf.toString("latin1")).not.toContain("Secret figures");
+
+    const doc = await PDFDocument.load(pdf, { ignoreEncryption: true });
+    expect(doc.isEncrypted).toBe(true);
+    const encrypt = doc.context.lookup(doc.context.trailerInfo.Encrypt);
+    expect(encrypt.get(PDFName.of("V")).asNumber()).toBe(4);
+    expect(encrypt.get(PDFName.of("R")).asNumber()).toBe(4);
+    // Reserved bits plus print (3) and accessibility (10)
+    expect(encrypt.get(PDFName.of("P")).asNumber()).toBe(0xfffff2c4 | 0);
+
+    const infoRef = doc.context.trailerInfo.Info;
+    const title = doc.context.lookup(infoRef).get(PDFName.of("Title"));
+    // pdf-lib writes text strings as UTF-16BE with a byte order mark
+    const decrypted = decryptString(doc, "open", infoRef, title);
+    expect(decrypted.subarray(2).swap16().toString("utf16le")).toBe("Secret figures");
+    expect(() => decryptString(doc, "wrong", infoRef, title)).toThrow();
+  });
+
+  test("reports a PDF it cannot read as a 502", async () => {
+    await expect(postprocessPdf(FAKE_PDF, parsePdfOptions({ watermark: "DRAFT" })))
+      .rejects.toMatchObject({ statusCode: 502 });
+  });
+});
+
+describe("POST /convert - PDF options", () => {
+  test("forwards PDF/A, PDF/UA and metadata to Gotenberg", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createXlsxBuffer(), "test.xlsx")
+      .field("pdfa", "PDF/A-2b")
+      .field("pdfua", "true")
+      .field("title", "Archive copy")
+      .field("keywords", "archive,2026");
+
+    expect(res.status).toBe(200);
+    expect(mockLastForm).toMatch(/name="pdfa"\r\n\r\nPDF\/A-2b/);
+    expect(mockLastForm).toMatch(/name="pdfua"\r\n\r\ntrue/);
+    expect(mockLastForm).toContain('{"Title":"Archive copy","Keywords":["archive","2026"]}');
+  });
+
+  test("watermarks the PDF Gotenberg returns", async () => {
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([renderedPdf]); } };
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createXlsxBuffer(), "test.xlsx")
+      .field("watermark", "DRAFT")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-length"]).toBe(String(res.body.length));
+    const doc = await PDFDocument.load(res.body);
+    expect(pageContent(doc, 0)).toContain(hexText("DRAFT"));
+  });
+
+  test("writes metadata itself for other renderers", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createXlsxBuffer(), "test.xlsx")
+      .field("renderer", "builtin")
+      .field("title", "Builtin report")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect((await PDFDocument.load(res.body)).getTitle()).toBe("Builtin report");
+  });
+
+  test("rejects PDF/A for renderers other than Gotenberg", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createXlsxBuffer(), "test.xlsx")
+      .field("renderer", "builtin")
+      .field("pdfa", "PDF/A-1b");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("UNSUPPORTED_RENDERER_OPTION");
+  });
+});
+
+describe("POST /batch - PDF options", () => {
+  test("encrypts the merged PDF once", async () => {
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([renderedPdf]); } };
+    const xlsxBuf = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/batch")
+      .attach("files[]", xlsxBuf, "a.xlsx")
+      .attach("files[]", xlsxBuf, "b.xlsx")
+      .field("title", "Batch")
+      .field("userPassword", "open")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    // Metadata is written on the merged file, not sent with each one
+    expect(mockLastForm).not.toContain('name="metadata"');
+    const doc = await PDFDocument.load(res.body, { ignoreEncryption: true });
+    expect(doc.isEncrypted).toBe(true);
+    expect(doc.getPageCount()).toBe(4);
+  });
+
+  test("needs zip output for PDF/A", async () => {
+    const res = await request(app)
+      .post("/batch")
+      .attach("files[]", await createXlsxBuffer(), "a.xlsx")
+      .field("pdfa", "PDF/A-3b");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/output "zip"/);
+  });
+});
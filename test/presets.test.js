@@ -0,0 +1,145 @@
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const { parseStyleOptions } = require("../lib/presets");
+const { MARGIN_PRESETS } = require("../lib/layout");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+
+async function createWorkbook({ frozen } = {}) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Sales", frozen ? { views: [{ state: "frozen", ...frozen }] } : {});
+  ws.addRow(["Region", "Amount", "Share", "Closed"]);
+  ws.addRow(["North", 1234.5, 0.25, "2026-03-01"]);
+  ws.addRow(["South", 99, 0.125, "2026-03-02"]);
+  ws.addRow(["West", 10, 0.5, "2026-03-03"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function convertSheet(body, workbookOptions) {
+  const output = await preprocessWorkbook(await createWorkbook(workbookOptions), parseOptions(body));
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(output);
+  const zip = await JSZip.loadAsync(output);
+  return { ws: wb.getWorksheet("Sales"), xml: await zip.file("xl/worksheets/sheet1.xml").async("string") };
+}
+
+describe("parseOptions - presets", () => {
+  test("fills in the preset's defaults for fields the request left out", () => {
+    const compact = parseOptions({ preset: "compact" });
+    expect(compact.fontSize).toBe(7);
+    expect(compact.margins).toEqual(MARGIN_PRESETS.narrow);
+    expect(parseOptions({ preset: "compact", fontSize: "10" }).fontSize).toBe(10);
+  });
+
+  test("leaves styling off without a preset or number formats", () => {
+    expect(parseOptions({})).toMatchObject({ style: null, numberFormats: null });
+  });
+
+  test.each([
+    [{ preset: "fancy" }, /preset must be one of ledger, compact, presentation/],
+    [{ locale: "xx-XX" }, /locale must be one of/],
+    [{ numberFormats: "[1]" }, /numberFormats must be a JSON object/],
+    [{ numberFormats: '{"B":""}' }, /numberFormats.B must be/],
+    [{ numberFormats: '{"B":"percent:x"}' }, /percent:N needs a number of decimals/],
+    [{ numberFormats: '{"B":"currency:ZZZZ"}' }, /Unknown currency: ZZZZ/],
+  ])("rejects %p", (body, message) => {
+    expect(() => parseOptions(body)).toThrow(message);
+  });
+});
+
+describe("parseStyleOptions - number formats", () => {
+  const formats = (spec, locale) => parseStyleOptions({ numberFormats: JSON.stringify({ B: spec }), locale })
+    .numberFormats[0].numFmt;
+
+  test("places the currency symbol the way the locale writes it", () => {
+    expect(formats("currency")).toBe("[$$-409]#,##0.00");
+    expect(formats("currency", "de-DE")).toBe("#,##0.00 [$€-407]");
+    expect(formats("currency:usd", "en-GB")).toBe("[$US$-809]#,##0.00");
+    expect(formats("currency", "ja-JP")).toBe("[$￥-411]#,##0");
+  });
+
+  test("tags percentages, decimals and dates with the locale", () => {
+    expect(formats("percent:1", "fr-FR")).toBe("[$-40C]0.0%");
+    expect(formats("decimal:3")).toBe("[$-409]#,##0.000");
+    expect(formats("integer")).toBe("[$-409]#,##0");
+    expect(formats("date", "de-DE")).toBe("[$-407]dd.mm.yyyy");
+    expect(formats("datetime", "ja-JP")).toBe("[$-411]yyyy/mm/dd hh:mm");
+  });
+
+  test("passes other strings through as Excel format codes", () => {
+    expect(formats('0.0 "kg"')).toBe('0.0 "kg"');
+  });
+});
+
+describe("preprocessWorkbook - presets", () => {
+  test("styles the header, normalizes borders and prints gridlines", async () => {
+    const { ws, xml } = await convertSheet({ preset: "ledger" });
+    expect(ws.getCell("A1").font).toMatchObject({ bold: true, size: 9 });
+    expect(ws.getCell("A1").fill.fgColor.argb).toBe("FFD9E1F2");
+    expect(ws.getCell("B2").font.bold).toBeUndefined();
+    expect(ws.getCell("C3").border.bottom).toEqual({ style: "thin" });
+    expect(xml).toContain('gridLines="1"');
+    expect(ws.pageSetup.printTitlesRow).toBe("1:1");
+  });
+
+  test("stripes the body with conditional formatting", async () => {
+    const { xml } = await convertSheet({ preset: "presentation" });
+    expect(xml).toMatch(/<conditionalFormatting sqref="A2:D4">/);
+    expect(xml).toContain("<formula>MOD(ROW()-1,2)=0</formula>");
+    expect(xml).not.toContain("gridLines");
+  });
+
+  test("removes borders for the presentation preset", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("Sales");
+    ws.addRow(["Region"]).getCell(1).border = { top: { style: "thick" } };
+    const output = await preprocessWorkbook(Buffer.from(await wb.xlsx.writeBuffer()), parseOptions({ preset: "presentation" }));
+    const loaded = new ExcelJS.Workbook();
+    await loaded.xlsx.load(output);
+    expect(loaded.getWorksheet("Sales").getCell("A1").border).toEqual({});
+  });
+
+  test("repeats the frozen rows and columns as print titles", async () => {
+    const { ws } = await convertSheet({ preset: "ledger" }, { frozen: { xSplit: 1, ySplit: 2 } });
+    expect(ws.pageSetup.printTitlesRow).toBe("1:2");
+    expect(ws.pageSetup.printTitlesColumn).toBe("A:A");
+    // Both frozen rows are header rows
+    expect(ws.getCell("B2").font.bold).toBe(true);
+    expect(ws.getCell("B3").font.bold).toBeUndefined();
+  });
+
+  test("keeps an explicit printTitlesRow", async () => {
+    const { ws } = await convertSheet({ preset: "ledger", printTitlesRow: "2" }, { frozen: { ySplit: 1 } });
+    expect(ws.pageSetup.printTitlesRow).toBe("1:2");
+  });
+
+  test("applies number formats by column letter and header name", async () => {
+    const { ws } = await convertSheet({
+      numberFormats: JSON.stringify({ B: "currency", Share: "percent:1", Closed: "date" }),
+      locale: "de-DE",
+    });
+    expect(ws.getCell("B2").numFmt).toBe("#,##0.00 [$€-407]");
+    expect(ws.getCell("C3").numFmt).toBe("[$-407]0.0%");
+    expect(ws.getCell("D2").value).toEqual(new Date("2026-03-01T00:00:00Z"));
+    expect(ws.getCell("D2").numFmt).toBe("[$-407]dd.mm.yyyy");
+    // Column widths follow the formatted text
+    const plain = await convertSheet({});
+    expect(ws.getColumn(2).width).toBeGreaterThan(plain.ws.getColumn(2).width);
+  });
+
+  test("leaves text that is not an ISO date alone", async () => {
+    const wb = new ExcelJS.Workbook();
+    wb.addWorksheet("Sales").addRows([["Closed"], ["soon"]]);
+    const output = await preprocessWorkbook(
+      Buffer.from(await wb.xlsx.writeBuffer()),
+      parseOptions({ numberFormats: '{"Closed":"date"}' })
+    );
+    const loaded = new ExcelJS.Workbook();
+    await loaded.xlsx.load(output);
+    expect(loaded.getWorksheet("Sales").getCell("A2").value).toBe("soon");
+  });
+
+  test("rejects a named column that is not in the header", async () => {
+    await expect(convertSheet({ numberFormats: '{"Country":"integer"}' }))
+      .rejects.toMatchObject({ statusCode: 400, message: "Column not found: Country" });
+  });
+});
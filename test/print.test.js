@@ -0,0 +1,102 @@
+const ExcelJS = require("exceljs");
+const { parsePrintOptions, applyPrintOptions, columnLetter } = require("../lib/print");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+
+// Ledger with a header row and rows grouped by account
+function createLedger() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Ledger");
+  ws.addRow(["Account", "Date", "Amount"]);
+  ["Cash", "Cash", "Cash", "Bank", "Bank", "Sales"].forEach((account, i) => {
+    ws.addRow([account, `2024-01-0${i + 1}`, i * 10]);
+  });
+  return wb;
+}
+
+function breakRows(ws) {
+  const rows = [];
+  ws.eachRow((row, rowNumber) => {
+    if (ws.rowBreaks.some((brk) => brk.id === rowNumber)) rows.push(rowNumber);
+  });
+  return rows;
+}
+
+describe("parsePrintOptions", () => {
+  test("returns only the options that were given", () => {
+    expect(parsePrintOptions({})).toEqual({});
+    expect(parsePrintOptions({ printArea: "$a$1:$c$10", printTitlesRow: "2", pageSetup: "workbook" })).toEqual({
+      printArea: "A1:C10",
+      printTitlesRow: 2,
+      pageSetup: "workbook",
+    });
+  });
+
+  test.each([
+    [{ printArea: "A1" }, /printArea/],
+    [{ printTitlesRow: "0" }, /printTitlesRow must be a positive integer/],
+    [{ pageBreakEvery: "2.5" }, /pageBreakEvery/],
+    [{ pageSetup: "auto" }, /pageSetup must be one of/],
+  ])("rejects %p", (source, message) => {
+    expect(() => parsePrintOptions(source)).toThrow(message);
+  });
+});
+
+describe("columnLetter", () => {
+  test("converts 1-based column numbers", () => {
+    expect(columnLetter(1)).toBe("A");
+    expect(columnLetter(26)).toBe("Z");
+    expect(columnLetter(28)).toBe("AB");
+  });
+});
+
+describe("applyPrintOptions", () => {
+  test("sets print area and repeated titles", () => {
+    const ws = createLedger().getWorksheet("Ledger");
+    applyPrintOptions(ws, { printArea: "A1:C7", printTitlesRow: 1, printTitlesColumn: 2 });
+    expect(ws.pageSetup.printArea).toBe("A1:C7");
+    expect(ws.pageSetup.printTitlesRow).toBe("1:1");
+    expect(ws.pageSetup.printTitlesColumn).toBe("A:B");
+  });
+
+  test("breaks every N rows after the header", () => {
+    const ws = createLedger().getWorksheet("Ledger");
+    applyPrintOptions(ws, { printTitlesRow: 1, pageBreakEvery: 2 });
+    expect(breakRows(ws)).toEqual([3, 5]);
+  });
+
+  test("breaks when the grouping column changes, by header name", () => {
+    const ws = createLedger().getWorksheet("Ledger");
+    applyPrintOptions(ws, { pageBreakOnChange: "Account" });
+    expect(breakRows(ws)).toEqual([4, 6]);
+  });
+
+  test("rejects an unknown grouping column", () => {
+    const ws = createLedger().getWorksheet("Ledger");
+    expect(() => applyPrintOptions(ws, { pageBreakOnChange: "Region" })).toThrow(/Column not found/);
+  });
+});
+
+describe("preprocessWorkbook - page setup mode", () => {
+  async function roundTrip(body) {
+    const wb = createLedger();
+    wb.getWorksheet("Ledger").pageSetup.orientation = "portrait";
+    wb.getWorksheet("Ledger").pageSetup.paperSize = 5;
+    const output = await preprocessWorkbook(Buffer.from(await wb.xlsx.writeBuffer()), parseOptions(body));
+    const result = new ExcelJS.Workbook();
+    await result.xlsx.load(output);
+    return result.getWorksheet("Ledger");
+  }
+
+  test("forces the service settings by default", async () => {
+    const ws = await roundTrip({});
+    expect(ws.pageSetup.orientation).toBe("landscape");
+    expect(ws.pageSetup.paperSize).toBe(9);
+  });
+
+  test("keeps the workbook's own settings when asked", async () => {
+    const ws = await roundTrip({ pageSetup: "workbook", printTitlesRow: "1" });
+    expect(ws.pageSetup.orientation).toBe("portrait");
+    expect(ws.pageSetup.paperSize).toBe(5);
+    expect(ws.pageSetup.printTitlesRow).toBe("1:1");
+  });
+});
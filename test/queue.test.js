@@ -0,0 +1,212 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const FormData = require("form-data");
+const { Readable } = require("stream");
+
+// Mock node-fetch with requests that stay open until answered, and reject
+// like node-fetch does when their signal aborts
+let mockRequests = [];
+jest.mock("node-fetch", () => {
+  return jest.fn((url, opts) => new Promise((resolve, reject) => {
+    const pending = { opts, resolve };
+    mockRequests.push(pending);
+    opts.signal.addEventListener("abort", () => {
+      const err = new Error("The user aborted a request.");
+      err.name = "AbortError";
+      reject(err);
+    });
+  }));
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+// One slot and room for one waiting conversion
+process.env.CONCURRENCY_LIMIT = "1";
+process.env.MAX_QUEUE_LENGTH = "1";
+process.env.TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-queue-test-"));
+
+const fetch = require("node-fetch");
+const { app, config } = require("../index");
+const { limit } = require("../lib/convert");
+const { register } = require("../lib/metrics");
+const gotenberg = require("../lib/renderers/gotenberg");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const OK = () => ({ ok: true, status: 200, body: Readable.from([FAKE_PDF]) });
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+}
+
+// Start a conversion without waiting for it
+function startConvert(xlsxBuf) {
+  return request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx").then((res) => res);
+}
+
+// POST /convert over a raw connection that the test can drop
+function openConvert(server, xlsxBuf) {
+  const form = new FormData();
+  form.append("file", xlsxBuf, "test.xlsx");
+  const req = http.request({
+    port: server.address().port,
+    method: "POST",
+    path: "/convert",
+    headers: form.getHeaders(),
+  });
+  req.on("error", () => {});
+  form.pipe(req);
+  return req;
+}
+
+async function metricValue(name, labels = {}) {
+  const metric = (await register.getMetricsAsJSON()).find((m) => m.name === name);
+  const match = metric.values.find((v) => Object.entries(labels).every(([k, value]) => v.labels[k] === value));
+  return match ? match.value : 0;
+}
+
+let server;
+
+beforeAll(() => {
+  server = app.listen(0);
+});
+
+afterAll(() => {
+  server.close();
+  fs.rmSync(config.tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mockRequests = [];
+  fetch.mockClear();
+  config.apiKey = "";
+  config.requestTimeoutMs = 120000;
+});
+
+afterEach(async () => {
+  // Let anything still holding the slot finish
+  mockRequests.forEach((pending) => pending.resolve(OK()));
+  await waitFor(() => limit.activeCount === 0 && limit.pendingCount === 0);
+});
+
+describe("queue length", () => {
+  test("answers 503 with Retry-After once the queue is full", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const running = startConvert(xlsxBuf);
+    await waitFor(() => mockRequests.length === 1);
+    const queued = startConvert(xlsxBuf);
+    await waitFor(() => limit.pendingCount === 1);
+
+    const res = await request(app).post("/convert").attach("file", xlsxBuf, "test.xlsx");
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe("QUEUE_FULL");
+    expect(res.headers["retry-after"]).toBe(String(config.queueRetryAfterSeconds));
+
+    const jobRes = await request(app).post("/jobs").attach("file", xlsxBuf, "test.xlsx");
+    expect(jobRes.status).toBe(503);
+    expect(jobRes.body.code).toBe("QUEUE_FULL");
+
+    mockRequests[0].resolve(OK());
+    await waitFor(() => mockRequests.length === 2);
+    mockRequests[1].resolve(OK());
+    expect((await running).status).toBe(200);
+    expect((await queued).status).toBe(200);
+  });
+
+  test("refuses a batch that does not fit in the queue", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const res = await request(app)
+      .post("/batch")
+      .attach("files[]", xlsxBuf, "a.xlsx")
+      .attach("files[]", xlsxBuf, "b.xlsx")
+      .attach("files[]", xlsxBuf, "c.xlsx");
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe("QUEUE_FULL");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("cancellation", () => {
+  test("drops a queued conversion whose client disconnected", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const before = await metricValue("xlsx_to_pdf_conversions_cancelled_total", { stage: "queued" });
+    const running = startConvert(xlsxBuf);
+    await waitFor(() => mockRequests.length === 1);
+
+    const dropped = openConvert(server, xlsxBuf);
+    await waitFor(() => limit.pendingCount === 1);
+    dropped.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    mockRequests[0].resolve(OK());
+    expect((await running).status).toBe(200);
+    await waitFor(() => limit.pendingCount === 0 && limit.activeCount === 0);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(await metricValue("xlsx_to_pdf_conversions_cancelled_total", { stage: "queued" })).toBe(before + 1);
+  });
+
+  test("aborts the Gotenberg request when the client disconnects mid-conversion", async () => {
+    const xlsxBuf = await createXlsxBuffer();
+    const before = await metricValue("xlsx_to_pdf_conversions_cancelled_total", { stage: "running" });
+    const req = openConvert(server, xlsxBuf);
+    await waitFor(() => mockRequests.length === 1);
+    const { signal } = mockRequests[0].opts;
+
+    req.destroy();
+    await waitFor(() => signal.aborted);
+    await waitFor(() => limit.activeCount === 0);
+    expect(await metricValue("xlsx_to_pdf_conversions_cancelled_total", { stage: "running" })).toBe(before + 1);
+    // A cancelled call is not held against the instance
+    expect(gotenberg.details().instances[0].failures).toBe(0);
+    await waitFor(() => fs.readdirSync(config.tempDir).length === 0);
+  });
+
+  test("aborts the Gotenberg request when the request times out", async () => {
+    config.requestTimeoutMs = 200;
+    const res = await startConvert(await createXlsxBuffer());
+
+    expect(res.status).toBe(408);
+    expect(mockRequests).toHaveLength(1);
+    await waitFor(() => mockRequests[0].opts.signal.aborted);
+  });
+});
@@ -0,0 +1,317 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Mock node-fetch before requiring the app
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => {
+    if (!mockFetchResponse) {
+      throw new Error("No mock configured");
+    }
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+const { describeRedactions } = require("../lib/redact");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+async function createWorkbook() {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Jane Payroll";
+  wb.company = "Acme";
+  wb.title = "Salaries 2026";
+  const ws = wb.addWorksheet("Staff");
+  ws.addRow(["Name", "Email", "Salary", "IBAN", "Notes"]);
+  ws.addRow(["Ann", "ann@example.com", 50000, "DE89 3704 0044 0532 0130 00", "SSN 123-45-6789"]);
+  ws.addRow(["Bob", { text: "bob@example.com", hyperlink: "mailto:bob@example.com" }, 42000, "GB29NWBK60161331926819", "ok"]);
+  ws.addRow(["Cid", "cid@example.com", 61000, "", { formula: "[1]Rates!B2", result: 0.3 }]);
+  ws.getCell("A2").note = "On leave";
+  ws.getRow(3).hidden = true;
+  ws.getColumn(5).hidden = true;
+  const other = wb.addWorksheet("Totals");
+  other.addRow(["Item", "Amount"]);
+  other.addRow(["Total", 153000]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function redact(body) {
+  const report = {};
+  const output = await preprocessWorkbook(await createWorkbook(), parseOptions(body), report);
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(output);
+  return { wb, ws: wb.getWorksheet("Staff"), redactions: report.redactions };
+}
+
+const rowValues = (ws, rowNumber) => ws.getRow(rowNumber).values.slice(1);
+
+beforeEach(() => {
+  mockFetchResponse = null;
+  config.apiKey = "";
+});
+
+describe("parseOptions - redaction", () => {
+  test("leaves redaction off when nothing is to be redacted", () => {
+    expect(parseOptions({}).redaction).toBeNull();
+    expect(parseOptions({ redactMode: "drop", redactMask: "xxx" }).redaction).toBeNull();
+  });
+
+  test("accepts regular expressions that repeat only simple groups", () => {
+    expect(parseOptions({ redactRegex: "(ab)+|\\(x+\\)*|[(+]+(\\d+-)?\\d+" }).redaction.regex).toBe("(ab)+|\\(x+\\)*|[(+]+(\\d+-)?\\d+");
+  });
+
+  test("parses lists, ranges and removals", () => {
+    const { redaction } = parseOptions({
+      redactColumns: '["C","Bank account, main"]',
+      redactRanges: "B2:A1,'Pay roll'!D4",
+      redactPatterns: "email, iban",
+      redactRemove: "all",
+      redactMode: "DROP",
+    });
+    expect(redaction).toEqual({
+      mode: "drop",
+      mask: "[REDACTED]",
+      columns: ["C", "Bank account, main"],
+      ranges: [
+        { sheet: null, top: 1, left: 1, bottom: 2, right: 2 },
+        { sheet: "Pay roll", top: 4, left: 4, bottom: 4, right: 4 },
+      ],
+      patterns: ["email", "iban"],
+      regex: null,
+      remove: ["comments", "hidden", "properties", "externalLinks"],
+    });
+  });
+
+  test.each([
+    [{ redactColumns: "[1]" }, "redactColumns", /comma-separated list or a JSON array/],
+    [{ redactColumns: " , " }, "redactColumns", /non-empty list/],
+    [{ redactRanges: "A1:B" }, "redactRanges", /ranges like A1:C10/],
+    [{ redactRanges: "!A1" }, "redactRanges", /empty sheet name/],
+    [{ redactPatterns: "email,phone" }, "redactPatterns", /email, iban, taxid, got phone/],
+    [{ redactRegex: "(" }, "redactRegex", /valid regular expression/],
+    [{ redactRegex: "\\d*" }, "redactRegex", /must not match empty text/],
+    [{ redactRegex: "(a+)+$" }, "redactRegex", /must not repeat a group/],
+    [{ redactRegex: "(?:a|ab)*c" }, "redactRegex", /must not repeat a group/],
+    [{ redactRegex: "[(]x(\\d{2})+" }, "redactRegex", /must not repeat a group/],
+    [{ redactRegex: "a".repeat(201) }, "redactRegex", /at most 200 characters/],
+    [{ redactRemove: "macros" }, "redactRemove", /comments, hidden, properties, externalLinks or all/],
+    [{ redactMode: "blur" }, "redactMode", /mask, drop/],
+  ])("rejects %p", (body, field, message) => {
+    expect(() => parseOptions(body)).toThrow(message);
+    try {
+      parseOptions(body);
+    } catch (err) {
+      expect(err).toMatchObject({ code: "INVALID_OPTION", field });
+    }
+  });
+});
+
+describe("preprocessWorkbook - redaction", () => {
+  test("masks named columns below the header row on every sheet", async () => {
+    const { ws, wb, redactions } = await redact({ redactColumns: "Salary,B" });
+    expect(ws.getColumn(3).values.slice(1)).toEqual(["Salary", "[REDACTED]", "[REDACTED]", "[REDACTED]"]);
+    expect(ws.getColumn(2).values.slice(1)).toEqual(["Email", "[REDACTED]", "[REDACTED]", "[REDACTED]"]);
+    expect(rowValues(wb.getWorksheet("Totals"), 2)).toEqual(["Total", "[REDACTED]"]);
+    expect(redactions.columns).toEqual([
+      { sheet: "Staff", column: "B", header: null },
+      { sheet: "Staff", column: "C", header: "Salary" },
+      { sheet: "Totals", column: "B", header: null },
+    ]);
+  });
+
+  test("drops columns and empties ranges in drop mode", async () => {
+    const { ws, wb, redactions } = await redact({ redactColumns: "Salary", redactRanges: "Totals!B2,A4", redactMode: "drop" });
+    expect(rowValues(ws, 1)).toEqual(["Name", "Email", "IBAN", "Notes"]);
+    expect(ws.getCell("A4").value).toBeNull();
+    expect(rowValues(wb.getWorksheet("Totals"), 2)).toEqual(["Total"]);
+    expect(redactions).toMatchObject({ mode: "drop", cells: 2 });
+  });
+
+  test("masks pattern matches inside cell text with a custom mask", async () => {
+    const { ws, redactions } = await redact({ redactPatterns: "email,iban,taxid", redactRegex: "Bob|Cid", redactMask: "***" });
+    expect(rowValues(ws, 2)).toEqual(["Ann", "***", 50000, "***", "SSN ***"]);
+    // The hyperlink's target is dropped with its text
+    expect(ws.getCell("B3").value).toBe("***");
+    expect(ws.getCell("A3").value).toBe("***");
+    expect(redactions.matches).toEqual({ email: 3, iban: 2, taxid: 1, regex: 2 });
+  });
+
+  test("removes comments, hidden rows and columns, properties and external links", async () => {
+    const { ws, wb, redactions } = await redact({ redactRemove: "all" });
+    expect(ws.getCell("A2").note).toBeUndefined();
+    expect(ws.getColumn(1).values.slice(1)).toEqual(["Name", "Ann", "Cid"]);
+    expect(rowValues(ws, 1)).toEqual(["Name", "Email", "Salary", "IBAN"]);
+    expect(wb.company).toBeFalsy();
+    expect(wb.title).toBeFalsy();
+    expect(redactions).toEqual({
+      mode: "mask",
+      comments: 1,
+      hiddenRows: 1,
+      hiddenColumns: 1,
+      properties: ["creator", "lastModifiedBy", "title", "company"],
+      externalLinks: 1,
+    });
+  });
+
+  test("replaces formulas into other workbooks with their last value", async () => {
+    const { ws } = await redact({ redactRemove: "externalLinks" });
+    expect(ws.getCell("E4").value).toBe(0.3);
+  });
+
+  test.each([
+    [{ redactColumns: "Bonus" }, "COLUMN_NOT_FOUND", "redactColumns", /Column not found: Bonus/],
+    [{ redactRanges: "Payroll!A1" }, "SHEET_NOT_FOUND", "redactRanges", /Sheet not found: Payroll/],
+  ])("rejects %p when the workbook lacks it", async (body, code, field, message) => {
+    const err = await redact(body).catch((e) => e);
+    expect(err.message).toMatch(message);
+    expect(err).toMatchObject({ statusCode: 400, code, field });
+  });
+
+  describe("formulas reading redacted cells", () => {
+    async function createFormulaWorkbook() {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet("Pay");
+      ws.addRow(["Name", "Salary", "Copy", "Label", "Via notes", "Plain"]);
+      ws.addRow([
+        "Ann",
+        123456,
+        { formula: "B2", result: 123456 },
+        { formula: 'A2&": "&C2', result: "Ann: 123456" },
+        { formula: "Notes!A1", result: 123456 },
+        { formula: "A2", result: "Ann" },
+      ]);
+      // Not printed, but a printed formula reads it
+      wb.addWorksheet("Notes").addRow([{ formula: "Pay!B2", result: 123456 }]);
+      return Buffer.from(await wb.xlsx.writeBuffer());
+    }
+
+    const allValues = (wb) => {
+      const values = [];
+      wb.eachSheet((ws) => ws.eachRow((row) => row.eachCell((cell) => values.push(JSON.stringify(cell.value)))));
+      return values;
+    };
+
+    test.each([
+      ["cached results", {}],
+      ["recalculation", { recalculate: "true" }],
+    ])("masks them with %s", async (name, body) => {
+      const report = {};
+      const output = await preprocessWorkbook(
+        await createFormulaWorkbook(),
+        parseOptions({ sheets: "Pay", redactRanges: "B2", ...body }),
+        report
+      );
+      const wb = new ExcelJS.Workbook();
+      await wb.xlsx.load(output);
+      const ws = wb.getWorksheet("Pay");
+      expect(rowValues(ws, 2).slice(1, 5)).toEqual(["[REDACTED]", "[REDACTED]", "[REDACTED]", "[REDACTED]"]);
+      expect(ws.getCell("F2").value).toMatchObject({ formula: "A2", result: "Ann" });
+      expect(allValues(wb).join()).not.toContain("123456");
+      expect(report.redactions).toMatchObject({ cells: 1, formulas: 4 });
+    });
+
+    test("empties them in drop mode and treats untraceable formulas as reading redacted cells", async () => {
+      const wb = new ExcelJS.Workbook();
+      const ws = wb.addWorksheet("Pay");
+      ws.addRow(["Salary", "Copy", "Indirect"]);
+      ws.addRow([123456, { formula: "A2*2", result: 246912 }, { formula: 'INDIRECT("A2")', result: 123456 }]);
+      const output = await preprocessWorkbook(
+        Buffer.from(await wb.xlsx.writeBuffer()),
+        parseOptions({ redactColumns: "Salary", redactMode: "drop" })
+      );
+      const result = new ExcelJS.Workbook();
+      await result.xlsx.load(output);
+      expect(rowValues(result.getWorksheet("Pay"), 1)).toEqual(["Copy", "Indirect"]);
+      expect(allValues(result)).toEqual(['"Copy"', '"Indirect"']);
+    });
+  });
+
+  test("summarizes counts for the X-Redactions header", () => {
+    expect(describeRedactions({
+      mode: "mask",
+      columns: [{ sheet: "Staff", column: "C", header: "Salary" }],
+      matches: { email: 2, iban: 1 },
+      properties: [],
+    })).toBe("columns=1, matches=3, properties=0");
+  });
+});
+
+describe("redaction over HTTP", () => {
+  beforeEach(() => {
+    mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  });
+
+  test("reports the redaction summary in X-Redactions and skips the cache", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("redactColumns", "Salary")
+      .field("redactPatterns", "email")
+      .attach("file", await createWorkbook(), "staff.xlsx");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["x-redactions"]).toBe("columns=1, matches=3");
+    expect(res.headers["x-cache"]).toBe("BYPASS");
+    expect(res.headers.etag).toBeUndefined();
+  });
+
+  test("keeps the redaction summary on the job record", async () => {
+    const res = await request(app)
+      .post("/jobs")
+      .field("redactRemove", "comments")
+      .attach("file", await createWorkbook(), "staff.xlsx");
+    expect(res.status).toBe(202);
+    expect(res.body.redactions).toBeNull();
+
+    let status;
+    for (let i = 0; i < 50; i++) {
+      status = await request(app).get(`/jobs/${res.body.id}`);
+      if (status.body.status === "done" || status.body.status === "failed") break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    expect(status.body.status).toBe("done");
+    expect(status.body.redactions).toEqual({ mode: "mask", comments: 1 });
+  });
+
+  test("refuses to redact input that skips preprocessing", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("redactColumns", "A")
+      .attach("file", Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(504)]), "legacy.xls");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "UNSUPPORTED_INPUT", error: "Redaction is not available for .xls files" });
+  });
+});
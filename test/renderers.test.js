@@ -0,0 +1,190 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { PDFDocument } = require("pdf-lib");
+const { Readable } = require("stream");
+
+// Mock node-fetch so Gotenberg health checks never leave the process
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const fetch = require("node-fetch");
+const { app, config } = require("../index");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const OLE_HEADER = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(512)]);
+
+async function createXlsxBuffer(rowCount = 3) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Report");
+  ws.addRow(["Region", "Product", "Revenue"]);
+  for (let i = 1; i <= rowCount; i++) {
+    ws.addRow([`Region ${i % 4}`, `Product ${i}`, i * 100]);
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  fetch.mockClear();
+  config.apiKey = "";
+  config.renderer = "gotenberg";
+  config.sofficePath = "soffice";
+});
+
+describe("builtin renderer", () => {
+  test("renders a real PDF without calling Gotenberg", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "builtin")
+      .attach("file", await createXlsxBuffer(), "report.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    const pdf = await PDFDocument.load(res.body);
+    expect(pdf.getPageCount()).toBe(1);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("sizes pages from paperSize and landscape", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "builtin")
+      .field("paperSize", "Letter")
+      .field("landscape", "false")
+      .attach("file", await createXlsxBuffer(), "report.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    const { width, height } = (await PDFDocument.load(res.body)).getPage(0).getSize();
+    expect(Math.round(width)).toBe(612);
+    expect(Math.round(height)).toBe(792);
+  });
+
+  test("honours manual page breaks", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "builtin")
+      .field("printTitlesRow", "1")
+      .field("pageBreakEvery", "10")
+      .attach("file", await createXlsxBuffer(30), "report.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect((await PDFDocument.load(res.body)).getPageCount()).toBe(3);
+  });
+
+  test("rejects input that skips preprocessing", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "builtin")
+      .attach("file", OLE_HEADER, "legacy.xls");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("UNSUPPORTED_RENDERER_INPUT");
+  });
+});
+
+describe("soffice renderer", () => {
+  test("returns 503 when the binary is missing", async () => {
+    config.sofficePath = "/nonexistent/soffice";
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "soffice")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe("RENDERER_UNAVAILABLE");
+  });
+});
+
+describe("renderer selection", () => {
+  test("rejects an unknown renderer", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("renderer", "wkhtmltopdf")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/renderer must be one of/);
+  });
+
+  test("uses the configured default renderer", async () => {
+    config.renderer = "builtin";
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createXlsxBuffer(), "report.xlsx")
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.body.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /health - renderers", () => {
+  test("reports the gotenberg renderer", async () => {
+    const res = await request(app).get("/health");
+    expect(res.status).toBe(200);
+    expect(res.body.renderer).toBe("gotenberg");
+    expect(res.body.gotenberg).toBe("reachable");
+  });
+
+  test("reports the builtin renderer without probing Gotenberg", async () => {
+    config.renderer = "builtin";
+    const res = await request(app).get("/health");
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ renderer: "builtin", builtin: "available" });
+    expect(res.body.gotenberg).toBeUndefined();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("is degraded when soffice is unavailable", async () => {
+    config.renderer = "soffice";
+    config.sofficePath = "/nonexistent/soffice";
+    const res = await request(app).get("/health");
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ status: "degraded", renderer: "soffice", soffice: "unavailable" });
+  });
+});
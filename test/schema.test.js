@@ -0,0 +1,381 @@
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const yaml = require("js-yaml");
+const ExcelJS = require("exceljs");
+
+// A small upload limit so the 413 path can be exercised
+process.env.MAX_FILE_SIZE = String(64 * 1024);
+
+// Mock node-fetch so no real Gotenberg is needed
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => {
+    throw new Error("No mock configured");
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { parseOptions } = require("../lib/convert");
+const { spec, schemaFor, validateFields } = require("../lib/schema");
+const { INPUT_FORMATS, DELIMITERS } = require("../lib/formats");
+const { RENDERER_NAMES } = require("../lib/renderers");
+const { OUTPUT_FORMATS, IMAGE_PAGES } = require("../lib/output");
+const { PAPER_SIZES } = require("../lib/layout");
+const { PAGE_SETUP_MODES } = require("../lib/print");
+const { PDFA_LEVELS } = require("../lib/postprocess");
+const { PRESET_NAMES, LOCALES } = require("../lib/presets");
+const { EXTERNAL_LINK_POLICIES } = require("../lib/formulas");
+const { VALUE_FIELDS, SWITCHES } = require("../lib/cli");
+
+const ROOT = path.join(__dirname, "..");
+const OPTIONS = schemaFor("ConversionOptions").properties;
+const ERROR_CODES = spec.components.schemas.Error.properties.code.enum;
+const WARNING_CODES = spec.components.schemas.Warning.properties.code.enum;
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// Fields some values need to be accepted
+const COMPANIONS = {
+  paperSize: { paperWidth: "210mm", paperHeight: "297mm" },
+  pdfa: { renderer: "gotenberg" },
+  pdfua: { renderer: "gotenberg" },
+  pages: { output: "png" },
+  dpi: { output: "png" },
+  imageWidth: { output: "png" },
+  imageHeight: { output: "png" },
+  quality: { output: "jpeg" },
+  watermarkOpacity: { watermark: "DRAFT" },
+};
+
+function parseError(fields) {
+  try {
+    parseOptions(fields);
+  } catch (err) {
+    return err;
+  }
+  throw new Error(`parseOptions accepted ${JSON.stringify(fields)}`);
+}
+
+beforeEach(() => {
+  config.apiKey = "";
+  config.strictOptions = false;
+});
+
+describe("parseOptions - schema validation", () => {
+  test.each([
+    [{ fontSize: "abc" }, "fontSize", "fontSize must be an integer"],
+    [{ fontSize: "9.5" }, "fontSize", "fontSize must be an integer"],
+    [{ landscape: "yes" }, "landscape", "landscape must be true or false"],
+    [{ scale: "5" }, "scale", "scale must be an integer from 10 to 400"],
+    [{ printTitlesRow: "0" }, "printTitlesRow", "printTitlesRow must be an integer of at least 1"],
+    [{ watermark: "DRAFT", watermarkOpacity: "0" }, "watermarkOpacity", "watermarkOpacity must be a number above 0 and at most 1"],
+    [{ userPassword: "x".repeat(33) }, "userPassword", "userPassword must be at most 32 characters"],
+    [{ renderer: "prince" }, "renderer", "renderer must be one of gotenberg, soffice, builtin"],
+  ])("rejects %p", (fields, field, message) => {
+    expect(parseError(fields)).toMatchObject({ statusCode: 400, code: "INVALID_OPTION", field, message });
+  });
+
+  test("ignores unknown options, passing their names to onUnknown", () => {
+    const onUnknown = jest.fn();
+    expect(parseOptions({ orientation: "portrait", fontSize: "12" }, { onUnknown }).fontSize).toBe(12);
+    expect(onUnknown).toHaveBeenCalledWith(["orientation"]);
+
+    parseOptions({ colour: "red" }, { prefix: "options.", onUnknown });
+    expect(onUnknown).toHaveBeenLastCalledWith(["options.colour"]);
+  });
+
+  test("reports unknown options and every problem at once when strict", () => {
+    config.strictOptions = true;
+    const err = parseError({ orientation: "portrait", fontSize: "big", landscape: "true" });
+    expect(err).toMatchObject({ code: "UNKNOWN_OPTION", field: "orientation", message: "Unknown option: orientation" });
+    expect(err.errors).toEqual([
+      { code: "UNKNOWN_OPTION", field: "orientation", message: "Unknown option: orientation" },
+      { code: "INVALID_OPTION", field: "fontSize", message: "fontSize must be an integer" },
+    ]);
+  });
+
+  test("treats empty values as unset and still clamps fontSize", () => {
+    expect(parseOptions({ fontSize: "", landscape: "" })).toMatchObject({ fontSize: config.defaultFontSize, landscape: "true" });
+    expect(parseOptions({ fontSize: "200" }).fontSize).toBe(72);
+  });
+
+  test("matches enums marked x-case-insensitive in any case", () => {
+    expect(parseOptions({ paperSize: "a3", output: "PNG" })).toMatchObject({ paperSize: PAPER_SIZES.a3, output: "png" });
+    expect(parseError({ pageSetup: "Forced" }).field).toBe("pageSetup");
+  });
+
+  test("names the field for errors found after the schema check", () => {
+    expect(parseError({ sheets: '[{"sheet": "A", "fit": "all"}]' })).toMatchObject({ code: "INVALID_OPTION", field: "sheets" });
+    expect(parseError({ margins: '{"top": "far"}' })).toMatchObject({ field: "margins" });
+    expect(parseError({ permissions: "print" })).toMatchObject({ field: "permissions" });
+  });
+
+  test("prefixes field names when asked", () => {
+    let err;
+    try {
+      parseOptions({ fontSize: "big" }, { prefix: "options." });
+    } catch (caught) {
+      err = caught;
+    }
+    expect(err).toMatchObject({ field: "options.fontSize", message: "options.fontSize must be an integer" });
+  });
+});
+
+describe("error responses", () => {
+  test("answer invalid options with code, field and the list of errors", async () => {
+    config.strictOptions = true;
+    const res = await request(app)
+      .post("/convert")
+      .field("fontSize", "big")
+      .field("orientation", "portrait")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: "fontSize must be an integer",
+      code: "INVALID_OPTION",
+      field: "fontSize",
+      errors: [
+        { code: "INVALID_OPTION", field: "fontSize", message: "fontSize must be an integer" },
+        { code: "UNKNOWN_OPTION", field: "orientation", message: "Unknown option: orientation" },
+      ],
+    });
+  });
+
+  test("give a field for single errors found while parsing", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("paperSize", "custom")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { code: "INVALID_OPTION", field: "paperSize", message: "paperSize custom requires paperWidth and paperHeight" },
+    ]);
+  });
+
+  test("check the batch's own fields against BatchRequest", async () => {
+    const res = await request(app)
+      .post("/batch")
+      .field("output", "tar")
+      .attach("files[]", await createXlsxBuffer(), "a.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "INVALID_OPTION", field: "output", error: "output must be one of pdf, zip" });
+  });
+
+  test("ignore unknown fields unless STRICT_OPTIONS is set", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("fontSize", "big")
+      .field("orientation", "portrait")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { code: "INVALID_OPTION", field: "fontSize", message: "fontSize must be an integer" },
+    ]);
+  });
+
+  test("reject callbackUrl on /jobs as an unknown option when strict", async () => {
+    config.strictOptions = true;
+    const res = await request(app)
+      .post("/jobs")
+      .field("callbackUrl", "https://example.com/hook")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "UNKNOWN_OPTION", field: "callbackUrl" });
+  });
+
+  test("answer oversized uploads with 413 JSON", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", Buffer.alloc(128 * 1024), "big.xlsx");
+
+    expect(res.status).toBe(413);
+    expect(res.body).toMatchObject({ error: "File too large", code: "FILE_TOO_LARGE", field: "file" });
+  });
+
+  test("answer unexpected upload fields with 400 INVALID_UPLOAD", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("attachment", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "INVALID_UPLOAD", field: "attachment" });
+  });
+
+  test.each([
+    ["/convert", { error: "No file uploaded", code: "NO_FILE" }],
+    ["/jobs/nope", { error: "Job not found", code: "JOB_NOT_FOUND" }],
+    ["/nowhere", { error: "Not found", code: "NOT_FOUND" }],
+  ])("carry a code for %s", async (url, body) => {
+    const res = url === "/convert" ? await request(app).post(url) : await request(app).get(url);
+    expect(res.body).toEqual(body);
+  });
+});
+
+describe("GET /openapi.json", () => {
+  test("serves openapi.yaml as JSON", async () => {
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^application\/json/);
+    expect(res.body).toEqual(yaml.load(fs.readFileSync(path.join(ROOT, "openapi.yaml"), "utf8")));
+  });
+});
+
+// --- Implementation and openapi.yaml stay in sync ---
+
+// The first three arguments of the call whose "(" is at `open`, as source
+// text (later ones may hold regular expressions this does not parse)
+function callArguments(source, open) {
+  const args = [];
+  const stack = [];
+  let start = open + 1;
+  for (let i = open + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'") {
+      i = source.indexOf(char, i + 1);
+    } else if (char === "`") {
+      // Template literals here hold no nested backticks in a call's arguments
+      i = source.indexOf("`", i + 1);
+    } else if ("([{".includes(char)) {
+      stack.push(char);
+    } else if (")]}".includes(char)) {
+      if (stack.length === 0) {
+        args.push(source.slice(start, i).trim());
+        return args;
+      }
+      stack.pop();
+    } else if (char === "," && stack.length === 0) {
+      args.push(source.slice(start, i).trim());
+      if (args.length === 3) return args;
+      start = i + 1;
+    }
+  }
+  throw new Error("Unterminated call");
+}
+
+function sourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(file);
+    return entry.name.endsWith(".js") ? [file] : [];
+  });
+}
+
+const SOURCES = [path.join(ROOT, "index.js"), ...sourceFiles(path.join(ROOT, "lib"))]
+  .map((file) => ({ name: path.relative(ROOT, file), text: fs.readFileSync(file, "utf8") }));
+
+// Upper-case constants in the source that are not error codes
+const NOT_ERROR_CODES = ["API_KEY", "EAI_AGAIN", "ERR_STREAM_PREMATURE_CLOSE", "LIMIT_FILE_SIZE"];
+// Only seen by logs and metrics: the client has gone away
+const UNSENT_CODES = ["CANCELLED"];
+
+describe("openapi.yaml and the implementation", () => {
+  test.each([
+    ["format", INPUT_FORMATS],
+    ["delimiter", [...Object.keys(DELIMITERS), "auto"]],
+    ["renderer", RENDERER_NAMES],
+    ["output", [...OUTPUT_FORMATS, "jpg"]],
+    ["pages", IMAGE_PAGES],
+    ["paperSize", [...Object.keys(PAPER_SIZES), "custom"]],
+    ["pageSetup", PAGE_SETUP_MODES],
+    ["pdfa", PDFA_LEVELS],
+    ["preset", PRESET_NAMES],
+    ["locale", Object.keys(LOCALES)],
+    ["externalLinks", EXTERNAL_LINK_POLICIES],
+  ])("lists the same %s values", (field, values) => {
+    const fold = (list) => list.map((value) => value.toLowerCase()).sort();
+    expect(fold(OPTIONS[field].enum)).toEqual(fold(values));
+  });
+
+  test("accepts every enum value and range bound of ConversionOptions", () => {
+    Object.entries(OPTIONS).forEach(([field, property]) => {
+      const accept = (value) => expect(() => parseOptions({ ...COMPANIONS[field], [field]: String(value) })).not.toThrow();
+      const reject = (value) => expect(() => parseOptions({ ...COMPANIONS[field], [field]: String(value) })).toThrow();
+      (property.enum || []).forEach(accept);
+      if (property.minimum !== undefined) {
+        if (property.exclusiveMinimum) reject(property.minimum);
+        else accept(property.minimum);
+        reject(property.minimum - 1);
+      }
+      if (property.maximum !== undefined) {
+        accept(property.maximum);
+        reject(property.maximum + 1);
+      }
+    });
+  });
+
+  test("offers every option as a command-line flag", () => {
+    const flags = [...VALUE_FIELDS, ...Object.values(SWITCHES).map(([field]) => field), "output"];
+    expect([...new Set(flags)].sort()).toEqual(Object.keys(OPTIONS).sort());
+  });
+
+  test("lists every error and warning code the service answers with", () => {
+    const used = new Set();
+    SOURCES.forEach(({ text }) => {
+      for (const [, code] of text.matchAll(/"([A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+)"/g)) used.add(code);
+    });
+    NOT_ERROR_CODES.forEach((code) => used.delete(code));
+    expect([...used].sort()).toEqual([...new Set([...ERROR_CODES, ...WARNING_CODES])].sort());
+  });
+
+  test("gives every ConversionError and JSON error body a code", () => {
+    const missing = [];
+    SOURCES.forEach(({ name, text }) => {
+      for (const match of text.matchAll(/new ConversionError\(/g)) {
+        const args = callArguments(text, match.index + match[0].length - 1);
+        if (args.length < 3 || args[2] === "undefined") missing.push(`${name}: ${match[0]}${args.join(", ")})`);
+        const literal = /^"([A-Z_]+)"$/.exec(args[2] || "");
+        if (literal && !ERROR_CODES.includes(literal[1]) && !UNSENT_CODES.includes(literal[1])) missing.push(`${name}: ${literal[1]}`);
+      }
+      for (const match of text.matchAll(/\.json\(\{ error[^\n]*/g)) {
+        if (!/code: "[A-Z_]+"/.test(match[0])) missing.push(`${name}: ${match[0]}`);
+      }
+    });
+    expect(missing).toEqual([]);
+  });
+
+  test("validates the batch's own fields and options without overlap", () => {
+    const batch = schemaFor("BatchRequest").properties;
+    expect(validateFields({ output: "zip", bookmarks: "true" }, schemaFor("BatchRequest"))).toEqual([]);
+    expect(Object.keys(batch).filter((field) => field !== "output" && OPTIONS[field])).toEqual([]);
+  });
+});
@@ -0,0 +1,4 @@
+// Tests never write to an audit log configured in a local .env: dotenv does
+// not override a variable that is already set. Suites that test the log set
+// their own file.
+process.env.AUDIT_LOG_FILE = "";
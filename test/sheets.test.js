@@ -0,0 +1,91 @@
+const ExcelJS = require("exceljs");
+const { parseSheetSpec, selectSheets } = require("../lib/sheets");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+
+// Workbook with two visible sheets and one hidden helper sheet
+function createWorkbook() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Data").addRow(["raw", 1]);
+  wb.addWorksheet("Summary").addRow(["total", 1]);
+  wb.addWorksheet("Lookup", { state: "hidden" }).addRow(["key", "value"]);
+  return wb;
+}
+
+async function roundTrip(options) {
+  const input = Buffer.from(await createWorkbook().xlsx.writeBuffer());
+  const output = await preprocessWorkbook(input, parseOptions(options));
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(output);
+  return wb;
+}
+
+describe("parseSheetSpec", () => {
+  test("returns null when no selection is given", () => {
+    expect(parseSheetSpec(undefined)).toBeNull();
+    expect(parseSheetSpec("")).toBeNull();
+  });
+
+  test("parses comma-separated names and indexes", () => {
+    expect(parseSheetSpec("Summary, 0")).toEqual([
+      { sheet: "Summary", overrides: {} },
+      { sheet: 0, overrides: {} },
+    ]);
+  });
+
+  test("parses JSON entries with per-sheet overrides", () => {
+    const spec = parseSheetSpec('[{"sheet":"Summary","landscape":false,"fontSize":100,"fit":"page"}]');
+    expect(spec).toEqual([{ sheet: "Summary", overrides: { landscape: "false", fontSize: 72, fit: "page" } }]);
+  });
+
+  test.each([
+    ["[not json", /valid JSON/],
+    ["[]", /non-empty/],
+    ['[{"sheet":-1}]', /sheet name or a 0-based index/],
+    ['[{"sheet":"A","fit":"stretch"}]', /fit must be one of/],
+    ['[{"sheet":"A","landscape":"maybe"}]', /true or false/],
+  ])("rejects %s", (value, message) => {
+    expect(() => parseSheetSpec(value)).toThrow(message);
+  });
+});
+
+describe("selectSheets", () => {
+  test("skips hidden sheets by default", () => {
+    const wb = createWorkbook();
+    const selected = selectSheets(wb, null);
+    expect(selected.map((s) => s.worksheet.name)).toEqual(["Data", "Summary"]);
+    expect(wb.worksheets.map((ws) => ws.name)).toEqual(["Data", "Summary"]);
+  });
+
+  test("keeps hidden sheets when asked", () => {
+    const wb = createWorkbook();
+    expect(selectSheets(wb, null, { includeHidden: true })).toHaveLength(3);
+  });
+
+  test("rejects unknown and duplicate sheets", () => {
+    expect(() => selectSheets(createWorkbook(), parseSheetSpec("Missing"))).toThrow(/Sheet not found: Missing/);
+    expect(() => selectSheets(createWorkbook(), parseSheetSpec("Summary,1"))).toThrow(/same sheet twice/);
+  });
+});
+
+describe("preprocessWorkbook - sheet options", () => {
+  test("exports only the selected sheets in the requested order", async () => {
+    const wb = await roundTrip({ sheets: "Summary,Lookup" });
+    expect(wb.worksheets.map((ws) => ws.name)).toEqual(["Summary", "Lookup"]);
+    expect(wb.getWorksheet("Lookup").state).toBe("visible");
+  });
+
+  test("applies per-sheet orientation, fit and font size", async () => {
+    const wb = await roundTrip({
+      landscape: "true",
+      sheets: JSON.stringify([{ sheet: "Data" }, { sheet: "Summary", landscape: false, fit: "page", fontSize: 14 }]),
+    });
+    const data = wb.getWorksheet("Data");
+    const summary = wb.getWorksheet("Summary");
+    expect(data.pageSetup.orientation).toBe("landscape");
+    expect(data.pageSetup.fitToHeight).toBe(0);
+    expect(summary.pageSetup.orientation).toBe("portrait");
+    expect(summary.pageSetup.fitToHeight).toBe(1);
+    expect(summary.getCell("A1").font.size).toBe(14);
+    expect(data.getCell("A1").font.size).toBe(9);
+  });
+});
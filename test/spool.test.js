@@ -0,0 +1,332 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const FormData = require("form-data");
+const JSZip = require("jszip");
+const { Readable } = require("stream");
+
+// Mock node-fetch before requiring the app. The forwarded form is read out
+// like a real upload would be; `mockFetchGate` holds the response back.
+let mockFetchResponse;
+let mockFetchGate;
+let mockLastForm;
+jest.mock("node-fetch", () => {
+  const { PassThrough } = require("stream");
+  return jest.fn(async (url, opts) => {
+    const chunks = [];
+    for await (const chunk of opts.body.pipe(new PassThrough())) chunks.push(chunk);
+    mockLastForm = Buffer.concat(chunks);
+    if (mockFetchGate) await mockFetchGate;
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+// A private TEMP_DIR so the tests can check it is left empty
+process.env.TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-spool-test-"));
+
+const fetch = require("node-fetch");
+const { app, config, jobStore } = require("../index");
+const { parseOptions, preprocessWorkbook } = require("../lib/convert");
+const { canStream, streamCsvWorkbook } = require("../lib/streaming");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+const CSV = "id,name,region\n1,Alice,North\n2,Bob,North\n3,Carol,South\n4,Dan,South\n5,Eve,West\n";
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+function tempFiles() {
+  return fs.readdirSync(config.tempDir);
+}
+
+async function waitForEmptyTempDir() {
+  for (let i = 0; i < 100 && tempFiles().length > 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return tempFiles();
+}
+
+function writeCsv(text) {
+  const file = path.join(os.tmpdir(), `spool-test-${process.pid}-${Date.now()}.csv`);
+  fs.writeFileSync(file, text);
+  return { path: file, size: Buffer.byteLength(text) };
+}
+
+async function describeWorkbook(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetXml = await zip.file("xl/worksheets/sheet1.xml").async("string");
+  const values = [];
+  ws.eachRow((row) => values.push(row.values.slice(1)));
+  return {
+    values,
+    widths: ws.columns.map((column) => column.width),
+    font: ws.getCell("B2").font,
+    pageSetup: ws.pageSetup,
+    header: ws.headerFooter.oddHeader,
+    breaks: [...sheetXml.matchAll(/<brk id="(\d+)"/g)].map((match) => Number(match[1])),
+  };
+}
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockFetchGate = null;
+  fetch.mockClear();
+  config.apiKey = "";
+});
+
+afterAll(() => {
+  fs.rmSync(config.tempDir, { recursive: true, force: true });
+});
+
+describe("canStream", () => {
+  const file = { path: "/tmp/data.csv", size: 10 * 1024 * 1024 };
+
+  test("streams large spooled CSV and TSV uploads", () => {
+    expect(canStream(file, { ...parseOptions({}), inputFormat: "csv" })).toBe(true);
+    expect(canStream(file, { ...parseOptions({}), inputFormat: "tsv" })).toBe(true);
+  });
+
+  test("keeps small files, buffers and other formats in memory", () => {
+    expect(canStream({ ...file, size: 1024 }, { ...parseOptions({}), inputFormat: "csv" })).toBe(false);
+    expect(canStream(Buffer.alloc(10), { ...parseOptions({}), inputFormat: "csv" })).toBe(false);
+    expect(canStream(file, { ...parseOptions({}), inputFormat: "xlsx" })).toBe(false);
+    expect(canStream(file, { ...parseOptions({}), inputFormat: "json" })).toBe(false);
+  });
+
+  test("falls back for options that need the whole workbook", () => {
+    expect(canStream(file, { ...parseOptions({ sheets: "Sheet1" }), inputFormat: "csv" })).toBe(false);
+    expect(canStream(file, { ...parseOptions({ paperSize: "custom", paperWidth: "8", paperHeight: "4" }), inputFormat: "csv" })).toBe(false);
+  });
+});
+
+describe("streamCsvWorkbook", () => {
+  test("produces the same sheet as in-memory preprocessing", async () => {
+    const file = writeCsv(CSV);
+    const options = {
+      ...parseOptions({ fontSize: "12", printTitlesRow: "1", pageBreakOnChange: "region", header: "{file}" }),
+      inputFormat: "csv",
+      sourceName: "people.csv",
+    };
+    try {
+      const output = await streamCsvWorkbook(file, options);
+      const streamed = await describeWorkbook(fs.readFileSync(output.path));
+      fs.rmSync(output.path);
+      const inMemory = await describeWorkbook(await preprocessWorkbook(Buffer.from(CSV), options));
+
+      expect(streamed).toEqual(inMemory);
+      expect(streamed.breaks).toEqual([3, 5]);
+      expect(streamed.font).toEqual({ size: 12 });
+      expect(streamed.pageSetup.fitToPage).toBe(true);
+      expect(streamed.pageSetup.printTitlesRow).toBe("1:1");
+    } finally {
+      fs.rmSync(file.path);
+    }
+  });
+
+  test("styles a preset and number formats the same way as in memory", async () => {
+    const text = "id,amount,closed\n1,1234.5,2026-03-01\n2,99,2026-03-02\n3,10,2026-03-03\n";
+    const file = writeCsv(text);
+    const options = {
+      ...parseOptions({
+        preset: "ledger",
+        numberFormats: '{"amount":"currency","C":"date"}',
+        locale: "de-DE",
+        header: "{file}",
+      }),
+      inputFormat: "csv",
+    };
+    const styles = async (buffer) => {
+      const wb = new ExcelJS.Workbook();
+      await wb.xlsx.load(buffer);
+      const ws = wb.worksheets[0];
+      const zip = await JSZip.loadAsync(buffer);
+      const sheetXml = await zip.file("xl/worksheets/sheet1.xml").async("string");
+      return {
+        ...(await describeWorkbook(buffer)),
+        headerCell: [ws.getCell("A1").font, ws.getCell("A1").fill],
+        cells: ["B2", "C3"].map((address) => [ws.getCell(address).numFmt, ws.getCell(address).border]),
+        gridLines: sheetXml.includes('gridLines="1"'),
+        zebra: /<conditionalFormatting sqref="([^"]+)">/.exec(sheetXml)[1],
+      };
+    };
+    try {
+      const output = await streamCsvWorkbook(file, options);
+      const streamed = await styles(fs.readFileSync(output.path));
+      fs.rmSync(output.path);
+      const inMemory = await styles(await preprocessWorkbook(Buffer.from(text), options));
+
+      expect(streamed).toEqual(inMemory);
+      expect(streamed.cells[0][0]).toBe("#,##0.00 [$€-407]");
+      expect(streamed.values[1][2]).toEqual(new Date("2026-03-01T00:00:00Z"));
+      expect(streamed.gridLines).toBe(true);
+      expect(streamed.zebra).toBe("A2:C4");
+      expect(streamed.pageSetup.printTitlesRow).toBe("1:1");
+    } finally {
+      fs.rmSync(file.path);
+    }
+  });
+
+  test("rejects a page break column that is not in the header", async () => {
+    const file = writeCsv(CSV);
+    try {
+      await expect(
+        streamCsvWorkbook(file, { ...parseOptions({ pageBreakOnChange: "Country" }), inputFormat: "csv" })
+      ).rejects.toMatchObject({ statusCode: 400, message: "Column not found: Country" });
+      expect(tempFiles()).toEqual([]);
+    } finally {
+      fs.rmSync(file.path);
+    }
+  });
+});
+
+describe("temp files", () => {
+  test("removes the upload and the PDF after a conversion", async () => {
+    const res = await request(app).post("/convert").attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(200);
+    expect(res.headers["content-length"]).toBe(String(FAKE_PDF.length));
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test("removes the upload after a failed conversion", async () => {
+    mockFetchResponse = { ok: false, status: 500, text: async () => "boom" };
+    const res = await request(app).post("/convert").attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(502);
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test("removes a rejected upload", async () => {
+    const res = await request(app).post("/convert").attach("file", Buffer.from("not a spreadsheet\0"), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test("keeps a job's upload until the job has run, and its result until the job is gone", async () => {
+    let release;
+    mockFetchGate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const res = await request(app).post("/jobs").attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(202);
+    expect(tempFiles()).toHaveLength(1);
+
+    release();
+    for (let i = 0; i < 100 && jobStore.get(res.body.id).status !== "done"; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const job = jobStore.get(res.body.id);
+    expect(job.status).toBe("done");
+    expect(tempFiles()).toEqual([path.basename(job.result.path)]);
+
+    jobStore.remove(res.body.id);
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test("cleans up when the client disconnects mid-conversion", async () => {
+    let release;
+    mockFetchGate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const server = app.listen(0);
+    try {
+      const form = new FormData();
+      form.append("file", await createXlsxBuffer(), "test.xlsx");
+      const req = http.request({
+        port: server.address().port,
+        method: "POST",
+        path: "/convert",
+        headers: form.getHeaders(),
+      });
+      req.on("error", () => {});
+      form.pipe(req);
+
+      for (let i = 0; i < 100 && fetch.mock.calls.length === 0; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      expect(fetch).toHaveBeenCalledTimes(1);
+      req.destroy();
+
+      release();
+      expect(await waitForEmptyTempDir()).toEqual([]);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe("POST /convert - streamed CSV", () => {
+  afterEach(() => {
+    config.streamThresholdMB = 5;
+  });
+
+  test("sends the streamed workbook to Gotenberg", async () => {
+    config.streamThresholdMB = 0;
+    const res = await request(app).post("/convert").attach("file", Buffer.from(CSV), "people.csv");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toMatch(/people\.pdf/);
+    const form = mockLastForm.toString("latin1");
+    expect(form).toMatch(/filename="export\.xlsx"/);
+    // The xlsx inside the form is a zip archive
+    expect(form).toContain("PK\x03\x04");
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test.each([0, 5])("converts dates past year 9999 with a %p MB stream threshold", async (threshold) => {
+    config.streamThresholdMB = threshold;
+    const res = await request(app)
+      .post("/convert")
+      .field("numberFormats", '{"A":"mmm yyyy"}')
+      .attach("file", Buffer.from("when\n1e20\n"), "dates.csv");
+
+    expect(res.status).toBe(200);
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+
+  test("reports malformed CSV as a 400", async () => {
+    config.streamThresholdMB = 0;
+    const res = await request(app).post("/convert").attach("file", Buffer.from('a,b\n"unterminated,1\n'), "bad.csv");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/could not parse csv/i);
+    expect(await waitForEmptyTempDir()).toEqual([]);
+  });
+});
@@ -0,0 +1,292 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Templates live in their own directory for this suite
+process.env.TEMPLATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-to-pdf-templates-test-"));
+
+// Mock node-fetch and keep the forwarded workbook
+let mockFetchResponse;
+let mockLastForm;
+jest.mock("node-fetch", () => {
+  const { PassThrough } = require("stream");
+  return jest.fn(async (url, opts) => {
+    const chunks = [];
+    for await (const chunk of opts.body.pipe(new PassThrough())) chunks.push(chunk);
+    mockLastForm = Buffer.concat(chunks);
+    return mockFetchResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { inspectTemplate, fillTemplate } = require("../lib/fill");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+// An invoice: header fields, a line item region with a per-row formula and
+// a total below it
+async function createInvoiceTemplate() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Invoice");
+  ws.getCell("A1").value = "Invoice {{number}}";
+  ws.getCell("A2").value = "{{customer.name}}";
+  ws.mergeCells("A2:C2");
+  ws.addRow([]);
+  ws.getRow(4).values = ["#", "Item", "Qty", "Price", "Total"];
+  ws.getCell("A5").value = "{{#each lines}}{{@number}}";
+  ws.getCell("B5").value = "{{description}}";
+  ws.getCell("C5").value = "{{qty}}";
+  ws.getCell("D5").value = "{{price}}";
+  ws.getCell("D5").numFmt = "#,##0.00";
+  ws.getCell("E5").value = { formula: "C5*D5" };
+  ws.getCell("F5").value = "{{/each}}";
+  ws.getCell("D6").value = "Total";
+  ws.getCell("E6").value = { formula: "SUM(E5:E5)" };
+  ws.getCell("E7").value = { formula: 'IF(E6>100,"Large "&"A5","")' };
+  ws.pageSetup.printArea = "A1:E7";
+  ws.addConditionalFormatting({
+    ref: "E5:E6",
+    rules: [{ type: "expression", priority: 1, formulae: ["E5<0"], style: {} }],
+  });
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+const INVOICE = {
+  number: "2026-017",
+  customer: { name: "Acme Ltd" },
+  lines: [
+    { description: "Widgets", qty: 3, price: 2.5 },
+    { description: "Gadgets", qty: 1, price: 99 },
+    { description: "Sprockets", qty: 10, price: 0.2 },
+  ],
+};
+
+async function loadSheet(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  return wb.worksheets[0];
+}
+
+function uploadTemplate(buffer, name = "invoice.xlsx") {
+  return request(app).post("/templates").attach("file", buffer, name);
+}
+
+let invoiceTemplate;
+
+beforeAll(async () => {
+  invoiceTemplate = await createInvoiceTemplate();
+});
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockLastForm = null;
+  config.apiKey = "";
+});
+
+afterAll(() => {
+  fs.rmSync(config.templateDir, { recursive: true, force: true });
+});
+
+describe("fillTemplate", () => {
+  test("fills placeholders and keeps the JSON type of whole-cell values", async () => {
+    const ws = await loadSheet(await fillTemplate(invoiceTemplate, INVOICE));
+    expect(ws.getCell("A1").value).toBe("Invoice 2026-017");
+    expect(ws.getCell("A2").value).toBe("Acme Ltd");
+    expect(ws.getCell("C6").value).toBe(1);
+    expect(ws.getCell("D6").value).toBe(99);
+    expect(ws.getCell("D6").numFmt).toBe("#,##0.00");
+  });
+
+  test("repeats a region once per item and removes the markers", async () => {
+    const ws = await loadSheet(await fillTemplate(invoiceTemplate, INVOICE));
+    expect([5, 6, 7].map((row) => ws.getCell(`B${row}`).value)).toEqual(["Widgets", "Gadgets", "Sprockets"]);
+    expect([5, 6, 7].map((row) => ws.getCell(`A${row}`).value)).toEqual([1, 2, 3]);
+    expect(ws.getCell("F5").value).toBeNull();
+    expect(ws.getCell("D8").value).toBe("Total");
+  });
+
+  test("moves formulas, merges, the print area and conditional formats with the rows", async () => {
+    const ws = await loadSheet(await fillTemplate(invoiceTemplate, INVOICE));
+    expect(ws.getCell("E6").value).toEqual({ formula: "C6*D6" });
+    expect(ws.getCell("E8").value).toEqual({ formula: "SUM(E5:E7)" });
+    // References inside string literals are left alone
+    expect(ws.getCell("E9").value).toEqual({ formula: 'IF(E8>100,"Large "&"A5","")' });
+    expect(ws.model.merges).toEqual(["A2:C2"]);
+    expect(ws.pageSetup.printArea).toBe("A1:E9");
+    expect(ws.conditionalFormattings[0].ref).toBe("E5:E8");
+  });
+
+  test("leaves one blank copy for an empty list so formulas keep their ranges", async () => {
+    const ws = await loadSheet(await fillTemplate(invoiceTemplate, { ...INVOICE, lines: [] }));
+    expect(ws.getCell("B5").value).toBeNull();
+    expect(ws.getCell("E6").value).toEqual({ formula: "SUM(E5:E5)" });
+  });
+
+  test("falls back to the root data inside a region and repeats merges per copy", async () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet("List");
+    ws.getCell("A1").value = "{{#each tags}}{{this}} ({{currency}})";
+    ws.getCell("D1").value = "{{/each}}";
+    ws.mergeCells("A1:C1");
+    const filled = await loadSheet(
+      await fillTemplate(Buffer.from(await wb.xlsx.writeBuffer()), { currency: "EUR", tags: ["a", "b"] })
+    );
+    expect([filled.getCell("A1").value, filled.getCell("A2").value]).toEqual(["a (EUR)", "b (EUR)"]);
+    expect(filled.model.merges).toEqual(["A1:C1", "A2:C2"]);
+  });
+
+  test("rejects a region list that is not an array", async () => {
+    await expect(fillTemplate(invoiceTemplate, { lines: "nope" }))
+      .rejects.toMatchObject({ statusCode: 400, code: "INVALID_TEMPLATE" });
+  });
+});
+
+describe("inspectTemplate", () => {
+  test("lists placeholders and regions", async () => {
+    expect(await inspectTemplate(invoiceTemplate)).toEqual({
+      placeholders: ["number", "customer.name", "@number", "description", "qty", "price"],
+      lists: ["lines"],
+    });
+  });
+
+  test.each([
+    [[["{{#each a}}"], ["{{#each b}}"], ["{{/each}}"]], /inside another region/],
+    [[["{{/each}}"]], /has no \{\{#each\}\}/],
+    [[["{{#each a}}"]], /never closed/],
+  ])("rejects unbalanced regions %#", async (rows, message) => {
+    const wb = new ExcelJS.Workbook();
+    wb.addWorksheet("Bad").addRows(rows);
+    await expect(inspectTemplate(Buffer.from(await wb.xlsx.writeBuffer())))
+      .rejects.toMatchObject({ code: "INVALID_TEMPLATE", message: expect.stringMatching(message) });
+  });
+});
+
+describe("/templates", () => {
+  test("stores a template and lists its fields", async () => {
+    const res = await uploadTemplate(invoiceTemplate);
+    expect(res.status).toBe(201);
+    expect(res.headers.location).toBe(`/templates/${res.body.id}`);
+    expect(res.body).toMatchObject({ name: "invoice", size: invoiceTemplate.length, lists: ["lines"] });
+    expect(res.body.tenant).toBeUndefined();
+
+    const fetched = await request(app).get(`/templates/${res.body.id}`);
+    expect(fetched.body).toEqual(res.body);
+    const listed = await request(app).get("/templates");
+    expect(listed.body.templates.map((template) => template.id)).toContain(res.body.id);
+  });
+
+  test("takes the name from the form", async () => {
+    const res = await request(app).post("/templates").field("name", "Monthly statement").attach("file", invoiceTemplate, "t.xlsx");
+    expect(res.body.name).toBe("Monthly statement");
+  });
+
+  test("rejects files that are not xlsx templates", async () => {
+    expect((await request(app).post("/templates")).status).toBe(400);
+    const csv = await uploadTemplate(Buffer.from("a,b\n1,2\n"), "data.csv");
+    expect(csv.status).toBe(400);
+    expect(csv.body.error).toBe("Templates must be .xlsx workbooks");
+
+    const wb = new ExcelJS.Workbook();
+    wb.addWorksheet("Bad").addRow(["{{#each rows}}"]);
+    const unbalanced = await uploadTemplate(Buffer.from(await wb.xlsx.writeBuffer()));
+    expect(unbalanced.status).toBe(400);
+    expect(unbalanced.body.code).toBe("INVALID_TEMPLATE");
+  });
+
+  test("refuses templates over MAX_TEMPLATES", async () => {
+    const original = config.maxTemplates;
+    config.maxTemplates = (await request(app).get("/templates")).body.templates.length;
+    try {
+      const res = await uploadTemplate(invoiceTemplate);
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("TEMPLATE_LIMIT");
+    } finally {
+      config.maxTemplates = original;
+    }
+  });
+
+  test("deletes a template", async () => {
+    const { body } = await uploadTemplate(invoiceTemplate);
+    expect((await request(app).delete(`/templates/${body.id}`)).status).toBe(204);
+    expect((await request(app).get(`/templates/${body.id}`)).status).toBe(404);
+    expect((await request(app).delete(`/templates/${body.id}`)).status).toBe(404);
+    expect((await request(app).get("/templates/../../etc/passwd")).status).toBe(404);
+  });
+});
+
+describe("POST /templates/:id/render", () => {
+  test("fills the template and converts it", async () => {
+    const { body } = await uploadTemplate(invoiceTemplate);
+    const res = await request(app)
+      .post(`/templates/${body.id}/render`)
+      .send({ data: INVOICE, options: { landscape: false, margins: { top: 0.5 } } });
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/pdf");
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="invoice.pdf"');
+    expect(res.body).toEqual(FAKE_PDF);
+    const form = mockLastForm.toString("latin1");
+    expect(form).toMatch(/name="landscape"\r\n\r\nfalse/);
+    expect(form).toContain('filename="export.xlsx"');
+  });
+
+  test("validates the body and options", async () => {
+    const { body } = await uploadTemplate(invoiceTemplate);
+    const render = (payload) => request(app).post(`/templates/${body.id}/render`).send(payload);
+
+    expect((await render({})).body.error).toBe("data must be a JSON object");
+    expect((await render({ data: {}, options: [] })).body.error).toBe("options must be a JSON object");
+    const badOption = await render({ data: {}, options: { renderer: "nope" } });
+    expect(badOption.status).toBe(400);
+    expect(badOption.body.error).toMatch(/renderer must be one of/);
+    expect(badOption.body).toMatchObject({ code: "INVALID_OPTION", field: "options.renderer" });
+    const badData = await render({ data: { lines: 5 } });
+    expect(badData.status).toBe(400);
+    expect(badData.body.code).toBe("INVALID_TEMPLATE");
+
+    const notJson = await request(app)
+      .post(`/templates/${body.id}/render`)
+      .set("Content-Type", "application/json")
+      .send("{oops");
+    expect(notJson.status).toBe(400);
+    expect(notJson.body.error).toBe("Request body must be JSON");
+  });
+
+  test("answers 404 for an unknown template", async () => {
+    const res = await request(app).post("/templates/00000000-0000-4000-8000-000000000000/render").send({ data: {} });
+    expect(res.status).toBe(404);
+  });
+});
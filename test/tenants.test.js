@@ -0,0 +1,334 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// The key file has to exist before the app is loaded
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+const keyFile = path.join(keyDir, "keys.yaml");
+const KEYS_YAML = `
+tenants:
+  - name: finance
+    keys:
+      - id: current
+        key: finance-new
+      - id: previous
+        key: finance-old
+        expiresAt: 2999-01-01T00:00:00Z
+      - id: retired
+        key: finance-retired
+        expiresAt: 2000-01-01T00:00:00Z
+      - id: upcoming
+        key: finance-next
+        notBefore: 2999-01-01T00:00:00Z
+  - name: hashed
+    keys:
+      - sha256: ${require("crypto").createHash("sha256").update("hashed-key").digest("hex")}
+  - name: restricted
+    keys:
+      - key: restricted-key
+    maxFileSize: 100
+    allowedOptions: [fontSize]
+  - name: templated
+    keys:
+      - key: templated-key
+    allowedOptions: [fontSize]
+  - name: metered
+    keys:
+      - key: metered-key
+    quota:
+      conversionsPerDay: 2
+  - name: frugal
+    keys:
+      - key: frugal-key
+    quota:
+      conversionsPerDay: 1
+  - name: throttled
+    keys:
+      - key: throttled-key
+    rateLimit:
+      windowMs: 60000
+      max: 2
+`;
+fs.writeFileSync(keyFile, KEYS_YAML);
+process.env.API_KEYS_FILE = keyFile;
+process.env.TEMPLATE_DIR = path.join(keyDir, "templates");
+// Enough requests for every test in this file within one rate limit window
+process.env.RATE_LIMIT_MAX = "1000";
+
+// Mock node-fetch
+let mockFetchResponse;
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => mockFetchResponse);
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+// Keep the bindings of every child logger so tenant attribution can be checked
+let mockLogBindings = [];
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = (bindings) => {
+      mockLogBindings.push(bindings);
+      return req.log;
+    };
+    next();
+  };
+});
+
+const { app, config, keyStore, tenantUsage, deliveryLog } = require("../index");
+const { createKeyStore, createUsageTracker } = require("../lib/tenants");
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+let xlsxBuffer;
+
+beforeAll(async () => {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  xlsxBuffer = Buffer.from(await wb.xlsx.writeBuffer());
+});
+
+afterAll(() => {
+  keyStore.close();
+  fs.rmSync(keyDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mockFetchResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockLogBindings = [];
+  config.apiKey = "";
+});
+
+function convertAs(key) {
+  return request(app).post("/convert").set("X-API-Key", key).attach("file", xlsxBuffer, "test.xlsx");
+}
+
+describe("authentication", () => {
+  test("rejects requests without a known key", async () => {
+    expect((await request(app).get("/health")).status).toBe(401);
+    expect((await request(app).get("/health").set("X-API-Key", "nope")).status).toBe(401);
+  });
+
+  test("accepts a tenant key and attributes logs to the tenant", async () => {
+    const res = await convertAs("finance-new");
+    expect(res.status).toBe(200);
+    expect(mockLogBindings).toContainEqual({ tenant: "finance", keyId: "current" });
+  });
+
+  test("accepts keys stored as SHA-256 digests", async () => {
+    expect((await convertAs("hashed-key")).status).toBe(200);
+  });
+
+  test("honours rotation windows", async () => {
+    expect((await convertAs("finance-old")).status).toBe(200);
+    expect((await convertAs("finance-retired")).status).toBe(401);
+    expect((await convertAs("finance-next")).status).toBe(401);
+  });
+
+  test("still accepts the legacy API_KEY", async () => {
+    config.apiKey = "legacy-key";
+    const res = await convertAs("legacy-key");
+    expect(res.status).toBe(200);
+    expect(mockLogBindings).toContainEqual({ tenant: "default", keyId: "API_KEY" });
+  });
+});
+
+describe("per-key limits", () => {
+  test("rejects options outside the allowlist", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .set("X-API-Key", "restricted-key")
+      .field("renderer", "builtin")
+      .attach("file", Buffer.alloc(10), "test.xlsx");
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ error: "Option not allowed for this API key: renderer", code: "OPTION_NOT_ALLOWED", field: "renderer" });
+  });
+
+  test("applies the key's file size limit", async () => {
+    const res = await convertAs("restricted-key");
+    expect(res.status).toBe(413);
+  });
+
+  test("enforces the daily conversion quota", async () => {
+    expect((await convertAs("metered-key")).status).toBe(200);
+    expect((await convertAs("metered-key")).status).toBe(200);
+
+    const res = await convertAs("metered-key");
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("QUOTA_EXCEEDED");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("does not charge the quota for rejected requests", async () => {
+    const invalid = await request(app).post("/convert").set("X-API-Key", "frugal-key").field("fontSize", "huge").attach("file", xlsxBuffer, "test.xlsx");
+    expect(invalid.status).toBe(400);
+    const unsupported = await request(app).post("/convert").set("X-API-Key", "frugal-key").attach("file", Buffer.from("not a workbook"), "test.xlsx");
+    expect(unsupported.status).toBe(400);
+    const { maxQueueLength } = config;
+    config.maxQueueLength = 0;
+    try {
+      expect((await convertAs("frugal-key")).status).toBe(503);
+    } finally {
+      config.maxQueueLength = maxQueueLength;
+    }
+    expect(tenantUsage.get("frugal").conversions).toBe(0);
+
+    expect((await convertAs("frugal-key")).status).toBe(200);
+    expect((await convertAs("frugal-key")).status).toBe(429);
+    expect(tenantUsage.get("frugal").conversions).toBe(1);
+  });
+
+  test("keeps templates private to their tenant", async () => {
+    const upload = await request(app).post("/templates").set("X-API-Key", "finance-new").attach("file", xlsxBuffer, "t.xlsx");
+    expect(upload.status).toBe(201);
+    const path = `/templates/${upload.body.id}`;
+
+    expect((await request(app).get(path).set("X-API-Key", "finance-old")).status).toBe(200);
+    expect((await request(app).get(path).set("X-API-Key", "hashed-key")).status).toBe(404);
+    expect((await request(app).delete(path).set("X-API-Key", "hashed-key")).status).toBe(404);
+    expect((await request(app).get("/templates").set("X-API-Key", "hashed-key")).body).toEqual({ templates: [] });
+  });
+
+  test("keeps jobs and deliveries private to their tenant", async () => {
+    const job = await request(app).post("/jobs").set("X-API-Key", "finance-new").attach("file", xlsxBuffer, "test.xlsx");
+    expect(job.status).toBe(202);
+    const path = `/jobs/${job.body.id}`;
+
+    expect((await request(app).get(path).set("X-API-Key", "hashed-key")).status).toBe(404);
+    expect((await request(app).get(`${path}/result`).set("X-API-Key", "hashed-key")).status).toBe(404);
+    expect((await request(app).delete(path).set("X-API-Key", "hashed-key")).status).toBe(404);
+    expect((await request(app).get(path).set("X-API-Key", "finance-old")).status).toBe(200);
+
+    const delivery = deliveryLog.create("https://hooks.example.com/done", "finance");
+    expect((await request(app).get(`/deliveries/${delivery.id}`).set("X-API-Key", "hashed-key")).status).toBe(404);
+    const own = await request(app).get(`/deliveries/${delivery.id}`).set("X-API-Key", "finance-new");
+    expect(own.status).toBe(200);
+    expect(own.body).not.toHaveProperty("tenant");
+
+    expect((await request(app).delete(path).set("X-API-Key", "finance-new")).status).toBe(204);
+  });
+
+  test("checks template render options against the allowlist", async () => {
+    const upload = await request(app).post("/templates").set("X-API-Key", "templated-key").attach("file", xlsxBuffer, "t.xlsx");
+    const render = (options) => request(app)
+      .post(`/templates/${upload.body.id}/render`)
+      .set("X-API-Key", "templated-key")
+      .send({ data: {}, options });
+
+    expect((await render({ fontSize: 8 })).status).toBe(200);
+    const res = await render({ renderer: "builtin" });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("OPTION_NOT_ALLOWED");
+  });
+
+  test("rate limits per key", async () => {
+    await request(app).get("/health").set("X-API-Key", "throttled-key");
+    await request(app).get("/health").set("X-API-Key", "throttled-key");
+
+    const res = await request(app).get("/health").set("X-API-Key", "throttled-key");
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("TENANT_RATE_LIMITED");
+    expect((await request(app).get("/health").set("X-API-Key", "finance-new")).status).not.toBe(429);
+  });
+});
+
+describe("reloading", () => {
+  afterEach(() => {
+    fs.writeFileSync(keyFile, KEYS_YAML);
+    keyStore.reload();
+  });
+
+  test("picks up new keys from the file", async () => {
+    fs.writeFileSync(keyFile, `${KEYS_YAML}
+  - name: marketing
+    keys:
+      - key: marketing-key
+`);
+    keyStore.reload();
+    expect((await convertAs("marketing-key")).status).toBe(200);
+  });
+
+  test("rejects every request while the file lists no keys", async () => {
+    fs.writeFileSync(keyFile, "tenants: []");
+    keyStore.reload();
+    expect((await convertAs("finance-new")).status).toBe(401);
+    expect((await request(app).get("/health")).status).toBe(401);
+  });
+
+  test("keeps the previous keys when the file becomes invalid", async () => {
+    fs.writeFileSync(keyFile, "tenants: [{ name: broken }]");
+    keyStore.reload();
+    expect((await convertAs("finance-new")).status).toBe(200);
+  });
+});
+
+describe("createKeyStore", () => {
+  function storeFor(content, name = "keys.json") {
+    const file = path.join(keyDir, name);
+    fs.writeFileSync(file, content);
+    return createKeyStore({ file, watch: false });
+  }
+
+  test("stays enabled for a file without keys", () => {
+    const store = storeFor(JSON.stringify({ tenants: [] }));
+    expect(store.enabled).toBe(true);
+    expect(store.authenticate("anything")).toBeNull();
+    expect(createKeyStore({ file: "" }).enabled).toBe(false);
+  });
+
+  test("reads JSON files", () => {
+    const store = storeFor(JSON.stringify({ tenants: [{ name: "ops", keys: [{ key: "ops-key" }] }] }));
+    expect(store.authenticate("ops-key").tenant.name).toBe("ops");
+  });
+
+  test.each([
+    [{ tenants: {} }, /top-level tenants list/],
+    [{ tenants: [{ name: "a", keys: [] }] }, /at least one key/],
+    [{ tenants: [{ name: "a", keys: [{ key: "x" }] }, { name: "b", keys: [{ key: "x" }] }] }, /already used/],
+    [{ tenants: [{ name: "a", keys: [{ key: "x" }], quota: { conversionsPerDay: -1 } }] }, /positive integer/],
+    [{ tenants: [{ name: "a", keys: [{ key: "x", expiresAt: "soon" }] }] }, /must be a date/],
+  ])("rejects %j", (content, message) => {
+    expect(() => storeFor(JSON.stringify(content))).toThrow(message);
+  });
+});
+
+describe("createUsageTracker", () => {
+  test("resets the counts at midnight UTC", () => {
+    let time = Date.parse("2026-10-18T23:59:00Z");
+    const usage = createUsageTracker({ now: () => time });
+    const tenant = { name: "t", quota: { bytesPerDay: 100 } };
+
+    expect(usage.consume(tenant, 1, 80)).toBeNull();
+    expect(usage.consume(tenant, 1, 30)).toMatch(/upload quota/);
+    expect(usage.secondsUntilReset()).toBe(60);
+
+    time = Date.parse("2026-10-19T00:00:00Z");
+    expect(usage.consume(tenant, 1, 30)).toBeNull();
+    expect(usage.get("t")).toEqual({ day: "2026-10-19", conversions: 1, bytes: 30 });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+
+// Mock node-fetch before requiring the app
+jest.mock("node-fetch", () => {
+  return jest.fn(async () => ({ ok: true, status: 200, body: require("stream").Readable.from([Buffer.from("%PDF-1.4")]) }));
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { readCentralDirectory, validateInput } = require("../lib/validate");
+
+const defaults = {
+  maxZipEntries: config.maxZipEntries,
+  maxUncompressedMB: config.maxUncompressedMB,
+  maxCompressionRatio: config.maxCompressionRatio,
+};
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  wb.addWorksheet("Sheet1").addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// Minimal archive that passes the required-part checks, plus extra entries
+async function createZip(extra = {}) {
+  const zip = new JSZip();
+  zip.file("[Content_Types].xml", "<Types/>");
+  zip.file("xl/workbook.xml", "<workbook/>");
+  Object.entries(extra).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+// Rewrite a field of every central directory entry named `name`
+function patchCentralEntry(buffer, name, patch) {
+  const copy = Buffer.from(buffer);
+  let offset = copy.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  offset = copy.readUInt32LE(offset + 16);
+  while (copy.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = copy.readUInt16LE(offset + 28);
+    if (copy.toString("utf8", offset + 46, offset + 46 + nameLength) === name) patch(copy, offset);
+    offset += 46 + nameLength + copy.readUInt16LE(offset + 30) + copy.readUInt16LE(offset + 32);
+  }
+  return copy;
+}
+
+async function expectRejection(buffer, code, format = "xlsx") {
+  await expect(validateInput(buffer, format)).rejects.toMatchObject({ code });
+}
+
+afterEach(() => {
+  Object.assign(config, defaults);
+});
+
+describe("readCentralDirectory", () => {
+  test("lists entries with their sizes", async () => {
+    const entries = readCentralDirectory(await createZip({ "xl/a.xml": "abc" }));
+    expect(entries.map((e) => e.name)).toEqual(expect.arrayContaining(["[Content_Types].xml", "xl/workbook.xml", "xl/a.xml"]));
+    expect(entries.find((e) => e.name === "xl/a.xml").uncompressedSize).toBe(3);
+  });
+});
+
+describe("validateInput", () => {
+  test("accepts a real workbook", async () => {
+    await expect(validateInput(await createXlsxBuffer(), "xlsx")).resolves.toBeUndefined();
+  });
+
+  test("rejects archives that are not valid ZIPs", async () => {
+    await expectRejection(Buffer.concat([Buffer.from("PK\x03\x04"), Buffer.alloc(64, 1)]), "INVALID_ZIP");
+  });
+
+  test("rejects other OOXML documents such as DOCX", async () => {
+    const zip = new JSZip();
+    zip.file("[Content_Types].xml", "<Types/>");
+    zip.file("word/document.xml", "<document/>");
+    await expectRejection(await zip.generateAsync({ type: "nodebuffer" }), "MISSING_WORKBOOK_PART");
+  });
+
+  test("rejects macro-enabled workbooks", async () => {
+    await expectRejection(await createZip({ "xl/vbaProject.bin": "macro" }), "MACRO_ENABLED_WORKBOOK");
+  });
+
+  test("rejects password-protected OOXML containers", async () => {
+    const ole = Buffer.concat([
+      Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+      Buffer.alloc(100),
+      Buffer.from("EncryptedPackage", "utf16le"),
+    ]);
+    await expectRejection(ole, "ENCRYPTED_WORKBOOK");
+  });
+
+  test("rejects ZIP entries flagged as encrypted", async () => {
+    const zip = patchCentralEntry(await createZip(), "xl/workbook.xml", (buf, offset) => {
+      buf.writeUInt16LE(buf.readUInt16LE(offset + 8) | 0x1, offset + 8);
+    });
+    await expectRejection(zip, "ENCRYPTED_WORKBOOK");
+  });
+
+  test("rejects archives with too many entries", async () => {
+    config.maxZipEntries = 3;
+    await expectRejection(await createZip({ a: "1", b: "2" }), "TOO_MANY_ENTRIES");
+  });
+
+  test("rejects archives whose total uncompressed size is too large", async () => {
+    config.maxUncompressedMB = 1;
+    await expect(validateInput(await createZip({ "xl/big.xml": "x".repeat(2 * 1024 * 1024) }), "xlsx"))
+      .rejects.toMatchObject({ code: "UNCOMPRESSED_TOO_LARGE", statusCode: 413 });
+  });
+
+  test("rejects highly compressed archives", async () => {
+    await expectRejection(await createZip({ "xl/bomb.xml": "0".repeat(4 * 1024 * 1024) }), "COMPRESSION_RATIO_EXCEEDED");
+  });
+
+  test("rejects entries that inflate beyond their declared size", async () => {
+    const text = Array.from({ length: 2000 }, (_, i) => `<c r="A${i}">${i * 7919}</c>`).join("");
+    const zip = patchCentralEntry(await createZip({ "xl/sheet.xml": text }), "xl/sheet.xml", (buf, offset) => {
+      buf.writeUInt32LE(10, offset + 24);
+    });
+    await expectRejection(zip, "COMPRESSION_RATIO_EXCEEDED");
+  });
+
+  test("checks ODS packages for their own required parts", async () => {
+    const zip = new JSZip();
+    zip.file("mimetype", "application/vnd.oasis.opendocument.spreadsheet");
+    await expectRejection(await zip.generateAsync({ type: "nodebuffer" }), "MISSING_WORKBOOK_PART", "ods");
+  });
+});
+
+describe("POST /convert - archive validation", () => {
+  test("answers 400 with the rejection code", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .attach("file", await createZip({ "xl/vbaProject.bin": "macro" }), "budget.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: "Macro-enabled workbooks are not accepted", code: "MACRO_ENABLED_WORKBOOK" });
+  });
+});
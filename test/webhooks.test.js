@@ -0,0 +1,251 @@
+const dns = require("dns");
+const net = require("net");
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const { Readable } = require("stream");
+
+// Enough requests for every test in this file within one rate limit window
+process.env.RATE_LIMIT_MAX = "1000";
+
+// Mock node-fetch: Gotenberg and callback receivers are answered separately
+let mockGotenbergResponse;
+let mockCallbackResponses;
+let mockCallbackCalls;
+jest.mock("node-fetch", () => {
+  return jest.fn(async (url, opts) => {
+    if (url.startsWith("https://receiver.example")) {
+      mockCallbackCalls.push({ url, opts });
+      const next = mockCallbackResponses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+    return mockGotenbergResponse;
+  });
+});
+
+// Disable pino logging in tests
+jest.mock("pino", () => {
+  const noop = () => {};
+  const logger = {
+    info: noop,
+    error: noop,
+    warn: noop,
+    debug: noop,
+    trace: noop,
+    fatal: noop,
+    child: () => logger,
+  };
+  const pinoFn = () => logger;
+  pinoFn.destination = () => ({});
+  return pinoFn;
+});
+
+jest.mock("pino-http", () => {
+  return () => (req, res, next) => {
+    req.log = {
+      info: () => {},
+      error: () => {},
+      warn: () => {},
+      debug: () => {},
+    };
+    req.log.child = () => req.log;
+    next();
+  };
+});
+
+const { app, config } = require("../index");
+const { signPayload, guardedLookup } = require("../lib/webhooks");
+
+// Host names the tests resolve without a network; IP literals resolve to themselves
+const mockAddresses = {
+  "receiver.example": "93.184.216.34",
+  "erp.example": "93.184.216.35",
+  "intranet.example": "10.1.2.3",
+};
+
+async function createXlsxBuffer() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Sheet1");
+  ws.addRow(["Hello", "World"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+const FAKE_PDF = Buffer.from("%PDF-1.4 fake pdf content");
+
+// Poll the delivery log until the delivery settles
+async function waitForDelivery(id) {
+  for (let i = 0; i < 100; i++) {
+    const res = await request(app).get(`/deliveries/${id}`);
+    if (res.body.status !== "pending") return res;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("Delivery did not settle");
+}
+
+beforeEach(() => {
+  mockGotenbergResponse = { ok: true, status: 200, get body() { return Readable.from([FAKE_PDF]); } };
+  mockCallbackResponses = [];
+  mockCallbackCalls = [];
+  config.apiKey = "";
+  config.webhookSecret = "whsec";
+  config.webhookAllowedHosts = [];
+  config.webhookMaxAttempts = 3;
+  config.webhookRetryBaseMs = 1;
+  jest.spyOn(dns.promises, "lookup").mockImplementation(async (hostname) => {
+    const address = net.isIP(hostname) ? hostname : mockAddresses[hostname];
+    if (!address) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" });
+    return [{ address, family: net.isIP(address) }];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("POST /convert with callbackUrl", () => {
+  test("rejects callbacks when no secret is configured", async () => {
+    config.webhookSecret = "";
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not enabled/i);
+  });
+
+  test("rejects non-http callback URLs", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "file:///etc/passwd")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/http/i);
+  });
+
+  test("rejects hosts outside the allowlist", async () => {
+    config.webhookAllowedHosts = ["erp.example"];
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/not allowed/i);
+  });
+
+  test.each([
+    "http://127.0.0.1:3001/hook",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::1]/hook",
+    "http://[::ffff:10.0.0.1]/hook",
+    "https://192.168.1.20/hook",
+    "https://intranet.example/hook",
+  ])("rejects callbacks to private addresses: %s", async (callbackUrl) => {
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", callbackUrl)
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: "INVALID_CALLBACK_URL", field: "callbackUrl", error: expect.stringMatching(/private or reserved/) });
+  });
+
+  test("rejects callback hosts that do not resolve", async () => {
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://nowhere.example/hook")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/could not be resolved/);
+  });
+
+  test("accepts private hosts listed in WEBHOOK_ALLOWED_HOSTS", async () => {
+    config.webhookAllowedHosts = ["intranet.example"];
+    mockCallbackResponses = [{ ok: true, status: 200 }];
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://intranet.example/hook")
+      .attach("file", await createXlsxBuffer(), "test.xlsx");
+    expect(res.status).toBe(202);
+  });
+
+  test("refuses private addresses again when connecting", async () => {
+    const lookup = (hostname) => new Promise((resolve) => {
+      guardedLookup(hostname, { all: true }, (err, address) => resolve({ err, address }));
+    });
+    expect((await lookup("localhost")).err).toMatchObject({ code: "EBLOCKEDADDRESS" });
+    config.webhookAllowedHosts = ["localhost"];
+    expect((await lookup("localhost")).err).toBeNull();
+  });
+
+  test("delivers a signed PDF to the callback URL", async () => {
+    mockCallbackResponses = [{ ok: true, status: 200 }];
+
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/deliveries/${res.body.id}`);
+
+    const delivery = await waitForDelivery(res.body.id);
+    expect(delivery.body.status).toBe("delivered");
+    expect(delivery.body.attempts).toHaveLength(1);
+
+    const { opts } = mockCallbackCalls[0];
+    expect(opts.body).toEqual(FAKE_PDF);
+    expect(opts.headers["Content-Type"]).toBe("application/pdf");
+    expect(opts.headers["Content-Disposition"]).toMatch(/report\.pdf/);
+    const timestamp = opts.headers["X-Signature-Timestamp"];
+    expect(opts.headers["X-Signature"]).toBe(`sha256=${signPayload("whsec", timestamp, FAKE_PDF)}`);
+  });
+
+  test("delivers a JSON error when the conversion fails", async () => {
+    mockGotenbergResponse = { ok: false, status: 500, text: async () => "boom" };
+    mockCallbackResponses = [{ ok: true, status: 200 }];
+
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    await waitForDelivery(res.body.id);
+    const { opts } = mockCallbackCalls[0];
+    expect(opts.headers["Content-Type"]).toBe("application/json");
+    expect(opts.headers["X-Conversion-Status"]).toBe("502");
+    expect(JSON.parse(opts.body.toString())).toEqual({ error: "PDF conversion failed", code: "UPSTREAM_ERROR" });
+  });
+
+  test("retries failed deliveries and records each attempt", async () => {
+    mockCallbackResponses = [new Error("ECONNREFUSED"), { ok: false, status: 503 }, { ok: true, status: 200 }];
+
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    const delivery = await waitForDelivery(res.body.id);
+    expect(delivery.body.status).toBe("delivered");
+    expect(delivery.body.attempts.map((a) => a.statusCode)).toEqual([null, 503, 200]);
+    expect(delivery.body.attempts[0].error).toMatch(/ECONNREFUSED/);
+  });
+
+  test("stops retrying on a permanent client error", async () => {
+    mockCallbackResponses = [{ ok: false, status: 410 }];
+
+    const res = await request(app)
+      .post("/convert")
+      .field("callbackUrl", "https://receiver.example/hook")
+      .attach("file", await createXlsxBuffer(), "report.xlsx");
+
+    const delivery = await waitForDelivery(res.body.id);
+    expect(delivery.body.status).toBe("failed");
+    expect(delivery.body.attempts).toHaveLength(1);
+  });
+});
+
+describe("GET /deliveries/:id", () => {
+  test("returns 404 for unknown deliveries", async () => {
+    const res = await request(app).get("/deliveries/unknown");
+    expect(res.status).toBe(404);
+  });
+});
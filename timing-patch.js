@@ -5,6 +5,7 @@ const FormData = require("form-data");
 const fetch = require("node-fetch");
 const ExcelJS = require("exceljs");
 const pino = require("pino");
+const { parseOptions, preprocessWorkbook } = require("./lib/convert");
 
 const logger = pino({ level: process.env.LOG_LEVEL || "info" });
 const GOTENBERG_URL = process.env.GOTENBERG_URL || "http://localhost:3000/forms/libreoffice/convert";
@@ -19,25 +20,12 @@ async function test() {
   const buf = await wb.xlsx.writeBuffer();
 
   const startExcel = Date.now();
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buf);
-  workbook.eachSheet((worksheet) => {
-    worksheet.columns.forEach((column) => {
-      let maxLength = 0;
-      column.eachCell({ includeEmpty: false }, (cell) => {
-        cell.font = { ...cell.font, size: 9 };
-        const cellValue = cell.value ? cell.value.toString() : "";
-        maxLength = Math.max(maxLength, cellValue.length);
-      });
-      column.width = Math.min(Math.max(maxLength + 2, 8), 50);
-    });
-  });
-  const modified = await workbook.xlsx.writeBuffer();
+  const modified = await preprocessWorkbook(Buffer.from(buf), parseOptions({}));
   logger.info({ ms: Date.now() - startExcel }, "ExcelJS processing");
 
   const startGotenberg = Date.now();
   const form = new FormData();
-  form.append("files", Buffer.from(modified), {
+  form.append("files", modified, {
     filename: "export.xlsx",
     contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
   });